@@ -0,0 +1,52 @@
+const fs = require('fs');
+const dataExport = require('./data-export');
+
+// Accounts scheduled for deletion (POST /api/account/delete) are removed for good by the
+// accounts.purge_deleted job once their grace period is over.
+
+/**
+ * Hard-delete accounts whose grace period is over. Notes, bookmarks, profiles and tokens
+ * go through ON DELETE CASCADE; express-sessions have no foreign key and are removed here.
+ * Attachment files are queued for removal by a trigger and cleaned up by the purge job.
+ * Resolves to the number of accounts deleted.
+ */
+async function purgeScheduledDeletions(pool) {
+  const due = await pool.query(
+    `SELECT id FROM deuss.users
+     WHERE deletion_scheduled_at IS NOT NULL AND deletion_scheduled_at <= NOW()`
+  );
+
+  let purged = 0;
+  for (const { id } of due.rows) {
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      await client.query(`DELETE FROM deuss.session WHERE sess->>'uid' = $1`, [String(id)]);
+      const exportsResult = await client.query('SELECT id FROM deuss.data_exports WHERE user_id = $1', [id]);
+      // Re-check the schedule in case the deletion was cancelled meanwhile
+      const result = await client.query(
+        'DELETE FROM deuss.users WHERE id = $1 AND deletion_scheduled_at <= NOW() RETURNING id',
+        [id]
+      );
+      await client.query('COMMIT');
+      purged += result.rows.length;
+
+      if (result.rows.length > 0) {
+        for (const exportRow of exportsResult.rows) {
+          await fs.promises.rm(dataExport.exportFilePath(exportRow.id), { force: true });
+        }
+      }
+    } catch (error) {
+      await client.query('ROLLBACK');
+      console.error(`Error purging account ${id}:`, error);
+    } finally {
+      client.release();
+    }
+  }
+
+  return purged;
+}
+
+module.exports = {
+  purgeScheduledDeletions
+};
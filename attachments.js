@@ -0,0 +1,249 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const Minio = require('minio');
+
+// Files attached to notes live in a storage backend picked by ATTACHMENT_STORAGE:
+//   local  files under ATTACHMENT_DIR (default ./attachments)
+//   s3     a bucket on S3 or an S3-compatible server such as MinIO (S3_* variables)
+// Backends only see opaque keys; names, types and sizes are kept in deuss.note_attachments.
+// Removed attachments are queued in deuss.attachment_deletions by a trigger, so files of
+// notes and accounts deleted by cascade are cleaned up too (the attachments.purge job).
+
+const KEY_PATTERN = /^[a-z0-9][a-z0-9/-]*$/;
+
+// Only these are shown inline; everything else is downloaded
+const INLINE_CONTENT_TYPES = ['image/png', 'image/jpeg', 'image/gif', 'image/webp'];
+
+// Magic numbers of the types worth recognising, checked in order. Short ones that plain text
+// could start with also require the file not to look like text.
+const SIGNATURES = [
+  { type: 'image/png', bytes: [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a] },
+  { type: 'image/jpeg', bytes: [0xff, 0xd8, 0xff] },
+  { type: 'image/gif', ascii: 'GIF87a' },
+  { type: 'image/gif', ascii: 'GIF89a' },
+  { type: 'image/webp', ascii: 'RIFF', then: { offset: 8, ascii: 'WEBP' } },
+  { type: 'application/pdf', ascii: '%PDF-' },
+  { type: 'application/zip', bytes: [0x50, 0x4b, 0x03, 0x04] },
+  { type: 'application/gzip', bytes: [0x1f, 0x8b] },
+  { type: 'application/x-7z-compressed', bytes: [0x37, 0x7a, 0xbc, 0xaf, 0x27, 0x1c] },
+  { type: 'application/x-xz', bytes: [0xfd, 0x37, 0x7a, 0x58, 0x5a, 0x00] },
+  { type: 'application/x-bzip2', ascii: 'BZh', binary: true },
+  { type: 'application/x-tar', then: { offset: 257, ascii: 'ustar' } },
+  { type: 'application/vnd.tcpdump.pcap', bytes: [0xd4, 0xc3, 0xb2, 0xa1] },
+  { type: 'application/vnd.tcpdump.pcap', bytes: [0xa1, 0xb2, 0xc3, 0xd4] },
+  { type: 'application/vnd.tcpdump.pcap', bytes: [0x4d, 0x3c, 0xb2, 0xa1] },
+  { type: 'application/vnd.tcpdump.pcap', bytes: [0xa1, 0xb2, 0x3c, 0x4d] },
+  { type: 'application/x-pcapng', bytes: [0x0a, 0x0d, 0x0d, 0x0a] },
+  { type: 'application/x-executable', bytes: [0x7f, 0x45, 0x4c, 0x46] },
+  { type: 'application/x-msdownload', ascii: 'MZ', binary: true }
+];
+
+// Bytes read from the start of a file for sniffing
+const SNIFF_BYTES = 4096;
+
+function matchesAt(buffer, offset, { bytes, ascii }) {
+  const expected = bytes ? Buffer.from(bytes) : Buffer.from(ascii, 'latin1');
+  return buffer.length >= offset + expected.length && buffer.subarray(offset, offset + expected.length).equals(expected);
+}
+
+function looksLikeText(buffer) {
+  if (buffer.includes(0)) {
+    return false;
+  }
+  // A multi-byte character cut off at the end of the sample is still text
+  const decoded = new TextDecoder('utf-8', { fatal: false }).decode(buffer);
+  const invalid = (decoded.match(/\uFFFD/g) || []).length;
+  return invalid <= 1;
+}
+
+/**
+ * Detect a file's type from its first bytes. The type the client sent is never trusted:
+ * text (including HTML and SVG) is always text/plain, unknown binaries
+ * application/octet-stream.
+ */
+function sniffContentType(buffer) {
+  const text = looksLikeText(buffer);
+
+  for (const signature of SIGNATURES) {
+    const start = signature.bytes || signature.ascii ? matchesAt(buffer, 0, signature) : true;
+    if (
+      start &&
+      (!signature.then || matchesAt(buffer, signature.then.offset, signature.then)) &&
+      !(signature.binary && text)
+    ) {
+      return signature.type;
+    }
+  }
+  return text ? 'text/plain' : 'application/octet-stream';
+}
+
+async function sniffFile(filePath) {
+  const handle = await fs.promises.open(filePath, 'r');
+  try {
+    const buffer = Buffer.alloc(SNIFF_BYTES);
+    const { bytesRead } = await handle.read(buffer, 0, SNIFF_BYTES, 0);
+    return sniffContentType(buffer.subarray(0, bytesRead));
+  } finally {
+    await handle.close();
+  }
+}
+
+async function hashFile(filePath) {
+  const hash = crypto.createHash('sha256');
+  for await (const chunk of fs.createReadStream(filePath)) {
+    hash.update(chunk);
+  }
+  return hash.digest('hex');
+}
+
+/**
+ * A file name that is safe to store and to put in a Content-Disposition header
+ */
+function sanitizeFilename(name) {
+  const base = path.basename(String(name || '').replace(/\\/g, '/'))
+    .replace(/[\u0000-\u001f\u007f"]/g, '')
+    .trim()
+    .substring(0, 255);
+  return base && base !== '.' && base !== '..' ? base : 'attachment';
+}
+
+function checkKey(key) {
+  if (!KEY_PATTERN.test(key) || key.includes('..')) {
+    throw new Error(`Invalid attachment storage key "${key}"`);
+  }
+}
+
+// Each backend stores a file from a local path under a key and streams it back.
+// get rejects with error.code === 'ENOENT' when the key doesn't exist; remove ignores it.
+
+function createLocalStorage() {
+  const root = path.resolve(process.env.ATTACHMENT_DIR || path.join(__dirname, 'attachments'));
+
+  const filePath = key => {
+    checkKey(key);
+    return path.join(root, key);
+  };
+
+  return {
+    name: 'local',
+
+    async put(key, sourcePath) {
+      const target = filePath(key);
+      await fs.promises.mkdir(path.dirname(target), { recursive: true, mode: 0o700 });
+      await fs.promises.copyFile(sourcePath, target);
+      await fs.promises.chmod(target, 0o600);
+    },
+
+    async get(key) {
+      const target = filePath(key);
+      await fs.promises.access(target);
+      return fs.createReadStream(target);
+    },
+
+    async remove(key) {
+      await fs.promises.rm(filePath(key), { force: true });
+    }
+  };
+}
+
+function createS3Storage() {
+  const bucket = process.env.S3_BUCKET;
+  if (!bucket || !process.env.S3_ENDPOINT) {
+    throw new Error('S3_ENDPOINT and S3_BUCKET must be set for ATTACHMENT_STORAGE=s3');
+  }
+
+  const endpoint = new URL(process.env.S3_ENDPOINT);
+  const client = new Minio.Client({
+    endPoint: endpoint.hostname,
+    port: endpoint.port ? parseInt(endpoint.port, 10) : undefined,
+    useSSL: endpoint.protocol === 'https:',
+    accessKey: process.env.S3_ACCESS_KEY_ID,
+    secretKey: process.env.S3_SECRET_ACCESS_KEY,
+    region: process.env.S3_REGION || 'us-east-1',
+    // MinIO and most self-hosted servers only support path-style bucket URLs
+    pathStyle: process.env.S3_FORCE_PATH_STYLE !== 'false'
+  });
+
+  const missing = error => ['NoSuchKey', 'NotFound', 'NoSuchObject'].includes(error.code);
+
+  return {
+    name: 's3',
+
+    async put(key, sourcePath, { contentType, size }) {
+      checkKey(key);
+      await client.putObject(bucket, key, fs.createReadStream(sourcePath), size, { 'Content-Type': contentType });
+    },
+
+    async get(key) {
+      checkKey(key);
+      try {
+        return await client.getObject(bucket, key);
+      } catch (error) {
+        if (missing(error)) error.code = 'ENOENT';
+        throw error;
+      }
+    },
+
+    async remove(key) {
+      checkKey(key);
+      try {
+        await client.removeObject(bucket, key);
+      } catch (error) {
+        if (!missing(error)) throw error;
+      }
+    }
+  };
+}
+
+const STORAGE_BACKENDS = {
+  local: createLocalStorage,
+  s3: createS3Storage
+};
+
+/**
+ * Create the storage backend named by ATTACHMENT_STORAGE (default local)
+ */
+function createAttachmentStorage() {
+  const backendName = process.env.ATTACHMENT_STORAGE || 'local';
+  const createBackend = STORAGE_BACKENDS[backendName];
+
+  if (!createBackend) {
+    throw new Error(`Unknown ATTACHMENT_STORAGE "${backendName}" (expected ${Object.keys(STORAGE_BACKENDS).join(', ')})`);
+  }
+
+  return createBackend();
+}
+
+/**
+ * Remove the files of deleted attachments. Resolves to the number removed.
+ */
+async function purgeDeletedAttachments(pool, storage, { batchSize = 100 } = {}) {
+  let removed = 0;
+
+  for (;;) {
+    const batch = await pool.query(
+      'SELECT id, storage_key FROM deuss.attachment_deletions ORDER BY id LIMIT $1',
+      [batchSize]
+    );
+    if (batch.rows.length === 0) {
+      return removed;
+    }
+
+    for (const row of batch.rows) {
+      await storage.remove(row.storage_key);
+      await pool.query('DELETE FROM deuss.attachment_deletions WHERE id = $1', [row.id]);
+      removed++;
+    }
+  }
+}
+
+module.exports = {
+  INLINE_CONTENT_TYPES,
+  sniffContentType,
+  sniffFile,
+  hashFile,
+  sanitizeFilename,
+  createAttachmentStorage,
+  purgeDeletedAttachments
+};
@@ -0,0 +1,605 @@
+require('dotenv').config();
+const { Pool, types } = require('pg');
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const zlib = require('zlib');
+
+// Portable backups of the deuss schema. An archive is NDJSON (or one JSON document with
+// --format json), gzipped when the file name ends in .gz:
+//   {"type":"header","format":"deuss-backup","version":1,...}
+//   {"type":"row","table":"users","data":{...}}      (tables in dependency order)
+//   {"type":"footer","counts":{"users":1,...}}
+// Restores never reuse ids from the archive: every row gets a new id from the target
+// database and foreign keys are rewritten, so an archive can be loaded into a database that
+// already has data. Sessions, tokens, rate limits, jobs, caches (including note_renders),
+// live editing state (note_documents, rebuilt from the notes) and note attachments (whose
+// files are in the attachment storage, not the database) are not backed up.
+
+const BACKUP_FORMAT = 'deuss-backup';
+const BACKUP_FORMAT_VERSION = 1;
+const DEFAULT_BACKUP_DIR = path.join(__dirname, 'backups');
+const BATCH_SIZE = 1000;
+
+// Keep timestamps as Postgres wrote them; converting through Date would shift
+// TIMESTAMP WITHOUT TIME ZONE values by the local offset
+types.setTypeParser(1114, value => value);
+types.setTypeParser(1184, value => value);
+types.setTypeParser(1082, value => value);
+
+// Tables in the order they are dumped and restored; parents before children.
+// references maps a column to the table its id points at; a row pointing at another row of
+// the same table waits until that row is restored. optionalReferences are set to NULL when
+// the referenced row isn't in the archive (instead of skipping the row). naturalKey finds an
+// existing row in the target database, only for rows passing matchIf when it's given.
+// global tables are shared by all users and left out of per-user archives. userFilter
+// selects one user's rows ($3 is the user id) for tables without a user_id column.
+const TABLES = [
+  { name: 'users', naturalKey: ['email'] },
+  { name: 'default_bookmark_categories', global: true, naturalKey: ['external_id'] },
+  { name: 'default_bookmarks', global: true, naturalKey: ['external_id'], references: { category_id: 'default_bookmark_categories' } },
+  {
+    name: 'notebooks',
+    references: { user_id: 'users', parent_id: 'notebooks' },
+    // Each user has one default notebook; merging into an existing account reuses it
+    naturalKey: ['user_id', 'is_default'],
+    matchIf: row => row.is_default
+  },
+  { name: 'notes', references: { user_id: 'users', notebook_id: 'notebooks' } },
+  {
+    name: 'note_revisions',
+    references: { note_id: 'notes', author_id: 'users' },
+    optionalReferences: ['author_id'],
+    userFilter: 'note_id IN (SELECT id FROM deuss.notes WHERE user_id = $3)'
+  },
+  { name: 'note_shares', references: { note_id: 'notes', user_id: 'users' } },
+  { name: 'note_publications', references: { note_id: 'notes', user_id: 'users' } },
+  {
+    // A collaborator missing from the archive becomes a pending invitation to their email
+    name: 'note_collaborators',
+    references: { note_id: 'notes', user_id: 'users', invited_by: 'users' },
+    optionalReferences: ['user_id', 'invited_by'],
+    userFilter: 'note_id IN (SELECT id FROM deuss.notes WHERE user_id = $3)'
+  },
+  { name: 'bookmark_categories', references: { user_id: 'users' } },
+  { name: 'bookmarks', references: { user_id: 'users', category_id: 'bookmark_categories' } },
+  { name: 'hacking_profiles', references: { user_id: 'users' } },
+  { name: 'social_profiles', references: { user_id: 'users' } },
+  { name: 'user_identities', references: { user_id: 'users' } },
+  { name: 'api_tokens', references: { user_id: 'users' } },
+  { name: 'audit_log', references: { user_id: 'users', actor_id: 'users' }, optionalReferences: ['actor_id'] }
+];
+
+const TABLES_BY_NAME = new Map(TABLES.map(table => [table.name, table]));
+
+const USAGE = `
+Backups - Usage:
+----------------
+node backup.js dump [--out <file>] [--format ndjson|json] [--user <id|email>]
+    # Write an archive (default backups/deuss-<timestamp>.ndjson.gz); --user dumps one account
+node backup.js restore <file> [--on-conflict fail|skip|merge] [--dry-run]
+    # Load an archive; --on-conflict decides what happens to users whose email already exists
+node backup.js inspect <file>
+    # Print an archive's header and row counts
+`;
+
+function createPool() {
+  if (!process.env.DATABASE_URL) {
+    console.error('DATABASE_URL environment variable is not set');
+    process.exit(1);
+  }
+
+  const config = { connectionString: process.env.DATABASE_URL };
+
+  // Only enable SSL in production
+  if (process.env.NODE_ENV === 'production' && process.env.PGSSLMODE !== 'disable') {
+    config.ssl = {
+      rejectUnauthorized: false
+    };
+  }
+
+  return new Pool(config);
+}
+
+async function getSchemaVersion(client) {
+  try {
+    const result = await client.query('SELECT MAX(version::BIGINT) AS version FROM deuss.schema_migrations');
+    return result.rows[0].version;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Columns of a deuss table: Map of name -> { dataType, generated }
+ */
+async function getColumns(client, table) {
+  const result = await client.query(
+    `SELECT column_name, data_type, is_generated
+     FROM information_schema.columns
+     WHERE table_schema = 'deuss' AND table_name = $1`,
+    [table]
+  );
+
+  return new Map(result.rows.map(row => [row.column_name, {
+    dataType: row.data_type,
+    generated: row.is_generated === 'ALWAYS'
+  }]));
+}
+
+async function resolveUser(client, value) {
+  const byId = /^\d+$/.test(String(value));
+  const result = await client.query(
+    byId
+      ? 'SELECT id, email FROM deuss.users WHERE id = $1'
+      : 'SELECT id, email FROM deuss.users WHERE LOWER(email) = LOWER($1)',
+    [value]
+  );
+
+  if (result.rows.length === 0) {
+    throw new Error(`No user found for ${value}`);
+  }
+  return result.rows[0];
+}
+
+// Dump
+
+function openWriter(file) {
+  const output = fs.createWriteStream(file, { mode: 0o600 });
+  const stream = file.endsWith('.gz') ? zlib.createGzip() : null;
+  if (stream) {
+    stream.pipe(output);
+  }
+  const target = stream || output;
+
+  return {
+    write(chunk) {
+      // Respect backpressure so large tables don't pile up in memory
+      return target.write(chunk) ? Promise.resolve() : new Promise(resolve => target.once('drain', resolve));
+    },
+    end() {
+      return new Promise((resolve, reject) => {
+        output.on('finish', resolve);
+        output.on('error', reject);
+        target.end();
+      });
+    }
+  };
+}
+
+/**
+ * Read a table in id order, BATCH_SIZE rows at a time. Generated columns are left out;
+ * the target database computes its own.
+ */
+async function* readTable(client, table, userId) {
+  const columns = [...(await getColumns(client, table.name))]
+    .filter(([, column]) => !column.generated)
+    .map(([name]) => name);
+  let lastId = 0;
+
+  while (true) {
+    const params = [lastId, BATCH_SIZE];
+    let filter = '';
+    if (userId !== undefined) {
+      params.push(userId);
+      filter = `AND ${table.userFilter || (table.name === 'users' ? 'id = $3' : 'user_id = $3')}`;
+    }
+
+    const result = await client.query(
+      `SELECT ${columns.join(', ')} FROM deuss.${table.name} WHERE id > $1 ${filter} ORDER BY id LIMIT $2`,
+      params
+    );
+
+    for (const row of result.rows) {
+      yield row;
+    }
+
+    if (result.rows.length < BATCH_SIZE) {
+      return;
+    }
+    lastId = result.rows[result.rows.length - 1].id;
+  }
+}
+
+async function dump(client, { out, format = 'ndjson', user }) {
+  if (!['ndjson', 'json'].includes(format)) {
+    throw new Error('--format must be ndjson or json');
+  }
+
+  const owner = user ? await resolveUser(client, user) : null;
+  const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+  const file = out || path.join(
+    DEFAULT_BACKUP_DIR,
+    `deuss-${owner ? `user-${owner.id}-` : ''}${stamp}.${format}.gz`
+  );
+  await fs.promises.mkdir(path.dirname(path.resolve(file)), { recursive: true });
+
+  const tables = TABLES.filter(table => !(owner && table.global));
+  const header = {
+    type: 'header',
+    format: BACKUP_FORMAT,
+    version: BACKUP_FORMAT_VERSION,
+    createdAt: new Date().toISOString(),
+    schemaVersion: await getSchemaVersion(client),
+    mode: owner ? 'user' : 'full',
+    user: owner ? { id: owner.id, email: owner.email } : null,
+    tables: tables.map(table => table.name)
+  };
+
+  // A repeatable-read snapshot keeps the archive consistent while the app keeps writing
+  await client.query('BEGIN ISOLATION LEVEL REPEATABLE READ READ ONLY');
+
+  const writer = openWriter(file);
+  const counts = {};
+
+  try {
+    if (format === 'ndjson') {
+      await writer.write(`${JSON.stringify(header)}\n`);
+    } else {
+      const { type, ...meta } = header;
+      await writer.write(`{"header":${JSON.stringify(meta)},"tables":{`);
+    }
+
+    for (const [index, table] of tables.entries()) {
+      counts[table.name] = 0;
+
+      if (format === 'json') {
+        await writer.write(`${index > 0 ? ',' : ''}${JSON.stringify(table.name)}:[`);
+      }
+
+      for await (const row of readTable(client, table, owner ? owner.id : undefined)) {
+        if (format === 'ndjson') {
+          await writer.write(`${JSON.stringify({ type: 'row', table: table.name, data: row })}\n`);
+        } else {
+          await writer.write(`${counts[table.name] > 0 ? ',' : ''}${JSON.stringify(row)}`);
+        }
+        counts[table.name]++;
+      }
+
+      if (format === 'json') {
+        await writer.write(']');
+      }
+      console.log(`- ${table.name}: ${counts[table.name]} row(s)`);
+    }
+
+    if (format === 'ndjson') {
+      await writer.write(`${JSON.stringify({ type: 'footer', counts })}\n`);
+    } else {
+      await writer.write(`},"counts":${JSON.stringify(counts)}}\n`);
+    }
+  } finally {
+    await writer.end();
+    await client.query('COMMIT');
+  }
+
+  console.log(`\nBackup written to ${file}`);
+  console.log('It contains password hashes and API keys; store it somewhere safe.');
+}
+
+// Reading archives
+
+function openReader(file) {
+  const input = fs.createReadStream(file);
+  return file.endsWith('.gz') ? input.pipe(zlib.createGunzip()) : input;
+}
+
+/**
+ * Yield the archive as { type: 'header' | 'row' | 'footer', ... } records, whichever of
+ * the two formats it is in
+ */
+async function* readArchive(file) {
+  const lines = readline.createInterface({ input: openReader(file), crlfDelay: Infinity });
+  let ndjson = null;
+
+  for await (const line of lines) {
+    if (!line.trim()) continue;
+
+    let record = null;
+    try {
+      record = JSON.parse(line);
+    } catch (error) {
+      // Only an NDJSON archive is guaranteed to parse line by line
+    }
+
+    if (ndjson === null) {
+      ndjson = Boolean(record && record.type === 'header');
+      if (!ndjson) break;
+    }
+
+    if (!record) {
+      throw new Error(`Archive line is not valid JSON: ${line.substring(0, 80)}`);
+    }
+    yield record;
+  }
+
+  if (ndjson !== false) {
+    return;
+  }
+
+  // A JSON archive is one document, so it has to be read whole
+  const contents = await fs.promises.readFile(file);
+  const document = JSON.parse((file.endsWith('.gz') ? zlib.gunzipSync(contents) : contents).toString('utf8'));
+
+  yield { type: 'header', ...document.header };
+  for (const [table, rows] of Object.entries(document.tables || {})) {
+    for (const data of rows) {
+      yield { type: 'row', table, data };
+    }
+  }
+  if (document.counts) {
+    yield { type: 'footer', counts: document.counts };
+  }
+}
+
+function checkHeader(header) {
+  if (!header || header.type !== 'header' || header.format !== BACKUP_FORMAT) {
+    throw new Error('Not a deuss backup archive');
+  }
+  if (header.version > BACKUP_FORMAT_VERSION) {
+    throw new Error(`Archive format version ${header.version} is newer than this tool supports (${BACKUP_FORMAT_VERSION})`);
+  }
+}
+
+async function inspect(file) {
+  const records = readArchive(file);
+  const { value: header } = await records.next();
+  checkHeader(header);
+
+  const counts = {};
+  let footer = null;
+  for await (const record of records) {
+    if (record.type === 'row') {
+      counts[record.table] = (counts[record.table] || 0) + 1;
+    } else if (record.type === 'footer') {
+      footer = record;
+    }
+  }
+
+  console.log(`Format:         ${header.format} v${header.version}`);
+  console.log(`Created:        ${header.createdAt}`);
+  console.log(`Schema version: ${header.schemaVersion ?? 'unknown'}`);
+  console.log(`Mode:           ${header.mode}${header.user ? ` (${header.user.email})` : ''}`);
+  console.log('\nRows:');
+  for (const table of header.tables) {
+    console.log(`- ${table}: ${counts[table] || 0}`);
+  }
+  console.log(footer ? '\nArchive is complete' : '\nWarning: archive has no footer and may be truncated');
+}
+
+// Restore
+
+function prepareValue(value, column) {
+  if (value === null || value === undefined) {
+    return null;
+  }
+  // node-pg would turn a JS array into a Postgres array; JSON columns need the JSON text
+  if (column.dataType === 'json' || column.dataType === 'jsonb') {
+    return JSON.stringify(value);
+  }
+  return value;
+}
+
+async function restore(client, file, { onConflict = 'fail', dryRun = false }) {
+  if (!['fail', 'skip', 'merge'].includes(onConflict)) {
+    throw new Error('--on-conflict must be fail, skip or merge');
+  }
+
+  const records = readArchive(file);
+  const { value: header } = await records.next();
+  checkHeader(header);
+
+  const targetVersion = await getSchemaVersion(client);
+  if (header.schemaVersion && targetVersion && Number(header.schemaVersion) > Number(targetVersion)) {
+    console.warn(`Warning: archive is from schema version ${header.schemaVersion}, this database is at ${targetVersion}. Run migrations first to keep every column.`);
+  }
+
+  const idMaps = new Map(TABLES.map(table => [table.name, new Map()]));
+  const columnCache = new Map();
+  const stats = {};
+  const droppedColumns = new Map();
+  const unknownTables = new Set();
+  // Rows whose parent in the same table (e.g. a sub-notebook) hasn't been restored yet,
+  // keyed by "<table>:<old parent id>"
+  const waiting = new Map();
+  let footer = null;
+
+  /**
+   * Insert (or match) one archived row. Resolves to inserted, existing, skipped or waiting.
+   */
+  const restoreRow = async (table, data) => {
+    const columns = columnCache.get(table.name);
+    const { id: oldId, ...row } = data;
+
+    // Point foreign keys at the rows' new ids
+    for (const [column, parent] of Object.entries(table.references || {})) {
+      if (row[column] === null || row[column] === undefined) continue;
+
+      const mapped = idMaps.get(parent).get(String(row[column]));
+      if (mapped !== undefined) {
+        row[column] = mapped;
+      } else if (parent === table.name) {
+        const key = `${table.name}:${row[column]}`;
+        if (!waiting.has(key)) waiting.set(key, []);
+        waiting.get(key).push(data);
+        return 'waiting';
+      } else if ((table.optionalReferences || []).includes(column)) {
+        row[column] = null;
+      } else {
+        return 'skipped';
+      }
+    }
+
+    if (table.naturalKey && (!table.matchIf || table.matchIf(row))) {
+      const conditions = table.naturalKey.map((column, index) =>
+        column === 'email' ? `LOWER(${column}) = LOWER($${index + 1})` : `${column} = $${index + 1}`
+      );
+      const existing = await client.query(
+        `SELECT id FROM deuss.${table.name} WHERE ${conditions.join(' AND ')} LIMIT 1`,
+        table.naturalKey.map(column => row[column])
+      );
+
+      if (existing.rows.length > 0) {
+        if (table.name === 'users' && onConflict === 'fail') {
+          throw new Error(`A user with email ${row.email} already exists (use --on-conflict skip or merge)`);
+        }
+        if (table.name === 'users' && onConflict === 'skip') {
+          return 'skipped';
+        }
+        // merge, or a row every user/instance has one of: reuse the existing row
+        idMaps.get(table.name).set(String(oldId), existing.rows[0].id);
+        return 'existing';
+      }
+    }
+
+    const names = Object.keys(row).filter(column => {
+      const target = columns.get(column);
+      if (!target) {
+        droppedColumns.get(table.name).add(column);
+        return false;
+      }
+      return !target.generated;
+    });
+
+    const result = await client.query(
+      `INSERT INTO deuss.${table.name} (${names.join(', ')})
+       VALUES (${names.map((name, index) => `$${index + 1}`).join(', ')})
+       ON CONFLICT DO NOTHING
+       RETURNING id`,
+      names.map(name => prepareValue(row[name], columns.get(name)))
+    );
+
+    if (result.rows.length === 0) {
+      // Hit a unique constraint (e.g. the same identity linked on this instance)
+      return 'skipped';
+    }
+
+    idMaps.get(table.name).set(String(oldId), result.rows[0].id);
+    return 'inserted';
+  };
+
+  await client.query('BEGIN');
+
+  try {
+    for await (const record of records) {
+      if (record.type === 'footer') {
+        footer = record;
+        continue;
+      }
+      if (record.type !== 'row') continue;
+
+      const table = TABLES_BY_NAME.get(record.table);
+      if (!table) {
+        unknownTables.add(record.table);
+        continue;
+      }
+
+      if (!columnCache.has(table.name)) {
+        columnCache.set(table.name, await getColumns(client, table.name));
+        droppedColumns.set(table.name, new Set());
+        stats[table.name] = { inserted: 0, existing: 0, skipped: 0 };
+      }
+
+      // Restoring a row can release children that were waiting for it
+      const queue = [record.data];
+      while (queue.length > 0) {
+        const data = queue.shift();
+        const outcome = await restoreRow(table, data);
+        if (outcome === 'waiting') continue;
+
+        stats[table.name][outcome]++;
+        const key = `${table.name}:${data.id}`;
+        if (waiting.has(key)) {
+          queue.push(...waiting.get(key));
+          waiting.delete(key);
+        }
+      }
+    }
+
+    // Anything still waiting points at a parent that isn't in the archive
+    for (const [key, rows] of waiting) {
+      stats[key.split(':')[0]].skipped += rows.length;
+    }
+
+    if (!footer) {
+      throw new Error('Archive has no footer; it is truncated or was not written completely');
+    }
+
+    for (const [tableName, expected] of Object.entries(footer.counts)) {
+      const seen = stats[tableName]
+        ? stats[tableName].inserted + stats[tableName].existing + stats[tableName].skipped
+        : 0;
+      if (TABLES_BY_NAME.has(tableName) && seen !== expected) {
+        throw new Error(`Archive lists ${expected} ${tableName} row(s) but contains ${seen}`);
+      }
+    }
+
+    await client.query(dryRun ? 'ROLLBACK' : 'COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  }
+
+  for (const table of unknownTables) {
+    console.warn(`Warning: skipped rows for unknown table ${table}`);
+  }
+  for (const [table, dropped] of droppedColumns) {
+    if (dropped.size > 0) {
+      console.warn(`Warning: ${table} has no column(s) ${[...dropped].join(', ')} here; those values were dropped`);
+    }
+  }
+
+  console.log(`\n${dryRun ? 'Dry run - nothing was written' : 'Restore complete'}:`);
+  for (const [table, tableStats] of Object.entries(stats)) {
+    console.log(`- ${table}: ${tableStats.inserted} inserted, ${tableStats.existing} matched existing, ${tableStats.skipped} skipped`);
+  }
+}
+
+function getOption(args, flag) {
+  const index = args.indexOf(flag);
+  return index === -1 ? undefined : args[index + 1];
+}
+
+async function main() {
+  const [command, ...args] = process.argv.slice(2);
+
+  if (command === 'inspect') {
+    if (!args[0]) throw new Error('Usage: node backup.js inspect <file>');
+    await inspect(args[0]);
+    return;
+  }
+
+  if (!['dump', 'restore'].includes(command)) {
+    console.log(USAGE);
+    process.exit(command ? 1 : 0);
+  }
+
+  if (command === 'restore' && (!args[0] || args[0].startsWith('--'))) {
+    throw new Error('Usage: node backup.js restore <file> [--on-conflict fail|skip|merge] [--dry-run]');
+  }
+
+  const pool = createPool();
+  const client = await pool.connect();
+
+  try {
+    if (command === 'dump') {
+      await dump(client, {
+        out: getOption(args, '--out'),
+        format: getOption(args, '--format'),
+        user: getOption(args, '--user')
+      });
+    } else {
+      await restore(client, args[0], {
+        onConflict: getOption(args, '--on-conflict'),
+        dryRun: args.includes('--dry-run')
+      });
+    }
+  } finally {
+    client.release();
+    await pool.end();
+  }
+}
+
+main().catch(error => {
+  console.error(`\nBackup failed: ${error.message}`);
+  process.exit(1);
+});
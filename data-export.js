@@ -0,0 +1,529 @@
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { once } = require('events');
+const { pipeline } = require('stream/promises');
+const { listUserSessions } = require('./user-sessions');
+
+// Account data exports. POST /api/account/export queues a data_export.generate job; the job
+// worker gathers everything the user owns and writes a .tar.gz to EXPORT_DIR, where it can be
+// downloaded until it expires.
+
+// Bumped whenever the layout of data.json changes
+const EXPORT_FORMAT_VERSION = 1;
+
+const EXPORT_DIR = process.env.EXPORT_DIR || path.join(__dirname, 'exports');
+const EXPORT_RETENTION_HOURS = parseInt(process.env.EXPORT_RETENTION_HOURS, 10) || 48;
+
+// Secrets that must never leave the database, even for their owner
+const REDACTED = '[REDACTED]';
+
+const TAR_BLOCK_SIZE = 512;
+
+/**
+ * Write a string into a fixed-width tar header field
+ */
+function writeTarField(header, value, offset, length) {
+  header.write(String(value), offset, length, 'utf8');
+}
+
+/**
+ * Write a number as a NUL-terminated octal tar header field
+ */
+function writeTarOctal(header, value, offset, length) {
+  writeTarField(header, value.toString(8).padStart(length - 1, '0'), offset, length - 1);
+}
+
+/**
+ * Build a ustar header block for a regular file
+ */
+function tarHeader(name, size, mtime) {
+  const header = Buffer.alloc(TAR_BLOCK_SIZE);
+
+  writeTarField(header, name, 0, 100);
+  writeTarOctal(header, 0o644, 100, 8);
+  writeTarOctal(header, 0, 108, 8);
+  writeTarOctal(header, 0, 116, 8);
+  writeTarOctal(header, size, 124, 12);
+  writeTarOctal(header, Math.floor(mtime.getTime() / 1000), 136, 12);
+  header.fill(' ', 148, 156); // checksum is computed with this field blank
+  writeTarField(header, '0', 156, 1);
+  writeTarField(header, 'ustar\0', 257, 6);
+  writeTarField(header, '00', 263, 2);
+
+  let checksum = 0;
+  for (const byte of header) {
+    checksum += byte;
+  }
+  writeTarField(header, `${checksum.toString(8).padStart(6, '0')}\0 `, 148, 8);
+
+  return header;
+}
+
+/**
+ * Stream a gzipped tarball to filePath. Entries are added one at a time, so attachment
+ * files never have to fit in memory. finish() resolves to the size of the written file.
+ */
+function createTarGzWriter(filePath, mtime = new Date()) {
+  const gzip = zlib.createGzip();
+  const written = pipeline(gzip, fs.createWriteStream(filePath, { mode: 0o600 }));
+  // Surfaces through finish(); until then a write error just stops the writes
+  written.catch(() => {});
+
+  async function write(chunk) {
+    if (!gzip.write(chunk)) {
+      await once(gzip, 'drain');
+    }
+  }
+
+  async function pad(size) {
+    const padding = (TAR_BLOCK_SIZE - (size % TAR_BLOCK_SIZE)) % TAR_BLOCK_SIZE;
+    if (padding > 0) {
+      await write(Buffer.alloc(padding));
+    }
+  }
+
+  return {
+    async add(name, content) {
+      const data = Buffer.isBuffer(content) ? content : Buffer.from(content, 'utf8');
+      await write(tarHeader(name, data.length, mtime));
+      await write(data);
+      await pad(data.length);
+    },
+
+    // The header is written first, so the stream must deliver exactly `size` bytes
+    async addStream(name, size, stream) {
+      await write(tarHeader(name, size, mtime));
+      let received = 0;
+      for await (const chunk of stream) {
+        received += chunk.length;
+        if (received > size) {
+          stream.destroy();
+          break;
+        }
+        await write(chunk);
+      }
+      if (received !== size) {
+        throw new Error(`${name} is ${received} bytes, expected ${size}`);
+      }
+      await pad(size);
+    },
+
+    async finish() {
+      // Two empty blocks mark the end of the archive
+      gzip.end(Buffer.alloc(TAR_BLOCK_SIZE * 2));
+      await written;
+      return (await fs.promises.stat(filePath)).size;
+    },
+
+    abort() {
+      gzip.destroy();
+    }
+  };
+}
+
+function slugify(value) {
+  return String(value || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-|-$/g, '')
+    .substring(0, 50) || 'untitled';
+}
+
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+function formatDate(value) {
+  return value ? new Date(value).toISOString() : '';
+}
+
+/**
+ * Markdown file for a single note, with its metadata as front matter
+ */
+function renderNoteMarkdown(note) {
+  const tags = (note.tags || []).map(tag => JSON.stringify(tag)).join(', ');
+  return [
+    '---',
+    `title: ${JSON.stringify(note.title || 'Untitled')}`,
+    `tags: [${tags}]`,
+    `created_at: ${formatDate(note.created_at)}`,
+    `updated_at: ${formatDate(note.updated_at)}`,
+    '---',
+    '',
+    note.content || '',
+    ''
+  ].join('\n');
+}
+
+/**
+ * Markdown overview of everything in the export except note bodies
+ */
+function renderSummaryMarkdown(data, noteFiles) {
+  const lines = [
+    `# Deuss data export for ${data.user.email}`,
+    '',
+    `Exported at ${data.exportedAt}.`,
+    '',
+    '## Profile',
+    ''
+  ];
+
+  for (const [key, value] of Object.entries(data.user)) {
+    lines.push(`- **${key}**: ${value === null || value === undefined ? '' : value}`);
+  }
+
+  lines.push('', `## Notes (${data.notes.length})`, '');
+  data.notes.forEach((note, index) => {
+    const tags = note.tags && note.tags.length > 0 ? ` - ${note.tags.join(', ')}` : '';
+    lines.push(`- [${note.title || 'Untitled'}](${noteFiles[index]})${tags}`);
+  });
+
+  lines.push('', `## Attachments (${data.attachments.length})`, '');
+  for (const attachment of data.attachments) {
+    const name = attachment.file ? `[${attachment.filename}](${attachment.file})` : `${attachment.filename} (file missing)`;
+    lines.push(`- ${name} - note ${attachment.note_id}, ${attachment.size_bytes} bytes`);
+  }
+
+  lines.push('', '## Sharing', '');
+  for (const share of data.noteShares) {
+    const state = share.revoked_at ? 'revoked' : `expires ${formatDate(share.expires_at) || 'never'}`;
+    lines.push(`- Share link ${share.token_prefix}... for note ${share.note_id} - ${state}, ${share.view_count} views`);
+  }
+  for (const publication of data.notePublications) {
+    lines.push(`- Note ${publication.note_id} published as /p/${publication.slug} - ${publication.view_count} views`);
+  }
+  for (const collaborator of data.noteCollaborators) {
+    lines.push(`- ${collaborator.email} invited to note ${collaborator.note_id} as ${collaborator.role}`);
+  }
+  for (const collaboration of data.collaborations) {
+    lines.push(`- Collaborator (${collaboration.role}) on "${collaboration.title || 'Untitled'}"`);
+  }
+
+  lines.push('', `Note history: ${data.noteRevisions.length} revision(s), in data.json.`);
+
+  lines.push('', '## Bookmarks', '');
+  for (const category of data.bookmarkCategories) {
+    lines.push(`### ${category.name}`, '');
+    for (const bookmark of category.bookmarks) {
+      lines.push(`- [${bookmark.title}](${bookmark.url})`);
+    }
+    lines.push('');
+  }
+
+  lines.push('## Hacking Profiles', '');
+  for (const profile of data.hackingProfiles) {
+    lines.push(`- ${profile.platform}: ${profile.username}`);
+  }
+
+  lines.push('', '## Social Profiles', '');
+  for (const profile of data.socialProfiles) {
+    lines.push(`- ${profile.platform}: ${profile.username}${profile.url ? ` (${profile.url})` : ''}`);
+  }
+
+  lines.push('', '## Sessions', '');
+  for (const session of data.sessions) {
+    lines.push(`- ${session.device} - ${session.ip || 'unknown IP'}, last seen ${formatDate(session.last_seen)}`);
+  }
+
+  lines.push('');
+  return lines.join('\n');
+}
+
+/**
+ * Single self-contained HTML page with the whole export
+ */
+function renderHtml(data) {
+  const section = (title, body) => `<section><h2>${escapeHtml(title)}</h2>${body}</section>`;
+  const list = items => `<ul>${items.map(item => `<li>${item}</li>`).join('')}</ul>`;
+
+  const profile = list(Object.entries(data.user).map(([key, value]) =>
+    `<strong>${escapeHtml(key)}</strong>: ${escapeHtml(value)}`
+  ));
+
+  const notes = data.notes.map(note => `
+    <article>
+      <h3>${escapeHtml(note.title || 'Untitled')}</h3>
+      <p class="meta">${escapeHtml((note.tags || []).join(', '))} &middot; updated ${escapeHtml(formatDate(note.updated_at))}</p>
+      <pre>${escapeHtml(note.content)}</pre>
+    </article>
+  `).join('');
+
+  const bookmarks = data.bookmarkCategories.map(category => `
+    <h3>${escapeHtml(category.name)}</h3>
+    ${list(category.bookmarks.map(bookmark =>
+      `<a href="${escapeHtml(bookmark.url)}" rel="noopener noreferrer">${escapeHtml(bookmark.title)}</a>`
+    ))}
+  `).join('');
+
+  const profiles = list([...data.hackingProfiles, ...data.socialProfiles].map(entry =>
+    `${escapeHtml(entry.platform)}: ${escapeHtml(entry.username)}`
+  ));
+
+  const attachments = list(data.attachments.map(attachment => (attachment.file
+    ? `<a href="${escapeHtml(attachment.file)}">${escapeHtml(attachment.filename)}</a>`
+    : `${escapeHtml(attachment.filename)} (file missing)`) + ` - ${escapeHtml(attachment.size_bytes)} bytes`
+  ));
+
+  const sharing = list([
+    ...data.noteShares.map(share =>
+      `Share link ${escapeHtml(share.token_prefix)}&hellip; for note ${escapeHtml(share.note_id)}${share.revoked_at ? ' (revoked)' : ''}`
+    ),
+    ...data.notePublications.map(publication =>
+      `Note ${escapeHtml(publication.note_id)} published as /p/${escapeHtml(publication.slug)}`
+    ),
+    ...data.noteCollaborators.map(collaborator =>
+      `${escapeHtml(collaborator.email)} invited to note ${escapeHtml(collaborator.note_id)} as ${escapeHtml(collaborator.role)}`
+    ),
+    ...data.collaborations.map(collaboration =>
+      `Collaborator (${escapeHtml(collaboration.role)}) on ${escapeHtml(collaboration.title || 'Untitled')}`
+    )
+  ]);
+
+  const sessions = list(data.sessions.map(session =>
+    `${escapeHtml(session.device)} - ${escapeHtml(session.ip || 'unknown IP')}, last seen ${escapeHtml(formatDate(session.last_seen))}`
+  ));
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Deuss data export - ${escapeHtml(data.user.email)}</title>
+<style>
+  body { font-family: sans-serif; background-color: #1a202c; color: #e2e8f0; padding: 20px; max-width: 960px; margin: 0 auto; }
+  h1, h2 { color: #4299e1; }
+  a { color: #4299e1; }
+  pre { background-color: #2d3748; padding: 10px; border-radius: 5px; white-space: pre-wrap; }
+  .meta { color: #a0aec0; font-size: 0.9em; }
+</style>
+</head>
+<body>
+<h1>Deuss data export</h1>
+<p class="meta">Exported at ${escapeHtml(data.exportedAt)}</p>
+${section('Profile', profile)}
+${section(`Notes (${data.notes.length})`, notes)}
+${section(`Attachments (${data.attachments.length})`, attachments)}
+${section('Sharing', sharing)}
+${section('Bookmarks', bookmarks)}
+${section('Connected Profiles', profiles)}
+${section('Sessions', sessions)}
+</body>
+</html>
+`;
+}
+
+// Kept short enough for the 100 byte name field of a tar header
+function attachmentFileName(attachment) {
+  const extension = path.extname(attachment.filename).toLowerCase().replace(/[^a-z0-9.]/g, '').substring(0, 10);
+  const base = slugify(path.basename(attachment.filename, path.extname(attachment.filename))).substring(0, 40);
+  return `attachments/${attachment.id}-${base}${extension}`;
+}
+
+/**
+ * Write the downloadable archive to filePath: data.json, a Markdown bundle, an HTML page and
+ * the attachment files. openAttachment(attachment) resolves to a readable stream of the file,
+ * or null when it is gone from storage; such attachments are exported with file: null.
+ * Resolves to the size of the archive.
+ */
+async function writeExportArchive(filePath, data, openAttachment) {
+  const root = `deuss-export-${data.user.id}`;
+  const noteFiles = data.notes.map(note => `notes/${note.id}-${slugify(note.title)}.md`);
+  const archive = createTarGzWriter(filePath, new Date(data.exportedAt));
+
+  try {
+    // Attachments go first, so data.json records which files actually made it in
+    for (const attachment of data.attachments) {
+      const stream = await openAttachment(attachment);
+      if (!stream) {
+        attachment.file = null;
+        continue;
+      }
+      await archive.addStream(`${root}/${attachment.file}`, Number(attachment.size_bytes), stream);
+    }
+
+    await archive.add(`${root}/data.json`, JSON.stringify(data, null, 2));
+    await archive.add(`${root}/README.md`, renderSummaryMarkdown(data, noteFiles));
+    await archive.add(`${root}/index.html`, renderHtml(data));
+    for (const [index, note] of data.notes.entries()) {
+      await archive.add(`${root}/${noteFiles[index]}`, renderNoteMarkdown(note));
+    }
+
+    return await archive.finish();
+  } catch (error) {
+    archive.abort();
+    await fs.promises.rm(filePath, { force: true });
+    throw error;
+  }
+}
+
+function redactApiKey(profile) {
+  return { ...profile, api_key: profile.api_key ? REDACTED : null };
+}
+
+/**
+ * Gather everything the user owns into one JSON-serializable object
+ */
+async function collectUserData(pool, userId) {
+  const userResult = await pool.query(
+    `SELECT id, email, full_name, avatar_url, country, tier, role, is_verified,
+       totp_enabled, totp_enabled_at, created_at, updated_at
+     FROM deuss.users WHERE id = $1`,
+    [userId]
+  );
+
+  if (userResult.rows.length === 0) {
+    throw new Error(`User ${userId} not found`);
+  }
+
+  const [
+    notes, notebookRows, categories, bookmarks, hackingProfiles, socialProfiles, identities, apiTokens,
+    revisions, attachments, shares, publications, collaborators, collaborations
+  ] = await Promise.all([
+    pool.query('SELECT id, notebook_id, title, content, tags, created_at, updated_at FROM deuss.notes WHERE user_id = $1 ORDER BY created_at', [userId]),
+    pool.query('SELECT id, parent_id, name, position, is_default, created_at, updated_at FROM deuss.notebooks WHERE user_id = $1 ORDER BY id', [userId]),
+    pool.query('SELECT id, name, icon, created_at, updated_at FROM deuss.bookmark_categories WHERE user_id = $1 ORDER BY id', [userId]),
+    pool.query('SELECT id, category_id, title, url, color, icon, created_at, updated_at FROM deuss.bookmarks WHERE user_id = $1 ORDER BY id', [userId]),
+    pool.query('SELECT * FROM deuss.hacking_profiles WHERE user_id = $1 ORDER BY id', [userId]),
+    pool.query('SELECT * FROM deuss.social_profiles WHERE user_id = $1 ORDER BY id', [userId]),
+    pool.query('SELECT provider, email, username, created_at FROM deuss.user_identities WHERE user_id = $1 ORDER BY id', [userId]),
+    pool.query('SELECT name, token_prefix, scopes, expires_at, last_used_at, revoked_at, created_at FROM deuss.api_tokens WHERE user_id = $1 ORDER BY id', [userId]),
+    pool.query(
+      `SELECT r.note_id, r.revision, r.author_id, r.title, r.content, r.tags, r.created_at
+       FROM deuss.note_revisions r JOIN deuss.notes n ON n.id = r.note_id
+       WHERE n.user_id = $1 ORDER BY r.note_id, r.revision`,
+      [userId]
+    ),
+    pool.query(
+      `SELECT id, note_id, uploaded_by, filename, content_type, size_bytes, sha256, created_at
+       FROM deuss.note_attachments WHERE user_id = $1 ORDER BY id`,
+      [userId]
+    ),
+    // The token and password hashes stay behind; the prefix is enough to recognise a link
+    pool.query(
+      `SELECT id, note_id, token_prefix, password_hash IS NOT NULL AS password_protected, expires_at,
+         revoked_at, view_count, last_viewed_at, created_at
+       FROM deuss.note_shares WHERE user_id = $1 ORDER BY id`,
+      [userId]
+    ),
+    pool.query('SELECT id, note_id, slug, view_count, published_at, updated_at FROM deuss.note_publications WHERE user_id = $1 ORDER BY id', [userId]),
+    pool.query(
+      `SELECT c.note_id, c.email, c.role, c.accepted_at, c.created_at, c.updated_at
+       FROM deuss.note_collaborators c JOIN deuss.notes n ON n.id = c.note_id
+       WHERE n.user_id = $1 ORDER BY c.id`,
+      [userId]
+    ),
+    // Other users' notes this user was invited to; the notes themselves belong to their owners
+    pool.query(
+      `SELECT c.note_id, n.title, c.role, c.accepted_at, c.created_at
+       FROM deuss.note_collaborators c JOIN deuss.notes n ON n.id = c.note_id
+       WHERE c.user_id = $1 ORDER BY c.id`,
+      [userId]
+    )
+  ]);
+
+  const sessions = (await listUserSessions(pool, userId)).map(({ sid, tokenFamily, ...entry }) => entry);
+
+  return {
+    version: EXPORT_FORMAT_VERSION,
+    exportedAt: new Date().toISOString(),
+    user: userResult.rows[0],
+    notes: notes.rows,
+    notebooks: notebookRows.rows,
+    bookmarkCategories: categories.rows.map(category => ({
+      ...category,
+      bookmarks: bookmarks.rows.filter(bookmark => bookmark.category_id === category.id)
+    })),
+    hackingProfiles: hackingProfiles.rows.map(redactApiKey),
+    socialProfiles: socialProfiles.rows.map(redactApiKey),
+    identities: identities.rows,
+    apiTokens: apiTokens.rows,
+    sessions,
+    noteRevisions: revisions.rows,
+    attachments: attachments.rows.map(attachment => ({ ...attachment, file: attachmentFileName(attachment) })),
+    noteShares: shares.rows,
+    notePublications: publications.rows,
+    noteCollaborators: collaborators.rows,
+    collaborations: collaborations.rows
+  };
+}
+
+function exportFilePath(exportId) {
+  return path.join(EXPORT_DIR, `export-${exportId}.tar.gz`);
+}
+
+/**
+ * Build the archive for a queued export and mark it completed. Throws on failure so the job
+ * is retried; an export left in 'processing' by a crashed worker is picked up again.
+ * Attachment files are read from attachmentStorage.
+ */
+async function generateDataExport(pool, exportId, { attachmentStorage }) {
+  const claimed = await pool.query(
+    `UPDATE deuss.data_exports SET status = 'processing', started_at = NOW()
+     WHERE id = $1 AND status IN ('pending', 'processing')
+     RETURNING user_id`,
+    [exportId]
+  );
+
+  if (claimed.rows.length === 0) {
+    return;
+  }
+
+  const userId = claimed.rows[0].user_id;
+  const data = await collectUserData(pool, userId);
+
+  // Storage keys are internal, so they are looked up here rather than exported
+  const keys = await pool.query('SELECT id, storage_key FROM deuss.note_attachments WHERE user_id = $1', [userId]);
+  const storageKeys = new Map(keys.rows.map(row => [row.id, row.storage_key]));
+
+  const openAttachment = async attachment => {
+    const key = storageKeys.get(attachment.id);
+    if (!key) {
+      return null;
+    }
+    try {
+      return await attachmentStorage.get(key);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+  };
+
+  await fs.promises.mkdir(EXPORT_DIR, { recursive: true });
+  const fileSize = await writeExportArchive(exportFilePath(exportId), data, openAttachment);
+
+  await pool.query(
+    `UPDATE deuss.data_exports
+     SET status = 'completed', file_size = $1, completed_at = NOW(),
+         expires_at = NOW() + make_interval(hours => $2)
+     WHERE id = $3`,
+    [fileSize, EXPORT_RETENTION_HOURS, exportId]
+  );
+}
+
+/**
+ * Give up on an export after its last attempt, so the user can request a new one
+ */
+async function markExportFailed(pool, exportId) {
+  await pool.query(
+    `UPDATE deuss.data_exports SET status = 'failed', error = $1, completed_at = NOW()
+     WHERE id = $2 AND status IN ('pending', 'processing')`,
+    ['Export generation failed', exportId]
+  );
+}
+
+module.exports = {
+  EXPORT_FORMAT_VERSION,
+  createTarGzWriter,
+  writeExportArchive,
+  collectUserData,
+  exportFilePath,
+  generateDataExport,
+  markExportFailed
+};
@@ -0,0 +1,360 @@
+const axios = require('axios');
+
+// Responses from TryHackMe and Twitter are fetched by the job worker and stored in
+// deuss.external_cache, so API requests never wait on a third party. Each source returns
+// { status, body } - exactly what the API route should send back - plus rateLimited when the
+// provider refused the request. Fetchers throw for transient failures (network errors, 5xx)
+// so the job is retried with backoff.
+
+const TRYHACKME_TTL_SECONDS = parseInt(process.env.TRYHACKME_CACHE_TTL_SECONDS, 10) || 10 * 60;
+const TWITTER_PROFILE_TTL_SECONDS = 15 * 60;
+const TWITTER_TWEETS_TTL_SECONDS = 5 * 60;
+
+// Error responses are kept for a short time only, so a fix on the user's side shows up quickly
+const ERROR_TTL_SECONDS = 60;
+
+// Cache entries nobody has asked for in this long are removed by the prune job
+const CACHE_RETENTION_DAYS = 7;
+
+function isRetryable(error) {
+  const status = error.response?.status;
+  return !status || status >= 500 || status === 429;
+}
+
+function tryHackMeSource(buildPath, errorMessage, shape = data => data) {
+  return {
+    ttlSeconds: TRYHACKME_TTL_SECONDS,
+    errorMessage,
+    async fetch(username) {
+      try {
+        const response = await axios.get(`https://tryhackme.com${buildPath(encodeURIComponent(username))}`);
+        return { status: 200, body: shape(response.data) };
+      } catch (error) {
+        if (isRetryable(error)) {
+          throw error;
+        }
+        return { status: 500, body: { error: errorMessage, details: error.message } };
+      }
+    }
+  };
+}
+
+// Mock tweets generator for fallback
+function generateMockTweets() {
+  return [
+    {
+      id: 'mock1',
+      text: 'Sorry, Twitter API rate limit exceeded. This is a mock tweet to show the UI.',
+      created_at: new Date().toISOString(),
+      public_metrics: {
+        retweet_count: 0,
+        reply_count: 0,
+        like_count: 0,
+        quote_count: 0
+      }
+    },
+    {
+      id: 'mock2',
+      text: 'Please try again later. Twitter limits API requests.',
+      created_at: new Date(Date.now() - 86400000).toISOString(),
+      public_metrics: {
+        retweet_count: 0,
+        reply_count: 0,
+        like_count: 0,
+        quote_count: 0
+      }
+    }
+  ];
+}
+
+function mockTweetsResponse() {
+  return {
+    status: 200,
+    rateLimited: true,
+    body: {
+      data: generateMockTweets(),
+      meta: {
+        result_count: 2,
+        newest_id: 'mock1',
+        oldest_id: 'mock2'
+      },
+      fallback: true,
+      error: 'Twitter API rate limit exceeded',
+      message: 'Using mock data due to rate limiting'
+    }
+  };
+}
+
+const VERIFIED_RATE_LIMITED = {
+  status: 429,
+  rateLimited: true,
+  body: {
+    error: 'Twitter API rate limit exceeded',
+    message: 'Rate limit exceeded for verified user, please try again later.',
+    verified: true
+  }
+};
+
+// Helper function to get Twitter API key for a username
+async function getTwitterApiKey(pool, username) {
+  // Clean up username format
+  let cleanUsername = username.trim();
+  if (cleanUsername.startsWith('@')) {
+    cleanUsername = cleanUsername.substring(1);
+  }
+
+  // First try: Look up by provided username directly
+  const profileByUsernameResult = await pool.query(
+    'SELECT api_key FROM deuss.social_profiles WHERE platform = $1 AND username = $2 AND connected = true',
+    ['twitter', cleanUsername]
+  );
+
+  if (profileByUsernameResult.rows.length > 0 && profileByUsernameResult.rows[0].api_key) {
+    return profileByUsernameResult.rows[0].api_key;
+  }
+
+  // Fall back to environment variable if no user API key
+  return process.env.TWITTER_BEARER_TOKEN || null;
+}
+
+async function twitterRequest(url, apiKey) {
+  const response = await fetch(url, {
+    headers: {
+      Authorization: `Bearer ${apiKey}`,
+    },
+  });
+
+  if (response.status >= 500) {
+    throw new Error(`Twitter API returned ${response.status}`);
+  }
+
+  return response;
+}
+
+async function twitterErrorResponse(response, fallbackMessage) {
+  const errorData = await response.json().catch(() => ({}));
+  return {
+    status: response.status,
+    body: {
+      error: 'Twitter API error',
+      message: errorData.detail || fallbackMessage
+    }
+  };
+}
+
+const SOURCES = {
+  'tryhackme.rank': tryHackMeSource(
+    username => `/api/user/rank/${username}`,
+    'Failed to fetch TryHackMe rank'
+  ),
+  'tryhackme.badges': tryHackMeSource(
+    username => `/api/badges/get/${username}`,
+    'Failed to fetch TryHackMe badges',
+    data => ({ badges: data, count: data.length })
+  ),
+  'tryhackme.rooms': tryHackMeSource(
+    username => `/api/no-completed-rooms-public/${username}`,
+    'Failed to fetch TryHackMe completed rooms',
+    data => ({ completedRooms: parseInt(data, 10) || 0 })
+  ),
+  'tryhackme.user': tryHackMeSource(
+    username => `/api/discord/user/${username}`,
+    'Failed to fetch TryHackMe user data'
+  ),
+  'tryhackme.tickets': tryHackMeSource(
+    username => `/games/tickets/won?username=${username}`,
+    'Failed to fetch TryHackMe tickets'
+  ),
+
+  'twitter.profile': {
+    ttlSeconds: TWITTER_PROFILE_TTL_SECONDS,
+    errorMessage: 'Failed to fetch Twitter profile',
+    async fetch(username, pool) {
+      const apiKey = await getTwitterApiKey(pool, username);
+      if (!apiKey) {
+        return { status: 404, body: { error: 'Twitter API key not found for this user' } };
+      }
+
+      const response = await twitterRequest(
+        `https://api.twitter.com/2/users/by/username/${encodeURIComponent(username)}?user.fields=description,profile_image_url,public_metrics,verified`,
+        apiKey
+      );
+
+      if (response.status === 401) {
+        return {
+          status: 401,
+          body: { error: 'Invalid Twitter credentials', message: 'The Twitter API key is invalid or expired.' }
+        };
+      }
+
+      if (response.status === 429) {
+        return {
+          status: 429,
+          rateLimited: true,
+          body: { error: 'Twitter API rate limit exceeded', message: 'Please try again later.' }
+        };
+      }
+
+      if (response.status === 404) {
+        return {
+          status: 404,
+          body: { error: 'Twitter user not found', message: `No Twitter profile found for username: ${username}` }
+        };
+      }
+
+      if (!response.ok) {
+        return twitterErrorResponse(response, 'An error occurred while fetching Twitter data');
+      }
+
+      const twitterData = await response.json();
+      return { status: 200, body: twitterData.data };
+    }
+  },
+
+  'twitter.tweets': {
+    ttlSeconds: TWITTER_TWEETS_TTL_SECONDS,
+    errorMessage: 'Failed to fetch tweets',
+    async fetch(username, pool) {
+      const apiKey = await getTwitterApiKey(pool, username);
+      if (!apiKey) {
+        return { status: 404, body: { error: 'Twitter API key not found for this user' } };
+      }
+
+      // Get user ID first
+      const userResponse = await twitterRequest(
+        `https://api.twitter.com/2/users/by/username/${encodeURIComponent(username)}?user.fields=verified,public_metrics`,
+        apiKey
+      );
+
+      if (userResponse.status === 429) {
+        // Verified users never get mock tweets; use the cached profile to tell
+        const profile = await readCache(pool, 'twitter.profile', username);
+        const isVerified = profile?.status === 200 && Boolean(profile.body.verified);
+        return isVerified ? VERIFIED_RATE_LIMITED : mockTweetsResponse();
+      }
+
+      if (!userResponse.ok) {
+        return twitterErrorResponse(userResponse, 'Error fetching Twitter user data');
+      }
+
+      const userData = await userResponse.json();
+      const isVerified = userData.data.verified || false;
+
+      // Check if user has 0 tweets
+      if (userData.data.public_metrics && userData.data.public_metrics.tweet_count === 0) {
+        return { status: 200, body: { data: [], meta: { result_count: 0 } } };
+      }
+
+      // Now fetch the tweets
+      const tweetsResponse = await twitterRequest(
+        `https://api.twitter.com/2/users/${userData.data.id}/tweets?max_results=5&tweet.fields=created_at,public_metrics&exclude=retweets,replies`,
+        apiKey
+      );
+
+      if (tweetsResponse.status === 429) {
+        return isVerified ? VERIFIED_RATE_LIMITED : mockTweetsResponse();
+      }
+
+      if (!tweetsResponse.ok) {
+        return twitterErrorResponse(tweetsResponse, 'Error fetching tweets');
+      }
+
+      return { status: 200, body: await tweetsResponse.json() };
+    }
+  }
+};
+
+function cacheKey(source, username) {
+  return `${source}:${String(username).trim().toLowerCase()}`;
+}
+
+/**
+ * Cached response for a source, or null if it was never fetched.
+ * Resolves to { status, body, fetchedAt, fresh }.
+ */
+async function readCache(pool, source, username) {
+  const result = await pool.query(
+    'SELECT http_status, body, fetched_at FROM deuss.external_cache WHERE cache_key = $1',
+    [cacheKey(source, username)]
+  );
+
+  const row = result.rows[0];
+  if (!row) {
+    return null;
+  }
+
+  const ttlSeconds = row.http_status === 200 ? SOURCES[source].ttlSeconds : ERROR_TTL_SECONDS;
+  return {
+    status: row.http_status,
+    body: row.body,
+    fetchedAt: row.fetched_at,
+    fresh: new Date(row.fetched_at).getTime() > Date.now() - ttlSeconds * 1000
+  };
+}
+
+/**
+ * Fetch a source and store the result. On the last attempt a transient failure is stored
+ * as an error response instead of being thrown, so callers stop waiting for it.
+ */
+async function refreshCache(pool, source, username, { finalAttempt = false } = {}) {
+  const definition = SOURCES[source];
+  if (!definition) {
+    throw new Error(`Unknown external source "${source}"`);
+  }
+
+  let response;
+  try {
+    response = await definition.fetch(username, pool);
+  } catch (error) {
+    if (!finalAttempt) {
+      throw error;
+    }
+    response = { status: 500, body: { error: definition.errorMessage, details: error.message } };
+  }
+
+  // Being rate limited never replaces data we already have; it just keeps it for another TTL
+  if (response.rateLimited) {
+    const kept = await pool.query(
+      `UPDATE deuss.external_cache SET fetched_at = NOW()
+       WHERE cache_key = $1 AND http_status = 200`,
+      [cacheKey(source, username)]
+    );
+    if (kept.rowCount > 0) {
+      return;
+    }
+  }
+
+  await pool.query(
+    `INSERT INTO deuss.external_cache (cache_key, source, http_status, body, fetched_at)
+     VALUES ($1, $2, $3, $4, NOW())
+     ON CONFLICT (cache_key) DO UPDATE
+     SET http_status = EXCLUDED.http_status, body = EXCLUDED.body, fetched_at = EXCLUDED.fetched_at`,
+    [cacheKey(source, username), source, response.status, JSON.stringify(response.body)]
+  );
+}
+
+/**
+ * Drop cached responses for a username, e.g. after its API key changed
+ */
+async function clearCache(pool, sources, username) {
+  await pool.query(
+    'DELETE FROM deuss.external_cache WHERE cache_key = ANY($1)',
+    [sources.map(source => cacheKey(source, username))]
+  );
+}
+
+async function pruneCache(pool) {
+  const result = await pool.query(
+    `DELETE FROM deuss.external_cache WHERE fetched_at < NOW() - make_interval(days => $1)`,
+    [CACHE_RETENTION_DAYS]
+  );
+  return result.rowCount;
+}
+
+module.exports = {
+  cacheKey,
+  readCache,
+  refreshCache,
+  clearCache,
+  pruneCache
+};
@@ -0,0 +1,51 @@
+require('dotenv').config();
+const { Pool } = require('pg');
+
+// Give an existing user the admin role (used to bootstrap the first admin):
+//   node grant-admin.js you@example.com
+
+const email = process.argv[2];
+if (!email) {
+  console.log('Usage: node grant-admin.js <email>');
+  process.exit(1);
+}
+
+if (!process.env.DATABASE_URL) {
+  console.error('DATABASE_URL environment variable is not set');
+  process.exit(1);
+}
+
+const poolConfig = { connectionString: process.env.DATABASE_URL };
+
+// Only enable SSL in production
+if (process.env.NODE_ENV === 'production' && process.env.PGSSLMODE !== 'disable') {
+  poolConfig.ssl = {
+    rejectUnauthorized: false
+  };
+}
+
+const pool = new Pool(poolConfig);
+
+async function grantAdmin() {
+  try {
+    const result = await pool.query(
+      "UPDATE deuss.users SET role = 'admin', updated_at = NOW() WHERE LOWER(email) = LOWER($1) RETURNING id",
+      [email]
+    );
+
+    if (result.rows.length === 0) {
+      console.error(`No user found with email ${email}`);
+      process.exitCode = 1;
+      return;
+    }
+
+    console.log(`Granted admin role to ${email} (ID: ${result.rows[0].id})`);
+  } catch (error) {
+    console.error('Error granting admin role:', error);
+    process.exitCode = 1;
+  } finally {
+    await pool.end();
+  }
+}
+
+grantAdmin();
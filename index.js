@@ -5,14 +5,31 @@ const cors = require('cors');
 const session = require('express-session');
 const pgSession = require('connect-pg-simple')(session);
 const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
 const { v4: uuidv4 } = require('uuid');
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
 const { Pool } = require('pg');
-const { Resend } = require('resend');
+const multer = require('multer');
+const totp = require('./totp');
+const oauth = require('./oauth');
+const tiers = require('./tiers');
+const dataExport = require('./data-export');
+const passwordPolicy = require('./password-policy');
+const { createMailer } = require('./mailer');
+const { createJobQueue } = require('./job-queue');
+const { JOB_SCHEDULES, createJobHandlers } = require('./jobs');
+const externalSources = require('./external-sources');
+const noteSearch = require('./note-search');
+const noteRevisions = require('./note-revisions');
+const { describeUserAgent, listUserSessions } = require('./user-sessions');
+const notebooks = require('./notebooks');
+const markdown = require('./markdown');
+const attachments = require('./attachments');
+const { createRealtime } = require('./realtime');
 
-// Initialize Resend
-const resend = new Resend(process.env.RESEND_API_KEY);
 
 // Define JWT_SECRET at the top level
 const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key';
@@ -58,6 +75,46 @@ pool.on('connect', (client) => {
   client.query('SET search_path TO deuss');
 });
 
+// Outgoing email goes through one mailer; MAIL_TRANSPORT picks how it is delivered
+const mailer = createMailer({ pool });
+console.log(`Mail transport: ${mailer.transport}`);
+
+// Note attachments are stored by the backend ATTACHMENT_STORAGE picks (see attachments.js)
+const attachmentStorage = attachments.createAttachmentStorage();
+console.log(`Attachment storage: ${attachmentStorage.name}`);
+
+// Slow or failing side effects (email, bookmark seeding, third-party APIs) run as jobs.
+// The API runs a worker itself unless JOB_WORKER_INLINE=false; then run `node worker.js`.
+const jobQueue = createJobQueue({ pool });
+if (process.env.JOB_WORKER_INLINE !== 'false') {
+  jobQueue.startWorker({
+    handlers: createJobHandlers({ pool, mailer, attachmentStorage }),
+    schedules: JOB_SCHEDULES,
+    concurrency: parseInt(process.env.JOB_CONCURRENCY, 10) || 2,
+    pollIntervalMs: parseInt(process.env.JOB_POLL_INTERVAL_MS, 10) || 1000
+  });
+}
+
+// Emails are handed to the job worker so a slow mail provider never holds up a request
+function queueEmail({ to, template, variables }) {
+  return jobQueue.enqueue('email.send', { to, template, variables });
+}
+
+// Default bookmarks are copied by the job worker; the unique key keeps it to one job per user
+function queueDefaultBookmarks(userId, client) {
+  return jobQueue.enqueue(
+    'bookmarks.seed_defaults',
+    { userId },
+    { uniqueKey: `bookmarks.seed_defaults:${userId}` },
+    client
+  );
+}
+
+// Files of deleted attachments are removed by the job worker; one queued purge covers them all
+function enqueueAttachmentPurge() {
+  return jobQueue.enqueue('attachments.purge', {}, { uniqueKey: 'attachments.purge' });
+}
+
 // Test database connection
 pool.connect((err, client, release) => {
   if (err) {
@@ -139,6 +196,32 @@ pool.on('error', (err) => {
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// Number of reverse proxy hops to trust for client IPs (needed behind nginx/load balancers)
+if (process.env.TRUST_PROXY) {
+  app.set('trust proxy', parseInt(process.env.TRUST_PROXY, 10) || 1);
+}
+
+
+// Browser origins allowed to call the API with credentials. WebSocket upgrades aren't covered
+// by CORS, so authenticateUpgrade checks them against the same list.
+const PRODUCTION_ORIGINS = [
+  'https://deuss.space',
+  'https://homepage.deuss.space'
+];
+
+function isAllowedOrigin(origin) {
+  if (process.env.NODE_ENV === 'production') {
+    return PRODUCTION_ORIGINS.includes(origin);
+  }
+
+  // In development, allow all localhost origins
+  try {
+    const { protocol, hostname } = new URL(origin);
+    return protocol === 'http:' && (hostname === 'localhost' || hostname === '127.0.0.1');
+  } catch (error) {
+    return false;
+  }
+}
 
 // Improve CORS configuration to better handle cookies
 app.use(bodyParser.json({ limit: '50mb' }));
@@ -148,34 +231,11 @@ app.use(cors({
     // Allow requests with no origin (like mobile apps, curl, etc)
     if (!origin) return callback(null, true);
     
-    // Check if the origin is allowed
-    if (process.env.NODE_ENV === 'production') {
-      // In production, check against production domains
-      const prodOrigins = [
-        'https://deuss.space',
-        'https://homepage.deuss.space',
-      ];
-      
-      // Check if origin matches any production domains
-      const originAllowed = prodOrigins.some(allowedOrigin => {
-        return origin.includes(allowedOrigin) || allowedOrigin.includes(origin);
-      });
-      
-      if (originAllowed) {
-        return callback(null, true);
-      } else {
-        console.warn(`CORS blocked request from ${origin}`);
-        return callback(new Error('Not allowed by CORS'), false);
-      }
-    } else {
-      // In development, allow all localhost origins
-      if (origin.startsWith('http://localhost') || origin.startsWith('http://127.0.0.1')) {
-        return callback(null, true);
-      } else {
-        console.warn(`CORS blocked request from ${origin}`);
-        return callback(new Error('Not allowed by CORS'), false);
-      }
+    if (isAllowedOrigin(origin)) {
+      return callback(null, true);
     }
+    console.warn(`CORS blocked request from ${origin}`);
+    return callback(new Error('Not allowed by CORS'), false);
   },
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
@@ -221,6 +281,8 @@ const initSessionStore = async () => {
 
 // Initialize session store
 let sessionStore;
+// Kept for WebSocket upgrades, which don't go through the Express middleware
+let sessionMiddleware = null;
 (async () => {
   try {
     sessionStore = await initSessionStore();
@@ -272,11 +334,12 @@ let sessionStore;
       sessionConfig.cookie.secure = false;
     }
     
-    app.use(session(sessionConfig));
+    sessionMiddleware = session(sessionConfig);
+    app.use(sessionMiddleware);
     
     // Session-related middleware...
     // Handle potential session store errors
-    app.use((req, res, next) => {
+    app.use(async (req, res, next) => {
       // If session middleware failed to initialize req.session
       if (!req.session) {
         console.error('Session initialization failed for this request');
@@ -300,10 +363,10 @@ let sessionStore;
         
         // Add JWT auth header to request if available
         const authHeader = req.headers.authorization;
-        if (authHeader && authHeader.startsWith('Bearer ')) {
+        if (authHeader && authHeader.startsWith('Bearer ') && !isApiToken(authHeader.substring(7))) {
           try {
             const token = authHeader.substring(7);
-            const decoded = jwt.verify(token, JWT_SECRET);
+            const decoded = await verifyAccessToken(token);
             req.user = decoded;
             // Set user ID from JWT in our dummy session
             req.session.uid = decoded.id;
@@ -354,13 +417,14 @@ let sessionStore;
     });
     
     // Middleware to check JWT if session fails
-    app.use((req, res, next) => {
+    app.use(async (req, res, next) => {
       if (!req.session || !req.session.uid) {
         const authHeader = req.headers.authorization;
-        if (authHeader && authHeader.startsWith('Bearer ')) {
+        // Personal API tokens are checked by loginRequired, which knows the route's scope
+        if (authHeader && authHeader.startsWith('Bearer ') && !isApiToken(authHeader.substring(7))) {
           try {
             const token = authHeader.substring(7);
-            const decoded = jwt.verify(token, JWT_SECRET);
+            const decoded = await verifyAccessToken(token);
             req.user = decoded;
           } catch (error) {
             console.error('JWT verification failed:', error);
@@ -406,44 +470,321 @@ app.use((req, res, next) => {
   next();
 });
 
+// Token lifetimes - access tokens are short-lived, refresh tokens rotate on every use
+const ACCESS_TOKEN_TTL = process.env.JWT_EXPIRES_IN || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10) || 30;
+const REFRESH_COOKIE_PATH = '/api/auth';
+
+// Hash opaque tokens before they touch the database
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// Read a single cookie value from the raw Cookie header
+function getCookie(req, name) {
+  const cookies = req.headers.cookie;
+  if (!cookies) return null;
+  const match = cookies.match(new RegExp(`(?:^|;\\s*)${name}=([^;]+)`));
+  return match ? decodeURIComponent(match[1]) : null;
+}
+
+// Build a Set-Cookie value with the attributes used for all auth cookies
+function buildAuthCookie(name, value, maxAgeSeconds, cookiePath = '/') {
+  return `${name}=${value}; Max-Age=${maxAgeSeconds}; Path=${cookiePath}; HttpOnly; ${process.env.NODE_ENV === 'production' ? 'Secure; SameSite=None' : ''}`;
+}
+
+// Sign a short-lived access token; familyId ties it to the refresh token chain it came from
+function signAccessToken(user, familyId = null) {
+  const payload = {
+    id: user.id,
+    email: user.email,
+    full_name: user.full_name,
+    tier: user.tier || 'basic',
+    is_verified: user.is_verified || false,
+  };
+  if (familyId) {
+    payload.fid = familyId;
+  }
+
+  const token = jwt.sign(payload, JWT_SECRET, {
+    expiresIn: ACCESS_TOKEN_TTL,
+    jwtid: uuidv4()
+  });
+  const { exp } = jwt.decode(token);
+
+  return { token, expiresAt: new Date(exp * 1000) };
+}
+
+// Issue an access token plus a new refresh token in the given family
+async function issueTokenPair(user, { familyId = uuidv4(), parentId = null, clientInfo = {}, client = pool } = {}) {
+  const access = signAccessToken(user, familyId);
+  const refreshToken = crypto.randomBytes(48).toString('hex');
+  const refreshExpiresAt = new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+  const result = await client.query(
+    `INSERT INTO deuss.refresh_tokens (user_id, token_hash, family_id, parent_id, ip_address, user_agent, expires_at, created_at)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, NOW())
+     RETURNING id`,
+    [user.id, hashToken(refreshToken), familyId, parentId, clientInfo.ip || null, clientInfo.userAgent || null, refreshExpiresAt]
+  );
+
+  return {
+    id: result.rows[0].id,
+    familyId,
+    accessToken: access.token,
+    accessTokenExpiresAt: access.expiresAt,
+    refreshToken,
+    refreshTokenExpiresAt: refreshExpiresAt
+  };
+}
+
+// Attach access and refresh cookies to the response
+function setAuthCookies(res, tokens) {
+  res.setHeader('Set-Cookie', [
+    buildAuthCookie('jwt', tokens.accessToken, Math.max(0, Math.floor((tokens.accessTokenExpiresAt - Date.now()) / 1000))),
+    buildAuthCookie('refresh_token', tokens.refreshToken, REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60, REFRESH_COOKIE_PATH)
+  ]);
+}
+
+function clearAuthCookies(res) {
+  res.setHeader('Set-Cookie', [
+    buildAuthCookie('jwt', '', 0),
+    buildAuthCookie('refresh_token', '', 0, REFRESH_COOKIE_PATH)
+  ]);
+}
+
+// Add an access token id to the denylist until it would have expired anyway
+async function revokeAccessToken(jti, userId, expiresAt, reason = 'logout', client = pool) {
+  if (!jti) return;
+
+  await client.query(
+    `INSERT INTO deuss.revoked_tokens (jti, user_id, reason, expires_at, revoked_at)
+     VALUES ($1, $2, $3, $4, NOW())
+     ON CONFLICT (jti) DO NOTHING`,
+    [jti, userId, reason, expiresAt]
+  );
+}
+
+// Revoke every refresh token in a family and deny all access tokens minted from it
+async function revokeTokenFamily(familyId, reason = 'logout', client = pool) {
+  if (!familyId) return;
+
+  const result = await client.query(
+    `UPDATE deuss.refresh_tokens
+     SET revoked_at = NOW(), revoked_reason = $2
+     WHERE family_id = $1 AND revoked_at IS NULL
+     RETURNING user_id`,
+    [familyId, reason]
+  );
+
+  // Login sessions in this family would otherwise outlive it
+  await client.query(
+    `DELETE FROM deuss.session WHERE sess->>'tokenFamily' = $1`,
+    [familyId]
+  );
+
+  // Access tokens carry their family id, so one denylist entry covers all of them
+  const familyExpiry = new Date(Date.now() + (REFRESH_TOKEN_TTL_DAYS + 1) * 24 * 60 * 60 * 1000);
+  await revokeAccessToken(`family:${familyId}`, result.rows[0]?.user_id || null, familyExpiry, reason, client);
+
+  // Opportunistically drop denylist entries that can no longer match a live token
+  await client.query('DELETE FROM deuss.revoked_tokens WHERE expires_at < NOW()');
+}
+
+async function isTokenRevoked(decoded) {
+  const ids = [decoded.jti];
+  if (decoded.fid) {
+    ids.push(`family:${decoded.fid}`);
+  }
+
+  const result = await pool.query(
+    'SELECT 1 FROM deuss.revoked_tokens WHERE jti = ANY($1) LIMIT 1',
+    [ids]
+  );
+  return result.rows.length > 0;
+}
+
+// Verify an access token signature, expiry and denylist status
+async function verifyAccessToken(token, options = {}) {
+  const decoded = jwt.verify(token, JWT_SECRET, options);
+
+  // Tokens minted before revocation support have no jti and cannot be revoked;
+  // purpose-bound tokens (e.g. two-factor challenges) are never access tokens
+  if (!decoded.jti || decoded.purpose) {
+    throw new jwt.JsonWebTokenError('Token is missing jti claim');
+  }
+
+  if (await isTokenRevoked(decoded)) {
+    throw new jwt.JsonWebTokenError('Token has been revoked');
+  }
+
+  return decoded;
+}
+
+// Personal API tokens for scripts and CLI access
+const API_TOKEN_PREFIX = 'dss_';
+const API_TOKEN_SCOPES = [
+  'notes:read',
+  'notes:write',
+  'bookmarks:read',
+  'bookmarks:write',
+  'profiles:read',
+  'profiles:write'
+];
+
+function isApiToken(token) {
+  return typeof token === 'string' && token.startsWith(API_TOKEN_PREFIX);
+}
+
+// Look up a personal API token and its owner; returns null if unknown, revoked or expired
+async function verifyApiToken(token, clientInfo = {}) {
+  const result = await pool.query(
+    `SELECT t.id, t.scopes, u.id AS user_id, u.email, u.full_name, u.tier, u.is_verified
+     FROM deuss.api_tokens t
+     JOIN deuss.users u ON u.id = t.user_id
+     WHERE t.token_hash = $1
+       AND t.revoked_at IS NULL
+       AND (t.expires_at IS NULL OR t.expires_at > NOW())`,
+    [hashToken(token)]
+  );
+
+  if (result.rows.length === 0) {
+    return null;
+  }
+
+  const row = result.rows[0];
+
+  // Usage tracking must never fail the request
+  pool.query(
+    'UPDATE deuss.api_tokens SET last_used_at = NOW(), last_used_ip = $1 WHERE id = $2',
+    [clientInfo.ip || null, row.id]
+  ).catch(error => console.error('Error updating API token usage:', error));
+
+  return {
+    token: { id: row.id, scopes: row.scopes || [] },
+    user: {
+      id: row.user_id,
+      email: row.email,
+      full_name: row.full_name,
+      tier: row.tier || 'basic',
+      is_verified: row.is_verified || false
+    }
+  };
+}
+
+// Declare the scope a route needs when called with a personal API token.
+// Must come before loginRequired; routes without it reject API tokens entirely.
+function apiScope(scope) {
+  return (req, res, next) => {
+    req.requiredScope = scope;
+    next();
+  };
+}
+
+// Check a personal API token against the route's declared scope.
+// Resolves to { user, token } on success or { status, error } to send back.
+async function resolveApiToken(req, token) {
+  try {
+    const verified = await verifyApiToken(token, getClientInfo(req));
+
+    if (!verified) {
+      return {
+        status: 401,
+        error: { error: 'Authentication required', details: 'Invalid, revoked or expired API token' }
+      };
+    }
+
+    if (!req.requiredScope) {
+      return { status: 403, error: { error: 'API tokens cannot be used for this endpoint' } };
+    }
+
+    if (!verified.token.scopes.includes(req.requiredScope)) {
+      return {
+        status: 403,
+        error: { error: 'Insufficient scope', requiredScope: req.requiredScope }
+      };
+    }
+
+    return verified;
+  } catch (error) {
+    console.error('API token verification failed:', error);
+    return { status: 500, error: { error: 'Failed to verify API token' } };
+  }
+}
+
+// Get user ID from either session or JWT token
+function getUserId(req) {
+  return req.session?.uid || req.user?.id || null;
+}
+
+// Collect the request metadata we store alongside sessions and refresh tokens
+function getClientInfo(req) {
+  const userAgent = req.headers['user-agent'] || null;
+  return {
+    ip: req.ip || req.socket?.remoteAddress || null,
+    userAgent,
+    device: describeUserAgent(userAgent)
+  };
+}
+
+// How often session activity is written back to the store
+const SESSION_TOUCH_INTERVAL = 5 * 60 * 1000;
+
+// Record device metadata and last-seen time on the express-session
+function recordSessionDevice(req) {
+  if (!req.session || req.session._isTemporary) return;
+
+  const now = new Date();
+  const device = req.session.device || { createdAt: now.toISOString() };
+  const lastSeen = device.lastSeen ? new Date(device.lastSeen) : null;
+
+  if (lastSeen && now - lastSeen < SESSION_TOUCH_INTERVAL) return;
+
+  req.session.device = {
+    ...device,
+    ...getClientInfo(req),
+    lastSeen: now.toISOString()
+  };
+}
+
 // Middleware to require login
-const loginRequired = (req, res, next) => {
+const loginRequired = async (req, res, next) => {
   // First try to get user ID from session
   let userId = null;
   
   if (req.session?.uid) {
     userId = req.session.uid;
+    recordSessionDevice(req);
     next();
     return;
   }
   
   // If no session, try JWT from Authorization header
   const authHeader = req.headers.authorization;
+  if (authHeader && isApiToken(authHeader.substring(7))) {
+    const resolved = await resolveApiToken(req, authHeader.substring(7));
+    if (resolved.error) {
+      return res.status(resolved.status).json(resolved.error);
+    }
+
+    // API tokens never get promoted to a session
+    req.user = resolved.user;
+    req.apiToken = resolved.token;
+    next();
+    return;
+  }
+
   if (authHeader && authHeader.startsWith('Bearer ')) {
     try {
       const token = authHeader.substring(7);
-      const decoded = jwt.verify(token, JWT_SECRET);
+      const decoded = await verifyAccessToken(token);
       if (decoded && decoded.id) {
         userId = decoded.id;
         
-        // Set user info on request
+        // Set user info on request. The token is never promoted to a session, which would
+        // outlive it and let /api/auth/session renew it
         req.user = decoded;
         
-        // If JWT authentication is used but no session, create a session
-        if (!req.session) {
-          console.warn('No session available when using JWT auth');
-        } else if (!req.session.uid) {
-          // Store the user ID in the session for future requests
-          req.session.uid = userId;
-          if (typeof req.session.save === 'function') {
-            req.session.save((err) => {
-              if (err) {
-                console.error('Error saving session from JWT:', err);
-              }
-            });
-          }
-        }
-        
         next();
         return;
       }
@@ -460,28 +801,13 @@ const loginRequired = (req, res, next) => {
       const cookieTokenMatch = cookies.match(/jwt=([^;]+)/);
       if (cookieTokenMatch && cookieTokenMatch[1]) {
         const token = cookieTokenMatch[1];
-        const decoded = jwt.verify(token, JWT_SECRET);
+        const decoded = await verifyAccessToken(token);
         if (decoded && decoded.id) {
           userId = decoded.id;
           
-          // Set user info on request
+          // Set user info on request; like a bearer token, it is not promoted to a session
           req.user = decoded;
           
-          // If cookie JWT authentication is used but no session, create a session
-          if (!req.session) {
-            console.warn('No session available when using cookie JWT auth');
-          } else if (!req.session.uid) {
-            // Store the user ID in the session for future requests
-            req.session.uid = userId;
-            if (typeof req.session.save === 'function') {
-              req.session.save((err) => {
-                if (err) {
-                  console.error('Error saving session from cookie JWT:', err);
-                }
-              });
-            }
-          }
-          
           next();
           return;
         }
@@ -498,6 +824,216 @@ const loginRequired = (req, res, next) => {
   });
 };
 
+// Browsers can't set headers on a WebSocket, so instead of putting an access token in the
+// URL (and in every proxy log) they fetch a ticket from POST /api/realtime/tickets and pass
+// it as ?ticket=. A ticket opens one connection and expires after a few seconds. Tickets are
+// kept in memory, like the realtime rooms themselves.
+const REALTIME_TICKET_TTL_SECONDS = 30;
+
+// Hash of the ticket -> { userId, canWrite, expiresAt }
+const realtimeTickets = new Map();
+
+function issueRealtimeTicket(userId, canWrite) {
+  const now = Date.now();
+  for (const [key, entry] of realtimeTickets) {
+    if (entry.expiresAt <= now) realtimeTickets.delete(key);
+  }
+
+  const ticket = crypto.randomBytes(32).toString('base64url');
+  realtimeTickets.set(hashToken(ticket), {
+    userId,
+    canWrite,
+    expiresAt: now + REALTIME_TICKET_TTL_SECONDS * 1000
+  });
+  return ticket;
+}
+
+// Returns the ticket's { userId, canWrite } once; null when unknown, used or expired
+function redeemRealtimeTicket(ticket) {
+  const key = hashToken(ticket);
+  const entry = realtimeTickets.get(key);
+  realtimeTickets.delete(key);
+  return entry && entry.expiresAt > Date.now() ? entry : null;
+}
+
+// Authenticate a WebSocket upgrade request the same way as loginRequired, or with a ticket.
+// Upgrades bypass Express, so the session middleware and loginRequired are run by hand.
+// Browsers send cookies with cross-site WebSockets, so the Origin must be an allowed one.
+// Resolves to { userId, canWrite } or { status, error }.
+function authenticateUpgrade(req) {
+  return new Promise(resolve => {
+    const origin = req.headers.origin;
+    if (origin && !isAllowedOrigin(origin)) {
+      console.warn(`Realtime connection blocked from ${origin}`);
+      return resolve({ status: 403, error: { error: 'Origin not allowed' } });
+    }
+
+    const ticket = new URL(req.url, 'http://localhost').searchParams.get('ticket');
+    if (ticket) {
+      const entry = redeemRealtimeTicket(ticket);
+      return resolve(entry
+        ? { userId: entry.userId, canWrite: entry.canWrite }
+        : { status: 401, error: { error: 'Invalid or expired ticket' } });
+    }
+    req.requiredScope = 'notes:read';
+
+    // Collects the response loginRequired would have sent
+    const res = {
+      statusCode: 401,
+      status(code) {
+        this.statusCode = code;
+        return this;
+      },
+      json(body) {
+        resolve({ status: this.statusCode, error: body });
+        return this;
+      },
+      setHeader() {},
+      getHeader() {},
+      writeHead() {},
+      end() {}
+    };
+
+    const authenticate = () => loginRequired(req, res, () => resolve({
+      userId: getUserId(req),
+      canWrite: !req.apiToken || req.apiToken.scopes.includes('notes:write')
+    }));
+
+    if (sessionMiddleware) {
+      sessionMiddleware(req, res, authenticate);
+    } else {
+      authenticate();
+    }
+  });
+}
+
+// Roles, lowest to highest privilege
+const USER_ROLES = ['user', 'moderator', 'admin'];
+const USER_TIERS = tiers.listTiers();
+
+// Middleware to require a minimum role; use after loginRequired.
+// The role is always read from the database so demotions apply immediately.
+function requireRole(minimumRole) {
+  return async (req, res, next) => {
+    const userId = getUserId(req);
+    if (!userId) {
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+
+    try {
+      const result = await pool.query(
+        'SELECT role, disabled_at FROM deuss.users WHERE id = $1',
+        [userId]
+      );
+      const user = result.rows[0];
+
+      if (!user || user.disabled_at) {
+        return res.status(403).json({ error: 'Account is disabled or no longer exists' });
+      }
+
+      if (USER_ROLES.indexOf(user.role || 'user') < USER_ROLES.indexOf(minimumRole)) {
+        return res.status(403).json({
+          error: 'Insufficient permissions',
+          requiredRole: minimumRole
+        });
+      }
+
+      req.userRole = user.role;
+      next();
+    } catch (error) {
+      console.error('Role check failed:', error);
+      res.status(500).json({ error: 'Failed to verify permissions' });
+    }
+  };
+}
+
+// Tier Quotas
+
+// How current usage is counted for each countable limit in tiers.js
+const QUOTA_USAGE_QUERIES = {
+  notes: 'SELECT COUNT(*) AS count FROM deuss.notes WHERE user_id = $1',
+  bookmarks: 'SELECT COUNT(*) AS count FROM deuss.bookmarks WHERE user_id = $1',
+  connectedPlatforms: 'SELECT COUNT(*) AS count FROM deuss.hacking_profiles WHERE user_id = $1 AND connected = true',
+  apiTokens: `SELECT COUNT(*) AS count FROM deuss.api_tokens
+              WHERE user_id = $1 AND revoked_at IS NULL AND (expires_at IS NULL OR expires_at > NOW())`
+};
+
+// The tier is read from the database, not the JWT, so upgrades apply immediately
+async function getUserTier(userId) {
+  const result = await pool.query('SELECT tier FROM deuss.users WHERE id = $1', [userId]);
+  return tiers.normalizeTier(result.rows[0]?.tier);
+}
+
+async function getQuotaUsage(userId, quota) {
+  const result = await pool.query(QUOTA_USAGE_QUERIES[quota], [userId]);
+  return parseInt(result.rows[0].count, 10);
+}
+
+// Returns null when the user may add one more item, otherwise { status, error } to send back.
+// A limit of 0 means the feature isn't part of the tier (403); a reached limit needs an upgrade (402).
+async function checkQuota(userId, quota) {
+  const tier = await getUserTier(userId);
+  const limit = tiers.getTierLimits(tier)[quota];
+
+  if (limit === null || limit === undefined) {
+    return null;
+  }
+
+  if (limit === 0) {
+    return {
+      status: 403,
+      error: {
+        error: 'This feature is not available on your plan',
+        quota,
+        tier,
+        upgradeRequired: true
+      }
+    };
+  }
+
+  const usage = await getQuotaUsage(userId, quota);
+  if (usage >= limit) {
+    return {
+      status: 402,
+      error: {
+        error: 'Plan limit reached',
+        details: `Your ${tier} plan allows ${limit} ${quota}`,
+        quota,
+        tier,
+        limit,
+        usage,
+        upgradeRequired: true
+      }
+    };
+  }
+
+  return null;
+}
+
+// Same contract as checkQuota, for the per-note size limit
+async function checkNoteSize(userId, content, title) {
+  const tier = await getUserTier(userId);
+  const limit = tiers.getTierLimits(tier).noteSizeBytes;
+  const size = Buffer.byteLength(String(content || ''), 'utf8') + Buffer.byteLength(String(title || ''), 'utf8');
+
+  if (limit === null || limit === undefined || size <= limit) {
+    return null;
+  }
+
+  return {
+    status: 402,
+    error: {
+      error: 'Note is too large for your plan',
+      details: `Your ${tier} plan allows notes up to ${limit} bytes`,
+      quota: 'noteSizeBytes',
+      tier,
+      limit,
+      usage: size,
+      upgradeRequired: true
+    }
+  };
+}
+
 // Function to send verification email
 async function sendVerificationEmail(email, token) {
   if (process.env.EMAIL_VERIFICATION !== 'true') {
@@ -508,109 +1044,328 @@ async function sendVerificationEmail(email, token) {
   const verificationUrl = `${process.env.FRONTEND_URL}/auth/verify-email?token=${token}`;
   
   try {
-    // Verify Resend configuration
-    if (!process.env.RESEND_API_KEY) {
-      throw new Error('RESEND_API_KEY environment variable is not set');
-    }
-
-    // Use Resend's default domain if custom domain is not verified
-    const fromEmail = process.env.SMTP_FROM || 'Deuss <onboarding@resend.dev>';
-
-    const { data, error } = await resend.emails.send({
-      from: fromEmail,
+    const jobId = await queueEmail({
       to: email,
-      subject: 'Verify your email address for Deuss',
-      html: `
-        <div style="font-family: sans-serif; background-color: #1a202c; color: #e2e8f0; padding: 20px;">
-          <h1 style="color: #4299e1;">Welcome to Deuss!</h1>
-          <p>Hello there,</p>
-          <p>Thank you for joining the Deuss community! To unlock your full cybersecurity dashboard experience, you just need to verify your email address.</p>
-          <p>Please click the button below to verify your account:</p>
-          <p>
-            <a href="${verificationUrl}" style="display: inline-block; background-color: #2d3748; color: #4299e1; padding: 10px 20px; text-decoration: none; border-radius: 5px; border: 1px solid #4299e1;">
-              Verify Your Email Address
-            </a>
-          </p>
-          <p>Or copy and paste this link into your browser:</p>
-          <p><code style="color: #e2e8f0; background-color: #2d3748; padding: 5px; border-radius: 3px;">${verificationUrl}</code></p>
-          <p>This link will expire in 24 hours for security reasons.</p>
-          <p>If you did not sign up for Deuss, please disregard this email.</p>
-          <p>Stay secure,</p>
-          <p>The Deuss Team</p>
-        </div>
-      `
-    });
-
-    if (error) {
-      console.error('Error sending verification email:', error);
-      throw new Error(`Failed to send verification email: ${error.message}`);
-    }
-
-    console.log('Verification email sent:', data);
-  } catch (error) {
-    console.error('Error sending verification email:', error);
+      template: 'verify-email',
+      variables: { verificationUrl }
+    });
+
+    console.log('Verification email queued:', jobId);
+  } catch (error) {
+    console.error('Error queueing verification email:', error);
     throw error;
   }
 }
 
-// Authentication Routes
-app.post('/api/auth/register', async (req, res) => {
-  const { email, password, fullName } = req.body;
+// Security audit log, backed by the append-only deuss.audit_log table
 
-  if (!email || !password || !fullName) {
-    return res.status(400).json({ error: 'All fields are required' });
+// Record a security event. userId is the account the event is about and defaults to the
+// authenticated user; actorId is who did it and defaults to userId (differs for admin actions).
+// Never throws - a failed audit write must not fail the request.
+async function recordAuditEvent(req, event, { userId, actorId, details } = {}) {
+  const subjectId = userId !== undefined ? userId : (req ? getUserId(req) : null);
+  const clientInfo = req ? getClientInfo(req) : {};
+  const eventDetails = { ...(details || {}) };
+
+  if (req?.apiToken) {
+    eventDetails.apiTokenId = req.apiToken.id;
   }
 
   try {
-    // Check if user already exists
-    const userExists = await pool.query(
-      'SELECT * FROM deuss.users WHERE email = $1',
-      [email]
+    await pool.query(
+      `INSERT INTO deuss.audit_log (user_id, actor_id, event, ip_address, user_agent, details, created_at)
+       VALUES ($1, $2, $3, $4, $5, $6, NOW())`,
+      [
+        subjectId || null,
+        (actorId !== undefined ? actorId : subjectId) || null,
+        event,
+        clientInfo.ip || null,
+        clientInfo.userAgent ? clientInfo.userAgent.substring(0, 512) : null,
+        JSON.stringify(eventDetails)
+      ]
     );
+  } catch (error) {
+    console.error(`Error recording audit event ${event}:`, error);
+  }
+}
 
-    if (userExists.rows.length > 0) {
-      return res.status(400).json({ error: 'User already exists' });
-    }
+// Brute-force protection for auth routes, backed by deuss.rate_limits
 
-    // Hash password
-    const salt = await bcrypt.genSalt(10);
-    const hashedPassword = await bcrypt.hash(password, salt);
+// Per-route request limits, overridable with RATE_LIMIT_<ROUTE>_MAX / RATE_LIMIT_<ROUTE>_WINDOW_MINUTES
+const RATE_LIMIT_DEFAULTS = {
+  LOGIN: { max: 20, windowMinutes: 15 },
+  TWO_FACTOR: { max: 10, windowMinutes: 15 },
+  FORGOT_PASSWORD: { max: 5, windowMinutes: 60 },
+  RESET_PASSWORD: { max: 10, windowMinutes: 60 },
+  REGISTER: { max: 10, windowMinutes: 60 },
+  SHARE_PASSWORD: { max: 10, windowMinutes: 15 }
+};
 
-    // Generate verification token
-    const verificationToken = crypto.randomBytes(32).toString('hex');
-    const verificationTokenExpiry = new Date(Date.now() + 24 * 60 * 60 * 1000); // 24 hours
+// Failed login handling
+const LOGIN_LOCKOUT_THRESHOLD = parseInt(process.env.LOGIN_LOCKOUT_THRESHOLD, 10) || 5;
+const LOGIN_LOCKOUT_MINUTES = parseInt(process.env.LOGIN_LOCKOUT_MINUTES, 10) || 15;
+const LOGIN_FAILURE_WINDOW_MINUTES = parseInt(process.env.LOGIN_FAILURE_WINDOW_MINUTES, 10) || 15;
+const LOGIN_DELAY_BASE_MS = parseInt(process.env.LOGIN_DELAY_BASE_MS, 10) || 250;
+const LOGIN_DELAY_MAX_MS = parseInt(process.env.LOGIN_DELAY_MAX_MS, 10) || 5000;
+
+function getRateLimitConfig(route) {
+  const defaults = RATE_LIMIT_DEFAULTS[route];
+  return {
+    max: parseInt(process.env[`RATE_LIMIT_${route}_MAX`], 10) || defaults.max,
+    windowMinutes: parseInt(process.env[`RATE_LIMIT_${route}_WINDOW_MINUTES`], 10) || defaults.windowMinutes
+  };
+}
 
-    // Create user with verification token
-    const result = await pool.query(
-      `INSERT INTO deuss.users (
-        email, password, full_name, verification_token, 
-        verification_token_expiry, is_verified, created_at, updated_at
-      ) VALUES ($1, $2, $3, $4, $5, $6, NOW(), NOW()) 
-      RETURNING id, email, full_name, is_verified`,
-      [email, hashedPassword, fullName, verificationToken, verificationTokenExpiry, false]
-    );
+function normalizeEmail(email) {
+  return String(email || '').trim().toLowerCase();
+}
 
-    // Send verification email in production
-    if (process.env.EMAIL_VERIFICATION === 'true') {
-      try {
-        await sendVerificationEmail(email, verificationToken);
-      } catch (emailError) {
-        console.error('Failed to send verification email:', emailError);
-        // Don't fail registration if email fails
-      }
+// Count a hit against a fixed window counter, starting a new window when the old one lapsed
+async function hitRateLimit(key, windowMinutes) {
+  const result = await pool.query(
+    `INSERT INTO deuss.rate_limits (key, hits, window_start, updated_at)
+     VALUES ($1, 1, NOW(), NOW())
+     ON CONFLICT (key) DO UPDATE SET
+       hits = CASE
+         WHEN deuss.rate_limits.window_start < NOW() - make_interval(mins => $2) THEN 1
+         ELSE deuss.rate_limits.hits + 1
+       END,
+       window_start = CASE
+         WHEN deuss.rate_limits.window_start < NOW() - make_interval(mins => $2) THEN NOW()
+         ELSE deuss.rate_limits.window_start
+       END,
+       updated_at = NOW()
+     RETURNING hits, window_start, locked_until`,
+    [key, windowMinutes]
+  );
+  return result.rows[0];
+}
+
+// Middleware limiting a route per client IP and, when accountKey yields one, per account
+function authRateLimit(route, { accountKey } = {}) {
+  return async (req, res, next) => {
+    const { max, windowMinutes } = getRateLimitConfig(route);
+    const keys = [`${route}:ip:${getClientInfo(req).ip}`];
+
+    const account = accountKey ? accountKey(req) : null;
+    if (account) {
+      keys.push(`${route}:account:${account}`);
     }
 
-    res.status(201).json({
-      message: 'User registered successfully. Please check your email to verify your account.',
-      user: {
-        id: result.rows[0].id,
-        email: result.rows[0].email,
-        fullName: result.rows[0].full_name,
-        is_verified: result.rows[0].is_verified
+    try {
+      for (const key of keys) {
+        const { hits, window_start } = await hitRateLimit(key, windowMinutes);
+
+        if (hits > max) {
+          const resetAt = new Date(window_start).getTime() + windowMinutes * 60 * 1000;
+          const retryAfter = Math.max(1, Math.ceil((resetAt - Date.now()) / 1000));
+
+          res.setHeader('Retry-After', String(retryAfter));
+          return res.status(429).json({
+            success: false,
+            error: 'Too many requests',
+            message: 'Too many attempts, please try again later',
+            retryAfter
+          });
+        }
       }
-    });
-  } catch (error) {
-    console.error('Registration error:', error);
+    } catch (error) {
+      // Fail open - a limiter outage should not take logins down with it
+      console.error(`Rate limiter error on ${route}:`, error);
+    }
+
+    next();
+  };
+}
+
+function loginFailureKeys(email, req) {
+  return {
+    account: `login-failures:account:${normalizeEmail(email)}`,
+    ip: `login-failures:ip:${getClientInfo(req).ip}`
+  };
+}
+
+// Returns the lockout expiry if the account is currently locked
+async function getLoginLockout(email) {
+  const result = await pool.query(
+    'SELECT locked_until FROM deuss.rate_limits WHERE key = $1 AND locked_until > NOW()',
+    [`login-failures:account:${normalizeEmail(email)}`]
+  );
+  return result.rows[0]?.locked_until || null;
+}
+
+// Slow down repeated failures from the same account or IP: base, 2x, 4x ... capped
+async function applyLoginDelay(email, req) {
+  const keys = loginFailureKeys(email, req);
+  const result = await pool.query(
+    `SELECT COALESCE(MAX(hits), 0) AS failures FROM deuss.rate_limits
+     WHERE key = ANY($1) AND window_start > NOW() - make_interval(mins => $2)`,
+    [[keys.account, keys.ip], LOGIN_FAILURE_WINDOW_MINUTES]
+  );
+
+  const failures = parseInt(result.rows[0].failures, 10);
+  if (failures === 0) return;
+
+  const delay = Math.min(LOGIN_DELAY_BASE_MS * 2 ** (failures - 1), LOGIN_DELAY_MAX_MS);
+  await new Promise(resolve => setTimeout(resolve, delay));
+}
+
+// Record a failed login and lock the account once it crosses the threshold
+async function recordLoginFailure(email, req) {
+  const keys = loginFailureKeys(email, req);
+
+  try {
+    await hitRateLimit(keys.ip, LOGIN_FAILURE_WINDOW_MINUTES);
+    const { hits } = await hitRateLimit(keys.account, LOGIN_FAILURE_WINDOW_MINUTES);
+
+    if (hits < LOGIN_LOCKOUT_THRESHOLD) return;
+
+    const lockResult = await pool.query(
+      `UPDATE deuss.rate_limits
+       SET locked_until = NOW() + make_interval(mins => $2), hits = 0, window_start = NOW(), updated_at = NOW()
+       WHERE key = $1
+       RETURNING locked_until`,
+      [keys.account, LOGIN_LOCKOUT_MINUTES]
+    );
+
+    const lockedUntil = lockResult.rows[0].locked_until;
+    console.warn(`Account ${normalizeEmail(email)} locked until ${lockedUntil} after ${hits} failed logins`);
+
+    // Only real accounts get notified; the lockout itself applies either way
+    const userResult = await pool.query(
+      'SELECT id, email, full_name FROM deuss.users WHERE LOWER(email) = $1',
+      [normalizeEmail(email)]
+    );
+    await recordAuditEvent(req, 'auth.account_locked', {
+      userId: userResult.rows[0]?.id || null,
+      details: { email: normalizeEmail(email), lockedUntil }
+    });
+
+    if (userResult.rows.length > 0) {
+      await sendLockoutEmail(userResult.rows[0], lockedUntil, getClientInfo(req));
+    }
+  } catch (error) {
+    console.error('Error recording failed login:', error);
+  }
+}
+
+async function clearLoginFailures(email) {
+  try {
+    await pool.query(
+      'DELETE FROM deuss.rate_limits WHERE key = $1',
+      [`login-failures:account:${normalizeEmail(email)}`]
+    );
+  } catch (error) {
+    console.error('Error clearing failed logins:', error);
+  }
+}
+
+// Function to notify a user that their account was locked
+async function sendLockoutEmail(user, lockedUntil, clientInfo) {
+  try {
+    await queueEmail({
+      to: user.email,
+      template: 'account-locked',
+      variables: {
+        name: user.full_name || 'there',
+        attempts: LOGIN_LOCKOUT_THRESHOLD,
+        ip: clientInfo.ip || 'unknown',
+        device: clientInfo.device,
+        lockedUntil: new Date(lockedUntil).toUTCString()
+      }
+    });
+  } catch (error) {
+    console.error('Error sending lockout email:', error);
+  }
+}
+
+// Check a new password against the policy; sends a 400 and returns false when it fails
+async function enforcePasswordPolicy(res, password, userInputs) {
+  const result = await passwordPolicy.validatePassword(password, { userInputs });
+  if (result.valid) {
+    return true;
+  }
+
+  res.status(400).json({
+    error: 'Password does not meet requirements',
+    details: result.errors,
+    score: result.score,
+    feedback: result.feedback
+  });
+  return false;
+}
+
+// Authentication Routes
+app.get('/api/auth/password-policy', (req, res) => {
+  const { minLength, minScore, breachedList } = passwordPolicy.getPolicy();
+  res.json({ minLength, minScore, breachCheck: Boolean(breachedList) });
+});
+
+app.post('/api/auth/register', authRateLimit('REGISTER', { accountKey: req => normalizeEmail(req.body?.email) }), async (req, res) => {
+  const { email, password, fullName } = req.body;
+
+  if (!email || !password || !fullName) {
+    return res.status(400).json({ error: 'All fields are required' });
+  }
+
+  try {
+    // Check if user already exists
+    const userExists = await pool.query(
+      'SELECT * FROM deuss.users WHERE email = $1',
+      [email]
+    );
+
+    if (userExists.rows.length > 0) {
+      return res.status(400).json({ error: 'User already exists' });
+    }
+
+    if (!(await enforcePasswordPolicy(res, password, [email, fullName]))) {
+      return;
+    }
+
+    // Hash password
+    const salt = await bcrypt.genSalt(10);
+    const hashedPassword = await bcrypt.hash(password, salt);
+
+    // Generate verification token
+    const verificationToken = crypto.randomBytes(32).toString('hex');
+    const verificationTokenExpiry = new Date(Date.now() + 24 * 60 * 60 * 1000); // 24 hours
+
+    // Create user with verification token
+    const result = await pool.query(
+      `INSERT INTO deuss.users (
+        email, password, full_name, verification_token, 
+        verification_token_expiry, is_verified, created_at, updated_at
+      ) VALUES ($1, $2, $3, $4, $5, $6, NOW(), NOW()) 
+      RETURNING id, email, full_name, is_verified`,
+      [email, hashedPassword, fullName, verificationToken, verificationTokenExpiry, false]
+    );
+
+    await queueDefaultBookmarks(result.rows[0].id);
+
+    // Send verification email in production
+    if (process.env.EMAIL_VERIFICATION === 'true') {
+      try {
+        await sendVerificationEmail(email, verificationToken);
+      } catch (emailError) {
+        console.error('Failed to send verification email:', emailError);
+        // Don't fail registration if email fails
+      }
+    }
+
+    await recordAuditEvent(req, 'auth.registered', { userId: result.rows[0].id });
+
+    res.status(201).json({
+      message: 'User registered successfully. Please check your email to verify your account.',
+      user: {
+        id: result.rows[0].id,
+        email: result.rows[0].email,
+        fullName: result.rows[0].full_name,
+        is_verified: result.rows[0].is_verified
+      }
+    });
+  } catch (error) {
+    console.error('Registration error:', error);
     res.status(500).json({ error: 'Failed to register user' });
   }
 });
@@ -654,6 +1409,8 @@ app.get('/api/auth/verify-email', async (req, res) => {
       [user.id]
     );
 
+    await recordAuditEvent(req, 'auth.email_verified', { userId: user.id });
+
     res.json({ message: 'Email verified successfully' });
   } catch (error) {
     console.error('Email verification error:', error);
@@ -661,7 +1418,94 @@ app.get('/api/auth/verify-email', async (req, res) => {
   }
 });
 
-app.post('/api/auth/login', async (req, res) => {
+// Issue tokens, attach the session and set auth cookies for an authenticated user
+async function establishLogin(req, res, user) {
+  await clearLoginFailures(user.email);
+
+  // Issue a short-lived access token and a rotating refresh token
+  const tokens = await issueTokenPair(user, { clientInfo: getClientInfo(req) });
+
+  // Format user data - used in all response scenarios
+  const formattedUser = {
+    id: user.id,
+    email: user.email,
+    full_name: user.full_name,
+    avatar_url: user.avatar_url,
+    tier: user.tier || 'basic',
+    role: user.role || 'user',
+    is_verified: user.is_verified || false,
+    two_factor_enabled: user.totp_enabled || false,
+    created_at: user.created_at,
+    updated_at: user.updated_at,
+    initials: getInitials(user.full_name)
+  };
+
+  // Try to set the session, but don't fail if it doesn't work
+  let sessionStatus = 'active';
+  let sessionID = null;
+  
+  try {
+    if (!req.session) {
+      console.warn('Session object not available during login');
+      sessionStatus = 'unavailable';
+    } else {
+      req.session.uid = user.id;
+      req.session.tokenFamily = tokens.familyId;
+      // Only sessions started by a login may mint access tokens in /api/auth/session
+      req.session.createdByLogin = true;
+      req.session.device = null;
+      recordSessionDevice(req);
+      sessionID = req.sessionID;
+      
+      // Test that the session is working by reading back the value we just set
+      if (req.session.uid !== user.id) {
+        console.warn('Session appears to be non-functional - value not persisted');
+        sessionStatus = 'non-functional';
+      }
+      
+      // Try to save the session explicitly
+      if (typeof req.session.save === 'function') {
+        await new Promise((resolve) => {
+          req.session.save((err) => {
+            if (err) {
+              console.error('Error saving session:', err);
+              sessionStatus = 'error-saving';
+            }
+            resolve();
+          });
+        });
+      }
+    }
+  } catch (sessionError) {
+    console.error('Error setting/saving session:', sessionError);
+    sessionStatus = 'error';
+  }
+
+  // Add Set-Cookie header manually as a backup
+  setAuthCookies(res, tokens);
+
+  return { tokens, formattedUser, sessionStatus, sessionID };
+}
+
+// Log the user in and send the JSON login response
+async function completeLogin(req, res, user) {
+  const { tokens, formattedUser, sessionStatus, sessionID } = await establishLogin(req, res, user);
+
+  // Send response with token and session details
+  res.json({
+    success: true,
+    message: 'Logged in successfully',
+    user: formattedUser,
+    token: tokens.accessToken, // Include JWT token for client-side storage
+    tokenExpiresAt: tokens.accessTokenExpiresAt,
+    refreshToken: tokens.refreshToken,
+    refreshTokenExpiresAt: tokens.refreshTokenExpiresAt,
+    sessionStatus,
+    sessionID,
+  });
+}
+
+app.post('/api/auth/login', authRateLimit('LOGIN', { accountKey: req => normalizeEmail(req.body?.email) }), async (req, res) => {
   const { email, password } = req.body;
 
   if (!email || !password) {
@@ -672,6 +1516,22 @@ app.post('/api/auth/login', async (req, res) => {
   }
 
   try {
+    // Refuse locked accounts before doing any password work
+    const lockedUntil = await getLoginLockout(email);
+    if (lockedUntil) {
+      const retryAfter = Math.max(1, Math.ceil((new Date(lockedUntil) - Date.now()) / 1000));
+      res.setHeader('Retry-After', String(retryAfter));
+      return res.status(429).json({
+        success: false,
+        message: 'Account temporarily locked due to too many failed login attempts',
+        locked: true,
+        lockedUntil,
+        retryAfter
+      });
+    }
+
+    await applyLoginDelay(email, req);
+
     // Get user
     const result = await pool.query(
       'SELECT * FROM deuss.users WHERE email = $1',
@@ -679,6 +1539,11 @@ app.post('/api/auth/login', async (req, res) => {
     );
 
     if (result.rows.length === 0) {
+      await recordLoginFailure(email, req);
+      await recordAuditEvent(req, 'auth.login_failed', {
+        userId: null,
+        details: { email: normalizeEmail(email), reason: 'unknown_email' }
+      });
       return res.status(401).json({ 
         success: false,
         message: 'Invalid credentials' 
@@ -687,15 +1552,40 @@ app.post('/api/auth/login', async (req, res) => {
 
     const user = result.rows[0];
 
-    // Verify password
-    const validPassword = await bcrypt.compare(password, user.password);
+    // Verify password (accounts created through a social login have none)
+    const validPassword = user.password ? await bcrypt.compare(password, user.password) : false;
     if (!validPassword) {
+      await recordLoginFailure(email, req);
+      await recordAuditEvent(req, 'auth.login_failed', {
+        userId: user.id,
+        details: { reason: user.password ? 'invalid_password' : 'no_password' }
+      });
       return res.status(401).json({ 
         success: false,
         message: 'Invalid credentials' 
       });
     }
 
+    if (user.disabled_at) {
+      return res.status(403).json({
+        success: false,
+        message: 'This account has been disabled',
+        disabled: true
+      });
+    }
+
+    // During the deletion grace period the password only buys a token to cancel the deletion.
+    // With two-factor on, the token is only handed out by /api/auth/2fa/verify
+    if (user.deletion_scheduled_at && !user.totp_enabled) {
+      return res.status(403).json({
+        success: false,
+        message: 'This account is scheduled for deletion',
+        deletionPending: true,
+        deletionScheduledAt: user.deletion_scheduled_at,
+        cancelToken: signDeletionCancelToken(user, DELETION_CANCEL_LOGIN_TTL)
+      });
+    }
+
     // Check email verification in production
     if (process.env.EMAIL_VERIFICATION === 'true' && !user.is_verified) {
       // Generate new verification token if needed
@@ -727,84 +1617,19 @@ app.post('/api/auth/login', async (req, res) => {
       });
     }
 
-    // Generate JWT with extended expiration for persistent auth
-    console.log('Creating JWT token with secret:', JWT_SECRET);
-    const token = jwt.sign(
-      { 
-        id: user.id, 
-        email: user.email,
-        full_name: user.full_name,
-        tier: user.tier || 'basic',
-        is_verified: user.is_verified || false,
-      },
-      JWT_SECRET,
-      { expiresIn: '30d' } // 30 days to match cookie
-    );
-    console.log('JWT token created successfully');
-
-    // Format user data - used in all response scenarios
-    const formattedUser = {
-      id: user.id,
-      email: user.email,
-      full_name: user.full_name,
-      avatar_url: user.avatar_url,
-      tier: user.tier || 'basic',
-      is_verified: user.is_verified || false,
-      created_at: user.created_at,
-      updated_at: user.updated_at,
-      initials: getInitials(user.full_name)
-    };
-
-    // Try to set the session, but don't fail if it doesn't work
-    let sessionStatus = 'active';
-    let sessionID = null;
-    
-    try {
-      if (!req.session) {
-        console.warn('Session object not available during login');
-        sessionStatus = 'unavailable';
-      } else {
-        req.session.uid = user.id;
-        sessionID = req.sessionID;
-        
-        // Test that the session is working by reading back the value we just set
-        if (req.session.uid !== user.id) {
-          console.warn('Session appears to be non-functional - value not persisted');
-          sessionStatus = 'non-functional';
-        }
-        
-        // Try to save the session explicitly
-        if (typeof req.session.save === 'function') {
-          await new Promise((resolve) => {
-            req.session.save((err) => {
-              if (err) {
-                console.error('Error saving session:', err);
-                sessionStatus = 'error-saving';
-              }
-              resolve();
-            });
-          });
-        }
-      }
-    } catch (sessionError) {
-      console.error('Error setting/saving session:', sessionError);
-      sessionStatus = 'error';
+    // Accounts with two-factor enabled get a short-lived challenge instead of tokens
+    if (user.totp_enabled) {
+      return res.json({
+        success: true,
+        message: 'Two-factor authentication required',
+        twoFactorRequired: true,
+        challengeToken: signTwoFactorChallenge(user),
+        challengeExpiresIn: TWO_FACTOR_CHALLENGE_TTL
+      });
     }
 
-    // Add Set-Cookie header manually as a backup
-    res.setHeader('Set-Cookie', [
-      `jwt=${token}; Max-Age=${30 * 24 * 60 * 60}; Path=/; HttpOnly; ${process.env.NODE_ENV === 'production' ? 'Secure; SameSite=None' : ''}`
-    ]);
-
-    // Send response with token and session details
-    res.json({
-      success: true,
-      message: 'Logged in successfully',
-      user: formattedUser,
-      token, // Include JWT token for client-side storage
-      sessionStatus,
-      sessionID,
-    });
+    await recordAuditEvent(req, 'auth.login', { userId: user.id, details: { method: 'password' } });
+    await completeLogin(req, res, user);
   } catch (error) {
     console.error('Login error:', error);
     res.status(500).json({ 
@@ -825,922 +1650,4699 @@ function getInitials(name) {
     .toUpperCase();
 }
 
-app.post('/api/auth/logout', loginRequired, (req, res) => {
-  // Check if session exists and has destroy method
-  if (!req.session || typeof req.session.destroy !== 'function') {
-    return res.json({ message: 'Session already destroyed or invalid' });
+// Exchange a refresh token for a new access/refresh pair, detecting reuse of rotated tokens
+app.post('/api/auth/refresh', async (req, res) => {
+  const refreshToken = req.body?.refreshToken || getCookie(req, 'refresh_token');
+
+  if (!refreshToken) {
+    return res.status(400).json({ error: 'Refresh token is required' });
   }
 
-  req.session.destroy((err) => {
-    if (err) {
-      console.error('Error destroying session:', err);
-      return res.status(500).json({ error: 'Could not logout' });
-    }
-    return res.json({ message: 'Logged out successfully' });
-  });
-});
+  const client = await pool.connect();
 
-// Bookmarks Routes
-app.get('/api/bookmarks', loginRequired, async (req, res) => {
   try {
-    const userId = req.user.id;
+    await client.query('BEGIN');
 
-    // Check if default bookmarks have been added for this user
-    const userResult = await pool.query(
-      'SELECT default_bookmarks_added FROM deuss.users WHERE id = $1',
-      [userId]
+    const result = await client.query(
+      'SELECT * FROM deuss.refresh_tokens WHERE token_hash = $1 FOR UPDATE',
+      [hashToken(refreshToken)]
     );
-    
-    const defaultBookmarksAdded = userResult.rows[0]?.default_bookmarks_added || false;
-    
-    // If default bookmarks haven't been added yet, add them
-    if (!defaultBookmarksAdded) {
-      await addDefaultBookmarksForUser(userId);
+
+    if (result.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(401).json({ error: 'Invalid refresh token' });
     }
 
-    // Get bookmark categories
-    const categoriesResult = await pool.query(
-      'SELECT * FROM deuss.bookmark_categories WHERE user_id = $1 ORDER BY id',
-      [userId]
+    const stored = result.rows[0];
+
+    // A rotated or revoked token being presented again means it leaked - kill the whole family
+    if (stored.revoked_at || stored.replaced_by) {
+      if (!stored.revoked_reason || stored.revoked_reason === 'rotated') {
+        console.warn(`Refresh token reuse detected for user ${stored.user_id}, revoking family ${stored.family_id}`);
+        await revokeTokenFamily(stored.family_id, 'reuse_detected', client);
+        await recordAuditEvent(req, 'auth.refresh_token_reuse', {
+          userId: stored.user_id,
+          details: { familyId: stored.family_id }
+        });
+      }
+      await client.query('COMMIT');
+      clearAuthCookies(res);
+      return res.status(401).json({
+        error: 'Refresh token has been revoked',
+        code: 'TOKEN_REVOKED'
+      });
+    }
+
+    if (new Date(stored.expires_at) < new Date()) {
+      await client.query('ROLLBACK');
+      clearAuthCookies(res);
+      return res.status(401).json({ error: 'Refresh token has expired' });
+    }
+
+    const userResult = await client.query(
+      'SELECT id, email, full_name, tier, is_verified, disabled_at FROM deuss.users WHERE id = $1',
+      [stored.user_id]
     );
 
-    // Get bookmarks
-    const bookmarksResult = await pool.query(
-      'SELECT * FROM deuss.bookmarks WHERE user_id = $1 ORDER BY id',
-      [userId]
+    if (userResult.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(401).json({ error: 'User not found' });
+    }
+
+    if (userResult.rows[0].disabled_at) {
+      await revokeTokenFamily(stored.family_id, 'account_disabled', client);
+      await client.query('COMMIT');
+      clearAuthCookies(res);
+      return res.status(403).json({ error: 'This account has been disabled', disabled: true });
+    }
+
+    const tokens = await issueTokenPair(userResult.rows[0], {
+      familyId: stored.family_id,
+      parentId: stored.id,
+      clientInfo: getClientInfo(req),
+      client
+    });
+
+    await client.query(
+      `UPDATE deuss.refresh_tokens
+       SET revoked_at = NOW(), revoked_reason = 'rotated', replaced_by = $1
+       WHERE id = $2`,
+      [tokens.id, stored.id]
     );
 
-    // Group bookmarks by category
-    const categoriesWithBookmarks = categoriesResult.rows.map(category => ({
-      ...category,
-      bookmarks: bookmarksResult.rows.filter(bookmark => bookmark.category_id === category.id)
-    }));
+    await client.query('COMMIT');
+
+    setAuthCookies(res, tokens);
 
     res.json({
-      categories: categoriesWithBookmarks,
-      bookmarks: bookmarksResult.rows
+      token: tokens.accessToken,
+      tokenExpiresAt: tokens.accessTokenExpiresAt,
+      refreshToken: tokens.refreshToken,
+      refreshTokenExpiresAt: tokens.refreshTokenExpiresAt
     });
-
   } catch (error) {
-    console.error('Error fetching bookmarks:', error);
-    res.status(500).json({
-      error: 'Failed to fetch bookmarks',
-      message: error.message,
-      bookmarks: []
-    });
+    await client.query('ROLLBACK');
+    console.error('Token refresh error:', error);
+    res.status(500).json({ error: 'Failed to refresh token' });
+  } finally {
+    client.release();
   }
 });
 
-// Add a new bookmark
-app.post('/api/bookmarks', loginRequired, async (req, res) => {
+app.post('/api/auth/logout', loginRequired, async (req, res) => {
+  // Revoke the presented access token and its refresh token family
   try {
-    const userId = req.user?.id;
-    if (!userId) {
-      return res.status(401).json({ error: 'Authentication required' });
-    }
+    const authHeader = req.headers.authorization;
+    const accessToken = authHeader && authHeader.startsWith('Bearer ')
+      ? authHeader.substring(7)
+      : getCookie(req, 'jwt');
 
-    const { title, url, category_id, color } = req.body;
+    let familyId = req.session?.tokenFamily || null;
 
-    if (!title || !url || !category_id) {
-      return res.status(400).json({ error: 'Missing required fields' });
+    if (accessToken) {
+      try {
+        const decoded = jwt.verify(accessToken, JWT_SECRET, { ignoreExpiration: true });
+        await revokeAccessToken(decoded.jti, decoded.id, new Date(decoded.exp * 1000));
+        familyId = familyId || decoded.fid || null;
+      } catch (error) {
+        // An invalid token has nothing left to revoke
+      }
     }
 
-    // Convert category_id to integer
-    const categoryIdInt = parseInt(category_id, 10);
-    
-    if (isNaN(categoryIdInt)) {
-      return res.status(400).json({ 
-        error: 'Invalid category ID',
-        details: 'Category ID must be a valid integer'
-      });
+    const refreshToken = req.body?.refreshToken || getCookie(req, 'refresh_token');
+    if (!familyId && refreshToken) {
+      const result = await pool.query(
+        'SELECT family_id FROM deuss.refresh_tokens WHERE token_hash = $1',
+        [hashToken(refreshToken)]
+      );
+      familyId = result.rows[0]?.family_id || null;
     }
 
-    // Validate that the category belongs to the user
-    const categoryCheck = await pool.query(
-      'SELECT id FROM deuss.bookmark_categories WHERE id = $1 AND user_id = $2',
-      [categoryIdInt, userId]
-    );
-
-    if (categoryCheck.rows.length === 0) {
-      return res.status(404).json({ error: 'Category not found or does not belong to user' });
-    }
+    await revokeTokenFamily(familyId, 'logout');
+  } catch (error) {
+    console.error('Error revoking tokens during logout:', error);
+  }
 
-    // Insert the bookmark
-    const result = await pool.query(
-      'INSERT INTO deuss.bookmarks (user_id, category_id, title, url, color, created_at, updated_at) VALUES ($1, $2, $3, $4, $5, NOW(), NOW()) RETURNING *',
-      [userId, categoryIdInt, title, url, color]
-    );
+  await recordAuditEvent(req, 'auth.logout');
 
-    res.status(201).json({ 
-      message: 'Bookmark added successfully',
-      bookmark: result.rows[0]
-    });
+  clearAuthCookies(res);
 
-  } catch (error) {
-    console.error('Error adding bookmark:', error);
-    res.status(500).json({ 
-      error: 'Failed to add bookmark',
-      message: error.message
-    });
+  // Check if session exists and has destroy method
+  if (!req.session || typeof req.session.destroy !== 'function') {
+    return res.json({ message: 'Session already destroyed or invalid' });
   }
-});
 
-// Update a bookmark
-app.put('/api/bookmarks/:id', loginRequired, async (req, res) => {
-  try {
-    const userId = req.user?.id;
-    if (!userId) {
-      return res.status(401).json({ error: 'Authentication required' });
+  req.session.destroy((err) => {
+    if (err) {
+      console.error('Error destroying session:', err);
+      return res.status(500).json({ error: 'Could not logout' });
     }
+    return res.json({ message: 'Logged out successfully' });
+  });
+});
 
-    const bookmarkId = parseInt(req.params.id, 10);
-    if (isNaN(bookmarkId)) {
-      return res.status(400).json({ 
-        error: 'Invalid bookmark ID',
-        details: 'Bookmark ID must be a valid integer'
-      });
-    }
+// Two-Factor Authentication (TOTP)
+const TOTP_ISSUER = process.env.TOTP_ISSUER || 'Deuss';
+const TWO_FACTOR_CHALLENGE_TTL = 5 * 60; // seconds to enter the code after the password step
+const RECOVERY_CODE_COUNT = 10;
+
+// Challenge tokens only prove the password step and cannot be used as access tokens
+function signTwoFactorChallenge(user) {
+  return jwt.sign(
+    { id: user.id, purpose: '2fa_challenge' },
+    JWT_SECRET,
+    { expiresIn: TWO_FACTOR_CHALLENGE_TTL }
+  );
+}
 
-    const { title, url, category_id, color } = req.body;
+// Recovery codes look like "a1b2c-3d4e5"; only their hashes are stored
+function generateRecoveryCodes() {
+  return Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.substring(0, 5)}-${raw.substring(5)}`;
+  });
+}
 
-    if (!title || !url || !category_id) {
-      return res.status(400).json({ error: 'Missing required fields' });
-    }
+function hashRecoveryCode(code) {
+  return hashToken(String(code || '').toLowerCase().replace(/[^a-f0-9]/g, ''));
+}
 
-    // Convert category_id to integer
-    const categoryIdInt = parseInt(category_id, 10);
-    if (isNaN(categoryIdInt)) {
-      return res.status(400).json({ 
-        error: 'Invalid category ID',
-        details: 'Category ID must be a valid integer'
-      });
-    }
+// Check a TOTP code or a one-time recovery code for a user row
+async function verifySecondFactor(user, { code, recoveryCode }) {
+  if (!user.totp_secret) return false;
 
-    // Verify bookmark belongs to user
-    const bookmarkCheck = await pool.query(
-      'SELECT id FROM deuss.bookmarks WHERE id = $1 AND user_id = $2',
-      [bookmarkId, userId]
-    );
+  if (code) {
+    const step = totp.verifyCode(user.totp_secret, code);
+    if (step === null) return false;
 
-    if (bookmarkCheck.rows.length === 0) {
-      return res.status(404).json({ error: 'Bookmark not found or does not belong to user' });
-    }
+    // Each time step may only be used once so an observed code cannot be replayed
+    const result = await pool.query(
+      `UPDATE deuss.users SET totp_last_used_step = $1
+       WHERE id = $2 AND (totp_last_used_step IS NULL OR totp_last_used_step < $1)
+       RETURNING id`,
+      [step, user.id]
+    );
+    return result.rows.length > 0;
+  }
 
-    // Verify category belongs to user
-    const categoryCheck = await pool.query(
-      'SELECT id FROM deuss.bookmark_categories WHERE id = $1 AND user_id = $2',
-      [categoryIdInt, userId]
+  if (recoveryCode) {
+    const result = await pool.query(
+      `UPDATE deuss.users
+       SET totp_recovery_codes = array_remove(totp_recovery_codes, $1)
+       WHERE id = $2 AND $1 = ANY(totp_recovery_codes)
+       RETURNING id`,
+      [hashRecoveryCode(recoveryCode), user.id]
     );
+    return result.rows.length > 0;
+  }
 
-    if (categoryCheck.rows.length === 0) {
-      return res.status(404).json({ error: 'Category not found or does not belong to user' });
-    }
+  return false;
+}
 
-    // Update the bookmark
+app.get('/api/auth/2fa/status', loginRequired, async (req, res) => {
+  const userId = getUserId(req);
+  if (!userId) {
+    return res.status(401).json({ error: 'User not authenticated' });
+  }
+
+  try {
     const result = await pool.query(
-      'UPDATE deuss.bookmarks SET title = $1, url = $2, category_id = $3, color = $4, updated_at = NOW() WHERE id = $5 AND user_id = $6 RETURNING *',
-      [title, url, categoryIdInt, color, bookmarkId, userId]
+      `SELECT totp_enabled, totp_enabled_at, COALESCE(array_length(totp_recovery_codes, 1), 0) AS recovery_codes_remaining
+       FROM deuss.users WHERE id = $1`,
+      [userId]
     );
 
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const row = result.rows[0];
     res.json({
-      message: 'Bookmark updated successfully',
-      bookmark: result.rows[0]
+      enabled: row.totp_enabled || false,
+      enabledAt: row.totp_enabled_at,
+      recoveryCodesRemaining: row.totp_enabled ? row.recovery_codes_remaining : 0
     });
-
   } catch (error) {
-    console.error('Error updating bookmark:', error);
-    res.status(500).json({ 
-      error: 'Failed to update bookmark',
-      message: error.message
-    });
+    console.error('Error fetching two-factor status:', error);
+    res.status(500).json({ error: 'Failed to fetch two-factor status' });
   }
 });
 
-// Delete a bookmark
-app.delete('/api/bookmarks/:id', loginRequired, async (req, res) => {
+// Start enrollment: generate a secret the user scans into their authenticator app
+app.post('/api/auth/2fa/setup', loginRequired, async (req, res) => {
+  const userId = getUserId(req);
+  if (!userId) {
+    return res.status(401).json({ error: 'User not authenticated' });
+  }
+
   try {
-    const userId = req.user?.id;
-    if (!userId) {
-      return res.status(401).json({ error: 'Authentication required' });
-    }
+    const userResult = await pool.query(
+      'SELECT id, email, totp_enabled FROM deuss.users WHERE id = $1',
+      [userId]
+    );
 
-    const bookmarkId = parseInt(req.params.id, 10);
-    if (isNaN(bookmarkId)) {
-      return res.status(400).json({ 
-        error: 'Invalid bookmark ID',
-        details: 'Bookmark ID must be a valid integer'
-      });
+    if (userResult.rows.length === 0) {
+      return res.status(404).json({ error: 'User not found' });
     }
 
-    // Verify bookmark belongs to user
-    const bookmarkCheck = await pool.query(
-      'SELECT id FROM deuss.bookmarks WHERE id = $1 AND user_id = $2',
-      [bookmarkId, userId]
-    );
-
-    if (bookmarkCheck.rows.length === 0) {
-      return res.status(404).json({ error: 'Bookmark not found or does not belong to user' });
+    const user = userResult.rows[0];
+    if (user.totp_enabled) {
+      return res.status(400).json({ error: 'Two-factor authentication is already enabled' });
     }
 
-    // Delete the bookmark
+    const secret = totp.generateSecret();
+
     await pool.query(
-      'DELETE FROM deuss.bookmarks WHERE id = $1 AND user_id = $2',
-      [bookmarkId, userId]
+      'UPDATE deuss.users SET totp_secret = $1, totp_enabled = false, updated_at = NOW() WHERE id = $2',
+      [secret, userId]
     );
 
-    res.json({ message: 'Bookmark deleted successfully' });
-
-  } catch (error) {
-    console.error('Error deleting bookmark:', error);
-    res.status(500).json({ 
-      error: 'Failed to delete bookmark',
-      message: error.message
+    res.json({
+      secret,
+      otpauthUri: totp.buildOtpauthUri(secret, user.email, TOTP_ISSUER)
     });
+  } catch (error) {
+    console.error('Error starting two-factor setup:', error);
+    res.status(500).json({ error: 'Failed to start two-factor setup' });
   }
 });
 
-// Add a new bookmark category
-app.post('/api/bookmarks/category', loginRequired, async (req, res) => {
+// Finish enrollment once the user proves their app generates valid codes
+app.post('/api/auth/2fa/confirm', loginRequired, async (req, res) => {
+  const userId = getUserId(req);
+  if (!userId) {
+    return res.status(401).json({ error: 'User not authenticated' });
+  }
+
+  const { code } = req.body;
+  if (!code) {
+    return res.status(400).json({ error: 'Verification code is required' });
+  }
+
   try {
-    const userId = req.user?.id;
-    if (!userId) {
-      return res.status(401).json({ error: 'Authentication required' });
+    const userResult = await pool.query(
+      'SELECT id, totp_secret, totp_enabled FROM deuss.users WHERE id = $1',
+      [userId]
+    );
+
+    const user = userResult.rows[0];
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
     }
 
-    const { name, icon, id } = req.body;
+    if (user.totp_enabled) {
+      return res.status(400).json({ error: 'Two-factor authentication is already enabled' });
+    }
 
-    if (!name) {
-      return res.status(400).json({ error: 'Category name is required' });
+    if (!user.totp_secret) {
+      return res.status(400).json({ error: 'Two-factor setup has not been started' });
     }
 
-    // Check if this is an update or new category
-    if (id) {
-      // Check if this looks like a temporary timestamp-based ID from the frontend
-      // Timestamp IDs are usually 13+ digits, which is too large for PostgreSQL INT
-      if (String(id).length > 10) {
-        // Create a new category instead of trying to update a non-existent one
-        const result = await pool.query(
-          'INSERT INTO deuss.bookmark_categories (user_id, name, icon, created_at, updated_at) VALUES ($1, $2, $3, NOW(), NOW()) RETURNING *',
-          [userId, name, icon || 'wrench']
-        );
+    const step = totp.verifyCode(user.totp_secret, code);
+    if (step === null) {
+      return res.status(400).json({ error: 'Invalid verification code' });
+    }
 
-        return res.status(201).json({
-          message: 'Category created successfully',
-          category: result.rows[0]
-        });
-      } else {
-        // Attempt to update an existing category
-        // First, verify the category belongs to this user
-        const existingCategory = await pool.query(
-          'SELECT * FROM deuss.bookmark_categories WHERE id = $1 AND user_id = $2',
-          [id, userId]
-        );
+    const recoveryCodes = generateRecoveryCodes();
 
-        if (existingCategory.rows.length === 0) {
-          return res.status(404).json({ error: 'Category not found' });
-        }
+    await pool.query(
+      `UPDATE deuss.users
+       SET totp_enabled = true,
+           totp_enabled_at = NOW(),
+           totp_last_used_step = $1,
+           totp_recovery_codes = $2,
+           updated_at = NOW()
+       WHERE id = $3`,
+      [step, recoveryCodes.map(hashRecoveryCode), userId]
+    );
 
-        // Update the category
-        const result = await pool.query(
-          'UPDATE deuss.bookmark_categories SET name = $1, icon = $2, updated_at = NOW() WHERE id = $3 AND user_id = $4 RETURNING *',
-          [name, icon || 'wrench', id, userId]
-        );
+    await recordAuditEvent(req, 'auth.2fa_enabled');
 
-        return res.status(200).json({
-          message: 'Category updated successfully',
-          category: result.rows[0]
-        });
-      }
-    }
+    res.json({
+      message: 'Two-factor authentication enabled',
+      recoveryCodes // Shown once - only hashes are stored
+    });
+  } catch (error) {
+    console.error('Error confirming two-factor setup:', error);
+    res.status(500).json({ error: 'Failed to confirm two-factor setup' });
+  }
+});
 
-    // Create a new category
-    const result = await pool.query(
-      'INSERT INTO deuss.bookmark_categories (user_id, name, icon, created_at, updated_at) VALUES ($1, $2, $3, NOW(), NOW()) RETURNING *',
-      [userId, name, icon || 'wrench']
-    );
+// Second login step: exchange a challenge token plus a code for the real session
+app.post('/api/auth/2fa/verify', authRateLimit('TWO_FACTOR'), async (req, res) => {
+  const { challengeToken, code, recoveryCode } = req.body;
 
-    res.status(201).json({
-      message: 'Category created successfully',
-      category: result.rows[0]
+  if (!challengeToken || (!code && !recoveryCode)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Challenge token and a verification or recovery code are required'
     });
+  }
+
+  let challenge;
+  try {
+    challenge = jwt.verify(challengeToken, JWT_SECRET);
   } catch (error) {
-    console.error('Error creating bookmark category:', error);
-    res.status(500).json({ error: 'Server error' });
+    return res.status(401).json({
+      success: false,
+      message: 'Two-factor challenge has expired, please log in again'
+    });
+  }
+
+  if (challenge.purpose !== '2fa_challenge') {
+    return res.status(401).json({ success: false, message: 'Invalid two-factor challenge' });
   }
-});
 
-// Add a PUT endpoint for updating bookmark categories
-app.put('/api/bookmarks/category', loginRequired, async (req, res) => {
   try {
-    const userId = req.user?.id;
-    if (!userId) {
-      return res.status(401).json({ error: 'Authentication required' });
-    }
+    const result = await pool.query(
+      'SELECT * FROM deuss.users WHERE id = $1',
+      [challenge.id]
+    );
 
-    const { id, name, icon } = req.body;
+    const user = result.rows[0];
+    if (!user || !user.totp_enabled) {
+      return res.status(401).json({ success: false, message: 'Invalid two-factor challenge' });
+    }
 
-    if (!id) {
-      return res.status(400).json({ error: 'Category ID is required' });
+    if (user.disabled_at) {
+      return res.status(403).json({ success: false, message: 'This account has been disabled', disabled: true });
     }
 
-    if (!name) {
-      return res.status(400).json({ error: 'Category name is required' });
+    const lockedUntil = await getLoginLockout(user.email);
+    if (lockedUntil) {
+      return res.status(429).json({
+        success: false,
+        message: 'Account temporarily locked due to too many failed login attempts',
+        locked: true,
+        lockedUntil
+      });
     }
 
-    // Check if this is a temporary ID
-    if (String(id).length > 10) {
-      // Create a new category instead of trying to update a non-existent one
-      const result = await pool.query(
-        'INSERT INTO deuss.bookmark_categories (user_id, name, icon, created_at, updated_at) VALUES ($1, $2, $3, NOW(), NOW()) RETURNING *',
-        [userId, name, icon || 'wrench']
-      );
-
-      return res.status(201).json({
-        message: 'Category created successfully',
-        category: result.rows[0]
+    const valid = await verifySecondFactor(user, { code, recoveryCode });
+    if (!valid) {
+      // Wrong second factors count towards the same lockout as wrong passwords
+      await recordLoginFailure(user.email, req);
+      await recordAuditEvent(req, 'auth.login_failed', {
+        userId: user.id,
+        details: { reason: recoveryCode ? 'invalid_recovery_code' : 'invalid_2fa_code' }
+      });
+      return res.status(401).json({
+        success: false,
+        message: recoveryCode ? 'Invalid recovery code' : 'Invalid verification code'
       });
     }
 
-    // Verify the category exists and belongs to this user
-    const existingCategory = await pool.query(
-      'SELECT * FROM deuss.bookmark_categories WHERE id = $1 AND user_id = $2',
-      [id, userId]
-    );
-
-    if (existingCategory.rows.length === 0) {
-      return res.status(404).json({ error: 'Category not found or does not belong to you' });
+    if (user.deletion_scheduled_at) {
+      return res.status(403).json({
+        success: false,
+        message: 'This account is scheduled for deletion',
+        deletionPending: true,
+        deletionScheduledAt: user.deletion_scheduled_at,
+        cancelToken: signDeletionCancelToken(user, DELETION_CANCEL_LOGIN_TTL)
+      });
     }
 
-    // Update the category
-    const result = await pool.query(
-      'UPDATE deuss.bookmark_categories SET name = $1, icon = $2, updated_at = NOW() WHERE id = $3 AND user_id = $4 RETURNING *',
-      [name, icon || 'wrench', id, userId]
-    );
-
-    res.status(200).json({
-      message: 'Category updated successfully',
-      category: result.rows[0]
+    await recordAuditEvent(req, 'auth.login', {
+      userId: user.id,
+      details: { method: 'password', secondFactor: recoveryCode ? 'recovery_code' : 'totp' }
     });
+    await completeLogin(req, res, user);
   } catch (error) {
-    console.error('Error updating bookmark category:', error);
-    res.status(500).json({ error: 'Server error' });
+    console.error('Two-factor verification error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to verify two-factor code'
+    });
   }
 });
 
-// Delete a bookmark category
-app.delete('/api/bookmarks/category/:id', loginRequired, async (req, res) => {
+// Turning two-factor off requires the password and a current code
+app.post('/api/auth/2fa/disable', loginRequired, async (req, res) => {
+  const userId = getUserId(req);
+  if (!userId) {
+    return res.status(401).json({ error: 'User not authenticated' });
+  }
+
+  const { password, code, recoveryCode } = req.body;
+  if (!code && !recoveryCode) {
+    return res.status(400).json({ error: 'Password and a verification or recovery code are required' });
+  }
+
   try {
-    const userId = req.user?.id;
-    if (!userId) {
-      return res.status(401).json({ error: 'Authentication required' });
+    const result = await pool.query('SELECT * FROM deuss.users WHERE id = $1', [userId]);
+    const user = result.rows[0];
+
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
     }
 
-    const categoryId = parseInt(req.params.id, 10);
-    if (isNaN(categoryId)) {
-      return res.status(400).json({ 
-        error: 'Invalid category ID',
-        details: 'Category ID must be a valid integer'
-      });
+    if (!user.totp_enabled) {
+      return res.status(400).json({ error: 'Two-factor authentication is not enabled' });
     }
 
-    // Verify the category belongs to the user
-    const categoryCheck = await pool.query(
-      'SELECT id FROM deuss.bookmark_categories WHERE id = $1 AND user_id = $2',
-      [categoryId, userId]
-    );
+    // Social-login-only accounts have no password; the second factor alone re-authenticates them
+    if (user.password) {
+      const validPassword = await bcrypt.compare(password || '', user.password);
+      if (!validPassword) {
+        return res.status(401).json({ error: 'Invalid password' });
+      }
+    }
 
-    if (categoryCheck.rows.length === 0) {
-      return res.status(404).json({ error: 'Category not found or does not belong to user' });
+    const valid = await verifySecondFactor(user, { code, recoveryCode });
+    if (!valid) {
+      return res.status(401).json({ error: 'Invalid verification code' });
     }
 
-    // Delete the category (and its bookmarks due to ON DELETE CASCADE)
     await pool.query(
-      'DELETE FROM deuss.bookmark_categories WHERE id = $1 AND user_id = $2',
-      [categoryId, userId]
+      `UPDATE deuss.users
+       SET totp_enabled = false,
+           totp_secret = NULL,
+           totp_enabled_at = NULL,
+           totp_last_used_step = NULL,
+           totp_recovery_codes = '{}',
+           updated_at = NOW()
+       WHERE id = $1`,
+      [userId]
     );
 
-    res.json({ message: 'Category and all its bookmarks deleted successfully' });
+    await recordAuditEvent(req, 'auth.2fa_disabled');
 
+    res.json({ message: 'Two-factor authentication disabled' });
   } catch (error) {
-    console.error('Error deleting bookmark category:', error);
-    res.status(500).json({ 
-      error: 'Failed to delete bookmark category',
-      message: error.message
-    });
+    console.error('Error disabling two-factor authentication:', error);
+    res.status(500).json({ error: 'Failed to disable two-factor authentication' });
   }
 });
 
-// Account Routes
-app.post('/api/account', loginRequired, async (req, res) => {
+// OAuth / OpenID Connect Login
+const API_URL = (process.env.API_URL || `http://localhost:${PORT}`).replace(/\/$/, '');
+const OAUTH_STATE_TTL = 10 * 60 * 1000; // 10 minutes to finish the provider round trip
+const REAUTH_TOKEN_TTL = 5 * 60; // seconds to use a fresh provider login for a sensitive change
+
+// Accounts without a password confirm sensitive changes by logging in with their provider
+// again (?mode=reauth); the callback hands back one of these
+function signReauthToken(userId) {
+  return jwt.sign({ id: userId, purpose: 'reauth' }, JWT_SECRET, { expiresIn: REAUTH_TOKEN_TTL });
+}
+
+function verifyReauthToken(user, token) {
+  if (!token) return false;
   try {
-    // Get user ID from either session or JWT token
-    let userId = null;
-    
-    // Try session first
-    if (req.session?.uid) {
-      userId = req.session.uid;
-    } 
-    // Then try JWT user object
-    else if (req.user?.id) {
-      userId = req.user.id;
-    }
-    
-    if (!userId) {
-      return res.status(401).json({ error: 'Authentication required' });
-    }
-    
-    const { full_name, email, country } = req.body;
-    
-    // Validate required fields
-    if (!full_name) {
-      return res.status(400).json({ error: 'Full name is required' });
-    }
-    
-    // Update user profile
-    const result = await pool.query(
-      'UPDATE deuss.users SET full_name = $1, country = $2, updated_at = NOW() WHERE id = $3 RETURNING id, email, full_name, country, avatar_url, tier, is_verified',
-      [full_name, country || null, userId]
-    );
-    
-    if (result.rows.length === 0) {
-      return res.status(404).json({ error: 'User not found' });
-    }
-    
-    const updatedUser = result.rows[0];
-    
-    // Format response
-    res.json({
-      success: true,
-      message: 'Profile updated successfully',
-      user: {
-        id: updatedUser.id,
-        email: updatedUser.email,
-        full_name: updatedUser.full_name,
-        country: updatedUser.country,
-        avatar_url: updatedUser.avatar_url,
-        tier: updatedUser.tier || 'basic',
-        is_verified: updatedUser.is_verified || false,
-        initials: getInitials(updatedUser.full_name)
-      }
-    });
+    const decoded = jwt.verify(token, JWT_SECRET);
+    return decoded.purpose === 'reauth' && String(decoded.id) === String(user.id);
   } catch (error) {
-    console.error('Error updating profile:', error);
-    res.status(500).json({ 
-      success: false,
-      error: 'Failed to update profile',
-      message: error.message
-    });
+    return false;
   }
-});
+}
+
+function oauthRedirectUri(providerName) {
+  return `${API_URL}/api/auth/oauth/${providerName}/callback`;
+}
+
+// Hand the outcome back to the frontend in the URL fragment so it never reaches server logs
+function redirectToFrontend(res, params) {
+  const fragment = new URLSearchParams(params).toString();
+  res.redirect(`${process.env.FRONTEND_URL || ''}/auth/oauth/callback#${fragment}`);
+}
+
+// Errors safe to report back to the frontend by code
+const OAUTH_USER_ERRORS = ['identity_in_use', 'email_required', 'email_in_use'];
+
+function oauthError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+async function saveSession(req) {
+  if (typeof req.session?.save !== 'function') return;
+  await new Promise((resolve, reject) => {
+    req.session.save(err => (err ? reject(err) : resolve()));
+  });
+}
+
+// Attach a provider identity to an existing user
+async function linkIdentity(client, userId, providerName, profile) {
+  const existing = await client.query(
+    'SELECT user_id FROM deuss.user_identities WHERE provider = $1 AND provider_user_id = $2',
+    [providerName, profile.providerUserId]
+  );
+
+  if (existing.rows.length > 0 && existing.rows[0].user_id !== userId) {
+    throw oauthError('identity_in_use', 'This account is already linked to another user');
+  }
+
+  await client.query(
+    `INSERT INTO deuss.user_identities (user_id, provider, provider_user_id, email, username, created_at, updated_at)
+     VALUES ($1, $2, $3, $4, $5, NOW(), NOW())
+     ON CONFLICT (provider, provider_user_id)
+     DO UPDATE SET email = $4, username = $5, updated_at = NOW()`,
+    [userId, providerName, profile.providerUserId, profile.email, profile.username]
+  );
 
-// Function to add default bookmarks for a user
-async function addDefaultBookmarksForUser(userId) {
+  // A GitHub login doubles as a connected GitHub social profile
+  if (providerName === 'github' && profile.username) {
+    await client.query(
+      `INSERT INTO deuss.social_profiles (user_id, platform, username, url, connected, created_at, updated_at)
+       VALUES ($1, 'github', $2, 'https://github.com/', true, NOW(), NOW())
+       ON CONFLICT (user_id, platform) DO NOTHING`,
+      [userId, profile.username]
+    );
+  }
+}
+
+// Resolve a provider profile to a user: known identity, then verified email match, then a new
+// account. Resolves to { user, claimedUnverified }, the latter when an unverified account with
+// the provider's address was taken over and its old credentials revoked.
+async function findOrCreateOAuthUser(providerName, profile) {
   const client = await pool.connect();
-  
+  let claimedUnverified = false;
+
   try {
-    // Start transaction
     await client.query('BEGIN');
-    
-    // Get all default categories
-    const defaultCategoriesResult = await client.query(
-      'SELECT * FROM deuss.default_bookmark_categories'
+
+    const identityResult = await client.query(
+      `SELECT u.* FROM deuss.user_identities i
+       JOIN deuss.users u ON u.id = i.user_id
+       WHERE i.provider = $1 AND i.provider_user_id = $2`,
+      [providerName, profile.providerUserId]
     );
-    
-    // For each default category
-    for (const defaultCategory of defaultCategoriesResult.rows) {
-      // Create category for user
-      const categoryResult = await client.query(
-        'INSERT INTO deuss.bookmark_categories (user_id, name, icon) VALUES ($1, $2, $3) RETURNING id',
-        [userId, defaultCategory.name, defaultCategory.icon]
-      );
-      
-      const categoryId = categoryResult.rows[0].id;
-      
-      // Get bookmarks for this category
-      const bookmarksResult = await client.query(
-        'SELECT * FROM deuss.default_bookmarks WHERE category_id = $1',
-        [defaultCategory.id]
+
+    let user = identityResult.rows[0];
+
+    if (!user) {
+      if (!profile.email) {
+        throw oauthError('email_required', 'The provider did not share an email address');
+      }
+
+      const emailResult = await client.query(
+        'SELECT * FROM deuss.users WHERE LOWER(email) = LOWER($1)',
+        [profile.email]
       );
-      
-      // Add each bookmark
-      for (const bookmark of bookmarksResult.rows) {
-        await client.query(
-          'INSERT INTO deuss.bookmarks (user_id, category_id, title, url, color, icon) VALUES ($1, $2, $3, $4, $5, $6)',
-          [userId, categoryId, bookmark.title, bookmark.url, bookmark.color, bookmark.icon]
+
+      if (emailResult.rows.length > 0) {
+        // Only auto-link when the provider vouches for the address
+        if (!profile.emailVerified) {
+          throw oauthError('email_in_use', 'An account with this email already exists; log in and link the provider instead');
+        }
+
+        user = emailResult.rows[0];
+        if (!user.is_verified) {
+          // Nobody proved they own this address until now, so whoever registered it may not be
+          // the provider's user: drop every credential they could have set up before handing
+          // the account over
+          const claimed = await client.query(
+            `UPDATE deuss.users
+             SET is_verified = true, password = NULL, reset_token = NULL, reset_token_expiry = NULL,
+                 totp_enabled = false, totp_secret = NULL, totp_enabled_at = NULL,
+                 totp_last_used_step = NULL, totp_recovery_codes = '{}', updated_at = NOW()
+             WHERE id = $1
+             RETURNING *`,
+            [user.id]
+          );
+          await client.query('DELETE FROM deuss.user_identities WHERE user_id = $1', [user.id]);
+          await client.query(
+            `UPDATE deuss.email_change_requests SET cancelled_at = NOW()
+             WHERE user_id = $1 AND completed_at IS NULL AND cancelled_at IS NULL`,
+            [user.id]
+          );
+          user = claimed.rows[0];
+          claimedUnverified = true;
+        }
+      } else {
+        const insertResult = await client.query(
+          `INSERT INTO deuss.users (email, password, full_name, avatar_url, is_verified, created_at, updated_at)
+           VALUES ($1, NULL, $2, $3, $4, NOW(), NOW())
+           RETURNING *`,
+          [profile.email, profile.name || profile.email, profile.avatarUrl, profile.emailVerified]
         );
+        user = insertResult.rows[0];
+        await queueDefaultBookmarks(user.id, client);
       }
     }
-    
-    // Mark that default bookmarks have been added for this user
-    await client.query(
-      'UPDATE deuss.users SET default_bookmarks_added = true WHERE id = $1',
-      [userId]
-    );
-    
-    // Commit transaction
+
+    await linkIdentity(client, user.id, providerName, profile);
+
     await client.query('COMMIT');
-    
+
+    if (claimedUnverified) {
+      await revokeAllUserSessions(user.id, 'unverified_account_claimed');
+    }
+
+    return { user, claimedUnverified };
   } catch (error) {
-    // Rollback in case of error
     await client.query('ROLLBACK');
-    console.error('Error adding default bookmarks for user:', error);
     throw error;
   } finally {
     client.release();
   }
 }
 
-app.get('/api/auth/session', async (req, res) => {
-  // Check if JWT token is in the Authorization header as fallback
-  let userId = null;
-  let tokenUser = null;
-  
-  const authHeader = req.headers.authorization;
-  if (authHeader && authHeader.startsWith('Bearer ')) {
-    try {
-      const token = authHeader.substring(7);
-      console.log('Verifying JWT token with secret:', JWT_SECRET);
-      console.log('Token being verified:', token.substring(0, 20) + '...');
-      tokenUser = jwt.verify(token, JWT_SECRET);
-      console.log('Token verified successfully');
-      if (tokenUser && tokenUser.id) {
-        userId = tokenUser.id;
-      }
-    } catch (error) {
-      console.error('Invalid JWT token in authorization header:', error);
-      console.error('JWT_SECRET value:', JWT_SECRET);
-      console.error('Error details:', {
-        name: error.name,
-        message: error.message,
-        stack: error.stack
-      });
-      // Continue to check session anyway
-    }
+app.get('/api/auth/providers', (req, res) => {
+  res.json({ providers: oauth.listProviders() });
+});
+
+// Start a provider login (or, with ?mode=link, link the provider to the current account, and
+// with ?mode=reauth, confirm the current user with a provider already linked to them)
+app.get('/api/auth/oauth/:provider', async (req, res) => {
+  const provider = oauth.getProvider(req.params.provider);
+  if (!provider) {
+    return res.status(404).json({ error: 'Unknown or unconfigured login provider' });
   }
-  
-  // Then check if there's a session
-  let isSessionValid = false;
-  if (req.session && req.session.uid) {
-    userId = userId || req.session.uid;
-    isSessionValid = true;
+
+  if (!req.session || req.session._isTemporary) {
+    return res.status(503).json({ error: 'Sessions are unavailable, cannot start provider login' });
   }
-  
-  // If we don't have a user ID from either source, return not authenticated
-  if (!userId) {
-    return res.status(401).json({ 
-      isValid: false, 
-      error: 'No valid authentication found',
-      sessionExists: !!req.session
-    });
+
+  const linking = req.query.mode === 'link';
+  const reauthenticating = req.query.mode === 'reauth';
+  const userId = getUserId(req);
+  if (linking && !userId) {
+    return res.status(401).json({ error: 'Log in before linking a provider' });
+  }
+  if (reauthenticating && !userId) {
+    return res.status(401).json({ error: 'User not authenticated' });
   }
 
   try {
-    // Only fetch essential user data
-    const result = await pool.query(
-      'SELECT id, email, full_name, avatar_url, tier, is_verified FROM deuss.users WHERE id = $1',
-      [userId]
-    );
+    const { codeVerifier, codeChallenge } = oauth.createPkcePair();
+    const state = crypto.randomBytes(24).toString('base64url');
+    const nonce = crypto.randomBytes(24).toString('base64url');
+
+    // PKCE verifier, state and nonce live server-side in the session until the callback
+    req.session.oauth = {
+      provider: provider.name,
+      state,
+      nonce,
+      codeVerifier,
+      linkUserId: linking ? userId : null,
+      reauthUserId: reauthenticating ? userId : null,
+      createdAt: Date.now()
+    };
+    await saveSession(req);
 
-    if (result.rows.length === 0) {
-      // Check if session exists before destroying it
-      if (req.session && typeof req.session.destroy === 'function') {
-        req.session.destroy();
-      }
-      return res.status(404).json({ 
-        isValid: false,
-        error: 'User not found in database'
-      });
+    const url = await provider.getAuthorizationUrl({
+      state,
+      nonce,
+      codeChallenge,
+      redirectUri: oauthRedirectUri(provider.name)
+    });
+
+    // SPA clients can fetch the URL and navigate themselves
+    if (req.query.format === 'json') {
+      return res.json({ url });
     }
 
-    const user = result.rows[0];
-    
-    // Generate a fresh token to extend authentication
-    const newToken = jwt.sign(
-      { 
-        id: user.id, 
-        email: user.email,
-        full_name: user.full_name,
-        tier: user.tier || 'basic',
-        is_verified: user.is_verified || false,
-      },
-      JWT_SECRET,
-      { expiresIn: '30d' }
-    );
-    
+    res.redirect(url);
+  } catch (error) {
+    console.error(`Error starting ${provider.name} login:`, error);
+    res.status(502).json({ error: 'Failed to contact login provider' });
+  }
+});
+
+app.get('/api/auth/oauth/:provider/callback', async (req, res) => {
+  const providerName = req.params.provider;
+  const pending = req.session?.oauth;
+  const { code, state, error } = req.query;
+
+  // State is single use
+  if (req.session) {
+    delete req.session.oauth;
+  }
+
+  if (error) {
+    return redirectToFrontend(res, { status: 'error', error: String(error) });
+  }
+
+  const provider = oauth.getProvider(providerName);
+  if (
+    !provider ||
+    !pending ||
+    pending.provider !== providerName ||
+    !state ||
+    state !== pending.state ||
+    Date.now() - pending.createdAt > OAUTH_STATE_TTL
+  ) {
+    return redirectToFrontend(res, { status: 'error', error: 'invalid_state' });
+  }
+
+  if (!code) {
+    return redirectToFrontend(res, { status: 'error', error: 'missing_code' });
+  }
+
+  try {
+    const profile = await provider.getProfile({
+      code,
+      redirectUri: oauthRedirectUri(providerName),
+      codeVerifier: pending.codeVerifier,
+      nonce: pending.nonce
+    });
+
+    if (pending.linkUserId) {
+      const client = await pool.connect();
+      try {
+        await linkIdentity(client, pending.linkUserId, providerName, profile);
+      } finally {
+        client.release();
+      }
+      await recordAuditEvent(req, 'auth.identity_linked', {
+        userId: pending.linkUserId,
+        details: { provider: providerName }
+      });
+      return redirectToFrontend(res, { status: 'linked', provider: providerName });
+    }
+
+    if (pending.reauthUserId) {
+      const identity = await pool.query(
+        'SELECT user_id FROM deuss.user_identities WHERE provider = $1 AND provider_user_id = $2',
+        [providerName, profile.providerUserId]
+      );
+      if (identity.rows.length === 0 || String(identity.rows[0].user_id) !== String(pending.reauthUserId)) {
+        await recordAuditEvent(req, 'auth.reauth_failed', {
+          userId: pending.reauthUserId,
+          details: { provider: providerName }
+        });
+        return redirectToFrontend(res, { status: 'error', error: 'reauth_mismatch' });
+      }
+      return redirectToFrontend(res, {
+        status: 'reauthenticated',
+        reauthToken: signReauthToken(pending.reauthUserId)
+      });
+    }
+
+    const { user, claimedUnverified } = await findOrCreateOAuthUser(providerName, profile);
+
+    if (claimedUnverified) {
+      await recordAuditEvent(req, 'auth.unverified_account_claimed', {
+        userId: user.id,
+        details: { provider: providerName }
+      });
+    }
+
+    if (user.disabled_at) {
+      return redirectToFrontend(res, { status: 'error', error: 'account_disabled' });
+    }
+
+    if (user.deletion_scheduled_at) {
+      return redirectToFrontend(res, { status: 'error', error: 'account_pending_deletion' });
+    }
+
+    if (user.totp_enabled) {
+      return redirectToFrontend(res, {
+        status: 'two_factor_required',
+        challengeToken: signTwoFactorChallenge(user)
+      });
+    }
+
+    // The session cookie set here lets the frontend pick up tokens from /api/auth/session
+    await recordAuditEvent(req, 'auth.login', { userId: user.id, details: { method: providerName } });
+    await establishLogin(req, res, user);
+    redirectToFrontend(res, { status: 'success', provider: providerName });
+  } catch (error) {
+    console.error(`${providerName} login failed:`, error.message);
+    redirectToFrontend(res, {
+      status: 'error',
+      error: OAUTH_USER_ERRORS.includes(error.code) ? error.code : 'provider_error'
+    });
+  }
+});
+
+// Linked identities
+app.get('/api/account/identities', loginRequired, async (req, res) => {
+  const userId = getUserId(req);
+  if (!userId) {
+    return res.status(401).json({ error: 'User not authenticated' });
+  }
+
+  try {
+    const [identitiesResult, userResult] = await Promise.all([
+      pool.query(
+        `SELECT id, provider, email, username, created_at, updated_at
+         FROM deuss.user_identities WHERE user_id = $1 ORDER BY created_at`,
+        [userId]
+      ),
+      pool.query('SELECT password IS NOT NULL AS has_password FROM deuss.users WHERE id = $1', [userId])
+    ]);
+
+    res.json({
+      identities: identitiesResult.rows,
+      hasPassword: userResult.rows[0]?.has_password || false,
+      availableProviders: oauth.listProviders()
+    });
+  } catch (error) {
+    console.error('Error fetching identities:', error);
+    res.status(500).json({ error: 'Failed to fetch linked accounts' });
+  }
+});
+
+app.delete('/api/account/identities/:id', loginRequired, async (req, res) => {
+  const userId = getUserId(req);
+  if (!userId) {
+    return res.status(401).json({ error: 'User not authenticated' });
+  }
+
+  const identityId = parseInt(req.params.id, 10);
+  if (isNaN(identityId)) {
+    return res.status(400).json({
+      error: 'Invalid identity ID',
+      details: 'Identity ID must be a valid integer'
+    });
+  }
+
+  try {
+    const result = await pool.query(
+      `SELECT
+         (SELECT password IS NOT NULL FROM deuss.users WHERE id = $1) AS has_password,
+         (SELECT COUNT(*) FROM deuss.user_identities WHERE user_id = $1) AS identity_count,
+         EXISTS (SELECT 1 FROM deuss.user_identities WHERE id = $2 AND user_id = $1) AS owned`,
+      [userId, identityId]
+    );
+
+    const { has_password, identity_count, owned } = result.rows[0];
+
+    if (!owned) {
+      return res.status(404).json({ error: 'Linked account not found' });
+    }
+
+    // Never strand an account without a way to log in
+    if (!has_password && parseInt(identity_count, 10) <= 1) {
+      return res.status(400).json({
+        error: 'Cannot unlink your only login method',
+        details: 'Set a password or link another provider first'
+      });
+    }
+
+    await pool.query(
+      'DELETE FROM deuss.user_identities WHERE id = $1 AND user_id = $2',
+      [identityId, userId]
+    );
+
+    await recordAuditEvent(req, 'auth.identity_unlinked', { details: { identityId } });
+
+    res.json({ message: 'Linked account removed successfully' });
+  } catch (error) {
+    console.error('Error unlinking identity:', error);
+    res.status(500).json({ error: 'Failed to unlink account' });
+  }
+});
+
+// Bookmarks Routes
+app.get('/api/bookmarks', apiScope('bookmarks:read'), loginRequired, async (req, res) => {
+  try {
+    const userId = req.user.id;
+
+    // Check if default bookmarks have been added for this user
+    const userResult = await pool.query(
+      'SELECT default_bookmarks_added FROM deuss.users WHERE id = $1',
+      [userId]
+    );
+    
+    const defaultBookmarksAdded = userResult.rows[0]?.default_bookmarks_added || false;
+    
+    // If default bookmarks haven't been added yet, have the worker add them
+    if (!defaultBookmarksAdded) {
+      await queueDefaultBookmarks(userId);
+    }
+
+    // Get bookmark categories
+    const categoriesResult = await pool.query(
+      'SELECT * FROM deuss.bookmark_categories WHERE user_id = $1 ORDER BY id',
+      [userId]
+    );
+
+    // Get bookmarks
+    const bookmarksResult = await pool.query(
+      'SELECT * FROM deuss.bookmarks WHERE user_id = $1 ORDER BY id',
+      [userId]
+    );
+
+    // Group bookmarks by category
+    const categoriesWithBookmarks = categoriesResult.rows.map(category => ({
+      ...category,
+      bookmarks: bookmarksResult.rows.filter(bookmark => bookmark.category_id === category.id)
+    }));
+
+    res.json({
+      categories: categoriesWithBookmarks,
+      bookmarks: bookmarksResult.rows,
+      defaultBookmarksPending: !defaultBookmarksAdded
+    });
+
+  } catch (error) {
+    console.error('Error fetching bookmarks:', error);
+    res.status(500).json({
+      error: 'Failed to fetch bookmarks',
+      message: error.message,
+      bookmarks: []
+    });
+  }
+});
+
+// Add a new bookmark
+app.post('/api/bookmarks', apiScope('bookmarks:write'), loginRequired, async (req, res) => {
+  try {
+    const userId = req.user?.id;
+    if (!userId) {
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+
+    const { title, url, category_id, color } = req.body;
+
+    if (!title || !url || !category_id) {
+      return res.status(400).json({ error: 'Missing required fields' });
+    }
+
+    // Convert category_id to integer
+    const categoryIdInt = parseInt(category_id, 10);
+    
+    if (isNaN(categoryIdInt)) {
+      return res.status(400).json({ 
+        error: 'Invalid category ID',
+        details: 'Category ID must be a valid integer'
+      });
+    }
+
+    // Validate that the category belongs to the user
+    const categoryCheck = await pool.query(
+      'SELECT id FROM deuss.bookmark_categories WHERE id = $1 AND user_id = $2',
+      [categoryIdInt, userId]
+    );
+
+    if (categoryCheck.rows.length === 0) {
+      return res.status(404).json({ error: 'Category not found or does not belong to user' });
+    }
+
+    const quotaError = await checkQuota(userId, 'bookmarks');
+    if (quotaError) {
+      return res.status(quotaError.status).json(quotaError.error);
+    }
+
+    // Insert the bookmark
+    const result = await pool.query(
+      'INSERT INTO deuss.bookmarks (user_id, category_id, title, url, color, created_at, updated_at) VALUES ($1, $2, $3, $4, $5, NOW(), NOW()) RETURNING *',
+      [userId, categoryIdInt, title, url, color]
+    );
+
+    res.status(201).json({ 
+      message: 'Bookmark added successfully',
+      bookmark: result.rows[0]
+    });
+
+  } catch (error) {
+    console.error('Error adding bookmark:', error);
+    res.status(500).json({ 
+      error: 'Failed to add bookmark',
+      message: error.message
+    });
+  }
+});
+
+// Update a bookmark
+app.put('/api/bookmarks/:id', apiScope('bookmarks:write'), loginRequired, async (req, res) => {
+  try {
+    const userId = req.user?.id;
+    if (!userId) {
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+
+    const bookmarkId = parseInt(req.params.id, 10);
+    if (isNaN(bookmarkId)) {
+      return res.status(400).json({ 
+        error: 'Invalid bookmark ID',
+        details: 'Bookmark ID must be a valid integer'
+      });
+    }
+
+    const { title, url, category_id, color } = req.body;
+
+    if (!title || !url || !category_id) {
+      return res.status(400).json({ error: 'Missing required fields' });
+    }
+
+    // Convert category_id to integer
+    const categoryIdInt = parseInt(category_id, 10);
+    if (isNaN(categoryIdInt)) {
+      return res.status(400).json({ 
+        error: 'Invalid category ID',
+        details: 'Category ID must be a valid integer'
+      });
+    }
+
+    // Verify bookmark belongs to user
+    const bookmarkCheck = await pool.query(
+      'SELECT id FROM deuss.bookmarks WHERE id = $1 AND user_id = $2',
+      [bookmarkId, userId]
+    );
+
+    if (bookmarkCheck.rows.length === 0) {
+      return res.status(404).json({ error: 'Bookmark not found or does not belong to user' });
+    }
+
+    // Verify category belongs to user
+    const categoryCheck = await pool.query(
+      'SELECT id FROM deuss.bookmark_categories WHERE id = $1 AND user_id = $2',
+      [categoryIdInt, userId]
+    );
+
+    if (categoryCheck.rows.length === 0) {
+      return res.status(404).json({ error: 'Category not found or does not belong to user' });
+    }
+
+    // Update the bookmark
+    const result = await pool.query(
+      'UPDATE deuss.bookmarks SET title = $1, url = $2, category_id = $3, color = $4, updated_at = NOW() WHERE id = $5 AND user_id = $6 RETURNING *',
+      [title, url, categoryIdInt, color, bookmarkId, userId]
+    );
+
+    res.json({
+      message: 'Bookmark updated successfully',
+      bookmark: result.rows[0]
+    });
+
+  } catch (error) {
+    console.error('Error updating bookmark:', error);
+    res.status(500).json({ 
+      error: 'Failed to update bookmark',
+      message: error.message
+    });
+  }
+});
+
+// Delete a bookmark
+app.delete('/api/bookmarks/:id', apiScope('bookmarks:write'), loginRequired, async (req, res) => {
+  try {
+    const userId = req.user?.id;
+    if (!userId) {
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+
+    const bookmarkId = parseInt(req.params.id, 10);
+    if (isNaN(bookmarkId)) {
+      return res.status(400).json({ 
+        error: 'Invalid bookmark ID',
+        details: 'Bookmark ID must be a valid integer'
+      });
+    }
+
+    // Verify bookmark belongs to user
+    const bookmarkCheck = await pool.query(
+      'SELECT id FROM deuss.bookmarks WHERE id = $1 AND user_id = $2',
+      [bookmarkId, userId]
+    );
+
+    if (bookmarkCheck.rows.length === 0) {
+      return res.status(404).json({ error: 'Bookmark not found or does not belong to user' });
+    }
+
+    // Delete the bookmark
+    await pool.query(
+      'DELETE FROM deuss.bookmarks WHERE id = $1 AND user_id = $2',
+      [bookmarkId, userId]
+    );
+
+    res.json({ message: 'Bookmark deleted successfully' });
+
+  } catch (error) {
+    console.error('Error deleting bookmark:', error);
+    res.status(500).json({ 
+      error: 'Failed to delete bookmark',
+      message: error.message
+    });
+  }
+});
+
+// Add a new bookmark category
+app.post('/api/bookmarks/category', apiScope('bookmarks:write'), loginRequired, async (req, res) => {
+  try {
+    const userId = req.user?.id;
+    if (!userId) {
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+
+    const { name, icon, id } = req.body;
+
+    if (!name) {
+      return res.status(400).json({ error: 'Category name is required' });
+    }
+
+    // Check if this is an update or new category
+    if (id) {
+      // Check if this looks like a temporary timestamp-based ID from the frontend
+      // Timestamp IDs are usually 13+ digits, which is too large for PostgreSQL INT
+      if (String(id).length > 10) {
+        // Create a new category instead of trying to update a non-existent one
+        const result = await pool.query(
+          'INSERT INTO deuss.bookmark_categories (user_id, name, icon, created_at, updated_at) VALUES ($1, $2, $3, NOW(), NOW()) RETURNING *',
+          [userId, name, icon || 'wrench']
+        );
+
+        return res.status(201).json({
+          message: 'Category created successfully',
+          category: result.rows[0]
+        });
+      } else {
+        // Attempt to update an existing category
+        // First, verify the category belongs to this user
+        const existingCategory = await pool.query(
+          'SELECT * FROM deuss.bookmark_categories WHERE id = $1 AND user_id = $2',
+          [id, userId]
+        );
+
+        if (existingCategory.rows.length === 0) {
+          return res.status(404).json({ error: 'Category not found' });
+        }
+
+        // Update the category
+        const result = await pool.query(
+          'UPDATE deuss.bookmark_categories SET name = $1, icon = $2, updated_at = NOW() WHERE id = $3 AND user_id = $4 RETURNING *',
+          [name, icon || 'wrench', id, userId]
+        );
+
+        return res.status(200).json({
+          message: 'Category updated successfully',
+          category: result.rows[0]
+        });
+      }
+    }
+
+    // Create a new category
+    const result = await pool.query(
+      'INSERT INTO deuss.bookmark_categories (user_id, name, icon, created_at, updated_at) VALUES ($1, $2, $3, NOW(), NOW()) RETURNING *',
+      [userId, name, icon || 'wrench']
+    );
+
+    res.status(201).json({
+      message: 'Category created successfully',
+      category: result.rows[0]
+    });
+  } catch (error) {
+    console.error('Error creating bookmark category:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Add a PUT endpoint for updating bookmark categories
+app.put('/api/bookmarks/category', apiScope('bookmarks:write'), loginRequired, async (req, res) => {
+  try {
+    const userId = req.user?.id;
+    if (!userId) {
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+
+    const { id, name, icon } = req.body;
+
+    if (!id) {
+      return res.status(400).json({ error: 'Category ID is required' });
+    }
+
+    if (!name) {
+      return res.status(400).json({ error: 'Category name is required' });
+    }
+
+    // Check if this is a temporary ID
+    if (String(id).length > 10) {
+      // Create a new category instead of trying to update a non-existent one
+      const result = await pool.query(
+        'INSERT INTO deuss.bookmark_categories (user_id, name, icon, created_at, updated_at) VALUES ($1, $2, $3, NOW(), NOW()) RETURNING *',
+        [userId, name, icon || 'wrench']
+      );
+
+      return res.status(201).json({
+        message: 'Category created successfully',
+        category: result.rows[0]
+      });
+    }
+
+    // Verify the category exists and belongs to this user
+    const existingCategory = await pool.query(
+      'SELECT * FROM deuss.bookmark_categories WHERE id = $1 AND user_id = $2',
+      [id, userId]
+    );
+
+    if (existingCategory.rows.length === 0) {
+      return res.status(404).json({ error: 'Category not found or does not belong to you' });
+    }
+
+    // Update the category
+    const result = await pool.query(
+      'UPDATE deuss.bookmark_categories SET name = $1, icon = $2, updated_at = NOW() WHERE id = $3 AND user_id = $4 RETURNING *',
+      [name, icon || 'wrench', id, userId]
+    );
+
+    res.status(200).json({
+      message: 'Category updated successfully',
+      category: result.rows[0]
+    });
+  } catch (error) {
+    console.error('Error updating bookmark category:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Delete a bookmark category
+app.delete('/api/bookmarks/category/:id', apiScope('bookmarks:write'), loginRequired, async (req, res) => {
+  try {
+    const userId = req.user?.id;
+    if (!userId) {
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+
+    const categoryId = parseInt(req.params.id, 10);
+    if (isNaN(categoryId)) {
+      return res.status(400).json({ 
+        error: 'Invalid category ID',
+        details: 'Category ID must be a valid integer'
+      });
+    }
+
+    // Verify the category belongs to the user
+    const categoryCheck = await pool.query(
+      'SELECT id FROM deuss.bookmark_categories WHERE id = $1 AND user_id = $2',
+      [categoryId, userId]
+    );
+
+    if (categoryCheck.rows.length === 0) {
+      return res.status(404).json({ error: 'Category not found or does not belong to user' });
+    }
+
+    // Delete the category (and its bookmarks due to ON DELETE CASCADE)
+    await pool.query(
+      'DELETE FROM deuss.bookmark_categories WHERE id = $1 AND user_id = $2',
+      [categoryId, userId]
+    );
+
+    res.json({ message: 'Category and all its bookmarks deleted successfully' });
+
+  } catch (error) {
+    console.error('Error deleting bookmark category:', error);
+    res.status(500).json({ 
+      error: 'Failed to delete bookmark category',
+      message: error.message
+    });
+  }
+});
+
+// Account Routes
+app.post('/api/account', loginRequired, async (req, res) => {
+  try {
+    // Get user ID from either session or JWT token
+    let userId = null;
+    
+    // Try session first
+    if (req.session?.uid) {
+      userId = req.session.uid;
+    } 
+    // Then try JWT user object
+    else if (req.user?.id) {
+      userId = req.user.id;
+    }
+    
+    if (!userId) {
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+    
+    const { full_name, email, country } = req.body;
+    
+    // Validate required fields
+    if (!full_name) {
+      return res.status(400).json({ error: 'Full name is required' });
+    }
+    
+    // The address can only change through the confirmed flow in /api/account/email
+    if (email) {
+      const current = await pool.query('SELECT email FROM deuss.users WHERE id = $1', [userId]);
+      if (current.rows[0] && normalizeEmail(current.rows[0].email) !== normalizeEmail(email)) {
+        return res.status(400).json({
+          error: 'Email changes require confirmation',
+          details: 'Use POST /api/account/email to change your email address'
+        });
+      }
+    }
+    
+    // Update user profile
+    const result = await pool.query(
+      'UPDATE deuss.users SET full_name = $1, country = $2, updated_at = NOW() WHERE id = $3 RETURNING id, email, full_name, country, avatar_url, tier, is_verified',
+      [full_name, country || null, userId]
+    );
+    
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    
+    const updatedUser = result.rows[0];
+    
+    await recordAuditEvent(req, 'account.profile_updated', {
+      userId,
+      details: { fields: ['full_name', 'country'] }
+    });
+    
+    // Format response
+    res.json({
+      success: true,
+      message: 'Profile updated successfully',
+      user: {
+        id: updatedUser.id,
+        email: updatedUser.email,
+        full_name: updatedUser.full_name,
+        country: updatedUser.country,
+        avatar_url: updatedUser.avatar_url,
+        tier: updatedUser.tier || 'basic',
+        is_verified: updatedUser.is_verified || false,
+        initials: getInitials(updatedUser.full_name)
+      }
+    });
+  } catch (error) {
+    console.error('Error updating profile:', error);
+    res.status(500).json({ 
+      success: false,
+      error: 'Failed to update profile',
+      message: error.message
+    });
+  }
+});
+
+// Change the password of a logged-in user; other devices are signed out
+app.post('/api/account/password', loginRequired, async (req, res) => {
+  const userId = getUserId(req);
+  if (!userId) {
+    return res.status(401).json({ error: 'User not authenticated' });
+  }
+
+  const { currentPassword, newPassword, code, recoveryCode, reauthToken } = req.body;
+
+  if (!newPassword) {
+    return res.status(400).json({ error: 'New password is required' });
+  }
+
+  try {
+    const result = await pool.query('SELECT * FROM deuss.users WHERE id = $1', [userId]);
+    const user = result.rows[0];
+
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    // Social-login-only accounts are setting their first password
+    if (user.password) {
+      const validPassword = await bcrypt.compare(currentPassword || '', user.password);
+      if (!validPassword) {
+        await recordAuditEvent(req, 'auth.password_change_failed', { details: { reason: 'invalid_password' } });
+        return res.status(401).json({ error: 'Current password is incorrect' });
+      }
+
+      if (await bcrypt.compare(newPassword, user.password)) {
+        return res.status(400).json({ error: 'New password must be different from the current one' });
+      }
+    } else if (!user.totp_enabled && !verifyReauthToken(user, reauthToken)) {
+      // Social-login-only accounts setting their first password prove it's them with a second
+      // factor (checked below) or a fresh provider login, so a stolen session can't add one
+      await recordAuditEvent(req, 'auth.password_change_failed', { details: { reason: 'reauth_required' } });
+      return res.status(401).json({ error: 'Log in with your provider again to set a password', reauthRequired: true });
+    }
+
+    if (user.totp_enabled) {
+      const valid = await verifySecondFactor(user, { code, recoveryCode });
+      if (!valid) {
+        return res.status(401).json({ error: 'Invalid verification code', twoFactorRequired: true });
+      }
+    }
+
+    if (!(await enforcePasswordPolicy(res, newPassword, [user.email, user.full_name]))) {
+      return;
+    }
+
+    const salt = await bcrypt.genSalt(10);
+    const hashedPassword = await bcrypt.hash(newPassword, salt);
+
+    await pool.query(
+      `UPDATE deuss.users
+       SET password = $1, reset_token = NULL, reset_token_expiry = NULL, updated_at = NOW()
+       WHERE id = $2`,
+      [hashedPassword, userId]
+    );
+
+    const current = getCurrentSessionRefs(req);
+    const others = (await listUserSessions(pool, userId)).filter(entry => !isCurrentSession(entry, current));
+    for (const entry of others) {
+      await revokeUserSession(entry, 'password_changed');
+    }
+
+    await recordAuditEvent(req, 'auth.password_changed', {
+      details: { firstPassword: !user.password, sessionsRevoked: others.length }
+    });
+
+    try {
+      await queueEmail({
+        to: user.email,
+        template: 'password-changed',
+        variables: { name: user.full_name || 'there', action: user.password ? 'changed' : 'set' }
+      });
+    } catch (emailError) {
+      console.error('Error sending password changed email:', emailError);
+    }
+
+    res.json({
+      message: user.password ? 'Password changed successfully' : 'Password set successfully',
+      sessionsRevoked: others.length
+    });
+  } catch (error) {
+    console.error('Error changing password:', error);
+    res.status(500).json({ error: 'Failed to change password' });
+  }
+});
+
+// Email Change Routes
+const EMAIL_CHANGE_TOKEN_HOURS = parseInt(process.env.EMAIL_CHANGE_TOKEN_HOURS, 10) || 24;
+const EMAIL_CHANGE_CANCEL_HOURS = parseInt(process.env.EMAIL_CHANGE_CANCEL_HOURS, 10) || 72;
+
+// Function to send the confirmation link to the new address and the cancel link to the old one
+async function sendEmailChangeEmails(user, newEmail, confirmToken, cancelToken) {
+  const name = user.full_name || 'there';
+
+  await queueEmail({
+    to: newEmail,
+    template: 'email-change-confirm',
+    variables: {
+      name,
+      confirmUrl: `${process.env.FRONTEND_URL}/auth/confirm-email-change?token=${confirmToken}`,
+      expiresInHours: EMAIL_CHANGE_TOKEN_HOURS
+    }
+  });
+
+  try {
+    await queueEmail({
+      to: user.email,
+      template: 'email-change-notice',
+      variables: {
+        name,
+        newEmail,
+        cancelUrl: `${process.env.FRONTEND_URL}/auth/cancel-email-change?token=${cancelToken}`,
+        cancelWindowHours: EMAIL_CHANGE_CANCEL_HOURS
+      }
+    });
+  } catch (error) {
+    // The old address is only notified; a failure here shouldn't block the change
+    console.error('Error sending email change notice:', error);
+  }
+}
+
+app.get('/api/account/email', loginRequired, async (req, res) => {
+  const userId = getUserId(req);
+  if (!userId) {
+    return res.status(401).json({ error: 'User not authenticated' });
+  }
+
+  try {
+    const result = await pool.query(
+      `SELECT new_email, expires_at, created_at FROM deuss.email_change_requests
+       WHERE user_id = $1 AND completed_at IS NULL AND cancelled_at IS NULL AND expires_at > NOW()
+       ORDER BY created_at DESC LIMIT 1`,
+      [userId]
+    );
+
+    res.json({ pendingChange: result.rows[0] || null });
+  } catch (error) {
+    console.error('Error fetching email change:', error);
+    res.status(500).json({ error: 'Failed to fetch email change' });
+  }
+});
+
+// Start an email change; nothing changes until the new address is confirmed
+app.post('/api/account/email', loginRequired, async (req, res) => {
+  const userId = getUserId(req);
+  if (!userId) {
+    return res.status(401).json({ error: 'User not authenticated' });
+  }
+
+  const { newEmail, password, code, recoveryCode, reauthToken } = req.body;
+  const normalizedEmail = normalizeEmail(newEmail);
+
+  if (!normalizedEmail || !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(normalizedEmail)) {
+    return res.status(400).json({ error: 'A valid new email address is required' });
+  }
+
+  try {
+    const result = await pool.query('SELECT * FROM deuss.users WHERE id = $1', [userId]);
+    const user = result.rows[0];
+
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    // Email is the recovery channel, so a change needs the same proof as a password change.
+    // Social-login-only accounts have no password to confirm and use a second factor
+    // (checked below) or a fresh provider login instead
+    if (user.password) {
+      const validPassword = await bcrypt.compare(password || '', user.password);
+      if (!validPassword) {
+        return res.status(401).json({ error: 'Invalid password' });
+      }
+    } else if (!user.totp_enabled && !verifyReauthToken(user, reauthToken)) {
+      return res.status(401).json({ error: 'Log in with your provider again to change your email', reauthRequired: true });
+    }
+
+    if (user.totp_enabled) {
+      const valid = await verifySecondFactor(user, { code, recoveryCode });
+      if (!valid) {
+        return res.status(401).json({ error: 'Invalid verification code', twoFactorRequired: true });
+      }
+    }
+
+    if (normalizeEmail(user.email) === normalizedEmail) {
+      return res.status(400).json({ error: 'This is already your email address' });
+    }
+
+    const taken = await pool.query(
+      'SELECT id FROM deuss.users WHERE LOWER(email) = $1',
+      [normalizedEmail]
+    );
+    if (taken.rows.length > 0) {
+      return res.status(400).json({ error: 'Email address is already in use' });
+    }
+
+    const confirmToken = crypto.randomBytes(32).toString('hex');
+    const cancelToken = crypto.randomBytes(32).toString('hex');
+
+    // Only the latest request counts
+    await pool.query(
+      `UPDATE deuss.email_change_requests SET cancelled_at = NOW()
+       WHERE user_id = $1 AND completed_at IS NULL AND cancelled_at IS NULL`,
+      [userId]
+    );
+
+    await pool.query(
+      `INSERT INTO deuss.email_change_requests
+         (user_id, old_email, new_email, confirm_token_hash, cancel_token_hash, expires_at, cancel_until, created_at)
+       VALUES ($1, $2, $3, $4, $5,
+         NOW() + make_interval(hours => $6),
+         NOW() + make_interval(hours => $7),
+         NOW())`,
+      [userId, user.email, normalizedEmail, hashToken(confirmToken), hashToken(cancelToken),
+        EMAIL_CHANGE_TOKEN_HOURS, EMAIL_CHANGE_CANCEL_HOURS]
+    );
+
+    await sendEmailChangeEmails(user, normalizedEmail, confirmToken, cancelToken);
+
+    await recordAuditEvent(req, 'account.email_change_requested', { details: { newEmail: normalizedEmail } });
+
+    res.json({
+      message: 'Check your new email address for a confirmation link',
+      newEmail: normalizedEmail
+    });
+  } catch (error) {
+    console.error('Error requesting email change:', error);
+    res.status(500).json({ error: 'Failed to request email change' });
+  }
+});
+
+app.delete('/api/account/email', loginRequired, async (req, res) => {
+  const userId = getUserId(req);
+  if (!userId) {
+    return res.status(401).json({ error: 'User not authenticated' });
+  }
+
+  try {
+    const result = await pool.query(
+      `UPDATE deuss.email_change_requests SET cancelled_at = NOW()
+       WHERE user_id = $1 AND completed_at IS NULL AND cancelled_at IS NULL
+       RETURNING id`,
+      [userId]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'No pending email change' });
+    }
+
+    await recordAuditEvent(req, 'account.email_change_cancelled');
+
+    res.json({ message: 'Email change cancelled' });
+  } catch (error) {
+    console.error('Error cancelling email change:', error);
+    res.status(500).json({ error: 'Failed to cancel email change' });
+  }
+});
+
+// Link from the new address: swap the email and sign out everywhere
+app.post('/api/auth/confirm-email-change', async (req, res) => {
+  const { token } = req.body;
+
+  if (!token) {
+    return res.status(400).json({ error: 'Confirmation token is required' });
+  }
+
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const result = await client.query(
+      `SELECT * FROM deuss.email_change_requests
+       WHERE confirm_token_hash = $1 AND completed_at IS NULL AND cancelled_at IS NULL
+       FOR UPDATE`,
+      [hashToken(String(token))]
+    );
+    const request = result.rows[0];
+
+    if (!request || new Date(request.expires_at) < new Date()) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ error: 'Invalid or expired confirmation token' });
+    }
+
+    const taken = await client.query(
+      'SELECT id FROM deuss.users WHERE LOWER(email) = $1 AND id != $2',
+      [request.new_email, request.user_id]
+    );
+    if (taken.rows.length > 0) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ error: 'Email address is already in use' });
+    }
+
+    // Only swap if the account still has the address the request was made from
+    const updated = await client.query(
+      `UPDATE deuss.users SET email = $1, is_verified = true, updated_at = NOW()
+       WHERE id = $2 AND email = $3
+       RETURNING id`,
+      [request.new_email, request.user_id, request.old_email]
+    );
+    if (updated.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ error: 'Invalid or expired confirmation token' });
+    }
+
+    await client.query(
+      'UPDATE deuss.email_change_requests SET completed_at = NOW() WHERE id = $1',
+      [request.id]
+    );
+
+    await client.query('COMMIT');
+
+    await revokeAllUserSessions(request.user_id, 'email_changed');
+
+    await recordAuditEvent(req, 'account.email_changed', {
+      userId: request.user_id,
+      details: { oldEmail: request.old_email, newEmail: request.new_email }
+    });
+
+    res.json({ message: 'Email address changed successfully. Please log in again.' });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Error confirming email change:', error);
+    res.status(500).json({ error: 'Failed to confirm email change' });
+  } finally {
+    client.release();
+  }
+});
+
+// Link from the old address: cancel a pending change, or undo a completed one within the window
+app.post('/api/auth/cancel-email-change', async (req, res) => {
+  const { token } = req.body;
+
+  if (!token) {
+    return res.status(400).json({ error: 'Cancellation token is required' });
+  }
+
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const result = await client.query(
+      `SELECT * FROM deuss.email_change_requests
+       WHERE cancel_token_hash = $1 AND cancelled_at IS NULL
+       FOR UPDATE`,
+      [hashToken(String(token))]
+    );
+    const request = result.rows[0];
+
+    if (!request || new Date(request.cancel_until) < new Date()) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ error: 'Invalid or expired cancellation token' });
+    }
+
+    await client.query(
+      'UPDATE deuss.email_change_requests SET cancelled_at = NOW() WHERE id = $1',
+      [request.id]
+    );
+
+    if (!request.completed_at) {
+      await client.query('COMMIT');
+      await recordAuditEvent(req, 'account.email_change_cancelled', { userId: request.user_id });
+      return res.json({ message: 'Email change cancelled' });
+    }
+
+    const taken = await client.query(
+      'SELECT id FROM deuss.users WHERE LOWER(email) = LOWER($1) AND id != $2',
+      [request.old_email, request.user_id]
+    );
+    if (taken.rows.length > 0) {
+      await client.query('ROLLBACK');
+      return res.status(409).json({ error: 'The previous email address is now used by another account' });
+    }
+
+    await client.query(
+      `UPDATE deuss.users SET email = $1, updated_at = NOW()
+       WHERE id = $2 AND email = $3`,
+      [request.old_email, request.user_id, request.new_email]
+    );
+
+    await client.query('COMMIT');
+
+    // Whoever confirmed the change may still be signed in
+    await revokeAllUserSessions(request.user_id, 'email_change_reverted');
+
+    await recordAuditEvent(req, 'account.email_change_reverted', {
+      userId: request.user_id,
+      details: { restoredEmail: request.old_email, removedEmail: request.new_email }
+    });
+
+    res.json({
+      message: 'Email change reverted. Please reset your password and log in again.'
+    });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Error cancelling email change:', error);
+    res.status(500).json({ error: 'Failed to cancel email change' });
+  } finally {
+    client.release();
+  }
+});
+
+// Account Deletion Routes
+const ACCOUNT_DELETION_GRACE_DAYS = parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS, 10) || 14;
+const DELETION_CANCEL_LOGIN_TTL = 10 * 60; // seconds
+
+// Short-lived token that can only cancel a scheduled deletion
+function signDeletionCancelToken(user, expiresIn) {
+  return jwt.sign(
+    { id: user.id, purpose: 'cancel_deletion' },
+    JWT_SECRET,
+    { expiresIn }
+  );
+}
+
+// Function to confirm a deletion request, with a link that cancels it
+async function sendAccountDeletionEmail(user, scheduledAt, cancelToken) {
+  try {
+    await queueEmail({
+      to: user.email,
+      template: 'account-deletion',
+      variables: {
+        name: user.full_name || 'there',
+        scheduledAt: new Date(scheduledAt).toUTCString(),
+        cancelUrl: `${process.env.FRONTEND_URL}/auth/cancel-deletion?token=${cancelToken}`
+      }
+    });
+  } catch (error) {
+    console.error('Error sending account deletion email:', error);
+  }
+}
+
+app.post('/api/account/delete', loginRequired, async (req, res) => {
+  const userId = getUserId(req);
+  if (!userId) {
+    return res.status(401).json({ error: 'User not authenticated' });
+  }
+
+  const { password, code, recoveryCode, confirmEmail } = req.body;
+
+  try {
+    const result = await pool.query('SELECT * FROM deuss.users WHERE id = $1', [userId]);
+    const user = result.rows[0];
+
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    if (user.deletion_scheduled_at) {
+      return res.status(400).json({
+        error: 'Account is already scheduled for deletion',
+        deletionScheduledAt: user.deletion_scheduled_at
+      });
+    }
+
+    // Social-login-only accounts confirm by typing their email address instead
+    if (user.password) {
+      const validPassword = await bcrypt.compare(password || '', user.password);
+      if (!validPassword) {
+        return res.status(401).json({ error: 'Invalid password' });
+      }
+    } else if (normalizeEmail(confirmEmail) !== normalizeEmail(user.email)) {
+      return res.status(400).json({ error: 'Type your email address to confirm' });
+    }
+
+    if (user.totp_enabled) {
+      const valid = await verifySecondFactor(user, { code, recoveryCode });
+      if (!valid) {
+        return res.status(401).json({ error: 'Invalid verification code', twoFactorRequired: true });
+      }
+    }
+
+    const updated = await pool.query(
+      `UPDATE deuss.users
+       SET deletion_requested_at = NOW(),
+           deletion_scheduled_at = NOW() + make_interval(days => $1),
+           updated_at = NOW()
+       WHERE id = $2
+       RETURNING deletion_scheduled_at`,
+      [ACCOUNT_DELETION_GRACE_DAYS, userId]
+    );
+    const scheduledAt = updated.rows[0].deletion_scheduled_at;
+
+    await revokeAllUserSessions(userId, 'account_deletion');
+
+    await recordAuditEvent(req, 'account.deletion_requested', {
+      userId,
+      details: { deletionScheduledAt: scheduledAt }
+    });
+
+    const cancelSeconds = Math.max(Math.floor((new Date(scheduledAt) - Date.now()) / 1000), 1);
+    await sendAccountDeletionEmail(user, scheduledAt, signDeletionCancelToken(user, cancelSeconds));
+
+    clearAuthCookies(res);
+    if (req.session && typeof req.session.destroy === 'function') {
+      req.session.destroy(() => {});
+    }
+
+    res.json({
+      message: 'Account scheduled for deletion',
+      deletionScheduledAt: scheduledAt
+    });
+  } catch (error) {
+    console.error('Error scheduling account deletion:', error);
+    res.status(500).json({ error: 'Failed to schedule account deletion' });
+  }
+});
+
+// Accepts the token from the deletion email or from a blocked login attempt
+app.post('/api/auth/cancel-deletion', async (req, res) => {
+  const { token } = req.body;
+
+  if (!token) {
+    return res.status(400).json({ error: 'Cancellation token is required' });
+  }
+
+  let decoded;
+  try {
+    decoded = jwt.verify(token, JWT_SECRET);
+  } catch (error) {
+    return res.status(400).json({ error: 'Invalid or expired cancellation token' });
+  }
+
+  if (decoded.purpose !== 'cancel_deletion') {
+    return res.status(400).json({ error: 'Invalid or expired cancellation token' });
+  }
+
+  try {
+    const result = await pool.query(
+      `UPDATE deuss.users
+       SET deletion_requested_at = NULL, deletion_scheduled_at = NULL, updated_at = NOW()
+       WHERE id = $1 AND deletion_scheduled_at IS NOT NULL
+       RETURNING id`,
+      [decoded.id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(400).json({ error: 'No deletion is scheduled for this account' });
+    }
+
+    await recordAuditEvent(req, 'account.deletion_cancelled', { userId: decoded.id });
+
+    res.json({ message: 'Account deletion cancelled. You can log in again.' });
+  } catch (error) {
+    console.error('Error cancelling account deletion:', error);
+    res.status(500).json({ error: 'Failed to cancel account deletion' });
+  }
+});
+
+// Data Export Routes
+
+// Archives are built by the job worker (see data-export.js); one job per export
+function queueDataExport(exportId) {
+  return jobQueue.enqueue('data_export.generate', { exportId }, { uniqueKey: `data_export.generate:${exportId}` });
+}
+
+function formatExport(row) {
+  return {
+    id: row.id,
+    status: row.status,
+    fileSize: row.file_size,
+    error: row.error,
+    createdAt: row.created_at,
+    completedAt: row.completed_at,
+    expiresAt: row.expires_at,
+    downloadUrl: row.status === 'completed' ? `/api/account/export/${row.id}/download` : null
+  };
+}
+
+// Request a new export; the archive is built in the background
+app.post('/api/account/export', loginRequired, async (req, res) => {
+  const userId = getUserId(req);
+  if (!userId) {
+    return res.status(401).json({ error: 'User not authenticated' });
+  }
+
+  try {
+    const active = await pool.query(
+      `SELECT * FROM deuss.data_exports
+       WHERE user_id = $1 AND status IN ('pending', 'processing')
+       ORDER BY created_at DESC LIMIT 1`,
+      [userId]
+    );
+
+    if (active.rows.length > 0) {
+      // No-op while its job is queued; requeues an export whose job was lost
+      await queueDataExport(active.rows[0].id);
+      return res.status(202).json({
+        message: 'An export is already in progress',
+        export: formatExport(active.rows[0])
+      });
+    }
+
+    const result = await pool.query(
+      `INSERT INTO deuss.data_exports (user_id, status, created_at)
+       VALUES ($1, 'pending', NOW())
+       RETURNING *`,
+      [userId]
+    );
+    const exportRow = result.rows[0];
+
+    await recordAuditEvent(req, 'account.export_requested', { details: { exportId: exportRow.id } });
+
+    await queueDataExport(exportRow.id);
+
+    res.status(202).json({
+      message: 'Export started',
+      export: formatExport(exportRow)
+    });
+  } catch (error) {
+    console.error('Error starting data export:', error);
+    res.status(500).json({ error: 'Failed to start data export' });
+  }
+});
+
+app.get('/api/account/export', loginRequired, async (req, res) => {
+  const userId = getUserId(req);
+  if (!userId) {
+    return res.status(401).json({ error: 'User not authenticated' });
+  }
+
+  try {
+    const result = await pool.query(
+      `SELECT * FROM deuss.data_exports
+       WHERE user_id = $1 AND (expires_at IS NULL OR expires_at > NOW())
+       ORDER BY created_at DESC LIMIT 10`,
+      [userId]
+    );
+
+    res.json({ exports: result.rows.map(formatExport) });
+  } catch (error) {
+    console.error('Error fetching data exports:', error);
+    res.status(500).json({ error: 'Failed to fetch data exports' });
+  }
+});
+
+app.get('/api/account/export/:id', loginRequired, async (req, res) => {
+  const userId = getUserId(req);
+  if (!userId) {
+    return res.status(401).json({ error: 'User not authenticated' });
+  }
+
+  try {
+    const result = await pool.query(
+      'SELECT * FROM deuss.data_exports WHERE id = $1 AND user_id = $2',
+      [parseInt(req.params.id, 10) || 0, userId]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Export not found' });
+    }
+
+    res.json({ export: formatExport(result.rows[0]) });
+  } catch (error) {
+    console.error('Error fetching data export:', error);
+    res.status(500).json({ error: 'Failed to fetch data export' });
+  }
+});
+
+app.get('/api/account/export/:id/download', loginRequired, async (req, res) => {
+  const userId = getUserId(req);
+  if (!userId) {
+    return res.status(401).json({ error: 'User not authenticated' });
+  }
+
+  try {
+    const result = await pool.query(
+      `SELECT * FROM deuss.data_exports
+       WHERE id = $1 AND user_id = $2 AND status = 'completed' AND expires_at > NOW()`,
+      [parseInt(req.params.id, 10) || 0, userId]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Export not found or expired' });
+    }
+
+    const exportRow = result.rows[0];
+    res.setHeader('Cache-Control', 'no-store');
+    res.download(dataExport.exportFilePath(exportRow.id), `deuss-export-${exportRow.created_at.toISOString().substring(0, 10)}.tar.gz`, error => {
+      if (error && !res.headersSent) {
+        res.status(404).json({ error: 'Export file is no longer available' });
+      }
+    });
+  } catch (error) {
+    console.error('Error downloading data export:', error);
+    res.status(500).json({ error: 'Failed to download data export' });
+  }
+});
+
+// Remove expired archives and their rows
+async function cleanupDataExports() {
+  // Exports interrupted by a restart would otherwise block new requests forever
+  await pool.query(
+    `UPDATE deuss.data_exports SET status = 'failed', error = 'Export was interrupted', completed_at = NOW()
+     WHERE status IN ('pending', 'processing') AND created_at < NOW() - INTERVAL '1 hour'`
+  );
+
+  const expired = await pool.query(
+    `DELETE FROM deuss.data_exports
+     WHERE expires_at < NOW() OR (status = 'failed' AND created_at < NOW() - INTERVAL '1 day')
+     RETURNING id`
+  );
+
+  for (const { id } of expired.rows) {
+    await fs.promises.rm(dataExport.exportFilePath(id), { force: true });
+  }
+}
+
+setInterval(() => {
+  cleanupDataExports().catch(error => console.error('Error cleaning up data exports:', error));
+}, 60 * 60 * 1000).unref();
+
+// Account Activity Routes
+
+// Newest first, paged with ?before=<id> from the previous page's nextCursor
+app.get('/api/account/activity', loginRequired, async (req, res) => {
+  const userId = getUserId(req);
+  if (!userId) {
+    return res.status(401).json({ error: 'User not authenticated' });
+  }
+
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 100);
+  const before = parseInt(req.query.before, 10);
+
+  const params = [userId];
+  let where = 'user_id = $1';
+
+  if (!isNaN(before)) {
+    params.push(before);
+    where += ` AND id < $${params.length}`;
+  }
+
+  try {
+    const result = await pool.query(
+      `SELECT id, actor_id, event, ip_address, user_agent, details, created_at
+       FROM deuss.audit_log
+       WHERE ${where}
+       ORDER BY id DESC
+       LIMIT $${params.length + 1}`,
+      [...params, limit]
+    );
+
+    const activity = result.rows.map(row => ({
+      id: row.id,
+      event: row.event,
+      ip: row.ip_address,
+      device: describeUserAgent(row.user_agent),
+      details: row.details,
+      byAdmin: row.actor_id !== null && row.actor_id !== userId,
+      created_at: row.created_at
+    }));
+
+    res.json({
+      activity,
+      nextCursor: activity.length === limit ? activity[activity.length - 1].id : null
+    });
+  } catch (error) {
+    console.error('Error fetching account activity:', error);
+    res.status(500).json({ error: 'Failed to fetch account activity' });
+  }
+});
+
+// Active Sessions Routes
+
+// Destroy an express-session row and any token family tied to it
+async function revokeUserSession(entry, reason) {
+  if (entry.sid) {
+    await pool.query('DELETE FROM deuss.session WHERE sid = $1', [entry.sid]);
+  }
+  await revokeTokenFamily(entry.tokenFamily, reason);
+}
+
+// Sign a user out everywhere: sessions, refresh token families, personal API tokens and
+// realtime connections
+async function revokeAllUserSessions(userId, reason) {
+  await pool.query(
+    `DELETE FROM deuss.session WHERE sess->>'uid' = $1`,
+    [String(userId)]
+  );
+
+  const families = await pool.query(
+    `SELECT DISTINCT family_id FROM deuss.refresh_tokens
+     WHERE user_id = $1 AND revoked_at IS NULL`,
+    [userId]
+  );
+  for (const { family_id } of families.rows) {
+    await revokeTokenFamily(family_id, reason);
+  }
+
+  await pool.query(
+    'UPDATE deuss.api_tokens SET revoked_at = NOW() WHERE user_id = $1 AND revoked_at IS NULL',
+    [userId]
+  );
+
+  // Open realtime connections outlive the credentials they were opened with
+  for (const [key, entry] of realtimeTickets) {
+    if (String(entry.userId) === String(userId)) realtimeTickets.delete(key);
+  }
+  await realtime.disconnectUser(userId);
+}
+
+// Which session/token family is making the current request
+function getCurrentSessionRefs(req) {
+  return {
+    sid: req.session?.uid ? req.sessionID : null,
+    tokenFamily: req.session?.tokenFamily || req.user?.fid || null
+  };
+}
+
+function isCurrentSession(entry, current) {
+  return (entry.sid && entry.sid === current.sid) ||
+    (entry.tokenFamily && entry.tokenFamily === current.tokenFamily);
+}
+
+app.get('/api/account/sessions', loginRequired, async (req, res) => {
+  const userId = getUserId(req);
+  if (!userId) {
+    return res.status(401).json({ error: 'User not authenticated' });
+  }
+
+  try {
+    const current = getCurrentSessionRefs(req);
+    const entries = await listUserSessions(pool, userId);
+
+    const sessions = entries
+      .map(({ sid, tokenFamily, ...entry }) => ({
+        ...entry,
+        current: isCurrentSession({ sid, tokenFamily }, current)
+      }))
+      .sort((a, b) => new Date(b.last_seen || 0) - new Date(a.last_seen || 0));
+
+    res.json({ sessions });
+  } catch (error) {
+    console.error('Error fetching sessions:', error);
+    res.status(500).json({ error: 'Failed to fetch sessions' });
+  }
+});
+
+app.delete('/api/account/sessions/:id', loginRequired, async (req, res) => {
+  const userId = getUserId(req);
+  if (!userId) {
+    return res.status(401).json({ error: 'User not authenticated' });
+  }
+
+  try {
+    const entries = await listUserSessions(pool, userId);
+    const entry = entries.find(item => item.id === req.params.id);
+
+    if (!entry) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    await revokeUserSession(entry, 'session_revoked');
+
+    await recordAuditEvent(req, 'account.session_revoked', {
+      userId,
+      details: { session: entry.id, device: entry.device, ip: entry.ip }
+    });
+
+    const current = isCurrentSession(entry, getCurrentSessionRefs(req));
+    if (current) {
+      clearAuthCookies(res);
+    }
+
+    res.json({
+      message: 'Session revoked successfully',
+      current
+    });
+  } catch (error) {
+    console.error('Error revoking session:', error);
+    res.status(500).json({ error: 'Failed to revoke session' });
+  }
+});
+
+// Sign out everywhere except the device making this request
+app.post('/api/account/sessions/revoke-others', loginRequired, async (req, res) => {
+  const userId = getUserId(req);
+  if (!userId) {
+    return res.status(401).json({ error: 'User not authenticated' });
+  }
+
+  try {
+    const current = getCurrentSessionRefs(req);
+    const entries = await listUserSessions(pool, userId);
+    const others = entries.filter(entry => !isCurrentSession(entry, current));
+
+    for (const entry of others) {
+      await revokeUserSession(entry, 'signed_out_elsewhere');
+    }
+
+    await recordAuditEvent(req, 'account.sessions_revoked', { details: { count: others.length } });
+
+    res.json({
+      message: 'Signed out of all other sessions',
+      revoked: others.length
+    });
+  } catch (error) {
+    console.error('Error revoking other sessions:', error);
+    res.status(500).json({ error: 'Failed to revoke other sessions' });
+  }
+});
+
+// Usage against the current plan's limits
+app.get('/api/account/usage', loginRequired, async (req, res) => {
+  const userId = getUserId(req);
+  if (!userId) {
+    return res.status(401).json({ error: 'User not authenticated' });
+  }
+
+  try {
+    const tier = await getUserTier(userId);
+    const limits = tiers.getTierLimits(tier);
+
+    const usage = {};
+    for (const quota of Object.keys(QUOTA_USAGE_QUERIES)) {
+      const used = await getQuotaUsage(userId, quota);
+      usage[quota] = {
+        used,
+        limit: limits[quota],
+        remaining: limits[quota] === null ? null : Math.max(limits[quota] - used, 0)
+      };
+    }
+
+    const largestNote = await pool.query(
+      `SELECT COALESCE(MAX(octet_length(content) + octet_length(COALESCE(title, ''))), 0) AS size
+       FROM deuss.notes WHERE user_id = $1`,
+      [userId]
+    );
+    usage.noteSizeBytes = {
+      largest: parseInt(largestNote.rows[0].size, 10),
+      limit: limits.noteSizeBytes
+    };
+
+    usage.historyRetentionDays = { limit: limits.historyRetentionDays };
+
+    const attachmentBytes = await getAttachmentStorageUsage(userId);
+    usage.attachmentStorageBytes = {
+      used: attachmentBytes,
+      limit: limits.attachmentStorageBytes,
+      remaining: limits.attachmentStorageBytes === null
+        ? null
+        : Math.max(limits.attachmentStorageBytes - attachmentBytes, 0)
+    };
+    usage.attachmentSizeBytes = { limit: limits.attachmentSizeBytes };
+
+    res.json({ tier, usage });
+  } catch (error) {
+    console.error('Error fetching usage:', error);
+    res.status(500).json({ error: 'Failed to fetch usage' });
+  }
+});
+
+// Personal API Token Routes
+const API_TOKEN_MAX_EXPIRY_DAYS = 365;
+
+app.get('/api/account/tokens', loginRequired, async (req, res) => {
+  const userId = getUserId(req);
+  if (!userId) {
+    return res.status(401).json({ error: 'User not authenticated' });
+  }
+
+  try {
+    const result = await pool.query(
+      `SELECT id, name, token_prefix, scopes, expires_at, last_used_at, last_used_ip, created_at
+       FROM deuss.api_tokens
+       WHERE user_id = $1 AND revoked_at IS NULL
+       ORDER BY created_at DESC`,
+      [userId]
+    );
+
+    res.json({
+      tokens: result.rows.map(token => ({
+        ...token,
+        expired: token.expires_at ? new Date(token.expires_at) < new Date() : false
+      })),
+      availableScopes: API_TOKEN_SCOPES
+    });
+  } catch (error) {
+    console.error('Error fetching API tokens:', error);
+    res.status(500).json({ error: 'Failed to fetch API tokens' });
+  }
+});
+
+app.post('/api/account/tokens', loginRequired, async (req, res) => {
+  const userId = getUserId(req);
+  if (!userId) {
+    return res.status(401).json({ error: 'User not authenticated' });
+  }
+
+  const { name, scopes, expiresInDays } = req.body;
+
+  if (!name || !String(name).trim()) {
+    return res.status(400).json({ error: 'Token name is required' });
+  }
+
+  if (!Array.isArray(scopes) || scopes.length === 0) {
+    return res.status(400).json({ error: 'At least one scope is required', availableScopes: API_TOKEN_SCOPES });
+  }
+
+  const invalidScopes = scopes.filter(scope => !API_TOKEN_SCOPES.includes(scope));
+  if (invalidScopes.length > 0) {
+    return res.status(400).json({
+      error: 'Invalid scopes',
+      invalidScopes,
+      availableScopes: API_TOKEN_SCOPES
+    });
+  }
+
+  let expiresAt = null;
+  if (expiresInDays !== undefined && expiresInDays !== null) {
+    const days = parseInt(expiresInDays, 10);
+    if (isNaN(days) || days < 1 || days > API_TOKEN_MAX_EXPIRY_DAYS) {
+      return res.status(400).json({
+        error: 'Invalid expiry',
+        details: `expiresInDays must be between 1 and ${API_TOKEN_MAX_EXPIRY_DAYS}`
+      });
+    }
+    expiresAt = new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+  }
+
+  try {
+    const quotaError = await checkQuota(userId, 'apiTokens');
+    if (quotaError) {
+      return res.status(quotaError.status).json(quotaError.error);
+    }
+
+    const token = `${API_TOKEN_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+
+    const result = await pool.query(
+      `INSERT INTO deuss.api_tokens (user_id, name, token_prefix, token_hash, scopes, expires_at, created_at)
+       VALUES ($1, $2, $3, $4, $5, $6, NOW())
+       RETURNING id, name, token_prefix, scopes, expires_at, created_at`,
+      [userId, String(name).trim().substring(0, 100), token.substring(0, 12), hashToken(token), [...new Set(scopes)], expiresAt]
+    );
+
+    await recordAuditEvent(req, 'account.api_token_created', {
+      details: { tokenId: result.rows[0].id, name: result.rows[0].name, scopes: result.rows[0].scopes }
+    });
+
+    res.status(201).json({
+      message: 'API token created successfully',
+      token, // Shown once - only the hash is stored
+      apiToken: result.rows[0]
+    });
+  } catch (error) {
+    console.error('Error creating API token:', error);
+    res.status(500).json({ error: 'Failed to create API token' });
+  }
+});
+
+app.delete('/api/account/tokens/:id', loginRequired, async (req, res) => {
+  const userId = getUserId(req);
+  if (!userId) {
+    return res.status(401).json({ error: 'User not authenticated' });
+  }
+
+  const tokenId = parseInt(req.params.id, 10);
+  if (isNaN(tokenId)) {
+    return res.status(400).json({
+      error: 'Invalid token ID',
+      details: 'Token ID must be a valid integer'
+    });
+  }
+
+  try {
+    const result = await pool.query(
+      `UPDATE deuss.api_tokens SET revoked_at = NOW()
+       WHERE id = $1 AND user_id = $2 AND revoked_at IS NULL
+       RETURNING id`,
+      [tokenId, userId]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'API token not found' });
+    }
+
+    await recordAuditEvent(req, 'account.api_token_revoked', { details: { tokenId } });
+
+    res.json({ message: 'API token revoked successfully' });
+  } catch (error) {
+    console.error('Error revoking API token:', error);
+    res.status(500).json({ error: 'Failed to revoke API token' });
+  }
+});
+
+app.get('/api/auth/session', async (req, res) => {
+  // Check if JWT token is in the Authorization header as fallback
+  let userId = null;
+  let tokenUser = null;
+  let presentedToken = null;
+  
+  const authHeader = req.headers.authorization;
+  if (authHeader && authHeader.startsWith('Bearer ')) {
+    try {
+      const token = authHeader.substring(7);
+      tokenUser = await verifyAccessToken(token);
+      if (tokenUser && tokenUser.id) {
+        userId = tokenUser.id;
+        presentedToken = token;
+      }
+    } catch (error) {
+      console.error('Invalid JWT token in authorization header:', error);
+      console.error('Error details:', {
+        name: error.name,
+        message: error.message,
+        stack: error.stack
+      });
+      // Continue to check session anyway
+    }
+  }
+  
+  // Then check if there's a session. Stand-in sessions (store unavailable) only carry the
+  // bearer token's user, and sessions not started by a login may predate that rule
+  let isSessionValid = false;
+  if (req.session && req.session.uid && req.session.createdByLogin && !req.session._isTemporary) {
+    userId = userId || req.session.uid;
+    isSessionValid = true;
+  }
+  
+  // If we don't have a user ID from either source, return not authenticated
+  if (!userId) {
+    return res.status(401).json({ 
+      isValid: false, 
+      error: 'No valid authentication found',
+      sessionExists: !!req.session
+    });
+  }
+
+  try {
+    // Only fetch essential user data
+    const result = await pool.query(
+      'SELECT id, email, full_name, avatar_url, tier, role, is_verified, disabled_at FROM deuss.users WHERE id = $1',
+      [userId]
+    );
+
+    if (result.rows.length === 0 || result.rows[0].disabled_at) {
+      // Check if session exists before destroying it
+      if (req.session && typeof req.session.destroy === 'function') {
+        req.session.destroy();
+      }
+      return res.status(result.rows.length === 0 ? 404 : 403).json({ 
+        isValid: false,
+        error: result.rows.length === 0 ? 'User not found in database' : 'This account has been disabled'
+      });
+    }
+
+    const user = result.rows[0];
+    
+    // Only a server-side session may mint a fresh access token here; bearer-only
+    // callers must go through /api/auth/refresh so a leaked token cannot extend itself
+    let newToken = presentedToken;
+    if (isSessionValid) {
+      const access = signAccessToken(user, req.session.tokenFamily);
+      newToken = access.token;
+      res.setHeader('Set-Cookie', [
+        buildAuthCookie('jwt', access.token, Math.floor((access.expiresAt - Date.now()) / 1000))
+      ]);
+    }
+    
     // Extend session if it exists and has touch method
     if (req.session) {
       if (typeof req.session.touch === 'function') {
         req.session.touch();
       }
-      
-      // Ensure user ID is in session
-      if (!isSessionValid && !req.session.uid) {
-        req.session.uid = userId;
-        if (typeof req.session.save === 'function') {
-          req.session.save();
-        }
+
+      if (isSessionValid) {
+        recordSessionDevice(req);
+      }
+    }
+    
+    res.json({
+      isValid: true,
+      sessionValid: isSessionValid,
+      sessionID: req.sessionID || null,
+      token: newToken,
+      user: {
+        id: user.id,
+        email: user.email,
+        full_name: user.full_name,
+        avatar_url: user.avatar_url,
+        tier: user.tier || 'basic',
+        role: user.role || 'user',
+        is_verified: user.is_verified || false,
+        initials: getInitials(user.full_name)
+      }
+    });
+  } catch (error) {
+    console.error('Session check error:', error);
+    res.status(500).json({ isValid: false });
+  }
+});
+
+app.post('/api/auth/forgot-password', authRateLimit('FORGOT_PASSWORD', { accountKey: req => normalizeEmail(req.body?.email) }), async (req, res) => {
+  const { email } = req.body;
+
+  if (!email) {
+    return res.status(400).json({ error: 'Email is required' });
+  }
+
+  try {
+    const result = await pool.query(
+      'SELECT id FROM deuss.users WHERE email = $1',
+      [email]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    // Generate reset token
+    const resetToken = crypto.randomBytes(32).toString('hex');
+    const resetTokenExpiry = new Date(Date.now() + 3600000); // 1 hour
+
+    await pool.query(
+      'UPDATE deuss.users SET reset_token = $1, reset_token_expiry = $2 WHERE id = $3',
+      [resetToken, resetTokenExpiry, result.rows[0].id]
+    );
+
+    // Send reset password email
+    const resetUrl = `${process.env.FRONTEND_URL}/auth/reset-password?token=${resetToken}`;
+    
+    try {
+      await queueEmail({
+        to: email,
+        template: 'reset-password',
+        variables: { resetUrl }
+      });
+
+      await recordAuditEvent(req, 'auth.password_reset_requested', { userId: result.rows[0].id });
+
+      res.json({
+        message: 'Password reset instructions sent to your email'
+      });
+    } catch (emailError) {
+      console.error('Error sending reset password email:', emailError);
+      res.status(500).json({ error: 'Failed to send reset password email' });
+    }
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({ error: 'Failed to process forgot password request' });
+  }
+});
+
+// Add new endpoint for resetting password
+app.post('/api/auth/reset-password', authRateLimit('RESET_PASSWORD'), async (req, res) => {
+  const { token, newPassword } = req.body;
+
+  if (!token || !newPassword) {
+    return res.status(400).json({ error: 'Token and new password are required' });
+  }
+
+  try {
+    // Find user with valid reset token
+    const result = await pool.query(
+      `SELECT id, email, full_name, reset_token_expiry 
+       FROM deuss.users 
+       WHERE reset_token = $1 AND reset_token_expiry > NOW()`,
+      [token]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(400).json({ error: 'Invalid or expired reset token' });
+    }
+
+    const user = result.rows[0];
+
+    if (!(await enforcePasswordPolicy(res, newPassword, [user.email, user.full_name]))) {
+      return;
+    }
+
+    // Hash new password
+    const salt = await bcrypt.genSalt(10);
+    const hashedPassword = await bcrypt.hash(newPassword, salt);
+
+    // Update password and clear reset token
+    await pool.query(
+      `UPDATE deuss.users 
+       SET password = $1, 
+           reset_token = NULL, 
+           reset_token_expiry = NULL,
+           updated_at = NOW()
+       WHERE id = $2`,
+      [hashedPassword, user.id]
+    );
+
+    // Whoever had the old password may still be signed in; a reset takes the account back
+    await revokeAllUserSessions(user.id, 'password_reset');
+
+    await recordAuditEvent(req, 'auth.password_reset', { userId: user.id });
+
+    // Send confirmation email
+    try {
+      await queueEmail({
+        to: user.email,
+        template: 'password-changed',
+        variables: { name: user.full_name || 'there', action: 'reset' }
+      });
+    } catch (emailError) {
+      console.error('Error sending password reset confirmation email:', emailError);
+      // Don't fail the request if email fails
+    }
+
+    res.json({ message: 'Password has been reset successfully' });
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({ error: 'Failed to reset password' });
+  }
+});
+
+// Notes Routes
+
+// Note reads return the stored Markdown; ?format=html adds each note's sanitized HTML
+// (see markdown.js), rendered once per save and cached
+const NOTE_FORMATS = ['markdown', 'html'];
+
+function parseNoteFormat(query) {
+  const format = query.format === undefined ? 'markdown' : query.format;
+  return NOTE_FORMATS.includes(format) ? format : null;
+}
+
+async function withRenderedHtml(notes, format) {
+  if (format !== 'html') {
+    return notes;
+  }
+  const html = await markdown.renderNotes(pool, notes);
+  return notes.map((note, index) => ({ ...note, html: html[index] }));
+}
+
+app.get('/api/notes', apiScope('notes:read'), async (req, res) => {
+  // Handle both session auth and JWT auth
+  let userId;
+  
+  // Get userId from session if available
+  if (req.session?.uid) {
+    userId = req.session.uid;
+  }
+  // If not in session, try from JWT token
+  else if (req.user?.id) {
+    userId = req.user.id;
+  }
+  // Check Authorization header directly as a last resort
+  else {
+    const authHeader = req.headers.authorization;
+    if (authHeader && isApiToken(authHeader.substring(7))) {
+      const resolved = await resolveApiToken(req, authHeader.substring(7));
+      if (resolved.error) {
+        return res.status(resolved.status).json({ ...resolved.error, notes: [] });
+      }
+      userId = resolved.user.id;
+    } else if (authHeader && authHeader.startsWith('Bearer ')) {
+      try {
+        const token = authHeader.substring(7);
+        const decoded = await verifyAccessToken(token);
+        if (decoded && decoded.id) {
+          userId = decoded.id;
+        }
+      } catch (error) {
+        console.error('JWT verification failed in notes route:', error);
+      }
+    }
+  }
+  
+  // If we still don't have a userId, user is not authenticated
+  if (!userId) {
+    return res.status(401).json({ 
+      error: 'User not authenticated',
+      notes: [] // Return empty array instead of error for more graceful frontend handling
+    });
+  }
+  
+  const parsed = noteSearch.parseSearchParams(req.query);
+  if (parsed.error) {
+    return res.status(parsed.status).json(parsed.error);
+  }
+  
+  const format = parseNoteFormat(req.query);
+  if (!format) {
+    return res.status(400).json({ error: `format must be one of: ${NOTE_FORMATS.join(', ')}`, notes: [] });
+  }
+  
+  try {
+    const result = await noteSearch.searchNotes(pool, userId, parsed.search);
+    const notes = await withRenderedHtml(result.notes, format);
+    
+    res.json(parsed.search.paginate ? { notes, nextCursor: result.nextCursor } : { notes });
+  } catch (error) {
+    console.error('Error fetching notes:', error);
+    // Return empty array instead of error for more resilient frontend behavior
+    res.status(500).json({ 
+      error: 'Failed to fetch notes',
+      notes: []
+    });
+  }
+});
+
+// Notes other users shared with the caller, with the same filters and paging as GET /api/notes
+app.get('/api/notes/shared', apiScope('notes:read'), loginRequired, async (req, res) => {
+  const userId = getUserId(req);
+  if (!userId) {
+    return res.status(401).json({ error: 'User not authenticated', notes: [] });
+  }
+
+  const parsed = noteSearch.parseSearchParams(req.query);
+  if (parsed.error) {
+    return res.status(parsed.status).json(parsed.error);
+  }
+  if (parsed.search.notebook) {
+    return res.status(400).json({ error: 'Shared notes cannot be filtered by notebook', notes: [] });
+  }
+
+  const format = parseNoteFormat(req.query);
+  if (!format) {
+    return res.status(400).json({ error: `format must be one of: ${NOTE_FORMATS.join(', ')}`, notes: [] });
+  }
+
+  try {
+    const result = await noteSearch.searchNotes(pool, userId, parsed.search, { shared: true });
+    const notes = await withRenderedHtml(result.notes, format);
+
+    res.json(parsed.search.paginate ? { notes, nextCursor: result.nextCursor } : { notes });
+  } catch (error) {
+    console.error('Error fetching shared notes:', error);
+    res.status(500).json({ error: 'Failed to fetch shared notes', notes: [] });
+  }
+});
+
+// Render unsaved content the same way as ?format=html, for editor previews. Nothing is cached.
+app.post('/api/notes/preview', apiScope('notes:read'), loginRequired, async (req, res) => {
+  const userId = getUserId(req);
+  if (!userId) {
+    return res.status(401).json({ error: 'User not authenticated' });
+  }
+
+  const { content } = req.body;
+  if (content !== undefined && content !== null && typeof content !== 'string') {
+    return res.status(400).json({ error: 'content must be a string' });
+  }
+
+  try {
+    const sizeError = await checkNoteSize(userId, content);
+    if (sizeError) {
+      return res.status(sizeError.status).json(sizeError.error);
+    }
+
+    res.json({ html: markdown.renderMarkdown(content) });
+  } catch (error) {
+    console.error('Error rendering note preview:', error);
+    res.status(500).json({ error: 'Failed to render preview' });
+  }
+});
+
+// Updates can send the version they were based on; when the note was saved since then the
+// update is refused with 409 and the current note, instead of overwriting the other change.
+// Notes with collaborators require it.
+app.post('/api/notes', apiScope('notes:write'), loginRequired, async (req, res) => {
+  // Get user ID from either session or JWT token
+  let userId = null;
+  
+  // Try session first
+  if (req.session?.uid) {
+    userId = req.session.uid;
+  } 
+  // Then try JWT user object
+  else if (req.user?.id) {
+    userId = req.user.id;
+  }
+  
+  if (!userId) {
+    return res.status(401).json({ error: 'User not authenticated' });
+  }
+  
+  const { content, id, title, tags, notebookId, version } = req.body;
+  
+  if (content === undefined) {
+    return res.status(400).json({ error: 'Note content is required' });
+  }
+  
+  if (version !== undefined && version !== null && !(Number.isInteger(version) && version > 0)) {
+    return res.status(400).json({ error: 'version must be a positive integer' });
+  }
+  
+  try {
+    if (id) {
+      const existing = await findAccessibleNote(id, userId);
+      if (!existing) {
+        return res.status(404).json({ error: 'Note not found' });
+      }
+      if (existing.role === 'viewer') {
+        return res.status(403).json({ error: 'You can only view this note' });
+      }
+      if (existing.role !== 'owner' && notebookId !== undefined && notebookId !== null) {
+        return res.status(403).json({ error: 'Only the owner can move this note' });
+      }
+      if ((version === undefined || version === null) && existing.collaborator_count > 0) {
+        return res.status(428).json({ error: 'version is required when saving a shared note', version: existing.version });
+      }
+      
+      // Shared notes count against the owner's plan
+      const sizeError = await checkNoteSize(existing.user_id, content, title);
+      if (sizeError) {
+        return res.status(sizeError.status).json(sizeError.error);
+      }
+      
+      // Without a notebook, updates keep theirs
+      if (notebookId !== undefined && notebookId !== null && !(await findOwnedNotebook(notebookId, userId))) {
+        return res.status(404).json({ error: 'Notebook not found' });
+      }
+      
+      // Live edits are saved first, so a client working from an older version gets a conflict
+      await realtime.flush(existing.id);
+      
+      // Update existing note
+      const { note, revision } = await saveNote(
+        `UPDATE deuss.notes SET content = $1, title = $2, updated_at = NOW(), tags = $3, notebook_id = COALESCE($6, notebook_id),
+           version = version + 1
+         WHERE id = $4 AND user_id = $5 AND ($7::INTEGER IS NULL OR version = $7::INTEGER)
+         RETURNING id, notebook_id, title, content, tags, version`,
+        [content, title || '', tags || [], id, existing.user_id, notebookId ?? null, version ?? null],
+        userId
+      );
+      
+      if (!note) {
+        const current = await findAccessibleNote(id, userId);
+        if (!current) {
+          return res.status(404).json({ error: 'Note not found' });
+        }
+        return res.status(409).json({
+          error: 'This note was changed since your version. Merge your changes into the current note and save again.',
+          version: current.version,
+          note: {
+            id: current.id,
+            title: current.title,
+            content: current.content,
+            tags: current.tags,
+            version: current.version,
+            updated_at: current.updated_at
+          }
+        });
+      }
+      
+      await realtime.applySavedNote(note);
+      
+      res.json({ 
+        message: 'Note updated successfully',
+        noteId: note.id,
+        notebookId: note.notebook_id,
+        version: note.version,
+        revision
+      });
+    } else {
+      const sizeError = await checkNoteSize(userId, content, title);
+      if (sizeError) {
+        return res.status(sizeError.status).json(sizeError.error);
+      }
+      
+      // Without a notebook, new notes go to the default one
+      if (notebookId !== undefined && notebookId !== null && !(await findOwnedNotebook(notebookId, userId))) {
+        return res.status(404).json({ error: 'Notebook not found' });
+      }
+      
+      const quotaError = await checkQuota(userId, 'notes');
+      if (quotaError) {
+        return res.status(quotaError.status).json(quotaError.error);
+      }
+      
+      // Create new note
+      const { note, revision } = await saveNote(
+        `INSERT INTO deuss.notes (user_id, notebook_id, content, title, tags, created_at, updated_at)
+         VALUES ($1, $2, $3, $4, $5, NOW(), NOW())
+         RETURNING id, notebook_id, title, content, tags, version`,
+        [userId, notebookId ?? null, content, title || '', tags || []],
+        userId
+      );
+      
+      res.json({ 
+        message: 'Note created successfully',
+        noteId: note.id,
+        notebookId: note.notebook_id,
+        version: note.version,
+        revision
+      });
+    }
+  } catch (error) {
+    console.error('Error saving note:', error);
+    res.status(500).json({ error: 'Failed to save note' });
+  }
+});
+
+// Note Revision Routes
+
+// Run an INSERT/UPDATE ... RETURNING id, title, content, tags on deuss.notes and record the
+// result as a revision in the same transaction. Resolves to { note, revision }; both are
+// undefined when the statement matched no note.
+async function saveNote(sql, params, authorId) {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const result = await client.query(sql, params);
+    const note = result.rows[0];
+    const revision = note ? await noteRevisions.recordRevision(client, note, authorId) : undefined;
+
+    await client.query('COMMIT');
+    return { note, revision };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+// Revisions older than the owner's plan allows are hidden even before the prune job removes
+// them; the latest revision is always visible
+async function getRevisionRetentionDays(userId) {
+  return tiers.getTierLimits(await getUserTier(userId)).historyRetentionDays;
+}
+
+const VISIBLE_REVISION_CONDITION = `(
+  $2::INTEGER IS NULL
+  OR r.created_at >= NOW() - make_interval(days => $2::INTEGER)
+  OR r.revision = (SELECT MAX(revision) FROM deuss.note_revisions latest WHERE latest.note_id = r.note_id)
+)`;
+
+// Note ids must be integers in PostgreSQL's INTEGER range; anything else makes the query throw
+function isNoteId(value) {
+  const id = Number(value);
+  return Number.isInteger(id) && id > 0 && id <= 2147483647;
+}
+
+// For /api/notes/:id routes: a malformed id is a bad request rather than a server error
+function requireNoteId(req, res, next) {
+  if (!isNoteId(req.params.id)) {
+    return res.status(400).json({ error: 'Invalid note ID' });
+  }
+  next();
+}
+
+async function findOwnedNote(noteId, userId) {
+  if (!isNoteId(noteId)) {
+    return null;
+  }
+
+  const result = await pool.query(
+    'SELECT id, title, content, tags, updated_at FROM deuss.notes WHERE id = $1 AND user_id = $2',
+    [Number(noteId), userId]
+  );
+  return result.rows[0] || null;
+}
+
+// A note the user owns or was given access to, with their role: owner, editor or viewer
+async function findAccessibleNote(noteId, userId) {
+  if (!isNoteId(noteId)) {
+    return null;
+  }
+
+  const result = await pool.query(
+    `SELECT n.id, n.user_id, n.title, n.content, n.tags, n.version, n.updated_at,
+            CASE WHEN n.user_id = $2 THEN 'owner' ELSE c.role END AS role,
+            (SELECT COUNT(*)::INTEGER FROM deuss.note_collaborators all_c
+             WHERE all_c.note_id = n.id AND all_c.user_id IS NOT NULL) AS collaborator_count
+     FROM deuss.notes n
+     LEFT JOIN deuss.note_collaborators c ON c.note_id = n.id AND c.user_id = $2
+     WHERE n.id = $1 AND (n.user_id = $2 OR c.id IS NOT NULL)`,
+    [Number(noteId), userId]
+  );
+  return result.rows[0] || null;
+}
+
+async function findRevision(noteId, revision, retentionDays) {
+  const result = await pool.query(
+    `SELECT r.revision, r.title, r.content, r.tags, r.author_id, r.created_at
+     FROM deuss.note_revisions r
+     WHERE r.note_id = $1 AND r.revision = $3 AND ${VISIBLE_REVISION_CONDITION}`,
+    [noteId, retentionDays, revision]
+  );
+  return result.rows[0] || null;
+}
+
+function parseRevisionNumber(value) {
+  const revision = Number(value);
+  return Number.isInteger(revision) && revision > 0 ? revision : null;
+}
+
+app.get('/api/notes/:id/revisions', apiScope('notes:read'), loginRequired, requireNoteId, async (req, res) => {
+  const userId = getUserId(req);
+  if (!userId) {
+    return res.status(401).json({ error: 'User not authenticated' });
+  }
+
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+  const before = req.query.before !== undefined ? parseRevisionNumber(req.query.before) : null;
+  if (req.query.before !== undefined && !before) {
+    return res.status(400).json({ error: 'before must be a revision number' });
+  }
+
+  try {
+    const note = await findOwnedNote(req.params.id, userId);
+    if (!note) {
+      return res.status(404).json({ error: 'Note not found' });
+    }
+
+    const retentionDays = await getRevisionRetentionDays(userId);
+    const result = await pool.query(
+      `SELECT r.revision, r.title, r.tags, r.author_id, r.created_at,
+              octet_length(r.content) AS content_bytes
+       FROM deuss.note_revisions r
+       WHERE r.note_id = $1 AND ${VISIBLE_REVISION_CONDITION}
+         AND ($3::INTEGER IS NULL OR r.revision < $3::INTEGER)
+       ORDER BY r.revision DESC
+       LIMIT $4`,
+      [note.id, retentionDays, before, limit + 1]
+    );
+
+    const hasMore = result.rows.length > limit;
+    const revisions = result.rows.slice(0, limit);
+
+    res.json({
+      revisions,
+      retentionDays,
+      nextBefore: hasMore ? revisions[revisions.length - 1].revision : null
+    });
+  } catch (error) {
+    console.error('Error fetching note revisions:', error);
+    res.status(500).json({ error: 'Failed to fetch note revisions' });
+  }
+});
+
+// Line diff between two revisions; "to" defaults to the latest one
+app.get('/api/notes/:id/diff', apiScope('notes:read'), loginRequired, requireNoteId, async (req, res) => {
+  const userId = getUserId(req);
+  if (!userId) {
+    return res.status(401).json({ error: 'User not authenticated' });
+  }
+
+  const from = parseRevisionNumber(req.query.from);
+  const to = req.query.to !== undefined ? parseRevisionNumber(req.query.to) : null;
+  if (!from || (req.query.to !== undefined && !to)) {
+    return res.status(400).json({ error: 'from (and optionally to) must be revision numbers' });
+  }
+
+  try {
+    const note = await findOwnedNote(req.params.id, userId);
+    if (!note) {
+      return res.status(404).json({ error: 'Note not found' });
+    }
+
+    const retentionDays = await getRevisionRetentionDays(userId);
+    let toRevision = to;
+    if (!toRevision) {
+      const latest = await pool.query(
+        'SELECT MAX(revision) AS revision FROM deuss.note_revisions WHERE note_id = $1',
+        [note.id]
+      );
+      toRevision = latest.rows[0].revision;
+    }
+
+    const [older, newer] = await Promise.all([
+      findRevision(note.id, from, retentionDays),
+      toRevision ? findRevision(note.id, toRevision, retentionDays) : null
+    ]);
+    if (!older || !newer) {
+      return res.status(404).json({ error: 'Revision not found' });
+    }
+
+    const diff = noteRevisions.diffLines(older.content, newer.content, {
+      fromLabel: `revision ${older.revision}`,
+      toLabel: `revision ${newer.revision}`
+    });
+
+    res.json({
+      from: older.revision,
+      to: newer.revision,
+      titleChanged: (older.title || '') !== (newer.title || ''),
+      tags: {
+        added: (newer.tags || []).filter(tag => !(older.tags || []).includes(tag)),
+        removed: (older.tags || []).filter(tag => !(newer.tags || []).includes(tag))
+      },
+      ...diff
+    });
+  } catch (error) {
+    console.error('Error diffing note revisions:', error);
+    res.status(500).json({ error: 'Failed to diff note revisions' });
+  }
+});
+
+app.get('/api/notes/:id/revisions/:revision', apiScope('notes:read'), loginRequired, requireNoteId, async (req, res) => {
+  const userId = getUserId(req);
+  if (!userId) {
+    return res.status(401).json({ error: 'User not authenticated' });
+  }
+
+  const revisionNumber = parseRevisionNumber(req.params.revision);
+  if (!revisionNumber) {
+    return res.status(400).json({ error: 'Invalid revision number' });
+  }
+
+  const format = parseNoteFormat(req.query);
+  if (!format) {
+    return res.status(400).json({ error: `format must be one of: ${NOTE_FORMATS.join(', ')}` });
+  }
+
+  try {
+    const note = await findOwnedNote(req.params.id, userId);
+    if (!note) {
+      return res.status(404).json({ error: 'Note not found' });
+    }
+
+    const revision = await findRevision(note.id, revisionNumber, await getRevisionRetentionDays(userId));
+    if (!revision) {
+      return res.status(404).json({ error: 'Revision not found' });
+    }
+
+    // Old revisions are rendered on demand; only a note's current content is cached
+    if (format === 'html') {
+      revision.html = markdown.renderMarkdown(revision.content);
+    }
+
+    res.json({ revision });
+  } catch (error) {
+    console.error('Error fetching note revision:', error);
+    res.status(500).json({ error: 'Failed to fetch note revision' });
+  }
+});
+
+// Restoring makes the old revision's title, content and tags the note's current state,
+// recorded as a new revision so the restore itself can be undone
+app.post('/api/notes/:id/revisions/:revision/restore', apiScope('notes:write'), loginRequired, requireNoteId, async (req, res) => {
+  const userId = getUserId(req);
+  if (!userId) {
+    return res.status(401).json({ error: 'User not authenticated' });
+  }
+
+  const revisionNumber = parseRevisionNumber(req.params.revision);
+  if (!revisionNumber) {
+    return res.status(400).json({ error: 'Invalid revision number' });
+  }
+
+  try {
+    const note = await findOwnedNote(req.params.id, userId);
+    if (!note) {
+      return res.status(404).json({ error: 'Note not found' });
+    }
+
+    const revision = await findRevision(note.id, revisionNumber, await getRevisionRetentionDays(userId));
+    if (!revision) {
+      return res.status(404).json({ error: 'Revision not found' });
+    }
+
+    const sizeError = await checkNoteSize(userId, revision.content, revision.title);
+    if (sizeError) {
+      return res.status(sizeError.status).json(sizeError.error);
+    }
+
+    // Pending live edits become a revision of their own, so the restore can be undone
+    await realtime.flush(note.id);
+
+    const saved = await saveNote(
+      `UPDATE deuss.notes SET content = $1, title = $2, tags = $3, updated_at = NOW(), version = version + 1
+       WHERE id = $4 AND user_id = $5
+       RETURNING id, title, content, tags, version`,
+      [revision.content, revision.title || '', revision.tags || [], note.id, userId],
+      userId
+    );
+    if (!saved.note) {
+      return res.status(404).json({ error: 'Note not found' });
+    }
+
+    await realtime.applySavedNote(saved.note);
+
+    res.json({
+      message: 'Note restored successfully',
+      noteId: note.id,
+      restoredFrom: revision.revision,
+      version: saved.note.version,
+      revision: saved.revision
+    });
+  } catch (error) {
+    console.error('Error restoring note revision:', error);
+    res.status(500).json({ error: 'Failed to restore note revision' });
+  }
+});
+
+app.delete('/api/notes/:id', apiScope('notes:write'), loginRequired, requireNoteId, async (req, res) => {
+  const userId = getUserId(req);
+  if (!userId) {
+    return res.status(401).json({ error: 'User not authenticated' });
+  }
+  
+  const noteId = Number(req.params.id);
+  
+  try {
+    const result = await pool.query(
+      'DELETE FROM deuss.notes WHERE id = $1 AND user_id = $2 RETURNING id',
+      [noteId, userId]
+    );
+    
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Note not found' });
+    }
+    
+    await realtime.noteDeleted(noteId);
+    await enqueueAttachmentPurge();
+    
+    res.json({ message: 'Note deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting note:', error);
+    res.status(500).json({ error: 'Failed to delete note' });
+  }
+});
+
+// Notebook Routes
+
+async function findOwnedNotebook(notebookId, userId) {
+  if (!Number.isInteger(Number(notebookId))) {
+    return null;
+  }
+  const result = await pool.query(
+    'SELECT id, parent_id, name, is_default FROM deuss.notebooks WHERE id = $1 AND user_id = $2',
+    [notebookId, userId]
+  );
+  return result.rows[0] || null;
+}
+
+// Optional integer or null from a request body; undefined when the value is invalid
+function parseOptionalId(value) {
+  if (value === null) return null;
+  const id = Number(value);
+  return Number.isInteger(id) && id > 0 ? id : undefined;
+}
+
+// The user's notebooks as a flat list in tree order, with note counts
+app.get('/api/notebooks', apiScope('notes:read'), loginRequired, async (req, res) => {
+  const userId = getUserId(req);
+  if (!userId) {
+    return res.status(401).json({ error: 'User not authenticated' });
+  }
+
+  try {
+    await notebooks.ensureDefaultNotebook(pool, userId);
+
+    const [rows, counts] = await Promise.all([
+      notebooks.loadNotebooks(pool, userId),
+      pool.query(
+        'SELECT notebook_id, COUNT(*) AS count FROM deuss.notes WHERE user_id = $1 GROUP BY notebook_id',
+        [userId]
+      )
+    ]);
+
+    const noteCounts = new Map(counts.rows.map(row => [row.notebook_id, parseInt(row.count, 10)]));
+    res.json({ notebooks: notebooks.describeNotebooks(rows, noteCounts) });
+  } catch (error) {
+    console.error('Error fetching notebooks:', error);
+    res.status(500).json({ error: 'Failed to fetch notebooks' });
+  }
+});
+
+app.post('/api/notebooks', apiScope('notes:write'), loginRequired, async (req, res) => {
+  const userId = getUserId(req);
+  if (!userId) {
+    return res.status(401).json({ error: 'User not authenticated' });
+  }
+
+  const { name, position } = req.body;
+  const parentId = req.body.parentId === undefined ? null : parseOptionalId(req.body.parentId);
+
+  const nameError = notebooks.validateName(name);
+  if (nameError) {
+    return res.status(400).json({ error: nameError });
+  }
+  if (parentId === undefined) {
+    return res.status(400).json({ error: 'parentId must be a notebook id or null' });
+  }
+
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const existing = await notebooks.loadNotebooks(client, userId, { lock: true });
+    const placementError = notebooks.checkPlacement(existing, null, parentId);
+    if (placementError) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ error: placementError });
+    }
+
+    const result = await client.query(
+      `INSERT INTO deuss.notebooks (user_id, parent_id, name)
+       VALUES ($1, $2, $3)
+       RETURNING id`,
+      [userId, parentId, name.trim()]
+    );
+    const notebookId = result.rows[0].id;
+    await notebooks.placeNotebook(client, userId, notebookId, parentId, position);
+
+    const created = await client.query(
+      'SELECT id, parent_id, name, position, is_default, created_at, updated_at FROM deuss.notebooks WHERE id = $1',
+      [notebookId]
+    );
+
+    await client.query('COMMIT');
+
+    res.status(201).json({
+      message: 'Notebook created successfully',
+      notebook: created.rows[0]
+    });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Error creating notebook:', error);
+    res.status(500).json({ error: 'Failed to create notebook' });
+  } finally {
+    client.release();
+  }
+});
+
+// Rename, move (parentId, null for the top level) and/or reorder (position among siblings)
+app.put('/api/notebooks/:id', apiScope('notes:write'), loginRequired, async (req, res) => {
+  const userId = getUserId(req);
+  if (!userId) {
+    return res.status(401).json({ error: 'User not authenticated' });
+  }
+
+  const notebookId = parseOptionalId(req.params.id);
+  if (!notebookId) {
+    return res.status(400).json({ error: 'Invalid notebook ID' });
+  }
+
+  const { name, position } = req.body;
+  const moving = req.body.parentId !== undefined;
+  const parentId = moving ? parseOptionalId(req.body.parentId) : undefined;
+
+  if (name !== undefined) {
+    const nameError = notebooks.validateName(name);
+    if (nameError) {
+      return res.status(400).json({ error: nameError });
+    }
+  }
+  if (moving && parentId === undefined) {
+    return res.status(400).json({ error: 'parentId must be a notebook id or null' });
+  }
+  if (position !== undefined && !Number.isInteger(position)) {
+    return res.status(400).json({ error: 'position must be an integer' });
+  }
+
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const existing = await notebooks.loadNotebooks(client, userId, { lock: true });
+    const notebook = existing.find(entry => entry.id === notebookId);
+    if (!notebook) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: 'Notebook not found' });
+    }
+
+    const targetParentId = moving ? parentId : notebook.parent_id;
+    if (moving) {
+      const placementError = notebooks.checkPlacement(existing, notebookId, targetParentId);
+      if (placementError) {
+        await client.query('ROLLBACK');
+        return res.status(400).json({ error: placementError });
+      }
+    }
+
+    const result = await client.query(
+      `UPDATE deuss.notebooks SET name = $1, parent_id = $2, updated_at = NOW()
+       WHERE id = $3 AND user_id = $4
+       RETURNING id`,
+      [name !== undefined ? name.trim() : notebook.name, targetParentId, notebookId, userId]
+    );
+
+    if (moving || position !== undefined) {
+      // Moving within the same parent without a position keeps the notebook where it was
+      const slot = position !== undefined || targetParentId !== notebook.parent_id ? position : notebook.position;
+      await notebooks.placeNotebook(client, userId, result.rows[0].id, targetParentId, slot);
+    }
+
+    const updated = await client.query(
+      'SELECT id, parent_id, name, position, is_default, created_at, updated_at FROM deuss.notebooks WHERE id = $1',
+      [notebookId]
+    );
+
+    await client.query('COMMIT');
+
+    res.json({
+      message: 'Notebook updated successfully',
+      notebook: updated.rows[0]
+    });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Error updating notebook:', error);
+    res.status(500).json({ error: 'Failed to update notebook' });
+  } finally {
+    client.release();
+  }
+});
+
+// Deletes a notebook and its sub-notebooks. Their notes are kept and moved to moveNotesTo
+// (default: the default notebook).
+app.delete('/api/notebooks/:id', apiScope('notes:write'), loginRequired, async (req, res) => {
+  const userId = getUserId(req);
+  if (!userId) {
+    return res.status(401).json({ error: 'User not authenticated' });
+  }
+
+  const notebookId = parseOptionalId(req.params.id);
+  if (!notebookId) {
+    return res.status(400).json({ error: 'Invalid notebook ID' });
+  }
+
+  const moveNotesTo = req.query.moveNotesTo !== undefined ? parseOptionalId(req.query.moveNotesTo) : null;
+  if (moveNotesTo === undefined) {
+    return res.status(400).json({ error: 'moveNotesTo must be a notebook id' });
+  }
+
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const existing = await notebooks.loadNotebooks(client, userId, { lock: true });
+    const notebook = existing.find(entry => entry.id === notebookId);
+    if (!notebook) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: 'Notebook not found' });
+    }
+    if (notebook.is_default) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ error: 'The default notebook cannot be deleted' });
+    }
+
+    const removed = notebooks.subtreeIds(existing, notebookId);
+    const targetId = moveNotesTo || await notebooks.ensureDefaultNotebook(client, userId);
+    if (removed.includes(targetId) || (moveNotesTo && !existing.some(entry => entry.id === moveNotesTo))) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ error: 'Notes must be moved to a notebook that is not being deleted' });
+    }
+
+    const moved = await client.query(
+      'UPDATE deuss.notes SET notebook_id = $1 WHERE user_id = $2 AND notebook_id = ANY($3::INTEGER[])',
+      [targetId, userId, removed]
+    );
+
+    // Sub-notebooks go with it (ON DELETE CASCADE)
+    await client.query('DELETE FROM deuss.notebooks WHERE id = $1 AND user_id = $2', [notebookId, userId]);
+
+    await client.query('COMMIT');
+
+    res.json({
+      message: 'Notebook deleted successfully',
+      deletedNotebooks: removed.length,
+      movedNotes: moved.rowCount,
+      notesMovedTo: targetId
+    });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Error deleting notebook:', error);
+    res.status(500).json({ error: 'Failed to delete notebook' });
+  } finally {
+    client.release();
+  }
+});
+
+// Move one or more notes to another notebook. Moving doesn't change a note's updated_at.
+app.post('/api/notes/move', apiScope('notes:write'), loginRequired, async (req, res) => {
+  const userId = getUserId(req);
+  if (!userId) {
+    return res.status(401).json({ error: 'User not authenticated' });
+  }
+
+  const { noteIds } = req.body;
+  const notebookId = parseOptionalId(req.body.notebookId);
+
+  if (!Array.isArray(noteIds) || noteIds.length === 0 || noteIds.length > 500 || !noteIds.every(id => Number.isInteger(id))) {
+    return res.status(400).json({ error: 'noteIds must be a list of up to 500 note ids' });
+  }
+  if (!notebookId) {
+    return res.status(400).json({ error: 'notebookId is required' });
+  }
+
+  try {
+    if (!(await findOwnedNotebook(notebookId, userId))) {
+      return res.status(404).json({ error: 'Notebook not found' });
+    }
+
+    const result = await pool.query(
+      `UPDATE deuss.notes SET notebook_id = $1
+       WHERE user_id = $2 AND id = ANY($3::INTEGER[])
+       RETURNING id`,
+      [notebookId, userId, noteIds]
+    );
+
+    res.json({
+      message: 'Notes moved successfully',
+      notebookId,
+      movedNoteIds: result.rows.map(row => row.id)
+    });
+  } catch (error) {
+    console.error('Error moving notes:', error);
+    res.status(500).json({ error: 'Failed to move notes' });
+  }
+});
+
+// Note Sharing Routes
+
+// Share links are /s/<token> on the frontend, published notes /p/<slug>
+const SHARE_TOKEN_PREFIX = 'shr_';
+const SHARE_MAX_EXPIRY_DAYS = 365;
+const SHARE_PASSWORD_MAX_LENGTH = 200;
+const PUBLICATION_SLUG_PATTERN = /^[a-z0-9](?:[a-z0-9-]{0,98}[a-z0-9])?$/;
+
+function shareUrl(token) {
+  return `${process.env.FRONTEND_URL || ''}/s/${token}`;
+}
+
+function publicationUrl(slug) {
+  return `${process.env.FRONTEND_URL || ''}/p/${slug}`;
+}
+
+function describeShare(share) {
+  return {
+    id: share.id,
+    tokenPrefix: share.token_prefix,
+    hasPassword: Boolean(share.password_hash),
+    expiresAt: share.expires_at,
+    revokedAt: share.revoked_at,
+    active: !share.revoked_at && (!share.expires_at || new Date(share.expires_at) > new Date()),
+    viewCount: share.view_count,
+    lastViewedAt: share.last_viewed_at,
+    createdAt: share.created_at
+  };
+}
+
+function describePublication(publication) {
+  return {
+    slug: publication.slug,
+    url: publicationUrl(publication.slug),
+    viewCount: publication.view_count,
+    publishedAt: publication.published_at,
+    updatedAt: publication.updated_at
+  };
+}
+
+// Title-based slug with a random suffix, so republishing or similar titles never collide
+function generatePublicationSlug(title) {
+  const base = String(title || '')
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .substring(0, 60)
+    .replace(/-+$/, '');
+  const suffix = crypto.randomBytes(4).toString('hex');
+  return base ? `${base}-${suffix}` : suffix;
+}
+
+// Only the note itself leaves the account: no ids, owner details or other notes
+async function publicNoteBody(note) {
+  return {
+    title: note.title,
+    content: note.content,
+    html: await markdown.renderNote(pool, { id: note.note_id, content: note.content, updated_at: note.updated_at }),
+    tags: note.tags || [],
+    updatedAt: note.updated_at
+  };
+}
+
+app.get('/api/notes/:id/sharing', apiScope('notes:read'), loginRequired, requireNoteId, async (req, res) => {
+  const userId = getUserId(req);
+  if (!userId) {
+    return res.status(401).json({ error: 'User not authenticated' });
+  }
+
+  try {
+    const note = await findOwnedNote(req.params.id, userId);
+    if (!note) {
+      return res.status(404).json({ error: 'Note not found' });
+    }
+
+    const [shares, publication] = await Promise.all([
+      pool.query('SELECT * FROM deuss.note_shares WHERE note_id = $1 ORDER BY created_at DESC', [note.id]),
+      pool.query('SELECT * FROM deuss.note_publications WHERE note_id = $1', [note.id])
+    ]);
+
+    res.json({
+      shares: shares.rows.map(describeShare),
+      publication: publication.rows[0] ? describePublication(publication.rows[0]) : null
+    });
+  } catch (error) {
+    console.error('Error fetching note sharing:', error);
+    res.status(500).json({ error: 'Failed to fetch note sharing' });
+  }
+});
+
+// Create a read-only link. The token is only returned here.
+app.post('/api/notes/:id/shares', apiScope('notes:write'), loginRequired, requireNoteId, async (req, res) => {
+  const userId = getUserId(req);
+  if (!userId) {
+    return res.status(401).json({ error: 'User not authenticated' });
+  }
+
+  const { expiresInDays, password } = req.body;
+
+  let expiresAt = null;
+  if (expiresInDays !== undefined && expiresInDays !== null) {
+    const days = Number(expiresInDays);
+    if (!Number.isInteger(days) || days < 1 || days > SHARE_MAX_EXPIRY_DAYS) {
+      return res.status(400).json({ error: `expiresInDays must be between 1 and ${SHARE_MAX_EXPIRY_DAYS}` });
+    }
+    expiresAt = new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+  }
+
+  if (password !== undefined && password !== null &&
+      (typeof password !== 'string' || !password || password.length > SHARE_PASSWORD_MAX_LENGTH)) {
+    return res.status(400).json({ error: `password must be 1 to ${SHARE_PASSWORD_MAX_LENGTH} characters` });
+  }
+
+  try {
+    const note = await findOwnedNote(req.params.id, userId);
+    if (!note) {
+      return res.status(404).json({ error: 'Note not found' });
+    }
+
+    const token = `${SHARE_TOKEN_PREFIX}${crypto.randomBytes(24).toString('base64url')}`;
+    const passwordHash = password ? await bcrypt.hash(password, await bcrypt.genSalt(10)) : null;
+
+    const result = await pool.query(
+      `INSERT INTO deuss.note_shares (note_id, user_id, token_prefix, token_hash, password_hash, expires_at, created_at)
+       VALUES ($1, $2, $3, $4, $5, $6, NOW())
+       RETURNING *`,
+      [note.id, userId, token.substring(0, 12), hashToken(token), passwordHash, expiresAt]
+    );
+
+    await recordAuditEvent(req, 'note.share_created', {
+      details: { noteId: note.id, shareId: result.rows[0].id, expiresAt, hasPassword: Boolean(passwordHash) }
+    });
+
+    res.status(201).json({
+      message: 'Share link created. Copy it now, it will not be shown again.',
+      share: describeShare(result.rows[0]),
+      token,
+      url: shareUrl(token)
+    });
+  } catch (error) {
+    console.error('Error creating share link:', error);
+    res.status(500).json({ error: 'Failed to create share link' });
+  }
+});
+
+app.delete('/api/notes/:id/shares/:shareId', apiScope('notes:write'), loginRequired, requireNoteId, async (req, res) => {
+  const userId = getUserId(req);
+  if (!userId) {
+    return res.status(401).json({ error: 'User not authenticated' });
+  }
+
+  if (!Number.isInteger(Number(req.params.shareId))) {
+    return res.status(400).json({ error: 'Invalid share link ID' });
+  }
+
+  try {
+    const result = await pool.query(
+      `UPDATE deuss.note_shares SET revoked_at = NOW()
+       WHERE id = $1 AND note_id = $2 AND user_id = $3 AND revoked_at IS NULL
+       RETURNING id`,
+      [Number(req.params.shareId), Number(req.params.id), userId]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Share link not found' });
+    }
+
+    await recordAuditEvent(req, 'note.share_revoked', {
+      details: { noteId: Number(req.params.id), shareId: result.rows[0].id }
+    });
+
+    res.json({ message: 'Share link revoked' });
+  } catch (error) {
+    console.error('Error revoking share link:', error);
+    res.status(500).json({ error: 'Failed to revoke share link' });
+  }
+});
+
+// Publish a note (or change its slug). Without a slug one is generated from the title.
+app.put('/api/notes/:id/publication', apiScope('notes:write'), loginRequired, requireNoteId, async (req, res) => {
+  const userId = getUserId(req);
+  if (!userId) {
+    return res.status(401).json({ error: 'User not authenticated' });
+  }
+
+  const requestedSlug = req.body.slug !== undefined ? String(req.body.slug).trim().toLowerCase() : null;
+  if (requestedSlug !== null && !PUBLICATION_SLUG_PATTERN.test(requestedSlug)) {
+    return res.status(400).json({
+      error: 'Invalid slug',
+      details: 'Use 1-100 lowercase letters, digits and dashes, not starting or ending with a dash'
+    });
+  }
+
+  try {
+    const note = await findOwnedNote(req.params.id, userId);
+    if (!note) {
+      return res.status(404).json({ error: 'Note not found' });
+    }
+
+    const existing = await pool.query('SELECT slug FROM deuss.note_publications WHERE note_id = $1', [note.id]);
+    const slug = requestedSlug || existing.rows[0]?.slug || generatePublicationSlug(note.title);
+
+    let result;
+    try {
+      result = await pool.query(
+        `INSERT INTO deuss.note_publications (note_id, user_id, slug, published_at, updated_at)
+         VALUES ($1, $2, $3, NOW(), NOW())
+         ON CONFLICT (note_id) DO UPDATE SET slug = EXCLUDED.slug, updated_at = NOW()
+         RETURNING *`,
+        [note.id, userId, slug]
+      );
+    } catch (error) {
+      if (error.code === '23505') {
+        return res.status(409).json({ error: 'This slug is already taken' });
+      }
+      throw error;
+    }
+
+    if (existing.rows.length === 0) {
+      await recordAuditEvent(req, 'note.published', { details: { noteId: note.id, slug } });
+    }
+
+    res.json({
+      message: existing.rows.length === 0 ? 'Note published' : 'Publication updated',
+      publication: describePublication(result.rows[0])
+    });
+  } catch (error) {
+    console.error('Error publishing note:', error);
+    res.status(500).json({ error: 'Failed to publish note' });
+  }
+});
+
+app.delete('/api/notes/:id/publication', apiScope('notes:write'), loginRequired, requireNoteId, async (req, res) => {
+  const userId = getUserId(req);
+  if (!userId) {
+    return res.status(401).json({ error: 'User not authenticated' });
+  }
+
+  try {
+    const result = await pool.query(
+      'DELETE FROM deuss.note_publications WHERE note_id = $1 AND user_id = $2 RETURNING slug',
+      [Number(req.params.id), userId]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Note is not published' });
+    }
+
+    await recordAuditEvent(req, 'note.unpublished', {
+      details: { noteId: Number(req.params.id), slug: result.rows[0].slug }
+    });
+
+    res.json({ message: 'Note unpublished' });
+  } catch (error) {
+    console.error('Error unpublishing note:', error);
+    res.status(500).json({ error: 'Failed to unpublish note' });
+  }
+});
+
+// Public Note Routes (no authentication)
+
+// Revoked, expired and unknown links all look the same from outside
+async function sendSharedNote(req, res, password) {
+  try {
+    const result = await pool.query(
+      `SELECT s.id, s.password_hash, s.expires_at, n.id AS note_id, n.title, n.content, n.tags, n.updated_at
+       FROM deuss.note_shares s
+       JOIN deuss.notes n ON n.id = s.note_id
+       JOIN deuss.users u ON u.id = n.user_id
+       WHERE s.token_hash = $1
+         AND s.revoked_at IS NULL
+         AND (s.expires_at IS NULL OR s.expires_at > NOW())
+         AND u.disabled_at IS NULL`,
+      [hashToken(String(req.params.token))]
+    );
+
+    const share = result.rows[0];
+    if (!share) {
+      return res.status(404).json({ error: 'This link is invalid or has expired' });
+    }
+
+    if (share.password_hash) {
+      if (password === undefined) {
+        return res.status(401).json({ error: 'This link is password protected', passwordRequired: true });
+      }
+      if (!(await bcrypt.compare(String(password), share.password_hash))) {
+        return res.status(403).json({ error: 'Incorrect password', passwordRequired: true });
       }
     }
-    
-    // Also set a backup cookie for the JWT
-    res.setHeader('Set-Cookie', [
-      `jwt=${newToken}; Max-Age=${30 * 24 * 60 * 60}; Path=/; HttpOnly; ${process.env.NODE_ENV === 'production' ? 'Secure; SameSite=None' : ''}`
+
+    await pool.query(
+      'UPDATE deuss.note_shares SET view_count = view_count + 1, last_viewed_at = NOW() WHERE id = $1',
+      [share.id]
+    );
+
+    res.set('Cache-Control', 'no-store');
+    res.set('X-Robots-Tag', 'noindex');
+    res.json({
+      note: await publicNoteBody(share),
+      expiresAt: share.expires_at
+    });
+  } catch (error) {
+    console.error('Error fetching shared note:', error);
+    res.status(500).json({ error: 'Failed to fetch shared note' });
+  }
+}
+
+app.get('/api/public/shares/:token', async (req, res) => {
+  await sendSharedNote(req, res, undefined);
+});
+
+// Password-protected links; attempts are rate limited per IP and per link
+app.post(
+  '/api/public/shares/:token',
+  authRateLimit('SHARE_PASSWORD', { accountKey: req => hashToken(String(req.params.token)) }),
+  async (req, res) => {
+    await sendSharedNote(req, res, req.body.password ?? '');
+  }
+);
+
+app.get('/api/public/notes/:slug', async (req, res) => {
+  try {
+    const result = await pool.query(
+      `SELECT p.id, p.slug, p.published_at, n.id AS note_id, n.title, n.content, n.tags, n.updated_at, u.full_name AS author
+       FROM deuss.note_publications p
+       JOIN deuss.notes n ON n.id = p.note_id
+       JOIN deuss.users u ON u.id = p.user_id
+       WHERE LOWER(p.slug) = LOWER($1) AND u.disabled_at IS NULL`,
+      [String(req.params.slug)]
+    );
+
+    const publication = result.rows[0];
+    if (!publication) {
+      return res.status(404).json({ error: 'Note not found' });
+    }
+
+    await pool.query(
+      'UPDATE deuss.note_publications SET view_count = view_count + 1 WHERE id = $1',
+      [publication.id]
+    );
+
+    res.set('Cache-Control', 'public, max-age=60');
+    res.json({
+      note: {
+        ...(await publicNoteBody(publication)),
+        slug: publication.slug,
+        author: publication.author,
+        publishedAt: publication.published_at
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching published note:', error);
+    res.status(500).json({ error: 'Failed to fetch published note' });
+  }
+});
+
+// Note Collaboration Routes
+
+// Owners invite other users by email as viewers or editors. The invitation shows up for a
+// verified account with that email, which can accept or decline it; only the owner manages
+// the list, though collaborators can leave.
+const NOTE_COLLABORATOR_ROLES = ['viewer', 'editor'];
+const MAX_NOTE_COLLABORATORS = 50;
+
+function describeCollaborator(collaborator) {
+  return {
+    id: collaborator.id,
+    email: collaborator.email,
+    name: collaborator.full_name || null,
+    role: collaborator.role,
+    status: collaborator.user_id ? 'accepted' : 'pending',
+    invitedAt: collaborator.created_at,
+    acceptedAt: collaborator.accepted_at
+  };
+}
+
+async function findCollaborator(noteId, collaboratorId) {
+  if (!Number.isInteger(Number(collaboratorId))) {
+    return null;
+  }
+
+  const result = await pool.query(
+    'SELECT * FROM deuss.note_collaborators WHERE id = $1 AND note_id = $2',
+    [collaboratorId, noteId]
+  );
+  return result.rows[0] || null;
+}
+
+// Pending invitations can only be seen and accepted from a verified account with their email
+async function findInvitee(userId) {
+  const result = await pool.query(
+    'SELECT id, email, full_name, is_verified FROM deuss.users WHERE id = $1',
+    [userId]
+  );
+  return result.rows[0] || null;
+}
+
+app.get('/api/notes/:id/collaborators', apiScope('notes:read'), loginRequired, requireNoteId, async (req, res) => {
+  const userId = getUserId(req);
+  if (!userId) {
+    return res.status(401).json({ error: 'User not authenticated' });
+  }
+
+  try {
+    const note = await findAccessibleNote(req.params.id, userId);
+    if (!note) {
+      return res.status(404).json({ error: 'Note not found' });
+    }
+
+    // Collaborators see who else has access; pending invitations are the owner's business
+    const [owner, collaborators] = await Promise.all([
+      pool.query('SELECT full_name, email FROM deuss.users WHERE id = $1', [note.user_id]),
+      pool.query(
+        `SELECT c.*, u.full_name
+         FROM deuss.note_collaborators c
+         LEFT JOIN deuss.users u ON u.id = c.user_id
+         WHERE c.note_id = $1 AND ($2 OR c.user_id IS NOT NULL)
+         ORDER BY c.created_at`,
+        [note.id, note.role === 'owner']
+      )
     ]);
-    
+
     res.json({
-      isValid: true,
-      sessionValid: isSessionValid,
-      sessionID: req.sessionID || null,
-      token: newToken,
-      user: {
-        id: user.id,
-        email: user.email,
-        full_name: user.full_name,
-        avatar_url: user.avatar_url,
-        tier: user.tier || 'basic',
-        is_verified: user.is_verified || false,
-        initials: getInitials(user.full_name)
+      role: note.role,
+      owner: { name: owner.rows[0]?.full_name || null, email: owner.rows[0]?.email },
+      collaborators: collaborators.rows.map(describeCollaborator)
+    });
+  } catch (error) {
+    console.error('Error fetching note collaborators:', error);
+    res.status(500).json({ error: 'Failed to fetch note collaborators' });
+  }
+});
+
+app.post('/api/notes/:id/collaborators', apiScope('notes:write'), loginRequired, requireNoteId, async (req, res) => {
+  const userId = getUserId(req);
+  if (!userId) {
+    return res.status(401).json({ error: 'User not authenticated' });
+  }
+
+  const email = normalizeEmail(req.body.email);
+  const role = req.body.role || 'viewer';
+
+  if (!email || !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+    return res.status(400).json({ error: 'A valid email address is required' });
+  }
+  if (!NOTE_COLLABORATOR_ROLES.includes(role)) {
+    return res.status(400).json({ error: `role must be one of: ${NOTE_COLLABORATOR_ROLES.join(', ')}` });
+  }
+
+  try {
+    const note = await findOwnedNote(req.params.id, userId);
+    if (!note) {
+      return res.status(404).json({ error: 'Note not found' });
+    }
+
+    const owner = await pool.query('SELECT email, full_name FROM deuss.users WHERE id = $1', [userId]);
+    if (normalizeEmail(owner.rows[0].email) === email) {
+      return res.status(400).json({ error: 'You already own this note' });
+    }
+
+    const count = await pool.query(
+      'SELECT COUNT(*)::INTEGER AS count FROM deuss.note_collaborators WHERE note_id = $1',
+      [note.id]
+    );
+    if (count.rows[0].count >= MAX_NOTE_COLLABORATORS) {
+      return res.status(403).json({ error: `A note can be shared with at most ${MAX_NOTE_COLLABORATORS} people` });
+    }
+
+    let collaborator;
+    try {
+      const result = await pool.query(
+        `INSERT INTO deuss.note_collaborators (note_id, email, role, invited_by, created_at, updated_at)
+         VALUES ($1, $2, $3, $4, NOW(), NOW())
+         RETURNING *`,
+        [note.id, email, role, userId]
+      );
+      collaborator = result.rows[0];
+    } catch (error) {
+      if (error.code === '23505') {
+        return res.status(409).json({ error: 'This note is already shared with that email address' });
       }
+      throw error;
+    }
+
+    await recordAuditEvent(req, 'note.collaborator_invited', {
+      details: { noteId: note.id, collaboratorId: collaborator.id, email, role }
+    });
+
+    try {
+      await queueEmail({
+        to: email,
+        template: 'note-invitation',
+        variables: {
+          inviterName: owner.rows[0].full_name || owner.rows[0].email,
+          noteTitle: note.title || 'Untitled note',
+          role: role === 'editor' ? 'edit' : 'view',
+          invitationsUrl: `${process.env.FRONTEND_URL}/notes/invitations`
+        }
+      });
+    } catch (emailError) {
+      console.error('Error sending note invitation email:', emailError);
+    }
+
+    res.status(201).json({
+      message: 'Invitation sent',
+      collaborator: describeCollaborator(collaborator)
     });
   } catch (error) {
-    console.error('Session check error:', error);
-    res.status(500).json({ isValid: false });
+    console.error('Error inviting note collaborator:', error);
+    res.status(500).json({ error: 'Failed to invite collaborator' });
   }
 });
 
-app.post('/api/auth/forgot-password', async (req, res) => {
-  const { email } = req.body;
+app.put('/api/notes/:id/collaborators/:collaboratorId', apiScope('notes:write'), loginRequired, requireNoteId, async (req, res) => {
+  const userId = getUserId(req);
+  if (!userId) {
+    return res.status(401).json({ error: 'User not authenticated' });
+  }
 
-  if (!email) {
-    return res.status(400).json({ error: 'Email is required' });
+  const { role } = req.body;
+  if (!NOTE_COLLABORATOR_ROLES.includes(role)) {
+    return res.status(400).json({ error: `role must be one of: ${NOTE_COLLABORATOR_ROLES.join(', ')}` });
   }
 
   try {
+    const note = await findOwnedNote(req.params.id, userId);
+    const collaborator = note ? await findCollaborator(note.id, req.params.collaboratorId) : null;
+    if (!collaborator) {
+      return res.status(404).json({ error: 'Collaborator not found' });
+    }
+
     const result = await pool.query(
-      'SELECT id FROM deuss.users WHERE email = $1',
-      [email]
+      `UPDATE deuss.note_collaborators SET role = $1, updated_at = NOW()
+       WHERE id = $2
+       RETURNING *`,
+      [role, collaborator.id]
     );
 
-    if (result.rows.length === 0) {
-      return res.status(404).json({ error: 'User not found' });
+    if (collaborator.user_id) {
+      await realtime.accessChanged(note.id, collaborator.user_id);
     }
 
-    // Generate reset token
-    const resetToken = crypto.randomBytes(32).toString('hex');
-    const resetTokenExpiry = new Date(Date.now() + 3600000); // 1 hour
+    await recordAuditEvent(req, 'note.collaborator_updated', {
+      details: { noteId: note.id, collaboratorId: collaborator.id, role }
+    });
 
-    await pool.query(
-      'UPDATE deuss.users SET reset_token = $1, reset_token_expiry = $2 WHERE id = $3',
-      [resetToken, resetTokenExpiry, result.rows[0].id]
+    res.json({
+      message: 'Collaborator updated',
+      collaborator: describeCollaborator(result.rows[0])
+    });
+  } catch (error) {
+    console.error('Error updating note collaborator:', error);
+    res.status(500).json({ error: 'Failed to update collaborator' });
+  }
+});
+
+// The owner removes anyone; a collaborator can remove themselves
+app.delete('/api/notes/:id/collaborators/:collaboratorId', apiScope('notes:write'), loginRequired, requireNoteId, async (req, res) => {
+  const userId = getUserId(req);
+  if (!userId) {
+    return res.status(401).json({ error: 'User not authenticated' });
+  }
+
+  try {
+    const note = await findAccessibleNote(req.params.id, userId);
+    const collaborator = note ? await findCollaborator(note.id, req.params.collaboratorId) : null;
+    if (!collaborator || (note.role !== 'owner' && collaborator.user_id !== userId)) {
+      return res.status(404).json({ error: 'Collaborator not found' });
+    }
+
+    await pool.query('DELETE FROM deuss.note_collaborators WHERE id = $1', [collaborator.id]);
+    if (collaborator.user_id) {
+      await realtime.accessChanged(note.id, collaborator.user_id);
+    }
+
+    await recordAuditEvent(req, note.role === 'owner' ? 'note.collaborator_removed' : 'note.collaboration_left', {
+      details: { noteId: note.id, collaboratorId: collaborator.id, email: collaborator.email }
+    });
+
+    res.json({ message: note.role === 'owner' ? 'Collaborator removed' : 'You no longer have access to this note' });
+  } catch (error) {
+    console.error('Error removing note collaborator:', error);
+    res.status(500).json({ error: 'Failed to remove collaborator' });
+  }
+});
+
+app.get('/api/note-invitations', apiScope('notes:read'), loginRequired, async (req, res) => {
+  const userId = getUserId(req);
+  if (!userId) {
+    return res.status(401).json({ error: 'User not authenticated' });
+  }
+
+  try {
+    const user = await findInvitee(userId);
+    if (!user || !user.is_verified) {
+      return res.json({ invitations: [], emailVerified: false });
+    }
+
+    const result = await pool.query(
+      `SELECT c.id, c.note_id, c.role, c.created_at, n.title, o.full_name AS owner_name, o.email AS owner_email
+       FROM deuss.note_collaborators c
+       JOIN deuss.notes n ON n.id = c.note_id
+       JOIN deuss.users o ON o.id = n.user_id
+       WHERE c.user_id IS NULL AND LOWER(c.email) = LOWER($1) AND n.user_id <> $2
+       ORDER BY c.created_at DESC`,
+      [user.email, userId]
     );
 
-    // Send reset password email
-    const resetUrl = `${process.env.FRONTEND_URL}/auth/reset-password?token=${resetToken}`;
-    
-    try {
-      // Use Resend's default domain if custom domain is not verified
-      const fromEmail = process.env.SMTP_FROM || 'Deuss <onboarding@resend.dev>';
+    res.json({
+      invitations: result.rows.map(row => ({
+        id: row.id,
+        noteId: row.note_id,
+        noteTitle: row.title,
+        role: row.role,
+        owner: { name: row.owner_name, email: row.owner_email },
+        invitedAt: row.created_at
+      })),
+      emailVerified: true
+    });
+  } catch (error) {
+    console.error('Error fetching note invitations:', error);
+    res.status(500).json({ error: 'Failed to fetch note invitations' });
+  }
+});
 
-      const { data, error } = await resend.emails.send({
-        from: fromEmail,
-        to: email,
-        subject: 'Reset Your Password',
-        html: `
-          <div style="font-family: sans-serif; background-color: #1a202c; color: #e2e8f0; padding: 20px;">
-            <h1 style="color: #4299e1;">Deuss - Password Reset Request</h1>
-            <p>You requested to reset your password. Click the button below to set a new password:</p>
-            <p>
-              <a href="${resetUrl}" style="display: inline-block; background-color: #2d3748; color: #4299e1; padding: 10px 20px; text-decoration: none; border-radius: 5px; border: 1px solid #4299e1;">
-                Reset Password
-              </a>
-            </p>
-            <p>Or copy and paste the following link into your browser:</p>
-            <p><code style="color: #e2e8f0; background-color: #2d3748; padding: 5px; border-radius: 3px;">${resetUrl}</code></p>
-            <p>This link will expire in 1 hour.</p>
-            <p>If you didn't request this, please ignore this email.</p>
-          </div>
-        `
-      });
+// Accepting or declining; both only work on invitations sent to the caller's verified email
+async function respondToNoteInvitation(req, res, accept) {
+  const userId = getUserId(req);
+  if (!userId) {
+    return res.status(401).json({ error: 'User not authenticated' });
+  }
+
+  try {
+    const user = await findInvitee(userId);
+    if (!user || !user.is_verified) {
+      return res.status(403).json({ error: 'Verify your email address to respond to invitations' });
+    }
+
+    const invitation = await pool.query(
+      `SELECT c.id, c.note_id, c.role
+       FROM deuss.note_collaborators c
+       JOIN deuss.notes n ON n.id = c.note_id
+       WHERE c.id = $1 AND c.user_id IS NULL AND LOWER(c.email) = LOWER($2) AND n.user_id <> $3`,
+      [Number.isInteger(Number(req.params.id)) ? req.params.id : null, user.email, userId]
+    );
+    if (invitation.rows.length === 0) {
+      return res.status(404).json({ error: 'Invitation not found' });
+    }
+    const { id, note_id: noteId, role } = invitation.rows[0];
 
-      if (error) {
-        console.error('Error sending reset password email:', error);
-        return res.status(500).json({ error: 'Failed to send reset password email' });
+    if (accept) {
+      try {
+        await pool.query(
+          `UPDATE deuss.note_collaborators SET user_id = $1, accepted_at = NOW(), updated_at = NOW()
+           WHERE id = $2 AND user_id IS NULL`,
+          [userId, id]
+        );
+      } catch (error) {
+        // Already a collaborator through an invitation to a previous email address
+        if (error.code === '23505') {
+          return res.status(409).json({ error: 'You already have access to this note' });
+        }
+        throw error;
       }
+    } else {
+      await pool.query('DELETE FROM deuss.note_collaborators WHERE id = $1 AND user_id IS NULL', [id]);
+    }
 
-      res.json({
-        message: 'Password reset instructions sent to your email'
-      });
-    } catch (emailError) {
-      console.error('Error sending reset password email:', emailError);
-      res.status(500).json({ error: 'Failed to send reset password email' });
+    await recordAuditEvent(req, accept ? 'note.invitation_accepted' : 'note.invitation_declined', {
+      details: { noteId, collaboratorId: id, role }
+    });
+
+    res.json(accept
+      ? { message: 'Invitation accepted', noteId, role }
+      : { message: 'Invitation declined' });
+  } catch (error) {
+    console.error('Error responding to note invitation:', error);
+    res.status(500).json({ error: 'Failed to respond to invitation' });
+  }
+}
+
+app.post('/api/note-invitations/:id/accept', apiScope('notes:write'), loginRequired, (req, res) =>
+  respondToNoteInvitation(req, res, true));
+
+app.post('/api/note-invitations/:id/decline', apiScope('notes:write'), loginRequired, (req, res) =>
+  respondToNoteInvitation(req, res, false));
+
+// Note Attachment Routes
+
+// Owners and editors attach files to a note with a multipart upload (field "file"). Files
+// count against the owner's plan: attachmentSizeBytes per file and attachmentStorageBytes in
+// total. Downloads go through the API, either authenticated or with a signed URL that can be
+// used where no credentials are sent, like an <img> tag.
+const ATTACHMENT_URL_TTL_SECONDS = parseInt(process.env.ATTACHMENT_URL_TTL_SECONDS, 10) || 60 * 60;
+const ATTACHMENT_UPLOAD_DIR = path.join(os.tmpdir(), 'deuss-uploads');
+
+// Signed URL tokens only name one attachment and cannot be used as access tokens
+function signAttachmentUrl(attachment) {
+  const token = jwt.sign(
+    { attachmentId: attachment.id, purpose: 'attachment' },
+    JWT_SECRET,
+    { expiresIn: ATTACHMENT_URL_TTL_SECONDS }
+  );
+  return `${API_URL}/api/attachments/${attachment.id}?token=${encodeURIComponent(token)}`;
+}
+
+function describeAttachment(attachment) {
+  return {
+    id: attachment.id,
+    noteId: attachment.note_id,
+    filename: attachment.filename,
+    contentType: attachment.content_type,
+    size: parseInt(attachment.size_bytes, 10),
+    sha256: attachment.sha256,
+    uploadedBy: attachment.uploaded_by,
+    createdAt: attachment.created_at,
+    url: signAttachmentUrl(attachment)
+  };
+}
+
+async function findAttachment(noteId, attachmentId) {
+  if (!Number.isInteger(Number(attachmentId))) {
+    return null;
+  }
+
+  const result = await pool.query(
+    'SELECT * FROM deuss.note_attachments WHERE id = $1 AND note_id = $2',
+    [attachmentId, noteId]
+  );
+  return result.rows[0] || null;
+}
+
+async function getAttachmentStorageUsage(userId, client = pool) {
+  const result = await client.query(
+    'SELECT COALESCE(SUM(size_bytes), 0) AS used FROM deuss.note_attachments WHERE user_id = $1',
+    [userId]
+  );
+  return parseInt(result.rows[0].used, 10);
+}
+
+// Same contract as checkQuota: null when the owner can store `size` more bytes
+async function checkAttachmentStorage(userId, size, client = pool) {
+  const tier = await getUserTier(userId);
+  const limit = tiers.getTierLimits(tier).attachmentStorageBytes;
+
+  if (limit === null || limit === undefined) {
+    return null;
+  }
+
+  const used = await getAttachmentStorageUsage(userId, client);
+  if (used + size <= limit) {
+    return null;
+  }
+
+  return {
+    status: 402,
+    error: {
+      error: 'Attachment storage limit reached',
+      details: `Your ${tier} plan allows ${limit} bytes of attachments`,
+      quota: 'attachmentStorageBytes',
+      tier,
+      limit,
+      usage: used,
+      upgradeRequired: true
+    }
+  };
+}
+
+// Read a single-file multipart upload into a temporary file. Resolves to the multer file
+// object (undefined when no file was sent) or rejects with a MulterError.
+function receiveUpload(req, res, maxSize) {
+  const upload = multer({
+    dest: ATTACHMENT_UPLOAD_DIR,
+    // Browsers send UTF-8 file names without declaring a charset
+    defParamCharset: 'utf8',
+    limits: {
+      fileSize: maxSize === null || maxSize === undefined ? Infinity : maxSize,
+      files: 1,
+      fields: 10
     }
+  }).single('file');
+
+  return new Promise((resolve, reject) => {
+    upload(req, res, error => (error ? reject(error) : resolve(req.file)));
+  });
+}
+
+// Stream a stored attachment. Only images are shown inline; everything else, and anything
+// with ?download=1, is sent as a download. The sandbox CSP keeps a file from running scripts
+// even if a browser ignores the sniffed type.
+async function sendAttachment(req, res, attachment) {
+  let stream;
+  try {
+    stream = await attachmentStorage.get(attachment.storage_key);
   } catch (error) {
-    console.error('Forgot password error:', error);
-    res.status(500).json({ error: 'Failed to process forgot password request' });
+    if (error.code === 'ENOENT') {
+      console.error(`Attachment ${attachment.id} is missing from storage`);
+      return res.status(404).json({ error: 'Attachment not found' });
+    }
+    throw error;
   }
-});
 
-// Add new endpoint for resetting password
-app.post('/api/auth/reset-password', async (req, res) => {
-  const { token, newPassword } = req.body;
+  const inline = attachments.INLINE_CONTENT_TYPES.includes(attachment.content_type) &&
+    req.query.download !== '1';
 
-  if (!token || !newPassword) {
-    return res.status(400).json({ error: 'Token and new password are required' });
+  res.attachment(attachment.filename);
+  if (inline) {
+    res.set('Content-Disposition', res.get('Content-Disposition').replace(/^attachment/, 'inline'));
+  }
+  res.set({
+    'Content-Type': attachment.content_type,
+    'Content-Length': String(attachment.size_bytes),
+    'X-Content-Type-Options': 'nosniff',
+    'Content-Security-Policy': "default-src 'none'; sandbox",
+    'Cache-Control': 'private, max-age=0'
+  });
+
+  stream.on('error', error => {
+    console.error(`Error streaming attachment ${attachment.id}:`, error);
+    res.destroy(error);
+  });
+  stream.pipe(res);
+}
+
+app.get('/api/notes/:id/attachments', apiScope('notes:read'), loginRequired, requireNoteId, async (req, res) => {
+  const userId = getUserId(req);
+  if (!userId) {
+    return res.status(401).json({ error: 'User not authenticated' });
   }
 
   try {
-    // Find user with valid reset token
+    const note = await findAccessibleNote(req.params.id, userId);
+    if (!note) {
+      return res.status(404).json({ error: 'Note not found' });
+    }
+
     const result = await pool.query(
-      `SELECT id, email, reset_token_expiry 
-       FROM deuss.users 
-       WHERE reset_token = $1 AND reset_token_expiry > NOW()`,
-      [token]
+      'SELECT * FROM deuss.note_attachments WHERE note_id = $1 ORDER BY created_at, id',
+      [note.id]
     );
 
-    if (result.rows.length === 0) {
-      return res.status(400).json({ error: 'Invalid or expired reset token' });
+    res.json({
+      attachments: result.rows.map(describeAttachment),
+      urlExpiresIn: ATTACHMENT_URL_TTL_SECONDS
+    });
+  } catch (error) {
+    console.error('Error fetching note attachments:', error);
+    res.status(500).json({ error: 'Failed to fetch note attachments' });
+  }
+});
+
+app.post('/api/notes/:id/attachments', apiScope('notes:write'), loginRequired, requireNoteId, async (req, res) => {
+  const userId = getUserId(req);
+  if (!userId) {
+    return res.status(401).json({ error: 'User not authenticated' });
+  }
+
+  let file;
+  let storageKey = null;
+
+  try {
+    const note = await findAccessibleNote(req.params.id, userId);
+    if (!note) {
+      return res.status(404).json({ error: 'Note not found' });
+    }
+    if (note.role === 'viewer') {
+      return res.status(403).json({ error: 'You only have view access to this note' });
     }
 
-    const user = result.rows[0];
+    const ownerTier = await getUserTier(note.user_id);
+    const maxSize = tiers.getTierLimits(ownerTier).attachmentSizeBytes;
+    if (maxSize === 0) {
+      return res.status(403).json({
+        error: 'This feature is not available on your plan',
+        quota: 'attachmentSizeBytes',
+        tier: ownerTier,
+        upgradeRequired: true
+      });
+    }
 
-    // Hash new password
-    const salt = await bcrypt.genSalt(10);
-    const hashedPassword = await bcrypt.hash(newPassword, salt);
+    // Refuse before reading the body when the owner has no space left at all
+    const storageError = await checkAttachmentStorage(note.user_id, 1);
+    if (storageError) {
+      return res.status(storageError.status).json(storageError.error);
+    }
 
-    // Update password and clear reset token
-    await pool.query(
-      `UPDATE deuss.users 
-       SET password = $1, 
-           reset_token = NULL, 
-           reset_token_expiry = NULL,
-           updated_at = NOW()
-       WHERE id = $2`,
-      [hashedPassword, user.id]
-    );
+    try {
+      file = await receiveUpload(req, res, maxSize);
+    } catch (error) {
+      if (error instanceof multer.MulterError) {
+        if (error.code === 'LIMIT_FILE_SIZE') {
+          return res.status(402).json({
+            error: 'Attachment is too large for your plan',
+            details: `Your ${ownerTier} plan allows attachments up to ${maxSize} bytes`,
+            quota: 'attachmentSizeBytes',
+            tier: ownerTier,
+            limit: maxSize,
+            upgradeRequired: true
+          });
+        }
+        return res.status(400).json({ error: 'Send one file in the "file" field', details: error.message });
+      }
+      throw error;
+    }
 
-    // Send confirmation email
-    const mailOptions = {
-      from: {
-        name: 'No-Reply',
-        address: process.env.SMTP_FROM
-      },
-      to: user.email,
-      subject: 'Password Reset Successful',
-      html: `
-        <h1>Password Reset Successful</h1>
-        <p>Your password has been successfully reset.</p>
-        <p>If you didn't make this change, please contact support immediately.</p>
-      `
-    };
+    if (!file) {
+      return res.status(400).json({ error: 'Send one file in the "file" field' });
+    }
+
+    const filename = attachments.sanitizeFilename(file.originalname);
+    const contentType = await attachments.sniffFile(file.path);
+    const sha256 = await attachments.hashFile(file.path);
 
+    storageKey = `${note.user_id}/${uuidv4()}`;
+    await attachmentStorage.put(storageKey, file.path, { contentType, size: file.size });
+
+    // The owner's row is locked so concurrent uploads can't both squeeze under the limit
+    const client = await pool.connect();
+    let attachment;
     try {
-      await transporter.sendMail(mailOptions);
-    } catch (emailError) {
-      console.error('Error sending password reset confirmation email:', emailError);
-      // Don't fail the request if email fails
+      await client.query('BEGIN');
+      await client.query('SELECT id FROM deuss.users WHERE id = $1 FOR UPDATE', [note.user_id]);
+
+      const quotaError = await checkAttachmentStorage(note.user_id, file.size, client);
+      if (quotaError) {
+        await client.query('ROLLBACK');
+        return res.status(quotaError.status).json(quotaError.error);
+      }
+
+      const result = await client.query(
+        `INSERT INTO deuss.note_attachments
+           (note_id, user_id, uploaded_by, storage_key, filename, content_type, size_bytes, sha256)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+         RETURNING *`,
+        [note.id, note.user_id, userId, storageKey, filename, contentType, file.size, sha256]
+      );
+      attachment = result.rows[0];
+
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
     }
+    storageKey = null;
 
-    res.json({ message: 'Password has been reset successfully' });
+    await recordAuditEvent(req, 'note.attachment_added', {
+      userId: note.user_id,
+      actorId: userId,
+      details: { noteId: note.id, attachmentId: attachment.id, filename, contentType, size: file.size }
+    });
+
+    res.status(201).json({ attachment: describeAttachment(attachment) });
   } catch (error) {
-    console.error('Reset password error:', error);
-    res.status(500).json({ error: 'Failed to reset password' });
+    console.error('Error uploading note attachment:', error);
+    res.status(500).json({ error: 'Failed to upload attachment' });
+  } finally {
+    // Only set while a stored file has no row pointing at it
+    if (storageKey) {
+      await attachmentStorage.remove(storageKey).catch(error =>
+        console.error('Error removing orphaned attachment file:', error));
+    }
+    if (file) {
+      await fs.promises.rm(file.path, { force: true }).catch(() => {});
+    }
   }
 });
 
-// Notes Routes
-app.get('/api/notes', async (req, res) => {
-  // Handle both session auth and JWT auth
-  let userId;
-  
-  // Get userId from session if available
-  if (req.session?.uid) {
-    userId = req.session.uid;
-  }
-  // If not in session, try from JWT token
-  else if (req.user?.id) {
-    userId = req.user.id;
+app.get('/api/notes/:id/attachments/:attachmentId', apiScope('notes:read'), loginRequired, requireNoteId, async (req, res) => {
+  const userId = getUserId(req);
+  if (!userId) {
+    return res.status(401).json({ error: 'User not authenticated' });
   }
-  // Check Authorization header directly as a last resort
-  else {
-    const authHeader = req.headers.authorization;
-    if (authHeader && authHeader.startsWith('Bearer ')) {
-      try {
-        const token = authHeader.substring(7);
-        const decoded = jwt.verify(token, JWT_SECRET);
-        if (decoded && decoded.id) {
-          userId = decoded.id;
-        }
-      } catch (error) {
-        console.error('JWT verification failed in notes route:', error);
-      }
+
+  try {
+    const note = await findAccessibleNote(req.params.id, userId);
+    const attachment = note && await findAttachment(note.id, req.params.attachmentId);
+    if (!attachment) {
+      return res.status(404).json({ error: 'Attachment not found' });
     }
+
+    await sendAttachment(req, res, attachment);
+  } catch (error) {
+    console.error('Error downloading note attachment:', error);
+    res.status(500).json({ error: 'Failed to download attachment' });
   }
-  
-  // If we still don't have a userId, user is not authenticated
-  if (!userId) {
-    return res.status(401).json({ 
-      error: 'User not authenticated',
-      notes: [] // Return empty array instead of error for more graceful frontend handling
-    });
+});
+
+// Signed download URLs from describeAttachment; no session or JWT needed
+app.get('/api/attachments/:attachmentId', async (req, res) => {
+  let claims;
+  try {
+    claims = jwt.verify(String(req.query.token || ''), JWT_SECRET);
+  } catch (error) {
+    return res.status(403).json({ error: 'Invalid or expired attachment link' });
+  }
+
+  if (claims.purpose !== 'attachment' || String(claims.attachmentId) !== req.params.attachmentId) {
+    return res.status(403).json({ error: 'Invalid or expired attachment link' });
   }
-  
+
   try {
     const result = await pool.query(
-      'SELECT * FROM deuss.notes WHERE user_id = $1 ORDER BY updated_at DESC',
-      [userId]
+      `SELECT a.* FROM deuss.note_attachments a
+       JOIN deuss.users u ON u.id = a.user_id
+       WHERE a.id = $1 AND u.disabled_at IS NULL`,
+      [claims.attachmentId]
     );
-    
-    res.json({ notes: result.rows });
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Attachment not found' });
+    }
+
+    await sendAttachment(req, res, result.rows[0]);
   } catch (error) {
-    console.error('Error fetching notes:', error);
-    // Return empty array instead of error for more resilient frontend behavior
-    res.status(500).json({ 
-      error: 'Failed to fetch notes',
-      notes: []
-    });
+    console.error('Error downloading attachment:', error);
+    res.status(500).json({ error: 'Failed to download attachment' });
   }
 });
 
-app.post('/api/notes', loginRequired, async (req, res) => {
-  // Get user ID from either session or JWT token
-  let userId = null;
-  
-  // Try session first
-  if (req.session?.uid) {
-    userId = req.session.uid;
-  } 
-  // Then try JWT user object
-  else if (req.user?.id) {
-    userId = req.user.id;
-  }
-  
+app.delete('/api/notes/:id/attachments/:attachmentId', apiScope('notes:write'), loginRequired, requireNoteId, async (req, res) => {
+  const userId = getUserId(req);
   if (!userId) {
     return res.status(401).json({ error: 'User not authenticated' });
   }
-  
-  const { content, id, title, tags } = req.body;
-  
-  if (content === undefined) {
-    return res.status(400).json({ error: 'Note content is required' });
-  }
-  
+
   try {
-    if (id) {
-      // Update existing note
-      await pool.query(
-        'UPDATE deuss.notes SET content = $1, title = $2, updated_at = NOW(), tags = $3 WHERE id = $4 AND user_id = $5',
-        [content, title || '', tags || [], id, userId]
-      );
-      
-      res.json({ 
-        message: 'Note updated successfully',
-        noteId: id
-      });
-    } else {
-      // Create new note
-      const result = await pool.query(
-        'INSERT INTO deuss.notes (user_id, content, title, tags, created_at, updated_at) VALUES ($1, $2, $3, $4, NOW(), NOW()) RETURNING id',
-        [userId, content, title || '', tags || []]
-      );
-      
-      res.json({ 
-        message: 'Note created successfully',
-        noteId: result.rows[0].id
-      });
+    const note = await findAccessibleNote(req.params.id, userId);
+    const attachment = note && await findAttachment(note.id, req.params.attachmentId);
+    if (!attachment) {
+      return res.status(404).json({ error: 'Attachment not found' });
+    }
+    if (note.role === 'viewer') {
+      return res.status(403).json({ error: 'You only have view access to this note' });
     }
+
+    // The trigger on note_attachments queues the file for the purge job
+    await pool.query('DELETE FROM deuss.note_attachments WHERE id = $1', [attachment.id]);
+    await enqueueAttachmentPurge();
+
+    await recordAuditEvent(req, 'note.attachment_removed', {
+      userId: note.user_id,
+      actorId: userId,
+      details: { noteId: note.id, attachmentId: attachment.id, filename: attachment.filename }
+    });
+
+    res.json({ message: 'Attachment deleted successfully' });
   } catch (error) {
-    console.error('Error saving note:', error);
-    res.status(500).json({ error: 'Failed to save note' });
+    console.error('Error deleting note attachment:', error);
+    res.status(500).json({ error: 'Failed to delete attachment' });
   }
 });
 
-app.delete('/api/notes/:id', loginRequired, async (req, res) => {
-  const userId = req.session?.uid;
+// Realtime Note Editing
+
+// Notes are edited live over WebSockets at /api/realtime/notes/:id (see realtime.js). With
+// REALTIME_ENABLED=false the endpoint is off and clients save through POST /api/notes.
+const REALTIME_ENABLED = process.env.REALTIME_ENABLED !== 'false';
+
+const realtime = createRealtime({
+  pool,
+  authenticate: authenticateUpgrade,
+  findAccessibleNote,
+  saveNote,
+  checkNoteSize,
+  saveDelayMs: parseInt(process.env.REALTIME_SAVE_DELAY_MS, 10) || 2000,
+  maxSaveDelayMs: parseInt(process.env.REALTIME_MAX_SAVE_DELAY_MS, 10) || 10000
+});
+
+// A one-time ticket for opening a realtime connection from a browser (see authenticateUpgrade)
+app.post('/api/realtime/tickets', apiScope('notes:read'), loginRequired, (req, res) => {
+  const userId = getUserId(req);
   if (!userId) {
     return res.status(401).json({ error: 'User not authenticated' });
   }
-  
-  const noteId = req.params.id;
-  
+  if (!REALTIME_ENABLED) {
+    return res.status(404).json({ error: 'Realtime editing is disabled' });
+  }
+
+  const canWrite = !req.apiToken || req.apiToken.scopes.includes('notes:write');
+  res.json({
+    ticket: issueRealtimeTicket(userId, canWrite),
+    expiresIn: REALTIME_TICKET_TTL_SECONDS
+  });
+});
+
+// Who has a note open, for clients that aren't connected themselves
+app.get('/api/notes/:id/presence', apiScope('notes:read'), loginRequired, requireNoteId, async (req, res) => {
+  const userId = getUserId(req);
+  if (!userId) {
+    return res.status(401).json({ error: 'User not authenticated' });
+  }
+
   try {
-    const result = await pool.query(
-      'DELETE FROM deuss.notes WHERE id = $1 AND user_id = $2 RETURNING id',
-      [noteId, userId]
-    );
-    
-    if (result.rows.length === 0) {
+    const note = await findAccessibleNote(req.params.id, userId);
+    if (!note) {
       return res.status(404).json({ error: 'Note not found' });
     }
-    
-    res.json({ message: 'Note deleted successfully' });
+
+    res.json({
+      realtime: REALTIME_ENABLED,
+      version: note.version,
+      viewers: await realtime.presence(note.id)
+    });
   } catch (error) {
-    console.error('Error deleting note:', error);
-    res.status(500).json({ error: 'Failed to delete note' });
+    console.error('Error fetching note presence:', error);
+    res.status(500).json({ error: 'Failed to fetch note presence' });
   }
 });
 
 // Hacking Profiles Routes
-app.get('/api/hacking-profiles', loginRequired, async (req, res) => {
+app.get('/api/hacking-profiles', apiScope('profiles:read'), loginRequired, async (req, res) => {
   // Get user ID from either session or JWT token
   let userId = null;
   
@@ -1770,7 +6372,7 @@ app.get('/api/hacking-profiles', loginRequired, async (req, res) => {
   }
 });
 
-app.post('/api/connect-platform', loginRequired, async (req, res) => {
+app.post('/api/connect-platform', apiScope('profiles:write'), loginRequired, async (req, res) => {
   // Get user ID from either session or JWT token
   let userId = null;
   
@@ -1794,6 +6396,19 @@ app.post('/api/connect-platform', loginRequired, async (req, res) => {
   }
   
   try {
+    // Reconnecting or updating an already connected platform doesn't use up the quota
+    const existing = await pool.query(
+      'SELECT id FROM deuss.hacking_profiles WHERE user_id = $1 AND platform = $2 AND connected = true',
+      [userId, platform]
+    );
+    
+    if (existing.rows.length === 0) {
+      const quotaError = await checkQuota(userId, 'connectedPlatforms');
+      if (quotaError) {
+        return res.status(quotaError.status).json(quotaError.error);
+      }
+    }
+    
     // For TryHackMe, ensure apiKey is null
     const profileApiKey = platform === 'tryhackme' ? null : apiKey;
     
@@ -1810,6 +6425,11 @@ app.post('/api/connect-platform', loginRequired, async (req, res) => {
       [userId, platform, username, profileApiKey]
     );
     
+    await recordAuditEvent(req, 'profile.platform_connected', {
+      userId,
+      details: { platform, username, apiKeyProvided: Boolean(profileApiKey) }
+    });
+    
     res.json({ 
       message: `Connected to ${platform}`,
       platform: result.rows[0]
@@ -1820,7 +6440,7 @@ app.post('/api/connect-platform', loginRequired, async (req, res) => {
   }
 });
 
-app.post('/api/disconnect-platform', loginRequired, async (req, res) => {
+app.post('/api/disconnect-platform', apiScope('profiles:write'), loginRequired, async (req, res) => {
   // Get user ID from either session or JWT token
   let userId = null;
   
@@ -1853,6 +6473,8 @@ app.post('/api/disconnect-platform', loginRequired, async (req, res) => {
       return res.status(404).json({ error: 'Platform not found' });
     }
     
+    await recordAuditEvent(req, 'profile.platform_disconnected', { userId, details: { platform } });
+    
     res.json({ 
       message: `Disconnected from ${platform}`,
       platform: result.rows[0]
@@ -1864,7 +6486,7 @@ app.post('/api/disconnect-platform', loginRequired, async (req, res) => {
 });
 
 // Social Profiles Routes
-app.get('/api/social-profiles', loginRequired, async (req, res) => {
+app.get('/api/social-profiles', apiScope('profiles:read'), loginRequired, async (req, res) => {
   // Get user ID from either session or JWT token
   let userId = null;
   
@@ -1894,7 +6516,7 @@ app.get('/api/social-profiles', loginRequired, async (req, res) => {
   }
 });
 
-app.post('/api/connect-social', loginRequired, async (req, res) => {
+app.post('/api/connect-social', apiScope('profiles:write'), loginRequired, async (req, res) => {
   // Get user ID from either session or JWT token
   let userId = null;
   
@@ -1970,540 +6592,703 @@ app.post('/api/connect-social', loginRequired, async (req, res) => {
       [userId, normalizedPlatform, username, url, apiKey]
     );
     
-    // For Twitter, immediately test the API key to provide feedback
+    await recordAuditEvent(req, 'profile.social_connected', {
+      userId,
+      details: { platform: normalizedPlatform, username, apiKeyProvided: Boolean(apiKey) }
+    });
+    
+    // For Twitter, check the new API key in the background; GET /api/twitter-profile
+    // reports an invalid key once the check has run
     if (normalizedPlatform === 'twitter' && apiKey) {
-      try {
-        // Attempt to validate the Twitter API key by making a simple request
-        const axios = require('axios');
-        const cleanUsername = username.startsWith('@') ? username.substring(1) : username;
-        
-        await axios.get(
-          `https://api.twitter.com/2/users/by/username/${cleanUsername}?user.fields=public_metrics`, 
-          {
-            headers: {
-              'Authorization': `Bearer ${apiKey}`
-            }
-          }
-        );
-        
-        res.json({ 
-          message: `Connected to ${normalizedPlatform}`,
-          platform: result.rows[0],
-          status: 'connected'
-        });
-      } catch (apiError) {
-        console.error(`Failed to validate Twitter API key:`, apiError.response?.status || apiError.message);
-        
-        // Still save the profile data, but return an error message about the API key
-        return res.status(200).json({ 
-          message: `Connected to ${normalizedPlatform} but API key may be invalid`,
-          platform: result.rows[0],
-          status: 'connected_with_warning',
-          warning: 'The provided Twitter API key may be invalid or have insufficient permissions'
-        });
-      }
-    } else {
-      res.json({ 
+      const cleanUsername = username.startsWith('@') ? username.substring(1) : username;
+      await externalSources.clearCache(pool, ['twitter.profile', 'twitter.tweets'], cleanUsername);
+      await queueExternalRefresh('twitter.profile', cleanUsername);
+
+      return res.json({
         message: `Connected to ${normalizedPlatform}`,
         platform: result.rows[0],
-        status: 'connected'
+        status: 'connected',
+        apiKeyStatus: 'pending'
       });
     }
+
+    res.json({ 
+      message: `Connected to ${normalizedPlatform}`,
+      platform: result.rows[0],
+      status: 'connected'
+    });
+  } catch (error) {
+    console.error('Error connecting social profile:', error);
+    res.status(500).json({ error: 'Failed to connect social profile' });
+  }
+});
+
+app.post('/api/disconnect-social', apiScope('profiles:write'), loginRequired, async (req, res) => {
+  // Get user ID from either session or JWT token
+  let userId = null;
+  
+  // Try session first
+  if (req.session?.uid) {
+    userId = req.session.uid;
+  } 
+  // Then try JWT user object
+  else if (req.user?.id) {
+    userId = req.user.id;
+  }
+  
+  if (!userId) {
+    return res.status(401).json({ error: 'User not authenticated' });
+  }
+  
+  const { platform } = req.body;
+  
+  if (!platform) {
+    return res.status(400).json({ error: 'Platform is required' });
+  }
+  
+  try {
+    const result = await pool.query(
+      'UPDATE deuss.social_profiles SET connected = false, updated_at = NOW() WHERE user_id = $1 AND platform = $2 RETURNING *',
+      [userId, platform]
+    );
+    
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Platform not found' });
+    }
+    
+    await recordAuditEvent(req, 'profile.social_disconnected', { userId, details: { platform } });
+    
+    res.json({ 
+      message: `Disconnected from ${platform}`,
+      platform: result.rows[0]
+    });
+  } catch (error) {
+    console.error('Error disconnecting social profile:', error);
+    res.status(500).json({ error: 'Failed to disconnect social profile' });
+  }
+});
+
+// TryHackMe and Twitter responses are served from deuss.external_cache and refreshed by
+// the job worker. A username that was never fetched gets 202 until the first fetch lands.
+
+function queueExternalRefresh(source, username) {
+  return jobQueue.enqueue(
+    'external.refresh',
+    { source, username },
+    { uniqueKey: `external.refresh:${externalSources.cacheKey(source, username)}` }
+  );
+}
+
+async function sendExternalResponse(res, source, username) {
+  const cached = await externalSources.readCache(pool, source, username);
+
+  if (!cached || !cached.fresh) {
+    await queueExternalRefresh(source, username);
+  }
+
+  if (!cached) {
+    res.set('Retry-After', '2');
+    return res.status(202).json({
+      status: 'pending',
+      message: 'Fetching data, try again shortly'
+    });
+  }
+
+  res.set('Last-Modified', new Date(cached.fetchedAt).toUTCString());
+  res.status(cached.status).json(cached.body);
+}
+
+function externalRoute(source, getUsername, missingMessage) {
+  return async (req, res) => {
+    const username = getUsername(req);
+
+    if (!username) {
+      return res.status(400).json({ error: missingMessage });
+    }
+
+    try {
+      await sendExternalResponse(res, source, username);
+    } catch (error) {
+      console.error(`Error serving ${source}:`, error);
+      res.status(500).json({ error: 'Server error', message: error.message });
+    }
+  };
+}
+
+// TryHackMe API Routes
+app.get('/api/tryhackme/rank/:username', externalRoute('tryhackme.rank', req => req.params.username, 'Username is required'));
+app.get('/api/tryhackme/badges/:username', externalRoute('tryhackme.badges', req => req.params.username, 'Username is required'));
+app.get('/api/tryhackme/rooms/:username', externalRoute('tryhackme.rooms', req => req.params.username, 'Username is required'));
+app.get('/api/tryhackme/user/:username', externalRoute('tryhackme.user', req => req.params.username, 'Username is required'));
+app.get('/api/tryhackme/tickets/:username', externalRoute('tryhackme.tickets', req => req.params.username, 'Username is required'));
+
+// Twitter API endpoints
+app.get('/api/twitter-profile', externalRoute('twitter.profile', req => req.query.username, 'Missing username parameter'));
+app.get('/api/twitter-tweets', externalRoute('twitter.tweets', req => req.query.username, 'Missing username parameter'));
+
+// Admin Routes
+
+// Columns exposed to admins - never password hashes, secrets or tokens
+const ADMIN_USER_COLUMNS = `
+  id, email, full_name, avatar_url, country, tier, role, is_verified,
+  totp_enabled, disabled_at, disabled_reason, created_at, updated_at
+`;
+
+function parseUserIdParam(req, res) {
+  const userId = parseInt(req.params.id, 10);
+  if (isNaN(userId)) {
+    res.status(400).json({
+      error: 'Invalid user ID',
+      details: 'User ID must be a valid integer'
+    });
+    return null;
+  }
+  return userId;
+}
+
+// List and search users
+app.get('/api/admin/users', loginRequired, requireRole('moderator'), async (req, res) => {
+  const { search, tier, role, status } = req.query;
+  const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 25, 1), 100);
+
+  const conditions = [];
+  const params = [];
+
+  if (search) {
+    params.push(`%${search}%`);
+    conditions.push(`(email ILIKE $${params.length} OR full_name ILIKE $${params.length})`);
+  }
+  if (tier) {
+    params.push(tier);
+    conditions.push(`tier = $${params.length}`);
+  }
+  if (role) {
+    params.push(role);
+    conditions.push(`role = $${params.length}`);
+  }
+  if (status === 'disabled') {
+    conditions.push('disabled_at IS NOT NULL');
+  } else if (status === 'active') {
+    conditions.push('disabled_at IS NULL');
+  } else if (status === 'unverified') {
+    conditions.push('is_verified = false');
+  }
+
+  const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+  try {
+    const countResult = await pool.query(
+      `SELECT COUNT(*) AS total FROM deuss.users ${where}`,
+      params
+    );
+
+    const result = await pool.query(
+      `SELECT ${ADMIN_USER_COLUMNS} FROM deuss.users ${where}
+       ORDER BY created_at DESC
+       LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+      [...params, limit, (page - 1) * limit]
+    );
+
+    res.json({
+      users: result.rows,
+      page,
+      limit,
+      total: parseInt(countResult.rows[0].total, 10)
+    });
+  } catch (error) {
+    console.error('Error listing users:', error);
+    res.status(500).json({ error: 'Failed to list users' });
+  }
+});
+
+app.get('/api/admin/users/:id', loginRequired, requireRole('moderator'), async (req, res) => {
+  const userId = parseUserIdParam(req, res);
+  if (userId === null) return;
+
+  try {
+    const result = await pool.query(
+      `SELECT ${ADMIN_USER_COLUMNS},
+         (SELECT COUNT(*) FROM deuss.notes WHERE user_id = u.id) AS note_count,
+         (SELECT COUNT(*) FROM deuss.bookmarks WHERE user_id = u.id) AS bookmark_count,
+         (SELECT array_agg(provider) FROM deuss.user_identities WHERE user_id = u.id) AS providers
+       FROM deuss.users u WHERE id = $1`,
+      [userId]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    res.json({ user: result.rows[0] });
+  } catch (error) {
+    console.error('Error fetching user:', error);
+    res.status(500).json({ error: 'Failed to fetch user' });
+  }
+});
+
+app.put('/api/admin/users/:id/tier', loginRequired, requireRole('admin'), async (req, res) => {
+  const userId = parseUserIdParam(req, res);
+  if (userId === null) return;
+
+  const { tier } = req.body;
+  if (!USER_TIERS.includes(tier)) {
+    return res.status(400).json({ error: 'Invalid tier', availableTiers: USER_TIERS });
+  }
+
+  try {
+    const result = await pool.query(
+      `UPDATE deuss.users SET tier = $1, updated_at = NOW() WHERE id = $2 RETURNING ${ADMIN_USER_COLUMNS}`,
+      [tier, userId]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    await recordAuditEvent(req, 'admin.tier_changed', { userId, actorId: getUserId(req), details: { tier } });
+
+    res.json({ message: 'Tier updated successfully', user: result.rows[0] });
+  } catch (error) {
+    console.error('Error updating tier:', error);
+    res.status(500).json({ error: 'Failed to update tier' });
+  }
+});
+
+app.put('/api/admin/users/:id/role', loginRequired, requireRole('admin'), async (req, res) => {
+  const userId = parseUserIdParam(req, res);
+  if (userId === null) return;
+
+  const { role } = req.body;
+  if (!USER_ROLES.includes(role)) {
+    return res.status(400).json({ error: 'Invalid role', availableRoles: USER_ROLES });
+  }
+
+  // Prevent admins from locking themselves (and possibly everyone) out of the admin API
+  if (userId === getUserId(req) && role !== 'admin') {
+    return res.status(400).json({ error: 'You cannot remove your own admin role' });
+  }
+
+  try {
+    const result = await pool.query(
+      `UPDATE deuss.users SET role = $1, updated_at = NOW() WHERE id = $2 RETURNING ${ADMIN_USER_COLUMNS}`,
+      [role, userId]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    await recordAuditEvent(req, 'admin.role_changed', { userId, actorId: getUserId(req), details: { role } });
+
+    res.json({ message: 'Role updated successfully', user: result.rows[0] });
+  } catch (error) {
+    console.error('Error updating role:', error);
+    res.status(500).json({ error: 'Failed to update role' });
+  }
+});
+
+app.post('/api/admin/users/:id/verify', loginRequired, requireRole('admin'), async (req, res) => {
+  const userId = parseUserIdParam(req, res);
+  if (userId === null) return;
+
+  try {
+    const result = await pool.query(
+      `UPDATE deuss.users
+       SET is_verified = true,
+           verification_token = NULL,
+           verification_token_expiry = NULL,
+           updated_at = NOW()
+       WHERE id = $1
+       RETURNING ${ADMIN_USER_COLUMNS}`,
+      [userId]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    await recordAuditEvent(req, 'admin.email_verified', { userId, actorId: getUserId(req) });
+
+    res.json({ message: 'Email marked as verified', user: result.rows[0] });
   } catch (error) {
-    console.error('Error connecting social profile:', error);
-    res.status(500).json({ error: 'Failed to connect social profile' });
+    console.error('Error verifying user:', error);
+    res.status(500).json({ error: 'Failed to verify user' });
   }
 });
 
-app.post('/api/disconnect-social', loginRequired, async (req, res) => {
-  // Get user ID from either session or JWT token
-  let userId = null;
-  
-  // Try session first
-  if (req.session?.uid) {
-    userId = req.session.uid;
-  } 
-  // Then try JWT user object
-  else if (req.user?.id) {
-    userId = req.user.id;
-  }
-  
-  if (!userId) {
-    return res.status(401).json({ error: 'User not authenticated' });
-  }
-  
-  const { platform } = req.body;
-  
-  if (!platform) {
-    return res.status(400).json({ error: 'Platform is required' });
+app.post('/api/admin/users/:id/disable', loginRequired, requireRole('moderator'), async (req, res) => {
+  const userId = parseUserIdParam(req, res);
+  if (userId === null) return;
+
+  if (userId === getUserId(req)) {
+    return res.status(400).json({ error: 'You cannot disable your own account' });
   }
-  
+
   try {
+    // Moderators may not disable staff; only admins can
+    const target = await pool.query('SELECT role FROM deuss.users WHERE id = $1', [userId]);
+    if (target.rows.length === 0) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    if (target.rows[0].role !== 'user' && req.userRole !== 'admin') {
+      return res.status(403).json({ error: 'Only admins can disable moderators or admins' });
+    }
+
     const result = await pool.query(
-      'UPDATE deuss.social_profiles SET connected = false, updated_at = NOW() WHERE user_id = $1 AND platform = $2 RETURNING *',
-      [userId, platform]
+      `UPDATE deuss.users
+       SET disabled_at = NOW(), disabled_reason = $1, updated_at = NOW()
+       WHERE id = $2
+       RETURNING ${ADMIN_USER_COLUMNS}`,
+      [req.body.reason || null, userId]
     );
-    
-    if (result.rows.length === 0) {
-      return res.status(404).json({ error: 'Platform not found' });
-    }
-    
-    res.json({ 
-      message: `Disconnected from ${platform}`,
-      platform: result.rows[0]
+
+    // Kick the user off every device immediately
+    await revokeAllUserSessions(userId, 'account_disabled');
+
+    await recordAuditEvent(req, 'admin.account_disabled', {
+      userId,
+      actorId: getUserId(req),
+      details: { reason: req.body.reason || null }
     });
+
+    res.json({ message: 'Account disabled', user: result.rows[0] });
   } catch (error) {
-    console.error('Error disconnecting social profile:', error);
-    res.status(500).json({ error: 'Failed to disconnect social profile' });
+    console.error('Error disabling user:', error);
+    res.status(500).json({ error: 'Failed to disable account' });
   }
 });
 
-// TryHackMe API Routes
-app.get('/api/tryhackme/rank/:username', async (req, res) => {
-  const { username } = req.params;
-  
-  if (!username) {
-    return res.status(400).json({ error: 'Username is required' });
-  }
-  
+app.post('/api/admin/users/:id/enable', loginRequired, requireRole('moderator'), async (req, res) => {
+  const userId = parseUserIdParam(req, res);
+  if (userId === null) return;
+
   try {
-    const axios = require('axios');
-    const response = await axios.get(`https://tryhackme.com/api/user/rank/${username}`);
-    res.json(response.data);
+    const result = await pool.query(
+      `UPDATE deuss.users
+       SET disabled_at = NULL, disabled_reason = NULL, updated_at = NOW()
+       WHERE id = $1
+       RETURNING ${ADMIN_USER_COLUMNS}`,
+      [userId]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    await recordAuditEvent(req, 'admin.account_enabled', { userId, actorId: getUserId(req) });
+
+    res.json({ message: 'Account enabled', user: result.rows[0] });
   } catch (error) {
-    console.error('Error fetching TryHackMe rank:', error);
-    res.status(500).json({ 
-      error: 'Failed to fetch TryHackMe rank',
-      details: error.message 
-    });
+    console.error('Error enabling user:', error);
+    res.status(500).json({ error: 'Failed to enable account' });
   }
 });
 
-app.get('/api/tryhackme/badges/:username', async (req, res) => {
-  const { username } = req.params;
-  
-  if (!username) {
-    return res.status(400).json({ error: 'Username is required' });
+// Query the audit log. event accepts an exact name or a prefix ending in * (e.g. auth.*)
+app.get('/api/admin/audit-log', loginRequired, requireRole('admin'), async (req, res) => {
+  const { userId, actorId, event, ip, from, to } = req.query;
+  const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+
+  const conditions = [];
+  const params = [];
+
+  if (userId) {
+    params.push(parseInt(userId, 10) || 0);
+    conditions.push(`user_id = $${params.length}`);
   }
-  
+  if (actorId) {
+    params.push(parseInt(actorId, 10) || 0);
+    conditions.push(`actor_id = $${params.length}`);
+  }
+  if (event) {
+    if (event.endsWith('*')) {
+      params.push(`${event.slice(0, -1).replace(/[%_\\]/g, '\\$&')}%`);
+      conditions.push(`event LIKE $${params.length}`);
+    } else {
+      params.push(event);
+      conditions.push(`event = $${params.length}`);
+    }
+  }
+  if (ip) {
+    params.push(ip);
+    conditions.push(`ip_address = $${params.length}`);
+  }
+  for (const [value, operator] of [[from, '>='], [to, '<=']]) {
+    if (!value) continue;
+    const date = new Date(value);
+    if (isNaN(date.getTime())) {
+      return res.status(400).json({ error: 'Invalid date', details: 'from and to must be ISO 8601 dates' });
+    }
+    params.push(date);
+    conditions.push(`created_at ${operator} $${params.length}`);
+  }
+
+  const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
   try {
-    const axios = require('axios');
-    const response = await axios.get(`https://tryhackme.com/api/badges/get/${username}`);
+    const countResult = await pool.query(
+      `SELECT COUNT(*) AS total FROM deuss.audit_log ${where}`,
+      params
+    );
+
+    const result = await pool.query(
+      `SELECT * FROM deuss.audit_log ${where}
+       ORDER BY id DESC
+       LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+      [...params, limit, (page - 1) * limit]
+    );
+
     res.json({
-      badges: response.data,
-      count: response.data.length
+      events: result.rows,
+      page,
+      limit,
+      total: parseInt(countResult.rows[0].total, 10)
     });
   } catch (error) {
-    console.error('Error fetching TryHackMe badges:', error);
-    res.status(500).json({ 
-      error: 'Failed to fetch TryHackMe badges',
-      details: error.message 
-    });
+    console.error('Error querying audit log:', error);
+    res.status(500).json({ error: 'Failed to query audit log' });
   }
 });
 
-app.get('/api/tryhackme/rooms/:username', async (req, res) => {
-  const { username } = req.params;
-  
-  if (!username) {
-    return res.status(400).json({ error: 'Username is required' });
-  }
-  
+// Default bookmarks seeded into new accounts
+
+// external_id is required by the schema; derive a stable one when the admin doesn't supply it
+function defaultBookmarkExternalId(value, prefix) {
+  const slug = String(value || '').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+  return `${prefix}-${slug || 'item'}-${crypto.randomBytes(3).toString('hex')}`;
+}
+
+app.get('/api/admin/default-bookmarks', loginRequired, requireRole('admin'), async (req, res) => {
   try {
-    const axios = require('axios');
-    const response = await axios.get(`https://tryhackme.com/api/no-completed-rooms-public/${username}`);
+    const categoriesResult = await pool.query(
+      'SELECT * FROM deuss.default_bookmark_categories ORDER BY id'
+    );
+    const bookmarksResult = await pool.query(
+      'SELECT * FROM deuss.default_bookmarks ORDER BY id'
+    );
+
     res.json({
-      completedRooms: parseInt(response.data, 10) || 0
+      categories: categoriesResult.rows.map(category => ({
+        ...category,
+        bookmarks: bookmarksResult.rows.filter(bookmark => bookmark.category_id === category.id)
+      }))
     });
   } catch (error) {
-    console.error('Error fetching TryHackMe completed rooms:', error);
-    res.status(500).json({ 
-      error: 'Failed to fetch TryHackMe completed rooms',
-      details: error.message 
-    });
+    console.error('Error fetching default bookmarks:', error);
+    res.status(500).json({ error: 'Failed to fetch default bookmarks' });
   }
 });
 
-// Add new endpoint for TryHackMe Discord API
-app.get('/api/tryhackme/user/:username', async (req, res) => {
-  const { username } = req.params;
-  
-  if (!username) {
-    return res.status(400).json({ error: 'Username is required' });
+app.post('/api/admin/default-bookmarks/categories', loginRequired, requireRole('admin'), async (req, res) => {
+  const { name, icon, external_id } = req.body;
+
+  if (!name) {
+    return res.status(400).json({ error: 'Category name is required' });
   }
-  
+
   try {
-    const axios = require('axios');
-    const response = await axios.get(`https://tryhackme.com/api/discord/user/${username}`);
-    res.json(response.data);
-  } catch (error) {
-    console.error('Error fetching TryHackMe user data:', error);
-    res.status(500).json({ 
-      error: 'Failed to fetch TryHackMe user data',
-      details: error.message 
+    const result = await pool.query(
+      `INSERT INTO deuss.default_bookmark_categories (name, icon, external_id, created_at, updated_at)
+       VALUES ($1, $2, $3, NOW(), NOW())
+       RETURNING *`,
+      [name, icon || 'wrench', external_id || defaultBookmarkExternalId(name, 'cat')]
+    );
+
+    res.status(201).json({
+      message: 'Default category created successfully',
+      category: result.rows[0]
     });
+  } catch (error) {
+    console.error('Error creating default category:', error);
+    res.status(500).json({ error: 'Failed to create default category' });
   }
 });
 
-// Add new endpoint for TryHackMe tickets won
-app.get('/api/tryhackme/tickets/:username', async (req, res) => {
-  const { username } = req.params;
-  
-  if (!username) {
-    return res.status(400).json({ error: 'Username is required' });
-  }
-  
-  try {
-    const axios = require('axios');
-    const response = await axios.get(`https://tryhackme.com/games/tickets/won?username=${username}`);
-    res.json(response.data);
-  } catch (error) {
-    console.error('Error fetching TryHackMe tickets:', error);
-    res.status(500).json({ 
-      error: 'Failed to fetch TryHackMe tickets',
-      details: error.message 
+app.put('/api/admin/default-bookmarks/categories/:id', loginRequired, requireRole('admin'), async (req, res) => {
+  const categoryId = parseInt(req.params.id, 10);
+  if (isNaN(categoryId)) {
+    return res.status(400).json({
+      error: 'Invalid category ID',
+      details: 'Category ID must be a valid integer'
     });
   }
-});
 
-// Simple in-memory cache for Twitter responses
-const twitterCache = {
-  profiles: new Map(),
-  tweets: new Map()
-};
+  const { name, icon } = req.body;
+  if (!name) {
+    return res.status(400).json({ error: 'Category name is required' });
+  }
 
-// Cache expiry times (in milliseconds)
-const PROFILE_CACHE_TTL = 15 * 60 * 1000; // 15 minutes for profiles
-const TWEETS_CACHE_TTL = 5 * 60 * 1000;   // 5 minutes for tweets
-
-// Mock tweets generator for fallback
-function generateMockTweets() {
-  return [
-    {
-      id: 'mock1',
-      text: 'Sorry, Twitter API rate limit exceeded. This is a mock tweet to show the UI.',
-      created_at: new Date().toISOString(),
-      public_metrics: {
-        retweet_count: 0,
-        reply_count: 0,
-        like_count: 0,
-        quote_count: 0
-      }
-    },
-    {
-      id: 'mock2',
-      text: 'Please try again later. Twitter limits API requests.',
-      created_at: new Date(Date.now() - 86400000).toISOString(),
-      public_metrics: {
-        retweet_count: 0,
-        reply_count: 0,
-        like_count: 0,
-        quote_count: 0
-      }
-    }
-  ];
-}
-
-// Helper function to get Twitter API key for a username
-async function getTwitterApiKey(username) {
-  try {
-    // Clean up username format
-    let cleanUsername = username.trim();
-    if (cleanUsername.startsWith('@')) {
-      cleanUsername = cleanUsername.substring(1);
-    }
-    
-    // First try: Look up by provided username directly
-    const profileByUsernameResult = await pool.query(
-      'SELECT api_key FROM deuss.social_profiles WHERE platform = $1 AND username = $2 AND connected = true',
-      ['twitter', cleanUsername]
+  try {
+    const result = await pool.query(
+      `UPDATE deuss.default_bookmark_categories
+       SET name = $1, icon = $2, updated_at = NOW()
+       WHERE id = $3
+       RETURNING *`,
+      [name, icon || 'wrench', categoryId]
     );
-    
-    if (profileByUsernameResult.rows.length > 0 && profileByUsernameResult.rows[0].api_key) {
-      return profileByUsernameResult.rows[0].api_key;
-    }
-    
-    // Fall back to environment variable if no user API key
-    if (process.env.TWITTER_BEARER_TOKEN) {
-      return process.env.TWITTER_BEARER_TOKEN;
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Category not found' });
     }
-    
-    return null;
+
+    res.json({
+      message: 'Default category updated successfully',
+      category: result.rows[0]
+    });
   } catch (error) {
-    console.error('Error fetching Twitter API key:', error);
-    return null;
+    console.error('Error updating default category:', error);
+    res.status(500).json({ error: 'Failed to update default category' });
   }
-}
+});
 
-// Helper function to check if a Twitter user is verified
-async function isTwitterUserVerified(username, apiKey) {
-  try {
-    // Check cache first
-    const cacheKey = username.toLowerCase();
-    const cachedProfile = twitterCache.profiles.get(cacheKey);
-    if (cachedProfile && cachedProfile.timestamp > Date.now() - PROFILE_CACHE_TTL) {
-      return cachedProfile.data.verified || false;
-    }
+app.delete('/api/admin/default-bookmarks/categories/:id', loginRequired, requireRole('admin'), async (req, res) => {
+  const categoryId = parseInt(req.params.id, 10);
+  if (isNaN(categoryId)) {
+    return res.status(400).json({
+      error: 'Invalid category ID',
+      details: 'Category ID must be a valid integer'
+    });
+  }
 
-    // If not in cache, fetch from API
-    const userResponse = await fetch(
-      `https://api.twitter.com/2/users/by/username/${username}?user.fields=verified`,
-      {
-        headers: {
-          Authorization: `Bearer ${apiKey}`,
-        },
-      }
+  try {
+    // Bookmarks in the category go with it (ON DELETE CASCADE)
+    const result = await pool.query(
+      'DELETE FROM deuss.default_bookmark_categories WHERE id = $1 RETURNING id',
+      [categoryId]
     );
 
-    if (!userResponse.ok) {
-      return false;
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Category not found' });
     }
 
-    const userData = await userResponse.json();
-    return userData.data.verified || false;
+    res.json({ message: 'Default category and its bookmarks deleted successfully' });
   } catch (error) {
-    console.error('Error checking if Twitter user is verified:', error);
-    return false;
+    console.error('Error deleting default category:', error);
+    res.status(500).json({ error: 'Failed to delete default category' });
   }
-}
+});
 
-// Twitter API endpoints
-app.get('/api/twitter-profile', async (req, res) => {
-  try {
-    const { username } = req.query;
-    if (!username) {
-      return res.status(400).json({ error: 'Missing username parameter' });
-    }
+app.post('/api/admin/default-bookmarks', loginRequired, requireRole('admin'), async (req, res) => {
+  const { category_id, title, url, color, icon, external_id } = req.body;
 
-    // Check cache first
-    const cacheKey = username.toLowerCase();
-    const cachedProfile = twitterCache.profiles.get(cacheKey);
-    if (cachedProfile && cachedProfile.timestamp > Date.now() - PROFILE_CACHE_TTL) {
-      return res.json(cachedProfile.data);
-    }
+  if (!title || !url || !category_id) {
+    return res.status(400).json({ error: 'Missing required fields' });
+  }
 
-    // Get API key from database
-    const apiKey = await getTwitterApiKey(username);
-    if (!apiKey) {
-      return res.status(404).json({ error: 'Twitter API key not found for this user' });
-    }
+  const categoryIdInt = parseInt(category_id, 10);
+  if (isNaN(categoryIdInt)) {
+    return res.status(400).json({
+      error: 'Invalid category ID',
+      details: 'Category ID must be a valid integer'
+    });
+  }
 
-    // Make request to Twitter API
-    const twitterResponse = await fetch(
-      `https://api.twitter.com/2/users/by/username/${username}?user.fields=description,profile_image_url,public_metrics,verified`,
-      {
-        headers: {
-          Authorization: `Bearer ${apiKey}`,
-        },
-      }
+  try {
+    const categoryCheck = await pool.query(
+      'SELECT id FROM deuss.default_bookmark_categories WHERE id = $1',
+      [categoryIdInt]
     );
 
-    // Handle different response statuses
-    if (twitterResponse.status === 401) {
-      return res.status(401).json({ 
-        error: 'Invalid Twitter credentials', 
-        message: 'The Twitter API key is invalid or expired.' 
-      });
-    }
-    
-    if (twitterResponse.status === 429) {
-      // If we have a cached version (even if expired), return it
-      if (cachedProfile) {
-        return res.status(200).json(cachedProfile.data);
-      }
-      
-      return res.status(429).json({ 
-        error: 'Twitter API rate limit exceeded', 
-        message: 'Please try again later.' 
-      });
-    }
-
-    if (twitterResponse.status === 404) {
-      return res.status(404).json({ 
-        error: 'Twitter user not found', 
-        message: `No Twitter profile found for username: ${username}` 
-      });
+    if (categoryCheck.rows.length === 0) {
+      return res.status(404).json({ error: 'Category not found' });
     }
 
-    if (!twitterResponse.ok) {
-      const errorData = await twitterResponse.json();
-      console.error('Twitter API error:', errorData);
-      return res.status(twitterResponse.status).json({ 
-        error: 'Twitter API error', 
-        message: errorData.detail || 'An error occurred while fetching Twitter data' 
-      });
-    }
+    const result = await pool.query(
+      `INSERT INTO deuss.default_bookmarks (category_id, title, url, color, icon, external_id, created_at, updated_at)
+       VALUES ($1, $2, $3, $4, $5, $6, NOW(), NOW())
+       RETURNING *`,
+      [categoryIdInt, title, url, color || null, icon || null, external_id || defaultBookmarkExternalId(title, 'bm')]
+    );
 
-    const twitterData = await twitterResponse.json();
-    
-    // Cache the successful response
-    twitterCache.profiles.set(cacheKey, {
-      data: twitterData.data,
-      timestamp: Date.now()
+    res.status(201).json({
+      message: 'Default bookmark created successfully',
+      bookmark: result.rows[0]
     });
-    
-    res.json(twitterData.data);
   } catch (error) {
-    console.error('Twitter profile fetch error:', error);
-    res.status(500).json({ error: 'Server error', message: error.message });
+    console.error('Error creating default bookmark:', error);
+    res.status(500).json({ error: 'Failed to create default bookmark' });
   }
 });
 
-app.get('/api/twitter-tweets', async (req, res) => {
-  try {
-    const { username } = req.query;
-    if (!username) {
-      return res.status(400).json({ error: 'Missing username parameter' });
-    }
+app.put('/api/admin/default-bookmarks/:id', loginRequired, requireRole('admin'), async (req, res) => {
+  const bookmarkId = parseInt(req.params.id, 10);
+  if (isNaN(bookmarkId)) {
+    return res.status(400).json({
+      error: 'Invalid bookmark ID',
+      details: 'Bookmark ID must be a valid integer'
+    });
+  }
 
-    // Check cache first
-    const cacheKey = username.toLowerCase();
-    const cachedTweets = twitterCache.tweets.get(cacheKey);
-    if (cachedTweets && cachedTweets.timestamp > Date.now() - TWEETS_CACHE_TTL) {
-      return res.json(cachedTweets.data);
-    }
+  const { category_id, title, url, color, icon } = req.body;
+  if (!title || !url || !category_id) {
+    return res.status(400).json({ error: 'Missing required fields' });
+  }
 
-    // Get API key from database
-    const apiKey = await getTwitterApiKey(username);
-    if (!apiKey) {
-      return res.status(404).json({ error: 'Twitter API key not found for this user' });
-    }
+  const categoryIdInt = parseInt(category_id, 10);
+  if (isNaN(categoryIdInt)) {
+    return res.status(400).json({
+      error: 'Invalid category ID',
+      details: 'Category ID must be a valid integer'
+    });
+  }
 
-    // Get user ID first
-    const userResponse = await fetch(
-      `https://api.twitter.com/2/users/by/username/${username}?user.fields=verified,public_metrics`,
-      {
-        headers: {
-          Authorization: `Bearer ${apiKey}`,
-        },
-      }
+  try {
+    const categoryCheck = await pool.query(
+      'SELECT id FROM deuss.default_bookmark_categories WHERE id = $1',
+      [categoryIdInt]
     );
 
-    // Handle user lookup errors
-    if (userResponse.status === 429) {
-      // If we have a cached version (even if expired), return it
-      if (cachedTweets) {
-        return res.json(cachedTweets.data);
-      }
-      
-      // Check if the user is verified before returning mock tweets
-      const isVerified = await isTwitterUserVerified(username, apiKey);
-      if (isVerified) {
-        return res.status(429).json({ 
-          error: 'Twitter API rate limit exceeded', 
-          message: 'Rate limit exceeded for verified user, please try again later.',
-          verified: true
-        });
-      }
-      
-      // Return mock tweets as fallback for non-verified users
-      const mockResponse = {
-        data: generateMockTweets(),
-        meta: {
-          result_count: 2,
-          newest_id: 'mock1',
-          oldest_id: 'mock2'
-        },
-        fallback: true,
-        error: 'Twitter API rate limit exceeded',
-        message: 'Using mock data due to rate limiting'
-      };
-      
-      return res.status(200).json(mockResponse);
+    if (categoryCheck.rows.length === 0) {
+      return res.status(404).json({ error: 'Category not found' });
     }
 
-    if (!userResponse.ok) {
-      const errorData = await userResponse.json();
-      return res.status(userResponse.status).json({ 
-        error: 'Twitter API error', 
-        message: errorData.detail || 'Error fetching Twitter user data' 
-      });
-    }
+    const result = await pool.query(
+      `UPDATE deuss.default_bookmarks
+       SET category_id = $1, title = $2, url = $3, color = $4, icon = $5, updated_at = NOW()
+       WHERE id = $6
+       RETURNING *`,
+      [categoryIdInt, title, url, color || null, icon || null, bookmarkId]
+    );
 
-    const userData = await userResponse.json();
-    const userId = userData.data.id;
-    const isVerified = userData.data.verified || false;
-    
-    // Check if user has 0 tweets
-    if (userData.data.public_metrics && userData.data.public_metrics.tweet_count === 0) {
-      const emptyResponse = {
-        data: [],
-        meta: {
-          result_count: 0
-        }
-      };
-      
-      // Cache the empty response
-      twitterCache.tweets.set(cacheKey, {
-        data: emptyResponse,
-        timestamp: Date.now()
-      });
-      
-      return res.json(emptyResponse);
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Bookmark not found' });
     }
 
-    // Now fetch the tweets
-    const tweetsResponse = await fetch(
-      `https://api.twitter.com/2/users/${userId}/tweets?max_results=5&tweet.fields=created_at,public_metrics&exclude=retweets,replies`,
-      {
-        headers: {
-          Authorization: `Bearer ${apiKey}`,
-        },
-      }
-    );
+    res.json({
+      message: 'Default bookmark updated successfully',
+      bookmark: result.rows[0]
+    });
+  } catch (error) {
+    console.error('Error updating default bookmark:', error);
+    res.status(500).json({ error: 'Failed to update default bookmark' });
+  }
+});
 
-    // Handle tweets lookup errors
-    if (tweetsResponse.status === 429) {
-      // If we have a cached version (even if expired), return it
-      if (cachedTweets) {
-        return res.json(cachedTweets.data);
-      }
-      
-      // For verified users, don't return mock tweets
-      if (isVerified) {
-        return res.status(429).json({ 
-          error: 'Twitter API rate limit exceeded', 
-          message: 'Rate limit exceeded for verified user, please try again later.',
-          verified: true
-        });
-      }
-      
-      // Return mock tweets as fallback for non-verified users
-      const mockResponse = {
-        data: generateMockTweets(),
-        meta: {
-          result_count: 2,
-          newest_id: 'mock1',
-          oldest_id: 'mock2'
-        },
-        fallback: true,
-        error: 'Twitter API rate limit exceeded',
-        message: 'Using mock data due to rate limiting'
-      };
-      
-      return res.status(200).json(mockResponse);
-    }
+app.delete('/api/admin/default-bookmarks/:id', loginRequired, requireRole('admin'), async (req, res) => {
+  const bookmarkId = parseInt(req.params.id, 10);
+  if (isNaN(bookmarkId)) {
+    return res.status(400).json({
+      error: 'Invalid bookmark ID',
+      details: 'Bookmark ID must be a valid integer'
+    });
+  }
 
-    if (!tweetsResponse.ok) {
-      const errorData = await tweetsResponse.json();
-      return res.status(tweetsResponse.status).json({ 
-        error: 'Twitter API error', 
-        message: errorData.detail || 'Error fetching tweets' 
-      });
+  try {
+    const result = await pool.query(
+      'DELETE FROM deuss.default_bookmarks WHERE id = $1 RETURNING id',
+      [bookmarkId]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Bookmark not found' });
     }
 
-    const tweetsData = await tweetsResponse.json();
-    
-    // Cache the successful response
-    twitterCache.tweets.set(cacheKey, {
-      data: tweetsData,
-      timestamp: Date.now()
-    });
-    
-    res.json(tweetsData);
+    res.json({ message: 'Default bookmark deleted successfully' });
   } catch (error) {
-    console.error('Twitter tweets fetch error:', error);
-    res.status(500).json({ error: 'Server error', message: error.message });
+    console.error('Error deleting default bookmark:', error);
+    res.status(500).json({ error: 'Failed to delete default bookmark' });
   }
 });
 
@@ -2566,10 +7351,27 @@ app.use((req, res) => {
 module.exports = { app };
 
 // Start server
-app.listen(PORT, () => {
+const server = app.listen(PORT, () => {
   console.log(`Core api running on ${PORT}`);
 });
 
+if (REALTIME_ENABLED) {
+  server.on('upgrade', realtime.handleUpgrade);
+
+  // Save notes that are open for live editing before exiting
+  const shutdown = async signal => {
+    console.log(`${signal} received, saving open notes...`);
+    try {
+      await realtime.close();
+    } catch (error) {
+      console.error('Error closing realtime connections:', error);
+    }
+    process.exit(0);
+  };
+  process.once('SIGTERM', () => shutdown('SIGTERM'));
+  process.once('SIGINT', () => shutdown('SIGINT'));
+}
+
 // Add debugging middleware to check session on each request
 app.use((req, res, next) => {
   // Only log if debugging is enabled
@@ -0,0 +1,263 @@
+const os = require('os');
+
+// Jobs live in deuss.jobs while pending or running. A finished job is deleted, and a job that
+// has used up its attempts is moved to deuss.job_dead_letters. Jobs with repeat_seconds set
+// are recurring: instead of being deleted they are rescheduled for their next run.
+
+const DEFAULT_MAX_ATTEMPTS = parseInt(process.env.JOB_MAX_ATTEMPTS, 10) || 5;
+const BACKOFF_BASE_SECONDS = parseInt(process.env.JOB_BACKOFF_BASE_SECONDS, 10) || 30;
+const BACKOFF_MAX_SECONDS = parseInt(process.env.JOB_BACKOFF_MAX_SECONDS, 10) || 60 * 60;
+
+// A running job whose worker hasn't finished it within this time is treated as failed
+const LOCK_TIMEOUT_SECONDS = parseInt(process.env.JOB_LOCK_TIMEOUT_SECONDS, 10) || 10 * 60;
+
+/**
+ * Seconds to wait before the next attempt: exponential with +/-20% jitter, capped
+ */
+function backoffSeconds(attempt) {
+  const exponential = Math.min(BACKOFF_BASE_SECONDS * 2 ** (attempt - 1), BACKOFF_MAX_SECONDS);
+  const jitter = exponential * 0.2 * (Math.random() * 2 - 1);
+  return Math.max(1, Math.min(Math.round(exponential + jitter), BACKOFF_MAX_SECONDS));
+}
+
+function createJobQueue({ pool }) {
+  /**
+   * Add a job. Pass a pg client as `client` to enqueue inside an existing transaction.
+   * options: runAt (Date), delaySeconds, priority (higher runs first), maxAttempts,
+   * uniqueKey (while a job with the same key is queued or running, nothing new is added).
+   * Resolves to the job id, or null when a job with the same uniqueKey already exists.
+   */
+  async function enqueue(type, payload = {}, options = {}, client = pool) {
+    const runAt = options.runAt || new Date(Date.now() + (options.delaySeconds || 0) * 1000);
+
+    const result = await client.query(
+      `INSERT INTO deuss.jobs (type, payload, priority, max_attempts, run_at, unique_key)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       ON CONFLICT (unique_key) DO NOTHING
+       RETURNING id`,
+      [type, JSON.stringify(payload), options.priority || 0,
+        options.maxAttempts || DEFAULT_MAX_ATTEMPTS, runAt, options.uniqueKey || null]
+    );
+
+    return result.rows[0]?.id || null;
+  }
+
+  /**
+   * Create or update a recurring job. Schedules are keyed by name, so calling this from
+   * several workers (or on every start) keeps a single row per schedule.
+   */
+  async function ensureSchedule({ name, type, everySeconds, payload = {} }) {
+    await pool.query(
+      `INSERT INTO deuss.jobs (type, payload, max_attempts, run_at, unique_key, repeat_seconds)
+       VALUES ($1, $2, $3, NOW(), $4, $5)
+       ON CONFLICT (unique_key) DO UPDATE
+       SET type = EXCLUDED.type,
+           payload = EXCLUDED.payload,
+           repeat_seconds = EXCLUDED.repeat_seconds,
+           updated_at = NOW()`,
+      [type, JSON.stringify(payload), DEFAULT_MAX_ATTEMPTS, `schedule:${name}`, everySeconds]
+    );
+  }
+
+  async function claimJob(workerId, types) {
+    const result = await pool.query(
+      `UPDATE deuss.jobs
+       SET status = 'running', attempts = attempts + 1, locked_by = $1, locked_at = NOW(), updated_at = NOW()
+       WHERE id = (
+         SELECT id FROM deuss.jobs
+         WHERE status = 'pending' AND run_at <= NOW() AND type = ANY($2)
+         ORDER BY priority DESC, run_at, id
+         FOR UPDATE SKIP LOCKED
+         LIMIT 1
+       )
+       RETURNING *`,
+      [workerId, types]
+    );
+    return result.rows[0] || null;
+  }
+
+  async function completeJob(job) {
+    if (job.repeat_seconds) {
+      await pool.query(
+        `UPDATE deuss.jobs
+         SET status = 'pending', attempts = 0, last_error = NULL, locked_by = NULL, locked_at = NULL,
+             run_at = NOW() + make_interval(secs => repeat_seconds), updated_at = NOW()
+         WHERE id = $1`,
+        [job.id]
+      );
+      return;
+    }
+
+    await pool.query('DELETE FROM deuss.jobs WHERE id = $1', [job.id]);
+  }
+
+  async function failJob(job, error) {
+    const message = (error && (error.stack || error.message)) || String(error);
+
+    if (job.attempts < job.max_attempts) {
+      await pool.query(
+        `UPDATE deuss.jobs
+         SET status = 'pending', last_error = $2, locked_by = NULL, locked_at = NULL,
+             run_at = NOW() + make_interval(secs => $3), updated_at = NOW()
+         WHERE id = $1`,
+        [job.id, message, backoffSeconds(job.attempts)]
+      );
+      return;
+    }
+
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+
+      await client.query(
+        `INSERT INTO deuss.job_dead_letters (job_id, type, payload, attempts, last_error, created_at, failed_at)
+         VALUES ($1, $2, $3, $4, $5, $6, NOW())`,
+        [job.id, job.type, JSON.stringify(job.payload), job.attempts, message, job.created_at]
+      );
+
+      // Recurring jobs keep their schedule; the failed run is recorded above
+      if (job.repeat_seconds) {
+        await client.query(
+          `UPDATE deuss.jobs
+           SET status = 'pending', attempts = 0, last_error = $2, locked_by = NULL, locked_at = NULL,
+               run_at = NOW() + make_interval(secs => repeat_seconds), updated_at = NOW()
+           WHERE id = $1`,
+          [job.id, message]
+        );
+      } else {
+        await client.query('DELETE FROM deuss.jobs WHERE id = $1', [job.id]);
+      }
+
+      await client.query('COMMIT');
+    } catch (txError) {
+      await client.query('ROLLBACK');
+      throw txError;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Fail jobs left running by a worker that crashed or was killed
+   */
+  async function recoverStaleJobs(workerId) {
+    // Re-lock the stale rows first so two workers never recover the same job
+    const result = await pool.query(
+      `UPDATE deuss.jobs AS job
+       SET locked_by = $2, locked_at = NOW()
+       FROM (SELECT id, locked_by FROM deuss.jobs WHERE status = 'running' AND locked_at < NOW() - make_interval(secs => $1)) AS stale
+       WHERE job.id = stale.id
+       RETURNING job.*, stale.locked_by AS previous_worker`,
+      [LOCK_TIMEOUT_SECONDS, workerId]
+    );
+
+    for (const job of result.rows) {
+      await failJob(job, new Error(`Job did not finish within ${LOCK_TIMEOUT_SECONDS}s (worker ${job.previous_worker})`));
+    }
+
+    return result.rows.length;
+  }
+
+  /**
+   * Start polling for jobs. handlers maps a job type to async (payload, job) => {}.
+   * Jobs of types without a handler are left for other workers.
+   * Returns { stop } - stop() resolves once in-flight jobs have finished.
+   */
+  function startWorker({ handlers, schedules = [], concurrency = 1, pollIntervalMs = 1000, workerId } = {}) {
+    const id = workerId || `${os.hostname()}:${process.pid}`;
+    const types = Object.keys(handlers);
+    let stopping = false;
+    const sleepers = new Set();
+
+    // Sleeps are cut short by stop()
+    function sleep(ms) {
+      return new Promise(resolve => {
+        const timer = setTimeout(() => {
+          sleepers.delete(wake);
+          resolve();
+        }, ms);
+        const wake = () => {
+          clearTimeout(timer);
+          resolve();
+        };
+        sleepers.add(wake);
+      });
+    }
+
+    async function runJob(job) {
+      const started = Date.now();
+      try {
+        await handlers[job.type](job.payload, job);
+        await completeJob(job);
+        if (process.env.DEBUG_JOBS === 'true') {
+          console.log(`Job ${job.id} (${job.type}) finished in ${Date.now() - started}ms`);
+        }
+      } catch (error) {
+        console.error(`Job ${job.id} (${job.type}) failed on attempt ${job.attempts}/${job.max_attempts}:`, error.message);
+        await failJob(job, error);
+      }
+    }
+
+    async function loop() {
+      while (!stopping) {
+        let job = null;
+        try {
+          job = await claimJob(id, types);
+          if (job) {
+            await runJob(job);
+          }
+        } catch (error) {
+          console.error('Job worker error:', error.message);
+        }
+
+        if (!job) {
+          await sleep(pollIntervalMs);
+        }
+      }
+    }
+
+    async function maintain() {
+      while (!stopping) {
+        try {
+          const recovered = await recoverStaleJobs(id);
+          if (recovered > 0) {
+            console.log(`Recovered ${recovered} stale job(s)`);
+          }
+        } catch (error) {
+          console.error('Error recovering stale jobs:', error.message);
+        }
+        await sleep(60 * 1000);
+      }
+    }
+
+    const running = Promise.all(schedules.map(ensureSchedule))
+      .catch(error => console.error('Error registering job schedules:', error.message))
+      .then(() => Promise.all([
+        ...Array.from({ length: concurrency }, loop),
+        maintain()
+      ]));
+
+    console.log(`Job worker ${id} started (${concurrency} slot(s), types: ${types.join(', ')})`);
+
+    return {
+      async stop() {
+        stopping = true;
+        sleepers.forEach(wake => wake());
+        sleepers.clear();
+        await running;
+      }
+    };
+  }
+
+  return {
+    enqueue,
+    ensureSchedule,
+    recoverStaleJobs,
+    startWorker
+  };
+}
+
+module.exports = {
+  createJobQueue,
+  backoffSeconds
+};
@@ -0,0 +1,173 @@
+const externalSources = require('./external-sources');
+const noteRevisions = require('./note-revisions');
+const attachments = require('./attachments');
+const dataExport = require('./data-export');
+const accountDeletion = require('./account-deletion');
+
+// How long failed jobs are kept for inspection; email payloads contain one-time links
+const DEAD_LETTER_RETENTION_DAYS = parseInt(process.env.JOB_DEAD_LETTER_RETENTION_DAYS, 10) || 30;
+
+// Recurring jobs, registered by every worker on start
+const JOB_SCHEDULES = [
+  { name: 'rate-limits-cleanup', type: 'rate_limits.cleanup', everySeconds: 60 * 60 },
+  { name: 'external-cache-prune', type: 'external.prune_cache', everySeconds: 24 * 60 * 60 },
+  { name: 'dead-letters-prune', type: 'jobs.prune_dead_letters', everySeconds: 24 * 60 * 60 },
+  { name: 'note-revisions-prune', type: 'notes.prune_revisions', everySeconds: 24 * 60 * 60 },
+  { name: 'attachments-purge', type: 'attachments.purge', everySeconds: 60 * 60 },
+  { name: 'accounts-purge-deleted', type: 'accounts.purge_deleted', everySeconds: 60 * 60 }
+];
+
+/**
+ * Copy the default bookmark categories and bookmarks to a user. Safe to run more than
+ * once: the user row is locked and the default_bookmarks_added flag checked first.
+ */
+async function seedDefaultBookmarks(pool, userId) {
+  const client = await pool.connect();
+
+  try {
+    // Start transaction
+    await client.query('BEGIN');
+
+    const userResult = await client.query(
+      'SELECT default_bookmarks_added FROM deuss.users WHERE id = $1 FOR UPDATE',
+      [userId]
+    );
+
+    // The user may have been deleted, or another worker got here first
+    if (userResult.rows.length === 0 || userResult.rows[0].default_bookmarks_added) {
+      await client.query('COMMIT');
+      return;
+    }
+
+    // Get all default categories
+    const defaultCategoriesResult = await client.query(
+      'SELECT * FROM deuss.default_bookmark_categories'
+    );
+
+    // For each default category
+    for (const defaultCategory of defaultCategoriesResult.rows) {
+      // Create category for user
+      const categoryResult = await client.query(
+        'INSERT INTO deuss.bookmark_categories (user_id, name, icon) VALUES ($1, $2, $3) RETURNING id',
+        [userId, defaultCategory.name, defaultCategory.icon]
+      );
+
+      const categoryId = categoryResult.rows[0].id;
+
+      // Get bookmarks for this category
+      const bookmarksResult = await client.query(
+        'SELECT * FROM deuss.default_bookmarks WHERE category_id = $1',
+        [defaultCategory.id]
+      );
+
+      // Add each bookmark
+      for (const bookmark of bookmarksResult.rows) {
+        await client.query(
+          'INSERT INTO deuss.bookmarks (user_id, category_id, title, url, color, icon) VALUES ($1, $2, $3, $4, $5, $6)',
+          [userId, categoryId, bookmark.title, bookmark.url, bookmark.color, bookmark.icon]
+        );
+      }
+    }
+
+    // Mark that default bookmarks have been added for this user
+    await client.query(
+      'UPDATE deuss.users SET default_bookmarks_added = true WHERE id = $1',
+      [userId]
+    );
+
+    // Commit transaction
+    await client.query('COMMIT');
+
+  } catch (error) {
+    // Rollback in case of error
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Handlers for every job type, keyed by type. Each receives (payload, job).
+ */
+function createJobHandlers({ pool, mailer, attachmentStorage }) {
+  return {
+    'email.send': async ({ to, template, variables }) => {
+      const { id } = await mailer.send({ to, template, variables });
+      console.log(`Email "${template}" sent:`, id);
+    },
+
+    'bookmarks.seed_defaults': async ({ userId }) => {
+      await seedDefaultBookmarks(pool, userId);
+    },
+
+    'external.refresh': async ({ source, username }, job) => {
+      await externalSources.refreshCache(pool, source, username, {
+        finalAttempt: job.attempts >= job.max_attempts
+      });
+    },
+
+    // Drop expired limiter rows
+    'rate_limits.cleanup': async () => {
+      await pool.query(
+        `DELETE FROM deuss.rate_limits
+         WHERE updated_at < NOW() - INTERVAL '1 day'
+           AND (locked_until IS NULL OR locked_until < NOW())`
+      );
+    },
+
+    'external.prune_cache': async () => {
+      await externalSources.pruneCache(pool);
+    },
+
+    'jobs.prune_dead_letters': async () => {
+      await pool.query(
+        'DELETE FROM deuss.job_dead_letters WHERE failed_at < NOW() - make_interval(days => $1)',
+        [DEAD_LETTER_RETENTION_DAYS]
+      );
+    },
+
+    // Drop note revisions past each plan's history retention
+    'notes.prune_revisions': async () => {
+      const removed = await noteRevisions.pruneRevisions(pool);
+      if (removed > 0) {
+        console.log(`Pruned ${removed} note revision(s)`);
+      }
+    },
+
+    // Build an account data export; after the last attempt the export is marked failed
+    'data_export.generate': async ({ exportId }, job) => {
+      try {
+        await dataExport.generateDataExport(pool, exportId, { attachmentStorage });
+      } catch (error) {
+        if (job.attempts >= job.max_attempts) {
+          await dataExport.markExportFailed(pool, exportId);
+        }
+        throw error;
+      }
+    },
+
+    // Delete accounts whose deletion grace period is over, then the files of their attachments
+    'accounts.purge_deleted': async () => {
+      const purged = await accountDeletion.purgeScheduledDeletions(pool);
+      if (purged > 0) {
+        console.log(`Purged ${purged} deleted account(s)`);
+        await attachments.purgeDeletedAttachments(pool, attachmentStorage);
+      }
+    },
+
+    // Remove the stored files of deleted attachments
+    'attachments.purge': async () => {
+      const removed = await attachments.purgeDeletedAttachments(pool, attachmentStorage);
+      if (removed > 0) {
+        console.log(`Removed ${removed} deleted attachment file(s)`);
+      }
+    }
+  };
+}
+
+module.exports = {
+  JOB_SCHEDULES,
+  createJobHandlers,
+  seedDefaultBookmarks
+};
@@ -0,0 +1,208 @@
+const fs = require('fs');
+const path = require('path');
+const nodemailer = require('nodemailer');
+const { Resend } = require('resend');
+
+// Templates live in templates/email as <name>.html and <name>.txt. The .txt file starts
+// with a "Subject: ..." line and a blank line. Both are wrapped in layout.html/layout.txt.
+// {{name}} inserts a variable (HTML-escaped in .html files), {{{name}}} inserts it as-is.
+const TEMPLATE_DIR = process.env.MAIL_TEMPLATE_DIR || path.join(__dirname, 'templates', 'email');
+
+const DEFAULT_FROM = 'Deuss <onboarding@resend.dev>';
+
+const templateCache = new Map();
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+function readTemplate(fileName) {
+  // Re-read templates on every send during development so edits show up immediately
+  if (process.env.NODE_ENV !== 'development' && templateCache.has(fileName)) {
+    return templateCache.get(fileName);
+  }
+
+  const contents = fs.readFileSync(path.join(TEMPLATE_DIR, fileName), 'utf8');
+  templateCache.set(fileName, contents);
+  return contents;
+}
+
+// One pass over the template, so inserted values (and the rendered body inside the layout)
+// are never scanned for placeholders themselves
+function interpolate(template, variables, escape) {
+  return template.replace(/\{\{\{\s*(\w+)\s*\}\}\}|\{\{\s*(\w+)\s*\}\}/g, (match, rawKey, key) => (
+    rawKey !== undefined ? String(variables[rawKey] ?? '') : escape(variables[key] ?? '')
+  ));
+}
+
+/**
+ * Render a template to { subject, html, text }
+ */
+function renderTemplate(name, variables = {}) {
+  const rawText = readTemplate(`${name}.txt`);
+  const subjectMatch = rawText.match(/^Subject:\s*(.+)\r?\n\r?\n?/);
+  if (!subjectMatch) {
+    throw new Error(`Email template ${name}.txt must start with a "Subject:" line`);
+  }
+
+  const subject = interpolate(subjectMatch[1].trim(), variables, value => String(value));
+  const textBody = interpolate(rawText.substring(subjectMatch[0].length), variables, value => String(value));
+  const htmlBody = interpolate(readTemplate(`${name}.html`), variables, escapeHtml);
+
+  return {
+    subject,
+    html: interpolate(readTemplate('layout.html'), { content: htmlBody.trim() }, escapeHtml),
+    text: interpolate(readTemplate('layout.txt'), { content: textBody.trim() }, value => String(value))
+  };
+}
+
+// Each transport takes a rendered message { from, to, subject, html, text, template }
+// and resolves to { id } once it is accepted.
+
+function createResendTransport() {
+  const resend = new Resend(process.env.RESEND_API_KEY);
+
+  return {
+    name: 'resend',
+    async send(message) {
+      if (!process.env.RESEND_API_KEY) {
+        throw new Error('RESEND_API_KEY environment variable is not set');
+      }
+
+      const { data, error } = await resend.emails.send({
+        from: message.from,
+        to: message.to,
+        subject: message.subject,
+        html: message.html,
+        text: message.text
+      });
+
+      if (error) {
+        throw new Error(`Resend rejected the email: ${error.message}`);
+      }
+
+      return { id: data?.id || null };
+    }
+  };
+}
+
+function createSmtpTransport() {
+  const transporter = nodemailer.createTransport({
+    host: process.env.SMTP_HOST || 'localhost',
+    port: parseInt(process.env.SMTP_PORT, 10) || 587,
+    secure: process.env.SMTP_SECURE === 'true',
+    auth: process.env.SMTP_USER
+      ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASSWORD }
+      : undefined
+  });
+
+  return {
+    name: 'smtp',
+    async send(message) {
+      const info = await transporter.sendMail({
+        from: message.from,
+        to: message.to,
+        subject: message.subject,
+        html: message.html,
+        text: message.text
+      });
+      return { id: info.messageId };
+    }
+  };
+}
+
+// Writes each message as an .eml file that any mail client can open
+function createFileTransport() {
+  const outboxDir = process.env.MAIL_OUTBOX_DIR || path.join(__dirname, 'outbox');
+  const composer = nodemailer.createTransport({ streamTransport: true, buffer: true });
+
+  return {
+    name: 'file',
+    async send(message) {
+      const info = await composer.sendMail({
+        from: message.from,
+        to: message.to,
+        subject: message.subject,
+        html: message.html,
+        text: message.text
+      });
+
+      const fileName = `${new Date().toISOString().replace(/[:.]/g, '-')}-${message.template || 'message'}.eml`;
+      await fs.promises.mkdir(outboxDir, { recursive: true });
+      await fs.promises.writeFile(path.join(outboxDir, fileName), info.message);
+
+      console.log(`Email "${message.subject}" to ${message.to} written to ${path.join(outboxDir, fileName)}`);
+      return { id: info.messageId };
+    }
+  };
+}
+
+// Stores messages in deuss.email_outbox instead of delivering them
+function createDatabaseTransport(pool) {
+  if (!pool) {
+    throw new Error('The database mail transport needs a pg pool');
+  }
+
+  return {
+    name: 'database',
+    async send(message) {
+      const result = await pool.query(
+        `INSERT INTO deuss.email_outbox (to_address, from_address, subject, html, text, template, created_at)
+         VALUES ($1, $2, $3, $4, $5, $6, NOW())
+         RETURNING id`,
+        [message.to, message.from, message.subject, message.html, message.text, message.template || null]
+      );
+      return { id: `outbox-${result.rows[0].id}` };
+    }
+  };
+}
+
+const TRANSPORTS = {
+  resend: createResendTransport,
+  smtp: createSmtpTransport,
+  file: createFileTransport,
+  database: createDatabaseTransport
+};
+
+/**
+ * Create a mailer. MAIL_TRANSPORT picks the transport (resend, smtp, file or database);
+ * it defaults to resend when RESEND_API_KEY is set and to the file outbox otherwise.
+ */
+function createMailer({ pool } = {}) {
+  const transportName = process.env.MAIL_TRANSPORT || (process.env.RESEND_API_KEY ? 'resend' : 'file');
+  const createTransport = TRANSPORTS[transportName];
+
+  if (!createTransport) {
+    throw new Error(`Unknown MAIL_TRANSPORT "${transportName}" (expected ${Object.keys(TRANSPORTS).join(', ')})`);
+  }
+
+  const transport = createTransport(pool);
+
+  return {
+    transport: transport.name,
+
+    /**
+     * Render a template and send it. Rejects when the transport fails.
+     */
+    async send({ to, template, variables = {} }) {
+      const rendered = renderTemplate(template, variables);
+
+      return transport.send({
+        from: process.env.SMTP_FROM || DEFAULT_FROM,
+        to,
+        template,
+        ...rendered
+      });
+    }
+  };
+}
+
+module.exports = {
+  createMailer,
+  renderTemplate
+};
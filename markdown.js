@@ -0,0 +1,236 @@
+const MarkdownIt = require('markdown-it');
+const sanitizeHtml = require('sanitize-html');
+const hljs = require('highlight.js/lib/common');
+
+// Server-side Markdown rendering for notes, so every client shows the same thing: GitHub
+// flavoured tables, strikethrough and autolinks, highlighted fenced code, task lists and
+// callouts. Raw HTML in a note is escaped rather than rendered, and the output is sanitized
+// against an allowlist on top of that, so it is safe to serve to anyone.
+
+// Bump when the rendered output changes, so cached HTML from older versions is redone
+const RENDERER_VERSION = 2;
+
+// Languages outside highlight.js's common set that security notes often contain
+for (const language of ['powershell', 'x86asm', 'http', 'dockerfile', 'nginx', 'apache']) {
+  hljs.registerLanguage(language, require(`highlight.js/lib/languages/${language}`));
+}
+
+// GitHub's alert syntax, "> [!WARNING]", optionally followed by a custom title
+const CALLOUT_TYPES = {
+  note: 'Note',
+  tip: 'Tip',
+  important: 'Important',
+  warning: 'Warning',
+  caution: 'Caution'
+};
+const CALLOUT_MARKER = /^\[!(\w+)\][ \t]*([^\n]*)(?:\n|$)/;
+
+const TASK_MARKER = /^\[([ xX])\][ \t]+/;
+
+// Only fences naming a known language are highlighted; guessing is slow and often wrong.
+// An empty result makes markdown-it escape the code itself.
+function highlight(code, language) {
+  if (!language || !hljs.getLanguage(language)) {
+    return '';
+  }
+  try {
+    return hljs.highlight(code, { language, ignoreIllegals: true }).value;
+  } catch (error) {
+    return '';
+  }
+}
+
+function blockToken(state, type, tag, nesting, level) {
+  const token = new state.Token(type, tag, nesting);
+  token.block = true;
+  token.level = level;
+  return token;
+}
+
+// Turn blockquotes starting with a callout marker into <div class="callout callout-<type>">
+// with a title paragraph. Runs before inline parsing, so the marker is still plain text.
+function callouts(state) {
+  const tokens = state.tokens;
+
+  for (let i = 0; i < tokens.length - 2; i++) {
+    const open = tokens[i];
+    const inline = tokens[i + 2];
+    if (open.type !== 'blockquote_open' || tokens[i + 1].type !== 'paragraph_open' || inline.type !== 'inline') {
+      continue;
+    }
+
+    const match = CALLOUT_MARKER.exec(inline.content);
+    const type = match && match[1].toLowerCase();
+    if (!type || !CALLOUT_TYPES[type]) {
+      continue;
+    }
+
+    const close = tokens.slice(i + 1).find(token => token.type === 'blockquote_close' && token.level === open.level);
+    open.tag = 'div';
+    close.tag = 'div';
+    open.attrSet('class', `callout callout-${type}`);
+
+    const titleOpen = blockToken(state, 'paragraph_open', 'p', 1, open.level + 1);
+    titleOpen.attrSet('class', 'callout-title');
+    const title = blockToken(state, 'inline', '', 0, open.level + 2);
+    title.content = match[2].trim() || CALLOUT_TYPES[type];
+    title.children = [];
+    const titleClose = blockToken(state, 'paragraph_close', 'p', -1, open.level + 1);
+
+    inline.content = inline.content.slice(match[0].length);
+    // A marker on a line of its own leaves an empty paragraph behind
+    tokens.splice(i + 1, inline.content ? 0 : 3, titleOpen, title, titleClose);
+  }
+}
+
+// Turn list items starting with "[ ]" or "[x]" into disabled checkboxes, marking the item
+// and its list with GitHub's class names
+function taskLists(state) {
+  const tokens = state.tokens;
+
+  for (let i = 2; i < tokens.length; i++) {
+    const item = tokens[i - 2];
+    const inline = tokens[i];
+    if (item.type !== 'list_item_open' || tokens[i - 1].type !== 'paragraph_open' || inline.type !== 'inline') {
+      continue;
+    }
+
+    const first = inline.children[0];
+    const match = first && first.type === 'text' && TASK_MARKER.exec(first.content);
+    if (!match) {
+      continue;
+    }
+
+    first.content = first.content.slice(match[0].length);
+    const checkbox = new state.Token('task_checkbox', 'input', 0);
+    checkbox.meta = { checked: match[1] !== ' ' };
+    inline.children.unshift(checkbox);
+
+    item.attrSet('class', 'task-list-item');
+    for (let j = i - 3; j >= 0; j--) {
+      if (tokens[j].level === item.level - 1 && /^(bullet|ordered)_list_open$/.test(tokens[j].type)) {
+        tokens[j].attrSet('class', 'contains-task-list');
+        break;
+      }
+    }
+  }
+}
+
+const markdown = new MarkdownIt({
+  html: false,
+  linkify: true,
+  highlight
+});
+
+markdown.core.ruler.after('block', 'callouts', callouts);
+markdown.core.ruler.push('task_lists', taskLists);
+markdown.renderer.rules.task_checkbox = (tokens, idx) =>
+  `<input type="checkbox" disabled${tokens[idx].meta.checked ? ' checked' : ''}> `;
+
+const ALIGN_STYLE = { 'text-align': [/^(left|right|center)$/] };
+
+const SANITIZE_OPTIONS = {
+  allowedTags: [
+    'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'p', 'br', 'hr', 'blockquote', 'div',
+    'ul', 'ol', 'li', 'strong', 'em', 's', 'code', 'pre', 'span', 'a', 'img', 'input',
+    'table', 'thead', 'tbody', 'tr', 'th', 'td'
+  ],
+  allowedAttributes: {
+    a: ['href', 'title', 'rel'],
+    img: ['src', 'alt', 'title'],
+    input: ['type', 'checked', 'disabled'],
+    ol: ['start'],
+    th: ['style'],
+    td: ['style']
+  },
+  allowedClasses: {
+    code: [/^language-[\w-]+$/],
+    // highlight.js scopes, e.g. "hljs-title class_"
+    span: [/^hljs-[\w-]+$/, /^[a-z]+_+$/],
+    div: ['callout', ...Object.keys(CALLOUT_TYPES).map(type => `callout-${type}`)],
+    p: ['callout-title'],
+    ul: ['contains-task-list'],
+    ol: ['contains-task-list'],
+    li: ['task-list-item']
+  },
+  allowedStyles: {
+    th: ALIGN_STYLE,
+    td: ALIGN_STYLE
+  },
+  allowedSchemes: ['http', 'https', 'mailto'],
+  allowProtocolRelative: false,
+  transformTags: {
+    a: sanitizeHtml.simpleTransform('a', { rel: 'noopener noreferrer nofollow' }),
+    // The only input is a read-only task list checkbox
+    input: (tagName, attribs) => ({
+      tagName,
+      attribs: { type: 'checkbox', disabled: '', ...('checked' in attribs ? { checked: '' } : {}) }
+    })
+  }
+};
+
+/**
+ * Render note content to sanitized HTML
+ */
+function renderMarkdown(content) {
+  return sanitizeHtml(markdown.render(String(content ?? '')), SANITIZE_OPTIONS);
+}
+
+/**
+ * Render notes ({ id, content, updated_at }) to sanitized HTML, reusing deuss.note_renders
+ * when a note hasn't been updated since it was last rendered. Resolves to the HTML of each
+ * note, in order. A failing cache write is logged and the freshly rendered HTML returned.
+ */
+async function renderNotes(pool, notes) {
+  if (notes.length === 0) {
+    return [];
+  }
+
+  const cached = await pool.query(
+    `SELECT note_id, source_updated_at, html FROM deuss.note_renders
+     WHERE note_id = ANY($1::INTEGER[]) AND renderer_version = $2`,
+    [notes.map(note => note.id), RENDERER_VERSION]
+  );
+  const cache = new Map(cached.rows.map(row => [row.note_id, row]));
+
+  const rendered = [];
+  for (const note of notes) {
+    const hit = cache.get(note.id);
+    if (hit && new Date(hit.source_updated_at).getTime() === new Date(note.updated_at).getTime()) {
+      rendered.push(hit.html);
+      continue;
+    }
+
+    const html = renderMarkdown(note.content);
+    rendered.push(html);
+
+    try {
+      // Never replace the render of a newer save with an older one
+      await pool.query(
+        `INSERT INTO deuss.note_renders (note_id, source_updated_at, renderer_version, html, rendered_at)
+         VALUES ($1, $2, $3, $4, NOW())
+         ON CONFLICT (note_id) DO UPDATE
+         SET source_updated_at = EXCLUDED.source_updated_at, renderer_version = EXCLUDED.renderer_version,
+             html = EXCLUDED.html, rendered_at = NOW()
+         WHERE deuss.note_renders.source_updated_at <= EXCLUDED.source_updated_at`,
+        [note.id, note.updated_at, RENDERER_VERSION, html]
+      );
+    } catch (error) {
+      console.error(`Error caching rendered note ${note.id}:`, error);
+    }
+  }
+
+  return rendered;
+}
+
+async function renderNote(pool, note) {
+  const [html] = await renderNotes(pool, [note]);
+  return html;
+}
+
+module.exports = {
+  RENDERER_VERSION,
+  renderMarkdown,
+  renderNotes,
+  renderNote
+};
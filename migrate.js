@@ -0,0 +1,362 @@
+require('dotenv').config();
+const { Pool } = require('pg');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// Migrations are SQL files in migrations/ named <version>_<name>.sql, applied in version
+// order. Each file has a "-- migrate:up" section and an optional "-- migrate:down" section.
+// A file may start with "-- migrate:no-transaction" for statements that can't run inside a
+// transaction (e.g. CREATE INDEX CONCURRENTLY). Applied migrations are recorded in
+// deuss.schema_migrations with a checksum, so edits to an applied file are caught.
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+const FILE_PATTERN = /^(\d+)_([a-z0-9_]+)\.sql$/;
+
+// Any constant works as long as every runner uses the same one
+const MIGRATION_LOCK_ID = 72811;
+
+const USAGE = `
+Migrations - Usage:
+-------------------
+node migrate.js up [--to <version>]      # Apply pending migrations (up to and including <version>)
+node migrate.js down [--steps <n>]       # Roll back the last <n> applied migrations (default 1)
+node migrate.js down --to <version>      # Roll back everything applied after <version>
+node migrate.js status                   # List applied, pending and changed migrations
+node migrate.js create <name>            # Create migrations/<next>_<name>.sql
+`;
+
+function checksum(contents) {
+  return crypto.createHash('sha256').update(contents.replace(/\r\n/g, '\n')).digest('hex');
+}
+
+/**
+ * Split a migration file into its up and down SQL
+ */
+function parseMigration(contents) {
+  const normalized = contents.replace(/\r\n/g, '\n');
+  const upMarker = normalized.search(/^--\s*migrate:up\s*$/m);
+  if (upMarker === -1) {
+    throw new Error('missing "-- migrate:up" section');
+  }
+
+  const afterUp = normalized.substring(upMarker).replace(/^.*\n/, '');
+  const downMarker = afterUp.search(/^--\s*migrate:down\s*$/m);
+
+  const up = (downMarker === -1 ? afterUp : afterUp.substring(0, downMarker)).trim();
+  const down = downMarker === -1 ? '' : afterUp.substring(downMarker).replace(/^.*\n?/, '').trim();
+
+  return {
+    up,
+    // A down section with only comments counts as missing
+    down: down.split('\n').some(line => line.trim() && !line.trim().startsWith('--')) ? down : '',
+    transactional: !/^--\s*migrate:no-transaction\s*$/m.test(normalized.substring(0, upMarker))
+  };
+}
+
+/**
+ * Migration files on disk, sorted by version
+ */
+function loadMigrations() {
+  if (!fs.existsSync(MIGRATIONS_DIR)) {
+    return [];
+  }
+
+  const migrations = [];
+  const seen = new Map();
+
+  for (const file of fs.readdirSync(MIGRATIONS_DIR).sort()) {
+    if (!file.endsWith('.sql')) continue;
+
+    const match = file.match(FILE_PATTERN);
+    if (!match) {
+      throw new Error(`Migration file ${file} must be named <version>_<name>.sql (lowercase, digits and _)`);
+    }
+
+    const version = match[1];
+    if (seen.has(version)) {
+      throw new Error(`Migrations ${seen.get(version)} and ${file} share version ${version}`);
+    }
+    seen.set(version, file);
+
+    const contents = fs.readFileSync(path.join(MIGRATIONS_DIR, file), 'utf8');
+    let parsed;
+    try {
+      parsed = parseMigration(contents);
+    } catch (error) {
+      throw new Error(`Migration ${file}: ${error.message}`);
+    }
+
+    migrations.push({
+      version,
+      name: match[2],
+      file,
+      checksum: checksum(contents),
+      ...parsed
+    });
+  }
+
+  return migrations.sort((a, b) => Number(a.version) - Number(b.version));
+}
+
+function createPool() {
+  if (!process.env.DATABASE_URL) {
+    console.error('DATABASE_URL environment variable is not set');
+    process.exit(1);
+  }
+
+  const config = { connectionString: process.env.DATABASE_URL };
+
+  // Only enable SSL in production
+  if (process.env.NODE_ENV === 'production' && process.env.PGSSLMODE !== 'disable') {
+    config.ssl = {
+      rejectUnauthorized: false
+    };
+  }
+
+  return new Pool(config);
+}
+
+async function ensureMigrationsTable(client) {
+  await client.query('CREATE SCHEMA IF NOT EXISTS deuss');
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS deuss.schema_migrations (
+      version VARCHAR(32) PRIMARY KEY,
+      name VARCHAR(255) NOT NULL,
+      checksum VARCHAR(64) NOT NULL,
+      execution_ms INTEGER,
+      applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+}
+
+async function getApplied(client) {
+  const result = await client.query('SELECT * FROM deuss.schema_migrations ORDER BY version');
+  return new Map(result.rows.map(row => [row.version, row]));
+}
+
+/**
+ * Compare what's on disk with what's been applied
+ */
+function compare(migrations, applied) {
+  const byVersion = new Map(migrations.map(migration => [migration.version, migration]));
+
+  return {
+    pending: migrations.filter(migration => !applied.has(migration.version)),
+    changed: migrations.filter(migration =>
+      applied.has(migration.version) && applied.get(migration.version).checksum !== migration.checksum
+    ),
+    missing: [...applied.values()].filter(row => !byVersion.has(row.version))
+  };
+}
+
+/**
+ * Run a migration's SQL and record (or remove) its schema_migrations row, in one
+ * transaction unless the file opts out
+ */
+async function runMigration(client, migration, direction) {
+  const sql = direction === 'up' ? migration.up : migration.down;
+  const started = Date.now();
+
+  const record = direction === 'up'
+    ? () => client.query(
+      `INSERT INTO deuss.schema_migrations (version, name, checksum, execution_ms)
+       VALUES ($1, $2, $3, $4)`,
+      [migration.version, migration.name, migration.checksum, Date.now() - started]
+    )
+    : () => client.query('DELETE FROM deuss.schema_migrations WHERE version = $1', [migration.version]);
+
+  if (!migration.transactional) {
+    await client.query(sql);
+    await record();
+    return Date.now() - started;
+  }
+
+  try {
+    await client.query('BEGIN');
+    await client.query(sql);
+    await record();
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  }
+
+  return Date.now() - started;
+}
+
+async function migrateUp(client, { to } = {}) {
+  const migrations = loadMigrations();
+  const applied = await getApplied(client);
+  const { pending, changed, missing } = compare(migrations, applied);
+
+  if (changed.length > 0) {
+    throw new Error(
+      `Applied migrations were modified: ${changed.map(migration => migration.file).join(', ')}. ` +
+      'Restore the original files and put new changes in a new migration.'
+    );
+  }
+
+  for (const row of missing) {
+    console.warn(`Warning: applied migration ${row.version}_${row.name} has no file in migrations/`);
+  }
+
+  const targets = to ? pending.filter(migration => Number(migration.version) <= Number(to)) : pending;
+  if (targets.length === 0) {
+    console.log('Database is up to date');
+    return;
+  }
+
+  const empty = targets.filter(migration => !migration.up);
+  if (empty.length > 0) {
+    throw new Error(`Migrations with an empty up section: ${empty.map(migration => migration.file).join(', ')}`);
+  }
+
+  const latestApplied = Math.max(0, ...[...applied.keys()].map(Number));
+  for (const migration of targets) {
+    if (Number(migration.version) < latestApplied) {
+      console.warn(`Warning: ${migration.file} is older than the latest applied migration`);
+    }
+
+    process.stdout.write(`Applying ${migration.file}... `);
+    const ms = await runMigration(client, migration, 'up');
+    console.log(`done (${ms}ms)`);
+  }
+
+  console.log(`Applied ${targets.length} migration(s)`);
+}
+
+async function migrateDown(client, { steps, to } = {}) {
+  const migrations = new Map(loadMigrations().map(migration => [migration.version, migration]));
+  const applied = [...(await getApplied(client)).values()]
+    .sort((a, b) => Number(b.version) - Number(a.version));
+
+  const targets = to !== undefined
+    ? applied.filter(row => Number(row.version) > Number(to))
+    : applied.slice(0, steps || 1);
+
+  if (targets.length === 0) {
+    console.log('Nothing to roll back');
+    return;
+  }
+
+  // Check every target before touching anything
+  for (const row of targets) {
+    const migration = migrations.get(row.version);
+    if (!migration) {
+      throw new Error(`Cannot roll back ${row.version}_${row.name}: its file is missing`);
+    }
+    if (migration.checksum !== row.checksum) {
+      throw new Error(`Cannot roll back ${migration.file}: the file changed after it was applied`);
+    }
+    if (!migration.down) {
+      throw new Error(`Cannot roll back ${migration.file}: it has no down section`);
+    }
+  }
+
+  for (const row of targets) {
+    const migration = migrations.get(row.version);
+    process.stdout.write(`Rolling back ${migration.file}... `);
+    const ms = await runMigration(client, migration, 'down');
+    console.log(`done (${ms}ms)`);
+  }
+
+  console.log(`Rolled back ${targets.length} migration(s)`);
+}
+
+async function showStatus(client) {
+  const migrations = loadMigrations();
+  const applied = await getApplied(client);
+  const { changed, missing } = compare(migrations, applied);
+  const changedVersions = new Set(changed.map(migration => migration.version));
+
+  console.log('\nVersion  Status    Applied at           Name');
+  console.log('-------  --------  -------------------  ----');
+
+  const rows = [
+    ...migrations.map(migration => ({ version: migration.version, name: migration.name, row: applied.get(migration.version) })),
+    ...missing.map(row => ({ version: row.version, name: row.name, row, missing: true }))
+  ].sort((a, b) => Number(a.version) - Number(b.version));
+
+  for (const entry of rows) {
+    let status = entry.row ? 'applied' : 'pending';
+    if (entry.missing) status = 'missing';
+    if (changedVersions.has(entry.version)) status = 'changed';
+
+    const appliedAt = entry.row ? new Date(entry.row.applied_at).toISOString().substring(0, 19).replace('T', ' ') : '';
+    console.log(`${entry.version.padEnd(7)}  ${status.padEnd(8)}  ${appliedAt.padEnd(19)}  ${entry.name}`);
+  }
+
+  const pendingCount = rows.filter(entry => !entry.row).length;
+  console.log(`\n${applied.size} applied, ${pendingCount} pending, ${changed.length} changed, ${missing.length} missing`);
+}
+
+function createMigration(name) {
+  const slug = String(name || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '_')
+    .replace(/^_|_$/g, '');
+
+  if (!slug) {
+    throw new Error('Usage: node migrate.js create <name>');
+  }
+
+  const migrations = loadMigrations();
+  const next = migrations.length > 0 ? Number(migrations[migrations.length - 1].version) + 1 : 1;
+  const file = `${String(next).padStart(4, '0')}_${slug}.sql`;
+
+  fs.mkdirSync(MIGRATIONS_DIR, { recursive: true });
+  fs.writeFileSync(
+    path.join(MIGRATIONS_DIR, file),
+    `-- ${slug.replace(/_/g, ' ')}\n\n-- migrate:up\n\n\n-- migrate:down\n\n`,
+    { flag: 'wx' }
+  );
+
+  console.log(`Created migrations/${file}`);
+}
+
+function getOption(args, flag) {
+  const index = args.indexOf(flag);
+  return index === -1 ? undefined : args[index + 1];
+}
+
+async function main() {
+  const [command, ...args] = process.argv.slice(2);
+
+  if (command === 'create') {
+    createMigration(args.join(' '));
+    return;
+  }
+
+  if (!['up', 'down', 'status'].includes(command)) {
+    console.log(USAGE);
+    process.exit(command ? 1 : 0);
+  }
+
+  const pool = createPool();
+  const client = await pool.connect();
+
+  try {
+    // Only one runner at a time; a second one waits here
+    await client.query('SELECT pg_advisory_lock($1)', [MIGRATION_LOCK_ID]);
+    await ensureMigrationsTable(client);
+
+    if (command === 'up') {
+      await migrateUp(client, { to: getOption(args, '--to') });
+    } else if (command === 'down') {
+      const steps = parseInt(getOption(args, '--steps'), 10);
+      await migrateDown(client, { steps: isNaN(steps) ? 1 : steps, to: getOption(args, '--to') });
+    } else {
+      await showStatus(client);
+    }
+  } finally {
+    await client.query('SELECT pg_advisory_unlock($1)', [MIGRATION_LOCK_ID]).catch(() => {});
+    client.release();
+    await pool.end();
+  }
+}
+
+main().catch(error => {
+  console.error(`\nMigration failed: ${error.message}`);
+  process.exit(1);
+});
@@ -0,0 +1,352 @@
+-- Baseline: the schema as it exists in production, including the columns schema.sql had
+-- drifted from (verification_token, verification_token_expiry). Everything is idempotent so
+-- this also applies cleanly to databases set up with the old schema-manager.js flags.
+
+-- migrate:up
+CREATE SCHEMA IF NOT EXISTS deuss;
+
+-- Users
+CREATE TABLE IF NOT EXISTS deuss.users (
+  id SERIAL PRIMARY KEY,
+  email VARCHAR(255) UNIQUE NOT NULL,
+  password VARCHAR(255), -- NULL for accounts created through a social/OIDC login
+  full_name VARCHAR(255) NOT NULL,
+  avatar_url VARCHAR(255),
+  tier VARCHAR(50) DEFAULT 'basic',
+  is_verified BOOLEAN DEFAULT false,
+  verification_token VARCHAR,
+  verification_token_expiry TIMESTAMP,
+  reset_token VARCHAR(255),
+  reset_token_expiry TIMESTAMP,
+  default_bookmarks_added BOOLEAN DEFAULT false,
+  country VARCHAR(100),
+  totp_secret VARCHAR(64),
+  totp_enabled BOOLEAN DEFAULT false,
+  totp_enabled_at TIMESTAMP,
+  totp_last_used_step BIGINT,
+  totp_recovery_codes TEXT[] DEFAULT '{}',
+  role VARCHAR(20) NOT NULL DEFAULT 'user' CHECK (role IN ('user', 'moderator', 'admin')),
+  disabled_at TIMESTAMP,
+  disabled_reason TEXT,
+  deletion_requested_at TIMESTAMP,
+  deletion_scheduled_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Columns added over time by the old --add-* flags
+ALTER TABLE deuss.users
+  ADD COLUMN IF NOT EXISTS is_verified BOOLEAN DEFAULT false,
+  ADD COLUMN IF NOT EXISTS verification_token VARCHAR,
+  ADD COLUMN IF NOT EXISTS verification_token_expiry TIMESTAMP,
+  ADD COLUMN IF NOT EXISTS default_bookmarks_added BOOLEAN DEFAULT false,
+  ADD COLUMN IF NOT EXISTS country VARCHAR(100),
+  ADD COLUMN IF NOT EXISTS totp_secret VARCHAR(64),
+  ADD COLUMN IF NOT EXISTS totp_enabled BOOLEAN DEFAULT false,
+  ADD COLUMN IF NOT EXISTS totp_enabled_at TIMESTAMP,
+  ADD COLUMN IF NOT EXISTS totp_last_used_step BIGINT,
+  ADD COLUMN IF NOT EXISTS totp_recovery_codes TEXT[] DEFAULT '{}',
+  ADD COLUMN IF NOT EXISTS role VARCHAR(20) NOT NULL DEFAULT 'user',
+  ADD COLUMN IF NOT EXISTS disabled_at TIMESTAMP,
+  ADD COLUMN IF NOT EXISTS disabled_reason TEXT,
+  ADD COLUMN IF NOT EXISTS deletion_requested_at TIMESTAMP,
+  ADD COLUMN IF NOT EXISTS deletion_scheduled_at TIMESTAMP;
+
+ALTER TABLE deuss.users ALTER COLUMN password DROP NOT NULL;
+
+DO $$
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'users_role_check') THEN
+    ALTER TABLE deuss.users ADD CONSTRAINT users_role_check CHECK (role IN ('user', 'moderator', 'admin'));
+  END IF;
+END$$;
+
+-- Express sessions (connect-pg-simple)
+CREATE TABLE IF NOT EXISTS deuss.session (
+  sid VARCHAR NOT NULL COLLATE "default",
+  sess JSON NOT NULL,
+  expire TIMESTAMP(6) NOT NULL,
+  CONSTRAINT session_pkey PRIMARY KEY (sid)
+);
+
+CREATE INDEX IF NOT EXISTS idx_session_expire ON deuss.session (expire);
+
+-- Notes
+CREATE TABLE IF NOT EXISTS deuss.notes (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER REFERENCES deuss.users(id) ON DELETE CASCADE,
+  title VARCHAR(255),
+  content TEXT NOT NULL,
+  tags TEXT[] DEFAULT '{}',
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+ALTER TABLE deuss.notes ADD COLUMN IF NOT EXISTS tags TEXT[] DEFAULT '{}';
+
+-- Connected platforms
+CREATE TABLE IF NOT EXISTS deuss.hacking_profiles (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER REFERENCES deuss.users(id) ON DELETE CASCADE,
+  platform VARCHAR(50) NOT NULL,
+  username VARCHAR(255) NOT NULL,
+  api_key VARCHAR(255),
+  connected BOOLEAN DEFAULT true,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE(user_id, platform)
+);
+
+CREATE TABLE IF NOT EXISTS deuss.social_profiles (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER REFERENCES deuss.users(id) ON DELETE CASCADE,
+  platform VARCHAR(50) NOT NULL,
+  username VARCHAR(255) NOT NULL,
+  url VARCHAR(255),
+  api_key TEXT,
+  connected BOOLEAN DEFAULT true,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE(user_id, platform)
+);
+
+ALTER TABLE deuss.social_profiles ADD COLUMN IF NOT EXISTS api_key TEXT;
+
+-- Bookmarks
+CREATE TABLE IF NOT EXISTS deuss.bookmark_categories (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER REFERENCES deuss.users(id) ON DELETE CASCADE,
+  name VARCHAR(100) NOT NULL,
+  icon VARCHAR(255),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS deuss.bookmarks (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER REFERENCES deuss.users(id) ON DELETE CASCADE,
+  category_id INTEGER REFERENCES deuss.bookmark_categories(id) ON DELETE CASCADE,
+  title VARCHAR(255) NOT NULL,
+  url TEXT NOT NULL,
+  color VARCHAR(50),
+  icon VARCHAR(255),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS deuss.default_bookmark_categories (
+  id SERIAL PRIMARY KEY,
+  name VARCHAR(100) NOT NULL,
+  icon VARCHAR(255),
+  external_id VARCHAR(100) NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS deuss.default_bookmarks (
+  id SERIAL PRIMARY KEY,
+  category_id INTEGER REFERENCES deuss.default_bookmark_categories(id) ON DELETE CASCADE,
+  title VARCHAR(255) NOT NULL,
+  url TEXT NOT NULL,
+  color VARCHAR(50),
+  icon VARCHAR(255),
+  external_id VARCHAR(100) NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Rotating refresh tokens grouped into families, and the access token jti denylist
+CREATE TABLE IF NOT EXISTS deuss.refresh_tokens (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER REFERENCES deuss.users(id) ON DELETE CASCADE,
+  token_hash VARCHAR(64) UNIQUE NOT NULL,
+  family_id UUID NOT NULL,
+  parent_id INTEGER REFERENCES deuss.refresh_tokens(id) ON DELETE SET NULL,
+  replaced_by INTEGER,
+  ip_address VARCHAR(64),
+  user_agent TEXT,
+  expires_at TIMESTAMP NOT NULL,
+  revoked_at TIMESTAMP,
+  revoked_reason VARCHAR(50),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+ALTER TABLE deuss.refresh_tokens
+  ADD COLUMN IF NOT EXISTS ip_address VARCHAR(64),
+  ADD COLUMN IF NOT EXISTS user_agent TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_refresh_tokens_family ON deuss.refresh_tokens (family_id);
+CREATE INDEX IF NOT EXISTS idx_refresh_tokens_user ON deuss.refresh_tokens (user_id);
+
+CREATE TABLE IF NOT EXISTS deuss.revoked_tokens (
+  jti VARCHAR(100) PRIMARY KEY,
+  user_id INTEGER REFERENCES deuss.users(id) ON DELETE CASCADE,
+  reason VARCHAR(50),
+  expires_at TIMESTAMP NOT NULL,
+  revoked_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_revoked_tokens_expires ON deuss.revoked_tokens (expires_at);
+
+-- Fixed-window counters and lockouts for auth routes
+CREATE TABLE IF NOT EXISTS deuss.rate_limits (
+  key VARCHAR(255) PRIMARY KEY,
+  hits INTEGER NOT NULL DEFAULT 0,
+  window_start TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  locked_until TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Personal access tokens for scripts, stored hashed
+CREATE TABLE IF NOT EXISTS deuss.api_tokens (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER REFERENCES deuss.users(id) ON DELETE CASCADE,
+  name VARCHAR(100) NOT NULL,
+  token_prefix VARCHAR(16) NOT NULL,
+  token_hash VARCHAR(64) UNIQUE NOT NULL,
+  scopes TEXT[] NOT NULL DEFAULT '{}',
+  expires_at TIMESTAMP,
+  last_used_at TIMESTAMP,
+  last_used_ip VARCHAR(64),
+  revoked_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_api_tokens_user ON deuss.api_tokens (user_id);
+
+-- External login providers linked to a user
+CREATE TABLE IF NOT EXISTS deuss.user_identities (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER REFERENCES deuss.users(id) ON DELETE CASCADE,
+  provider VARCHAR(50) NOT NULL,
+  provider_user_id VARCHAR(255) NOT NULL,
+  email VARCHAR(255),
+  username VARCHAR(255),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE(provider, provider_user_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_user_identities_user ON deuss.user_identities (user_id);
+
+-- Pending address changes, confirmed by the new address and cancellable from the old one
+CREATE TABLE IF NOT EXISTS deuss.email_change_requests (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER REFERENCES deuss.users(id) ON DELETE CASCADE,
+  old_email VARCHAR(255) NOT NULL,
+  new_email VARCHAR(255) NOT NULL,
+  confirm_token_hash VARCHAR(64) UNIQUE NOT NULL,
+  cancel_token_hash VARCHAR(64) UNIQUE NOT NULL,
+  expires_at TIMESTAMP NOT NULL,
+  cancel_until TIMESTAMP NOT NULL,
+  completed_at TIMESTAMP,
+  cancelled_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_email_change_requests_user ON deuss.email_change_requests (user_id);
+
+-- Personal data export archives, generated in the background
+CREATE TABLE IF NOT EXISTS deuss.data_exports (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER REFERENCES deuss.users(id) ON DELETE CASCADE,
+  status VARCHAR(20) NOT NULL DEFAULT 'pending',
+  file_size BIGINT,
+  error TEXT,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  started_at TIMESTAMP,
+  completed_at TIMESTAMP,
+  expires_at TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_data_exports_user ON deuss.data_exports (user_id);
+
+-- Append-only security events; no foreign keys so history survives account deletion
+CREATE TABLE IF NOT EXISTS deuss.audit_log (
+  id BIGSERIAL PRIMARY KEY,
+  user_id INTEGER,
+  actor_id INTEGER,
+  event VARCHAR(64) NOT NULL,
+  ip_address VARCHAR(64),
+  user_agent VARCHAR(512),
+  details JSONB NOT NULL DEFAULT '{}',
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_audit_log_user ON deuss.audit_log (user_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_audit_log_event ON deuss.audit_log (event, created_at DESC);
+
+CREATE OR REPLACE FUNCTION deuss.prevent_audit_log_changes() RETURNS trigger AS $$
+BEGIN
+  RAISE EXCEPTION 'audit_log is append-only';
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS audit_log_append_only ON deuss.audit_log;
+CREATE TRIGGER audit_log_append_only
+  BEFORE UPDATE OR DELETE ON deuss.audit_log
+  FOR EACH ROW EXECUTE FUNCTION deuss.prevent_audit_log_changes();
+
+-- Messages captured by MAIL_TRANSPORT=database instead of being sent
+CREATE TABLE IF NOT EXISTS deuss.email_outbox (
+  id SERIAL PRIMARY KEY,
+  to_address VARCHAR(255) NOT NULL,
+  from_address VARCHAR(255) NOT NULL,
+  subject VARCHAR(255) NOT NULL,
+  html TEXT,
+  text TEXT,
+  template VARCHAR(64),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_email_outbox_to ON deuss.email_outbox (to_address, created_at DESC);
+
+-- Background job queue; finished jobs are deleted, jobs that run out of attempts move to
+-- job_dead_letters
+CREATE TABLE IF NOT EXISTS deuss.jobs (
+  id BIGSERIAL PRIMARY KEY,
+  type VARCHAR(64) NOT NULL,
+  payload JSONB NOT NULL DEFAULT '{}',
+  status VARCHAR(16) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'running')),
+  priority INTEGER NOT NULL DEFAULT 0,
+  attempts INTEGER NOT NULL DEFAULT 0,
+  max_attempts INTEGER NOT NULL DEFAULT 5,
+  run_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  repeat_seconds INTEGER,
+  unique_key VARCHAR(255) UNIQUE,
+  locked_by VARCHAR(128),
+  locked_at TIMESTAMP,
+  last_error TEXT,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_jobs_pending ON deuss.jobs (priority DESC, run_at, id) WHERE status = 'pending';
+CREATE INDEX IF NOT EXISTS idx_jobs_running ON deuss.jobs (locked_at) WHERE status = 'running';
+
+CREATE TABLE IF NOT EXISTS deuss.job_dead_letters (
+  id BIGSERIAL PRIMARY KEY,
+  job_id BIGINT,
+  type VARCHAR(64) NOT NULL,
+  payload JSONB NOT NULL DEFAULT '{}',
+  attempts INTEGER NOT NULL,
+  last_error TEXT,
+  created_at TIMESTAMP,
+  failed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_job_dead_letters_failed ON deuss.job_dead_letters (failed_at);
+
+-- TryHackMe/Twitter responses fetched by the job worker
+CREATE TABLE IF NOT EXISTS deuss.external_cache (
+  cache_key VARCHAR(255) PRIMARY KEY,
+  source VARCHAR(64) NOT NULL,
+  http_status INTEGER NOT NULL,
+  body JSONB,
+  fetched_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_external_cache_fetched ON deuss.external_cache (fetched_at);
+
+-- migrate:down
+-- The baseline can't be rolled back; drop the deuss schema by hand to start over.
@@ -0,0 +1,58 @@
+-- Default bookmarks copied to every new user. Only seeds an empty catalogue, so lists
+-- already curated through the admin API are left alone.
+
+-- migrate:up
+INSERT INTO deuss.default_bookmark_categories (name, icon, external_id)
+SELECT v.name, v.icon, v.external_id
+FROM (VALUES
+  ('Security Tools', 'shield-alert', 'security-tools'),
+  ('Learning Resources', 'book-open', 'learning'),
+  ('Security News', 'newspaper', 'news'),
+  ('Coding Resources', 'code', 'coding'),
+  ('Useful Tools', 'wrench', 'tools'),
+  ('Work', 'briefcase', 'work'),
+  ('CTF Platforms', 'gamepad', 'ctf')
+) AS v (name, icon, external_id)
+WHERE NOT EXISTS (SELECT 1 FROM deuss.default_bookmark_categories);
+
+INSERT INTO deuss.default_bookmarks (category_id, title, url, color, external_id)
+SELECT category.id, v.title, v.url, v.color, v.external_id
+FROM (VALUES
+  ('security-tools', 'Kali Linux', 'https://www.kali.org/', 'bg-blue-500', 'st-1'),
+  ('security-tools', 'Metasploit', 'https://www.metasploit.com/', 'bg-red-500', 'st-2'),
+  ('security-tools', 'Wireshark', 'https://www.wireshark.org/', 'bg-green-500', 'st-3'),
+  ('security-tools', 'Burp Suite', 'https://portswigger.net/burp', 'bg-orange-500', 'st-4'),
+  ('security-tools', 'OWASP', 'https://owasp.org/', 'bg-purple-500', 'st-5'),
+  ('security-tools', 'Nmap', 'https://nmap.org/', 'bg-cyan-500', 'st-6'),
+  ('learning', 'TryHackMe', 'https://tryhackme.com/', 'bg-red-500', 'lr-1'),
+  ('learning', 'HackTheBox', 'https://www.hackthebox.com/', 'bg-green-500', 'lr-2'),
+  ('learning', 'Cybrary', 'https://www.cybrary.it/', 'bg-blue-500', 'lr-3'),
+  ('learning', 'PortSwigger Academy', 'https://portswigger.net/web-security', 'bg-orange-500', 'lr-4'),
+  ('learning', 'Hack The Box Academy', 'https://academy.hackthebox.com/', 'bg-green-500', 'lr-5'),
+  ('news', 'Krebs on Security', 'https://krebsonsecurity.com/', 'bg-red-500', 'n-1'),
+  ('news', 'The Hacker News', 'https://thehackernews.com/', 'bg-blue-500', 'n-2'),
+  ('news', 'Threatpost', 'https://threatpost.com/', 'bg-purple-500', 'n-3'),
+  ('news', 'Bleeping Computer', 'https://www.bleepingcomputer.com/', 'bg-cyan-500', 'n-4'),
+  ('coding', 'GitHub', 'https://github.com/', 'bg-slate-500', 'c-1'),
+  ('coding', 'Stack Overflow', 'https://stackoverflow.com/', 'bg-orange-500', 'c-2'),
+  ('coding', 'MDN Web Docs', 'https://developer.mozilla.org/', 'bg-blue-500', 'c-3'),
+  ('coding', 'W3Schools', 'https://www.w3schools.com/', 'bg-green-500', 'c-4'),
+  ('tools', 'CyberChef', 'https://gchq.github.io/CyberChef/', 'bg-yellow-500', 't-1'),
+  ('tools', 'VirusTotal', 'https://www.virustotal.com/', 'bg-blue-500', 't-2'),
+  ('tools', 'Shodan', 'https://www.shodan.io/', 'bg-red-500', 't-3'),
+  ('tools', 'GTFOBins', 'https://gtfobins.github.io/', 'bg-purple-500', 't-4'),
+  ('work', 'Gmail', 'https://mail.google.com/', 'bg-red-500', 'w-1'),
+  ('work', 'Google Drive', 'https://drive.google.com/', 'bg-yellow-500', 'w-2'),
+  ('work', 'Slack', 'https://slack.com/', 'bg-purple-500', 'w-3'),
+  ('work', 'Notion', 'https://www.notion.so/', 'bg-slate-500', 'w-4'),
+  ('ctf', 'CTFtime', 'https://ctftime.org/', 'bg-green-500', 'ctf-1'),
+  ('ctf', 'PicoCTF', 'https://picoctf.org/', 'bg-blue-500', 'ctf-2'),
+  ('ctf', 'VulnHub', 'https://www.vulnhub.com/', 'bg-red-500', 'ctf-3'),
+  ('ctf', 'Root Me', 'https://www.root-me.org/', 'bg-purple-500', 'ctf-4')
+) AS v (category_external_id, title, url, color, external_id)
+JOIN deuss.default_bookmark_categories AS category ON category.external_id = v.category_external_id
+WHERE NOT EXISTS (SELECT 1 FROM deuss.default_bookmarks);
+
+-- migrate:down
+DELETE FROM deuss.default_bookmark_categories
+WHERE external_id IN ('security-tools', 'learning', 'news', 'coding', 'tools', 'work', 'ctf');
@@ -0,0 +1,26 @@
+-- Full-text search over notes. search_vector is kept up to date by Postgres; titles rank
+-- above tags, tags above content.
+
+-- migrate:up
+-- array_to_string isn't marked immutable, which generated columns require
+CREATE OR REPLACE FUNCTION deuss.note_tags_text(tags TEXT[]) RETURNS TEXT AS $$
+  SELECT array_to_string(tags, ' ')
+$$ LANGUAGE sql IMMUTABLE PARALLEL SAFE;
+
+ALTER TABLE deuss.notes ADD COLUMN IF NOT EXISTS search_vector TSVECTOR
+  GENERATED ALWAYS AS (
+    setweight(to_tsvector('english', COALESCE(title, '')), 'A') ||
+    setweight(to_tsvector('english', deuss.note_tags_text(COALESCE(tags, '{}'))), 'B') ||
+    setweight(to_tsvector('english', COALESCE(content, '')), 'C')
+  ) STORED;
+
+CREATE INDEX IF NOT EXISTS idx_notes_search ON deuss.notes USING GIN (search_vector);
+CREATE INDEX IF NOT EXISTS idx_notes_tags ON deuss.notes USING GIN (tags);
+CREATE INDEX IF NOT EXISTS idx_notes_user_updated ON deuss.notes (user_id, updated_at DESC, id DESC);
+
+-- migrate:down
+DROP INDEX IF EXISTS deuss.idx_notes_user_updated;
+DROP INDEX IF EXISTS deuss.idx_notes_tags;
+DROP INDEX IF EXISTS deuss.idx_notes_search;
+ALTER TABLE deuss.notes DROP COLUMN IF EXISTS search_vector;
+DROP FUNCTION IF EXISTS deuss.note_tags_text(TEXT[]);
@@ -0,0 +1,25 @@
+-- Saved versions of every note, numbered per note. Existing notes start with their
+-- current state as revision 1.
+
+-- migrate:up
+CREATE TABLE IF NOT EXISTS deuss.note_revisions (
+  id SERIAL PRIMARY KEY,
+  note_id INTEGER NOT NULL REFERENCES deuss.notes(id) ON DELETE CASCADE,
+  author_id INTEGER REFERENCES deuss.users(id) ON DELETE SET NULL,
+  revision INTEGER NOT NULL,
+  title VARCHAR(255),
+  content TEXT NOT NULL,
+  tags TEXT[] DEFAULT '{}',
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE(note_id, revision)
+);
+
+CREATE INDEX IF NOT EXISTS idx_note_revisions_created ON deuss.note_revisions (created_at);
+
+INSERT INTO deuss.note_revisions (note_id, author_id, revision, title, content, tags, created_at)
+SELECT n.id, n.user_id, 1, n.title, n.content, n.tags, COALESCE(n.updated_at, n.created_at, CURRENT_TIMESTAMP)
+FROM deuss.notes n
+WHERE NOT EXISTS (SELECT 1 FROM deuss.note_revisions r WHERE r.note_id = n.id);
+
+-- migrate:down
+DROP TABLE IF EXISTS deuss.note_revisions;
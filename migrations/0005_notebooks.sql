@@ -0,0 +1,77 @@
+-- Nested notebooks. Every note belongs to one; notes saved without a notebook go to the
+-- owner's default notebook, which is created on first use. Existing notes are moved into it.
+
+-- migrate:up
+CREATE TABLE IF NOT EXISTS deuss.notebooks (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES deuss.users(id) ON DELETE CASCADE,
+  parent_id INTEGER,
+  name VARCHAR(255) NOT NULL,
+  position INTEGER NOT NULL DEFAULT 0,
+  is_default BOOLEAN NOT NULL DEFAULT false,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  -- Lets children and notes reference (id, user_id), so nothing can point at another user's notebook
+  UNIQUE (id, user_id),
+  FOREIGN KEY (parent_id, user_id) REFERENCES deuss.notebooks (id, user_id) ON DELETE CASCADE,
+  CHECK (parent_id IS NULL OR parent_id <> id),
+  CHECK (NOT is_default OR parent_id IS NULL)
+);
+
+CREATE INDEX IF NOT EXISTS idx_notebooks_user_parent ON deuss.notebooks (user_id, parent_id, position);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_notebooks_one_default ON deuss.notebooks (user_id) WHERE is_default;
+
+INSERT INTO deuss.notebooks (user_id, name, is_default)
+SELECT DISTINCT n.user_id, 'Notes', true
+FROM deuss.notes n
+WHERE n.user_id IS NOT NULL
+ON CONFLICT DO NOTHING;
+
+ALTER TABLE deuss.notes ADD COLUMN IF NOT EXISTS notebook_id INTEGER;
+
+UPDATE deuss.notes n
+SET notebook_id = nb.id
+FROM deuss.notebooks nb
+WHERE nb.user_id = n.user_id AND nb.is_default AND n.notebook_id IS NULL;
+
+CREATE OR REPLACE FUNCTION deuss.note_default_notebook() RETURNS trigger AS $$
+BEGIN
+  IF NEW.notebook_id IS NULL AND NEW.user_id IS NOT NULL THEN
+    SELECT id INTO NEW.notebook_id FROM deuss.notebooks WHERE user_id = NEW.user_id AND is_default;
+
+    IF NEW.notebook_id IS NULL THEN
+      INSERT INTO deuss.notebooks (user_id, name, is_default)
+      VALUES (NEW.user_id, 'Notes', true)
+      ON CONFLICT DO NOTHING
+      RETURNING id INTO NEW.notebook_id;
+
+      -- Another transaction created it first
+      IF NEW.notebook_id IS NULL THEN
+        SELECT id INTO NEW.notebook_id FROM deuss.notebooks WHERE user_id = NEW.user_id AND is_default;
+      END IF;
+    END IF;
+  END IF;
+
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS notes_default_notebook ON deuss.notes;
+CREATE TRIGGER notes_default_notebook
+  BEFORE INSERT OR UPDATE OF notebook_id ON deuss.notes
+  FOR EACH ROW EXECUTE FUNCTION deuss.note_default_notebook();
+
+-- The API moves notes out of a notebook before deleting it; the cascade is for account deletion
+ALTER TABLE deuss.notes
+  ADD CONSTRAINT notes_notebook_fkey FOREIGN KEY (notebook_id, user_id)
+  REFERENCES deuss.notebooks (id, user_id) ON DELETE CASCADE;
+
+CREATE INDEX IF NOT EXISTS idx_notes_notebook ON deuss.notes (notebook_id);
+
+-- migrate:down
+DROP INDEX IF EXISTS deuss.idx_notes_notebook;
+ALTER TABLE deuss.notes DROP CONSTRAINT IF EXISTS notes_notebook_fkey;
+DROP TRIGGER IF EXISTS notes_default_notebook ON deuss.notes;
+DROP FUNCTION IF EXISTS deuss.note_default_notebook();
+ALTER TABLE deuss.notes DROP COLUMN IF EXISTS notebook_id;
+DROP TABLE IF EXISTS deuss.notebooks;
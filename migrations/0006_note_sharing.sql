@@ -0,0 +1,36 @@
+-- Read-only share links and published notes. Link tokens are stored hashed, like API tokens;
+-- the owner sees the link once when creating it.
+
+-- migrate:up
+CREATE TABLE IF NOT EXISTS deuss.note_shares (
+  id SERIAL PRIMARY KEY,
+  note_id INTEGER NOT NULL REFERENCES deuss.notes(id) ON DELETE CASCADE,
+  user_id INTEGER NOT NULL REFERENCES deuss.users(id) ON DELETE CASCADE,
+  token_prefix VARCHAR(16) NOT NULL,
+  token_hash VARCHAR(64) UNIQUE NOT NULL,
+  password_hash VARCHAR(255),
+  expires_at TIMESTAMP,
+  revoked_at TIMESTAMP,
+  view_count INTEGER NOT NULL DEFAULT 0,
+  last_viewed_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_note_shares_note ON deuss.note_shares (note_id);
+
+-- A published note is public at /p/<slug> until it is unpublished
+CREATE TABLE IF NOT EXISTS deuss.note_publications (
+  id SERIAL PRIMARY KEY,
+  note_id INTEGER NOT NULL UNIQUE REFERENCES deuss.notes(id) ON DELETE CASCADE,
+  user_id INTEGER NOT NULL REFERENCES deuss.users(id) ON DELETE CASCADE,
+  slug VARCHAR(100) NOT NULL,
+  view_count INTEGER NOT NULL DEFAULT 0,
+  published_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_note_publications_slug ON deuss.note_publications (LOWER(slug));
+
+-- migrate:down
+DROP TABLE IF EXISTS deuss.note_publications;
+DROP TABLE IF EXISTS deuss.note_shares;
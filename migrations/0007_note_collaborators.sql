@@ -0,0 +1,26 @@
+-- Notes shared with other Deuss users. An invitation is addressed to an email and is pending
+-- until a verified account with that email accepts it, which fills in user_id. notes.version
+-- goes up on every save so concurrent edits can be detected.
+
+-- migrate:up
+ALTER TABLE deuss.notes ADD COLUMN IF NOT EXISTS version INTEGER NOT NULL DEFAULT 1;
+
+CREATE TABLE IF NOT EXISTS deuss.note_collaborators (
+  id SERIAL PRIMARY KEY,
+  note_id INTEGER NOT NULL REFERENCES deuss.notes(id) ON DELETE CASCADE,
+  email VARCHAR(255) NOT NULL,
+  user_id INTEGER REFERENCES deuss.users(id) ON DELETE CASCADE,
+  role VARCHAR(10) NOT NULL DEFAULT 'viewer' CHECK (role IN ('viewer', 'editor')),
+  invited_by INTEGER REFERENCES deuss.users(id) ON DELETE SET NULL,
+  accepted_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_note_collaborators_email ON deuss.note_collaborators (note_id, LOWER(email));
+CREATE UNIQUE INDEX IF NOT EXISTS idx_note_collaborators_user ON deuss.note_collaborators (user_id, note_id);
+CREATE INDEX IF NOT EXISTS idx_note_collaborators_pending ON deuss.note_collaborators (LOWER(email)) WHERE user_id IS NULL;
+
+-- migrate:down
+DROP TABLE IF EXISTS deuss.note_collaborators;
+ALTER TABLE deuss.notes DROP COLUMN IF EXISTS version;
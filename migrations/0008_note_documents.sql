@@ -0,0 +1,14 @@
+-- Yjs state of notes edited in real time (see realtime.js). The note's title and content stay
+-- the source of truth; version is the notes.version the state was last saved with, so edits
+-- made through the REST API since then can be merged in when the document is loaded.
+
+-- migrate:up
+CREATE TABLE IF NOT EXISTS deuss.note_documents (
+  note_id INTEGER PRIMARY KEY REFERENCES deuss.notes(id) ON DELETE CASCADE,
+  state BYTEA NOT NULL,
+  version INTEGER NOT NULL,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- migrate:down
+DROP TABLE IF EXISTS deuss.note_documents;
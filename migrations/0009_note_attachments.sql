@@ -0,0 +1,45 @@
+-- Files attached to notes. The files themselves are in the storage backend (attachments.js);
+-- user_id is the note's owner, whose plan the storage counts against. Deleting an attachment
+-- row, directly or through a note or account cascade, queues its file for removal.
+
+-- migrate:up
+CREATE TABLE IF NOT EXISTS deuss.note_attachments (
+  id SERIAL PRIMARY KEY,
+  note_id INTEGER NOT NULL REFERENCES deuss.notes(id) ON DELETE CASCADE,
+  user_id INTEGER NOT NULL REFERENCES deuss.users(id) ON DELETE CASCADE,
+  uploaded_by INTEGER REFERENCES deuss.users(id) ON DELETE SET NULL,
+  storage_key VARCHAR(255) UNIQUE NOT NULL,
+  filename VARCHAR(255) NOT NULL,
+  content_type VARCHAR(100) NOT NULL,
+  size_bytes BIGINT NOT NULL CHECK (size_bytes >= 0),
+  sha256 VARCHAR(64) NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_note_attachments_note ON deuss.note_attachments (note_id);
+CREATE INDEX IF NOT EXISTS idx_note_attachments_user ON deuss.note_attachments (user_id);
+
+CREATE TABLE IF NOT EXISTS deuss.attachment_deletions (
+  id SERIAL PRIMARY KEY,
+  storage_key VARCHAR(255) NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE OR REPLACE FUNCTION deuss.queue_attachment_deletion() RETURNS TRIGGER AS $$
+BEGIN
+  INSERT INTO deuss.attachment_deletions (storage_key) VALUES (OLD.storage_key);
+  RETURN OLD;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS note_attachments_queue_deletion ON deuss.note_attachments;
+CREATE TRIGGER note_attachments_queue_deletion
+  AFTER DELETE ON deuss.note_attachments
+  FOR EACH ROW EXECUTE FUNCTION deuss.queue_attachment_deletion();
+
+-- migrate:down
+-- Files already in storage are left there
+DROP TRIGGER IF EXISTS note_attachments_queue_deletion ON deuss.note_attachments;
+DROP FUNCTION IF EXISTS deuss.queue_attachment_deletion();
+DROP TABLE IF EXISTS deuss.attachment_deletions;
+DROP TABLE IF EXISTS deuss.note_attachments;
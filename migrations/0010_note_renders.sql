@@ -0,0 +1,15 @@
+-- Cached HTML of notes rendered by markdown.js. A row is reused while source_updated_at
+-- matches the note's updated_at and renderer_version the current renderer; otherwise the
+-- note is rendered again and the row replaced.
+
+-- migrate:up
+CREATE TABLE IF NOT EXISTS deuss.note_renders (
+  note_id INTEGER PRIMARY KEY REFERENCES deuss.notes(id) ON DELETE CASCADE,
+  source_updated_at TIMESTAMP NOT NULL,
+  renderer_version INTEGER NOT NULL,
+  html TEXT NOT NULL,
+  rendered_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- migrate:down
+DROP TABLE IF EXISTS deuss.note_renders;
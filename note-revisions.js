@@ -0,0 +1,288 @@
+const tiers = require('./tiers');
+
+// Every save of a note that changes its title, content or tags is kept as a numbered row in
+// deuss.note_revisions, starting at 1 when the note is created; the latest revision always
+// matches the note. Older revisions are kept for the owner's historyRetentionDays (tiers.js)
+// and then removed by the notes.prune_revisions job.
+
+// Lines of context around each change in a diff
+const DIFF_CONTEXT_LINES = 3;
+
+// Past this many inserted/removed lines the diff is reported as a full replacement,
+// so two unrelated large revisions can't tie up the server. The search keeps O(edits²)
+// positions, about 16 MB at this limit.
+const MAX_DIFF_EDITS = 2000;
+
+// Changed regions larger than this skip the search and are reported as a full replacement
+// straight away; the search's running time grows with their length times the edits
+const MAX_DIFF_LINES = 10000;
+const MAX_DIFF_CHARS = 1024 * 1024;
+
+/**
+ * Store a note's current state as its next revision. A save that changed nothing doesn't
+ * add a revision. Resolves to the note's latest revision number.
+ */
+async function recordRevision(client, note, authorId) {
+  const latest = await client.query(
+    `SELECT revision, title, content, tags FROM deuss.note_revisions
+     WHERE note_id = $1 ORDER BY revision DESC LIMIT 1`,
+    [note.id]
+  );
+
+  const previous = latest.rows[0];
+  if (
+    previous &&
+    (previous.title || '') === (note.title || '') &&
+    previous.content === note.content &&
+    JSON.stringify(previous.tags || []) === JSON.stringify(note.tags || [])
+  ) {
+    return previous.revision;
+  }
+
+  const result = await client.query(
+    `INSERT INTO deuss.note_revisions (note_id, author_id, revision, title, content, tags)
+     VALUES ($1, $2, $3, $4, $5, $6)
+     RETURNING revision`,
+    [note.id, authorId, previous ? previous.revision + 1 : 1, note.title, note.content, note.tags || []]
+  );
+
+  return result.rows[0].revision;
+}
+
+/**
+ * Remove revisions older than each tier's retention. The latest revision of a note is
+ * never removed.
+ */
+async function pruneRevisions(pool) {
+  const knownTiers = tiers.listTiers();
+  let removed = 0;
+
+  for (const tier of knownTiers) {
+    const days = tiers.getTierLimits(tier).historyRetentionDays;
+    if (days === null || days === undefined) {
+      continue;
+    }
+
+    // Users with no or an unknown tier get the default tier's retention
+    const result = await pool.query(
+      `DELETE FROM deuss.note_revisions r
+       USING deuss.notes n, deuss.users u
+       WHERE r.note_id = n.id
+         AND n.user_id = u.id
+         AND r.created_at < NOW() - make_interval(days => $1)
+         AND r.revision < (SELECT MAX(revision) FROM deuss.note_revisions latest WHERE latest.note_id = r.note_id)
+         AND (u.tier = $2 OR ($3 AND (u.tier IS NULL OR NOT (u.tier = ANY($4)))))`,
+      [days, tier, tier === tiers.DEFAULT_TIER, knownTiers]
+    );
+    removed += result.rowCount;
+  }
+
+  return removed;
+}
+
+function splitLines(text) {
+  const normalized = String(text ?? '').replace(/\r\n/g, '\n');
+  return normalized === '' ? [] : normalized.split('\n');
+}
+
+/**
+ * Myers' O(ND) diff of two line arrays. Resolves to a list of
+ * { type: 'equal' | 'remove' | 'add', text } or null when there are more than
+ * MAX_DIFF_EDITS edits.
+ */
+function diffSequences(a, b) {
+  const n = a.length;
+  const m = b.length;
+  const trace = [];
+  let previous = null;
+  let endD = -1;
+
+  for (let d = 0; d <= Math.min(n + m, MAX_DIFF_EDITS); d++) {
+    // current[k + d] is the furthest x reached on diagonal k with d edits
+    const current = new Int32Array(2 * d + 1);
+
+    for (let k = -d; k <= d; k += 2) {
+      let x;
+      if (d === 0) {
+        x = 0;
+      } else if (k === -d || (k !== d && previous[k - 1 + d - 1] < previous[k + 1 + d - 1])) {
+        x = previous[k + 1 + d - 1];
+      } else {
+        x = previous[k - 1 + d - 1] + 1;
+      }
+
+      let y = x - k;
+      while (x < n && y < m && a[x] === b[y]) {
+        x++;
+        y++;
+      }
+      current[k + d] = x;
+
+      if (x >= n && y >= m) {
+        endD = d;
+        break;
+      }
+    }
+
+    trace.push(current);
+    previous = current;
+    if (endD !== -1) break;
+  }
+
+  if (endD === -1) {
+    return null;
+  }
+
+  // Walk back from the end to recover the edit path
+  const edits = [];
+  let x = n;
+  let y = m;
+
+  for (let d = endD; d > 0; d--) {
+    const before = trace[d - 1];
+    const k = x - y;
+    const previousK = (k === -d || (k !== d && before[k - 1 + d - 1] < before[k + 1 + d - 1])) ? k + 1 : k - 1;
+    const previousX = before[previousK + d - 1];
+    const previousY = previousX - previousK;
+
+    while (x > previousX && y > previousY) {
+      edits.push({ type: 'equal', text: a[x - 1] });
+      x--;
+      y--;
+    }
+
+    if (x === previousX) {
+      edits.push({ type: 'add', text: b[y - 1] });
+    } else {
+      edits.push({ type: 'remove', text: a[x - 1] });
+    }
+    x = previousX;
+    y = previousY;
+  }
+
+  while (x > 0 && y > 0) {
+    edits.push({ type: 'equal', text: a[x - 1] });
+    x--;
+    y--;
+  }
+
+  return edits.reverse();
+}
+
+/**
+ * Group edits into unified-diff style hunks with DIFF_CONTEXT_LINES of context
+ */
+function buildHunks(edits) {
+  const positions = [];
+  let oldLine = 1;
+  let newLine = 1;
+  for (const edit of edits) {
+    positions.push({ oldLine, newLine });
+    if (edit.type !== 'add') oldLine++;
+    if (edit.type !== 'remove') newLine++;
+  }
+
+  // Each change plus its context, merged where they touch
+  const ranges = [];
+  edits.forEach((edit, index) => {
+    if (edit.type === 'equal') return;
+
+    const start = Math.max(0, index - DIFF_CONTEXT_LINES);
+    const end = Math.min(edits.length - 1, index + DIFF_CONTEXT_LINES);
+    const last = ranges[ranges.length - 1];
+    if (last && start <= last.end + 1) {
+      last.end = Math.max(last.end, end);
+    } else {
+      ranges.push({ start, end });
+    }
+  });
+
+  return ranges.map(({ start, end }) => {
+    const lines = edits.slice(start, end + 1).map(edit => ({
+      type: edit.type === 'equal' ? 'context' : edit.type,
+      text: edit.text
+    }));
+    const oldLines = lines.filter(line => line.type !== 'add').length;
+    const newLines = lines.filter(line => line.type !== 'remove').length;
+
+    // Like diff -u, an empty side points at the line before the hunk
+    return {
+      oldStart: oldLines === 0 ? positions[start].oldLine - 1 : positions[start].oldLine,
+      oldLines,
+      newStart: newLines === 0 ? positions[start].newLine - 1 : positions[start].newLine,
+      newLines,
+      lines
+    };
+  });
+}
+
+function formatUnified(hunks, fromLabel, toLabel) {
+  const prefix = { context: ' ', add: '+', remove: '-' };
+  const lines = [`--- ${fromLabel}`, `+++ ${toLabel}`];
+
+  for (const hunk of hunks) {
+    lines.push(`@@ -${hunk.oldStart},${hunk.oldLines} +${hunk.newStart},${hunk.newLines} @@`);
+    for (const line of hunk.lines) {
+      lines.push(`${prefix[line.type]}${line.text}`);
+    }
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Line-by-line diff of two texts. Resolves to
+ * { added, removed, truncated, hunks: [{ oldStart, oldLines, newStart, newLines, lines }], unified }.
+ */
+function diffLines(oldText, newText, { fromLabel = 'a', toLabel = 'b' } = {}) {
+  const a = splitLines(oldText);
+  const b = splitLines(newText);
+
+  // Unchanged lines at either end don't need the diff algorithm
+  let prefix = 0;
+  while (prefix < a.length && prefix < b.length && a[prefix] === b[prefix]) prefix++;
+  let suffix = 0;
+  while (
+    suffix < a.length - prefix &&
+    suffix < b.length - prefix &&
+    a[a.length - 1 - suffix] === b[b.length - 1 - suffix]
+  ) suffix++;
+
+  const middleA = a.slice(prefix, a.length - suffix);
+  const middleB = b.slice(prefix, b.length - suffix);
+
+  const countChars = lines => lines.reduce((total, line) => total + line.length, 0);
+  const tooLarge = middleA.length + middleB.length > MAX_DIFF_LINES ||
+    countChars(middleA) + countChars(middleB) > MAX_DIFF_CHARS;
+
+  let middle = tooLarge ? null : diffSequences(middleA, middleB);
+  const truncated = middle === null;
+  if (truncated) {
+    middle = [
+      ...middleA.map(text => ({ type: 'remove', text })),
+      ...middleB.map(text => ({ type: 'add', text }))
+    ];
+  }
+
+  const edits = [
+    ...a.slice(0, prefix).map(text => ({ type: 'equal', text })),
+    ...middle,
+    ...a.slice(a.length - suffix).map(text => ({ type: 'equal', text }))
+  ];
+
+  const hunks = buildHunks(edits);
+
+  return {
+    added: edits.filter(edit => edit.type === 'add').length,
+    removed: edits.filter(edit => edit.type === 'remove').length,
+    truncated,
+    hunks,
+    unified: formatUnified(hunks, fromLabel, toLabel)
+  };
+}
+
+module.exports = {
+  recordRevision,
+  pruneRevisions,
+  diffLines
+};
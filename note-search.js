@@ -0,0 +1,293 @@
+// Filtering, full-text search and cursor pagination for GET /api/notes and GET /api/notes/shared.
+// A request without any of the parameters below still gets every note, newest first, in one
+// response.
+//
+//   q         search title, tags and content (web search syntax: "quoted phrase", or, -word)
+//   tag       only notes carrying this tag; repeat it (or pass tags=a,b) to require several
+//   from, to  date range, ISO 8601; a plain YYYY-MM-DD "to" includes that whole day
+//   dateField created | updated (default) - the column from/to apply to and results sort by
+//   notebook  only notes in this notebook; add includeSubnotebooks=true for nested ones too
+//             (own notes only)
+//   limit     page size (default 20, max 100)
+//   cursor    nextCursor from the previous page
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+const MAX_QUERY_LENGTH = 200;
+const MAX_TAG_FILTERS = 20;
+
+// The columns API responses include; search_vector is internal
+const NOTE_COLUMNS = 'n.id, n.user_id, n.notebook_id, n.title, n.content, n.tags, n.version, n.created_at, n.updated_at';
+
+// Added for notes other users shared with the caller
+const SHARED_NOTE_COLUMNS = 'c.role, o.full_name AS owner_name, o.email AS owner_email';
+
+const DATE_COLUMNS = {
+  updated: 'updated_at',
+  created: 'created_at'
+};
+
+// ts_headline marks matches with these; they're swapped for <mark> after the snippet is escaped
+const MATCH_START = '\u0002';
+const MATCH_STOP = '\u0003';
+const HEADLINE_OPTIONS = `StartSel="${MATCH_START}", StopSel="${MATCH_STOP}", MaxFragments=2, MinWords=5, MaxWords=25, FragmentDelimiter=" ... "`;
+
+const SEARCH_PARAMS = ['q', 'tag', 'tags', 'from', 'to', 'dateField', 'notebook', 'includeSubnotebooks', 'limit', 'cursor'];
+
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+function invalid(message) {
+  return { status: 400, error: { error: message, notes: [] } };
+}
+
+function encodeCursor(cursor) {
+  return Buffer.from(JSON.stringify(cursor)).toString('base64url');
+}
+
+// The sort value of a date cursor is the column as PostgreSQL prints it (see searchNotes)
+const CURSOR_TIMESTAMP = /^\d{4}-\d{2}-\d{2}[ T]\d{2}:\d{2}:\d{2}(\.\d{1,6})?$/;
+
+function isCursorValue(mode, value) {
+  if (mode === 'rank') {
+    return typeof value === 'number' && Number.isFinite(value);
+  }
+  if (typeof value !== 'string' || !CURSOR_TIMESTAMP.test(value)) {
+    return false;
+  }
+  // Rejects out-of-range fields such as February 30th, which the cast would also reject
+  const time = new Date(`${value.replace(' ', 'T')}Z`);
+  return !isNaN(time) && time.toISOString().slice(0, 19) === value.slice(0, 19).replace(' ', 'T');
+}
+
+/**
+ * Decode a cursor for the given sort mode. Returns null unless it came from that ordering and
+ * its values fit the query's casts, so a tampered cursor is a bad request, not a query error.
+ */
+function decodeCursor(value, mode) {
+  try {
+    const cursor = JSON.parse(Buffer.from(String(value), 'base64url').toString('utf8'));
+    if (
+      cursor &&
+      cursor.mode === mode &&
+      Number.isInteger(cursor.id) && cursor.id > 0 && cursor.id <= 2147483647 &&
+      isCursorValue(mode, cursor.value)
+    ) {
+      return cursor;
+    }
+  } catch (error) {
+    // Fall through to the invalid cursor response
+  }
+  return null;
+}
+
+function parseDate(value, { endOfDay = false } = {}) {
+  const text = String(value).trim();
+  const time = Date.parse(text);
+  if (isNaN(time)) {
+    return null;
+  }
+  // A bare date as the upper bound means "through the end of that day"
+  return new Date(endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(text) ? time + 24 * 60 * 60 * 1000 - 1 : time);
+}
+
+/**
+ * Validate the query string of GET /api/notes.
+ * Resolves to { search } or { status, error } for a bad request.
+ */
+function parseSearchParams(query) {
+  const search = {
+    paginate: SEARCH_PARAMS.some(param => query[param] !== undefined),
+    q: typeof query.q === 'string' ? query.q.trim() : '',
+    tags: [],
+    dateField: query.dateField || 'updated',
+    from: null,
+    to: null,
+    notebook: null,
+    includeSubnotebooks: query.includeSubnotebooks === 'true',
+    limit: DEFAULT_PAGE_SIZE,
+    cursor: null
+  };
+
+  if (search.q.length > MAX_QUERY_LENGTH) {
+    return invalid(`Search query must be at most ${MAX_QUERY_LENGTH} characters`);
+  }
+
+  search.tags = [query.tag, query.tags]
+    .flat()
+    .filter(value => typeof value === 'string')
+    .flatMap(value => value.split(','))
+    .map(tag => tag.trim())
+    .filter(Boolean);
+  search.tags = [...new Set(search.tags)];
+
+  if (search.tags.length > MAX_TAG_FILTERS) {
+    return invalid(`At most ${MAX_TAG_FILTERS} tags can be filtered on`);
+  }
+
+  if (!DATE_COLUMNS[search.dateField]) {
+    return invalid('dateField must be "created" or "updated"');
+  }
+
+  if (query.from !== undefined) {
+    search.from = parseDate(query.from);
+    if (!search.from) {
+      return invalid('from must be an ISO 8601 date');
+    }
+  }
+
+  if (query.to !== undefined) {
+    search.to = parseDate(query.to, { endOfDay: true });
+    if (!search.to) {
+      return invalid('to must be an ISO 8601 date');
+    }
+  }
+
+  if (search.from && search.to && search.from > search.to) {
+    return invalid('from must be before to');
+  }
+
+  if (query.notebook !== undefined) {
+    search.notebook = Number(query.notebook);
+    if (!Number.isInteger(search.notebook) || search.notebook < 1) {
+      return invalid('notebook must be a notebook id');
+    }
+  }
+
+  if (query.limit !== undefined) {
+    const limit = parseInt(query.limit, 10);
+    if (isNaN(limit) || limit < 1) {
+      return invalid('limit must be a positive number');
+    }
+    search.limit = Math.min(limit, MAX_PAGE_SIZE);
+  }
+
+  if (query.cursor !== undefined) {
+    // A cursor only makes sense for the ordering it came from
+    search.cursor = decodeCursor(query.cursor, sortMode(search));
+    if (!search.cursor) {
+      return invalid('Invalid cursor');
+    }
+  }
+
+  return { search };
+}
+
+function sortMode(search) {
+  return search.q ? 'rank' : search.dateField;
+}
+
+function highlight(snippet) {
+  return escapeHtml(snippet)
+    .split(MATCH_START).join('<mark>')
+    .split(MATCH_STOP).join('</mark>');
+}
+
+/**
+ * Run a search over one user's notes, or with shared over the notes other users shared with
+ * them. Resolves to { notes, nextCursor }; nextCursor is null on the last page and when the
+ * request isn't paginated.
+ */
+async function searchNotes(pool, userId, search, { shared = false } = {}) {
+  const values = [userId];
+  const param = value => {
+    values.push(value);
+    return `$${values.length}`;
+  };
+
+  const conditions = shared ? [] : ['n.user_id = $1'];
+  const dateColumn = `n.${DATE_COLUMNS[search.dateField]}`;
+  const mode = sortMode(search);
+
+  let tsQuery = null;
+  let rank = null;
+  if (search.q) {
+    tsQuery = `websearch_to_tsquery('english', ${param(search.q)})`;
+    rank = `ts_rank(n.search_vector, ${tsQuery})`;
+    conditions.push(`n.search_vector @@ ${tsQuery}`);
+  }
+
+  if (search.tags.length > 0) {
+    conditions.push(`n.tags @> ${param(search.tags)}::TEXT[]`);
+  }
+  if (search.notebook) {
+    const notebook = param(search.notebook);
+    conditions.push(search.includeSubnotebooks
+      ? `n.notebook_id IN (
+          WITH RECURSIVE subtree AS (
+            SELECT id FROM deuss.notebooks WHERE id = ${notebook} AND user_id = $1
+            UNION ALL
+            SELECT child.id FROM deuss.notebooks child JOIN subtree ON child.parent_id = subtree.id
+          )
+          SELECT id FROM subtree
+        )`
+      : `n.notebook_id = ${notebook}`);
+  }
+  if (search.from) {
+    conditions.push(`${dateColumn} >= ${param(search.from.toISOString())}::TIMESTAMPTZ`);
+  }
+  if (search.to) {
+    conditions.push(`${dateColumn} <= ${param(search.to.toISOString())}::TIMESTAMPTZ`);
+  }
+
+  // Keyset pagination: continue strictly after the last row of the previous page
+  const sortValue = mode === 'rank' ? rank : dateColumn;
+  if (search.cursor) {
+    const cast = mode === 'rank' ? 'REAL' : 'TIMESTAMP';
+    conditions.push(`(${sortValue}, n.id) < (${param(search.cursor.value)}::${cast}, ${param(search.cursor.id)})`);
+  }
+
+  const limit = search.paginate ? `LIMIT ${param(search.limit + 1)}` : '';
+
+  // Timestamps go through text so the cursor keeps their full precision
+  let sql = `
+    SELECT ${NOTE_COLUMNS}${shared ? `, ${SHARED_NOTE_COLUMNS}` : ''}${rank ? `, ${rank} AS rank` : ''},
+      ${mode === 'rank' ? rank : `${dateColumn}::TEXT`} AS sort_value
+    FROM deuss.notes n
+    ${shared ? `JOIN deuss.note_collaborators c ON c.note_id = n.id AND c.user_id = $1
+    JOIN deuss.users o ON o.id = n.user_id` : ''}
+    WHERE ${conditions.length > 0 ? conditions.join(' AND ') : 'TRUE'}
+    ORDER BY ${sortValue} DESC, n.id DESC
+    ${limit}
+  `;
+
+  if (tsQuery) {
+    // Headlines are slow, so only build them for the rows on this page
+    sql = `
+      SELECT page.*, ts_headline('english', page.content, ${tsQuery}, ${param(HEADLINE_OPTIONS)}) AS snippet
+      FROM (${sql}) page
+      ORDER BY page.sort_value DESC, page.id DESC
+    `;
+  }
+
+  const result = await pool.query(sql, values);
+  const rows = result.rows;
+
+  let nextCursor = null;
+  if (search.paginate && rows.length > search.limit) {
+    rows.length = search.limit;
+    const last = rows[rows.length - 1];
+    nextCursor = encodeCursor({ mode, value: last.sort_value, id: last.id });
+  }
+
+  for (const note of rows) {
+    delete note.sort_value;
+    if (note.snippet !== undefined) {
+      note.snippet = highlight(note.snippet);
+    }
+  }
+
+  return { notes: rows, nextCursor };
+}
+
+module.exports = {
+  NOTE_COLUMNS,
+  parseSearchParams,
+  searchNotes
+};
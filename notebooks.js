@@ -0,0 +1,203 @@
+// Notebooks form a tree per user through deuss.notebooks.parent_id, with siblings ordered by
+// position. Every user has one default notebook at the root; notes saved without a notebook
+// land there (see migrations/0005_notebooks.sql). These helpers load a user's tree and
+// validate changes to it; the routes in index.js do the rest.
+
+const MAX_NOTEBOOK_DEPTH = 8;
+const MAX_NOTEBOOK_NAME_LENGTH = 255;
+const DEFAULT_NOTEBOOK_NAME = 'Notes';
+
+/**
+ * All of a user's notebooks, ordered by position. With lock, the user's row is locked first
+ * so concurrent moves can't create a cycle; only use it inside a transaction.
+ */
+async function loadNotebooks(client, userId, { lock = false } = {}) {
+  if (lock) {
+    await client.query('SELECT id FROM deuss.users WHERE id = $1 FOR UPDATE', [userId]);
+  }
+
+  const result = await client.query(
+    `SELECT id, parent_id, name, position, is_default, created_at, updated_at
+     FROM deuss.notebooks WHERE user_id = $1
+     ORDER BY position, id`,
+    [userId]
+  );
+  return result.rows;
+}
+
+/**
+ * Id of the user's default notebook, creating it if needed
+ */
+async function ensureDefaultNotebook(client, userId) {
+  await client.query(
+    `INSERT INTO deuss.notebooks (user_id, name, is_default)
+     VALUES ($1, $2, true)
+     ON CONFLICT DO NOTHING`,
+    [userId, DEFAULT_NOTEBOOK_NAME]
+  );
+
+  const result = await client.query(
+    'SELECT id FROM deuss.notebooks WHERE user_id = $1 AND is_default',
+    [userId]
+  );
+  return result.rows[0].id;
+}
+
+/**
+ * Returns an error message for an unusable notebook name, otherwise null
+ */
+function validateName(name) {
+  if (typeof name !== 'string' || !name.trim()) {
+    return 'Notebook name is required';
+  }
+  if (name.trim().length > MAX_NOTEBOOK_NAME_LENGTH) {
+    return `Notebook name must be at most ${MAX_NOTEBOOK_NAME_LENGTH} characters`;
+  }
+  return null;
+}
+
+function childrenByParent(notebooks) {
+  const children = new Map();
+  for (const notebook of notebooks) {
+    const key = notebook.parent_id ?? null;
+    if (!children.has(key)) children.set(key, []);
+    children.get(key).push(notebook);
+  }
+  return children;
+}
+
+/**
+ * Ids of a notebook and everything nested under it
+ */
+function subtreeIds(notebooks, notebookId) {
+  const children = childrenByParent(notebooks);
+  const ids = [];
+  const stack = [notebookId];
+
+  while (stack.length > 0) {
+    const id = stack.pop();
+    ids.push(id);
+    for (const child of children.get(id) || []) {
+      stack.push(child.id);
+    }
+  }
+  return ids;
+}
+
+function depthOf(notebooks, notebookId) {
+  const byId = new Map(notebooks.map(notebook => [notebook.id, notebook]));
+  let depth = 0;
+  for (let current = byId.get(notebookId); current && current.parent_id; current = byId.get(current.parent_id)) {
+    depth++;
+  }
+  return depth;
+}
+
+/**
+ * Check that a notebook (an existing id, or null for a new one) can go under parentId.
+ * Returns an error message or null.
+ */
+function checkPlacement(notebooks, notebookId, parentId) {
+  const byId = new Map(notebooks.map(notebook => [notebook.id, notebook]));
+  const moved = notebookId ? byId.get(notebookId) : null;
+
+  if (parentId === null) {
+    return null;
+  }
+
+  if (!byId.has(parentId)) {
+    return 'Parent notebook not found';
+  }
+
+  if (moved && moved.is_default) {
+    return 'The default notebook stays at the top level';
+  }
+
+  const subtree = moved ? subtreeIds(notebooks, moved.id) : [];
+  if (subtree.includes(parentId)) {
+    return 'A notebook cannot be moved into itself or one of its sub-notebooks';
+  }
+
+  // Deepest level the moved notebook's subtree would reach
+  const height = moved
+    ? Math.max(...subtree.map(id => depthOf(notebooks, id))) - depthOf(notebooks, moved.id)
+    : 0;
+  if (depthOf(notebooks, parentId) + 1 + height >= MAX_NOTEBOOK_DEPTH) {
+    return `Notebooks can be nested at most ${MAX_NOTEBOOK_DEPTH} levels deep`;
+  }
+
+  return null;
+}
+
+/**
+ * Put a notebook at position among its siblings (appended when position is missing) and
+ * renumber the siblings to 0..n-1
+ */
+async function placeNotebook(client, userId, notebookId, parentId, position) {
+  const siblings = await client.query(
+    `SELECT id FROM deuss.notebooks
+     WHERE user_id = $1 AND parent_id IS NOT DISTINCT FROM $2 AND id <> $3
+     ORDER BY position, id`,
+    [userId, parentId, notebookId]
+  );
+
+  const ids = siblings.rows.map(row => row.id);
+  const index = Number.isInteger(position) ? Math.min(Math.max(position, 0), ids.length) : ids.length;
+  ids.splice(index, 0, notebookId);
+
+  await client.query(
+    `UPDATE deuss.notebooks nb SET position = ordered.ordinality - 1
+     FROM unnest($1::INTEGER[]) WITH ORDINALITY AS ordered (id, ordinality)
+     WHERE nb.id = ordered.id AND nb.user_id = $2`,
+    [ids, userId]
+  );
+}
+
+/**
+ * The tree as a flat list in display order (depth first), with each notebook's depth, path
+ * of names, and note counts for the notebook itself and including its sub-notebooks
+ */
+function describeNotebooks(notebooks, noteCounts) {
+  const children = childrenByParent(notebooks);
+  const list = [];
+
+  const visit = (notebook, depth, path) => {
+    const entry = {
+      id: notebook.id,
+      parentId: notebook.parent_id,
+      name: notebook.name,
+      position: notebook.position,
+      isDefault: notebook.is_default,
+      depth,
+      path: [...path, notebook.name],
+      noteCount: noteCounts.get(notebook.id) || 0,
+      totalNoteCount: 0,
+      childCount: (children.get(notebook.id) || []).length,
+      createdAt: notebook.created_at,
+      updatedAt: notebook.updated_at
+    };
+    list.push(entry);
+
+    entry.totalNoteCount = entry.noteCount;
+    for (const child of children.get(notebook.id) || []) {
+      entry.totalNoteCount += visit(child, depth + 1, entry.path);
+    }
+    return entry.totalNoteCount;
+  };
+
+  for (const root of children.get(null) || []) {
+    visit(root, 0, []);
+  }
+  return list;
+}
+
+module.exports = {
+  MAX_NOTEBOOK_DEPTH,
+  loadNotebooks,
+  ensureDefaultNotebook,
+  validateName,
+  subtreeIds,
+  checkPlacement,
+  placeNotebook,
+  describeNotebooks
+};
@@ -0,0 +1,279 @@
+const axios = require('axios');
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+// How long discovery documents and signing keys are reused before refetching
+const METADATA_CACHE_TTL = 60 * 60 * 1000;
+
+// Algorithms accepted on OIDC id_tokens; HS* uses the client secret as the key
+const ID_TOKEN_ALGORITHMS = ['RS256', 'RS384', 'RS512', 'PS256', 'ES256', 'ES384', 'HS256'];
+
+const metadataCache = new Map();
+const jwksCache = new Map();
+
+function base64UrlSha256(value) {
+  return crypto.createHash('sha256').update(value).digest('base64url');
+}
+
+/**
+ * Generate a PKCE verifier/challenge pair (S256)
+ */
+function createPkcePair() {
+  const codeVerifier = crypto.randomBytes(32).toString('base64url');
+  return { codeVerifier, codeChallenge: base64UrlSha256(codeVerifier) };
+}
+
+/**
+ * Fetch and cache the provider's OpenID configuration document
+ */
+async function discover(issuer) {
+  const cached = metadataCache.get(issuer);
+  if (cached && cached.timestamp > Date.now() - METADATA_CACHE_TTL) {
+    return cached.data;
+  }
+
+  const url = `${issuer.replace(/\/$/, '')}/.well-known/openid-configuration`;
+  const response = await axios.get(url, { timeout: 10000 });
+
+  metadataCache.set(issuer, { data: response.data, timestamp: Date.now() });
+  return response.data;
+}
+
+/**
+ * Find the public key for an id_token, refetching the JWKS once for unknown key ids
+ */
+async function getSigningKey(jwksUri, kid) {
+  const load = async () => {
+    const response = await axios.get(jwksUri, { timeout: 10000 });
+    const keys = response.data.keys || [];
+    jwksCache.set(jwksUri, { keys, timestamp: Date.now() });
+    return keys;
+  };
+
+  const cached = jwksCache.get(jwksUri);
+  let keys = cached && cached.timestamp > Date.now() - METADATA_CACHE_TTL ? cached.keys : await load();
+  let jwk = keys.find(key => !kid || key.kid === kid);
+
+  if (!jwk && cached) {
+    keys = await load();
+    jwk = keys.find(key => !kid || key.kid === kid);
+  }
+
+  if (!jwk) {
+    throw new Error(`No signing key found for kid ${kid}`);
+  }
+
+  return crypto.createPublicKey({ key: jwk, format: 'jwk' });
+}
+
+const github = {
+  name: 'github',
+  displayName: 'GitHub',
+
+  config() {
+    return {
+      clientId: process.env.GITHUB_CLIENT_ID,
+      clientSecret: process.env.GITHUB_CLIENT_SECRET,
+      // Overridable so the flow can be exercised against a local mock server
+      oauthUrl: (process.env.GITHUB_OAUTH_URL || 'https://github.com').replace(/\/$/, ''),
+      apiUrl: (process.env.GITHUB_API_URL || 'https://api.github.com').replace(/\/$/, '')
+    };
+  },
+
+  enabled() {
+    const { clientId, clientSecret } = this.config();
+    return Boolean(clientId && clientSecret);
+  },
+
+  async getAuthorizationUrl({ state, redirectUri, codeChallenge }) {
+    const { clientId, oauthUrl } = this.config();
+    const params = new URLSearchParams({
+      client_id: clientId,
+      redirect_uri: redirectUri,
+      scope: 'read:user user:email',
+      state,
+      code_challenge: codeChallenge,
+      code_challenge_method: 'S256',
+      allow_signup: 'true'
+    });
+    return `${oauthUrl}/login/oauth/authorize?${params.toString()}`;
+  },
+
+  async getProfile({ code, redirectUri, codeVerifier }) {
+    const { clientId, clientSecret, oauthUrl, apiUrl } = this.config();
+
+    const tokenResponse = await axios.post(
+      `${oauthUrl}/login/oauth/access_token`,
+      {
+        client_id: clientId,
+        client_secret: clientSecret,
+        code,
+        redirect_uri: redirectUri,
+        code_verifier: codeVerifier
+      },
+      { headers: { Accept: 'application/json' }, timeout: 10000 }
+    );
+
+    const accessToken = tokenResponse.data.access_token;
+    if (!accessToken) {
+      throw new Error(tokenResponse.data.error_description || 'GitHub did not return an access token');
+    }
+
+    const headers = {
+      Authorization: `Bearer ${accessToken}`,
+      Accept: 'application/vnd.github+json'
+    };
+
+    const [userResponse, emailsResponse] = await Promise.all([
+      axios.get(`${apiUrl}/user`, { headers, timeout: 10000 }),
+      axios.get(`${apiUrl}/user/emails`, { headers, timeout: 10000 }).catch(() => ({ data: [] }))
+    ]);
+
+    const profile = userResponse.data;
+    const emails = Array.isArray(emailsResponse.data) ? emailsResponse.data : [];
+    const primary = emails.find(entry => entry.primary && entry.verified) ||
+      emails.find(entry => entry.verified);
+
+    return {
+      providerUserId: String(profile.id),
+      email: primary ? primary.email : profile.email || null,
+      emailVerified: Boolean(primary),
+      name: profile.name || profile.login,
+      username: profile.login,
+      avatarUrl: profile.avatar_url || null
+    };
+  }
+};
+
+const oidc = {
+  name: 'oidc',
+
+  get displayName() {
+    return process.env.OIDC_DISPLAY_NAME || 'Single Sign-On';
+  },
+
+  config() {
+    return {
+      issuer: process.env.OIDC_ISSUER ? process.env.OIDC_ISSUER.replace(/\/$/, '') : null,
+      clientId: process.env.OIDC_CLIENT_ID,
+      clientSecret: process.env.OIDC_CLIENT_SECRET,
+      scopes: process.env.OIDC_SCOPES || 'openid email profile'
+    };
+  },
+
+  enabled() {
+    const { issuer, clientId, clientSecret } = this.config();
+    return Boolean(issuer && clientId && clientSecret);
+  },
+
+  async getAuthorizationUrl({ state, nonce, redirectUri, codeChallenge }) {
+    const { issuer, clientId, scopes } = this.config();
+    const metadata = await discover(issuer);
+
+    const params = new URLSearchParams({
+      response_type: 'code',
+      client_id: clientId,
+      redirect_uri: redirectUri,
+      scope: scopes,
+      state,
+      nonce,
+      code_challenge: codeChallenge,
+      code_challenge_method: 'S256'
+    });
+    return `${metadata.authorization_endpoint}?${params.toString()}`;
+  },
+
+  async getProfile({ code, redirectUri, codeVerifier, nonce }) {
+    const { issuer, clientId, clientSecret } = this.config();
+    const metadata = await discover(issuer);
+
+    const tokenResponse = await axios.post(
+      metadata.token_endpoint,
+      new URLSearchParams({
+        grant_type: 'authorization_code',
+        code,
+        redirect_uri: redirectUri,
+        client_id: clientId,
+        client_secret: clientSecret,
+        code_verifier: codeVerifier
+      }).toString(),
+      {
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded', Accept: 'application/json' },
+        timeout: 10000
+      }
+    );
+
+    const { id_token: idToken, access_token: accessToken } = tokenResponse.data;
+    if (!idToken) {
+      throw new Error('OIDC provider did not return an id_token');
+    }
+
+    const decoded = jwt.decode(idToken, { complete: true });
+    if (!decoded) {
+      throw new Error('OIDC provider returned a malformed id_token');
+    }
+
+    const key = decoded.header.alg.startsWith('HS')
+      ? clientSecret
+      : await getSigningKey(metadata.jwks_uri, decoded.header.kid);
+
+    const claims = jwt.verify(idToken, key, {
+      algorithms: ID_TOKEN_ALGORITHMS,
+      issuer: metadata.issuer || issuer,
+      audience: clientId
+    });
+
+    if (claims.nonce !== nonce) {
+      throw new Error('OIDC id_token nonce mismatch');
+    }
+
+    // Fill in profile claims the id_token left out
+    let userInfo = {};
+    if (metadata.userinfo_endpoint && accessToken && (!claims.email || !claims.name)) {
+      try {
+        const response = await axios.get(metadata.userinfo_endpoint, {
+          headers: { Authorization: `Bearer ${accessToken}` },
+          timeout: 10000
+        });
+        userInfo = response.data.sub === claims.sub ? response.data : {};
+      } catch (error) {
+        console.error('Failed to fetch OIDC userinfo:', error.message);
+      }
+    }
+
+    const merged = { ...userInfo, ...claims };
+    return {
+      providerUserId: String(claims.sub),
+      email: merged.email || null,
+      emailVerified: merged.email_verified === true || merged.email_verified === 'true',
+      name: merged.name || merged.preferred_username || merged.email || 'User',
+      username: merged.preferred_username || null,
+      avatarUrl: merged.picture || null
+    };
+  }
+};
+
+const providers = { github, oidc };
+
+/**
+ * Look up a configured provider by name; returns null when unknown or not configured
+ */
+function getProvider(name) {
+  const provider = providers[name];
+  return provider && provider.enabled() ? provider : null;
+}
+
+/**
+ * List providers that have credentials configured
+ */
+function listProviders() {
+  return Object.values(providers)
+    .filter(provider => provider.enabled())
+    .map(provider => ({ name: provider.name, displayName: provider.displayName }));
+}
+
+module.exports = {
+  createPkcePair,
+  getProvider,
+  listProviders
+};
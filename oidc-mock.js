@@ -0,0 +1,275 @@
+const http = require('http');
+const crypto = require('crypto');
+const axios = require('axios');
+const jwt = require('jsonwebtoken');
+
+// A minimal OpenID Connect issuer for exercising the OIDC login in oauth.js without a real
+// provider. It is strict where a real provider is: codes are single use and bound to the
+// redirect_uri, PKCE (S256) is required and checked, and the id_token carries the nonce.
+//
+//   node oidc-mock.js              # run the login flow against it and report each check
+//   node oidc-mock.js serve [port] # keep it running for manual logins (default port 8080)
+//
+// In serve mode, point the API at it with OIDC_ISSUER=http://localhost:<port>,
+// OIDC_CLIENT_ID=deuss and OIDC_CLIENT_SECRET=mock-secret. Every authorization is approved
+// immediately as MOCK_USER.
+
+const CODE_TTL = 60 * 1000;
+
+const MOCK_USER = {
+  sub: 'mock-user-1',
+  email: 'mock.user@example.com',
+  email_verified: true,
+  name: 'Mock User',
+  preferred_username: 'mockuser'
+};
+
+function base64UrlSha256(value) {
+  return crypto.createHash('sha256').update(value).digest('base64url');
+}
+
+function sendJson(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+async function readForm(req) {
+  let body = '';
+  for await (const chunk of req) {
+    body += chunk;
+  }
+  return Object.fromEntries(new URLSearchParams(body));
+}
+
+/**
+ * Start the mock issuer on host:port (0 picks a free port). Resolves to { url, close }.
+ */
+async function createMockIssuer({ clientId = 'deuss', clientSecret = 'mock-secret', user = MOCK_USER, host = '127.0.0.1', port = 0 } = {}) {
+  const { publicKey, privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  const jwk = { ...publicKey.export({ format: 'jwk' }), kid: 'mock-key-1', alg: 'RS256', use: 'sig' };
+
+  // code -> { redirectUri, codeChallenge, nonce, expiresAt }
+  const codes = new Map();
+  const accessTokens = new Set();
+  let issuer;
+
+  const routes = {
+    'GET /.well-known/openid-configuration': (req, res) => sendJson(res, 200, {
+      issuer,
+      authorization_endpoint: `${issuer}/authorize`,
+      token_endpoint: `${issuer}/token`,
+      userinfo_endpoint: `${issuer}/userinfo`,
+      jwks_uri: `${issuer}/jwks`,
+      response_types_supported: ['code'],
+      code_challenge_methods_supported: ['S256'],
+      id_token_signing_alg_values_supported: ['RS256']
+    }),
+
+    'GET /jwks': (req, res) => sendJson(res, 200, { keys: [jwk] }),
+
+    'GET /authorize': (req, res, url) => {
+      const params = Object.fromEntries(url.searchParams);
+      if (params.client_id !== clientId || !params.redirect_uri) {
+        return sendJson(res, 400, { error: 'invalid_request', error_description: 'Unknown client or missing redirect_uri' });
+      }
+      if (params.response_type !== 'code') {
+        return sendJson(res, 400, { error: 'unsupported_response_type' });
+      }
+      if (!params.code_challenge || params.code_challenge_method !== 'S256') {
+        return sendJson(res, 400, { error: 'invalid_request', error_description: 'PKCE with S256 is required' });
+      }
+
+      const code = crypto.randomBytes(24).toString('base64url');
+      codes.set(code, {
+        redirectUri: params.redirect_uri,
+        codeChallenge: params.code_challenge,
+        nonce: params.nonce,
+        expiresAt: Date.now() + CODE_TTL
+      });
+
+      const location = new URL(params.redirect_uri);
+      location.searchParams.set('code', code);
+      if (params.state) {
+        location.searchParams.set('state', params.state);
+      }
+      res.writeHead(302, { Location: location.toString() });
+      res.end();
+    },
+
+    'POST /token': async (req, res) => {
+      const form = await readForm(req);
+      if (form.client_id !== clientId || form.client_secret !== clientSecret) {
+        return sendJson(res, 401, { error: 'invalid_client' });
+      }
+      if (form.grant_type !== 'authorization_code') {
+        return sendJson(res, 400, { error: 'unsupported_grant_type' });
+      }
+
+      // Codes are single use, even when the exchange fails
+      const grant = codes.get(form.code);
+      codes.delete(form.code);
+
+      if (!grant || grant.expiresAt < Date.now() || grant.redirectUri !== form.redirect_uri) {
+        return sendJson(res, 400, { error: 'invalid_grant' });
+      }
+      if (!form.code_verifier || base64UrlSha256(form.code_verifier) !== grant.codeChallenge) {
+        return sendJson(res, 400, { error: 'invalid_grant', error_description: 'PKCE verification failed' });
+      }
+
+      const accessToken = crypto.randomBytes(24).toString('base64url');
+      accessTokens.add(accessToken);
+
+      const idToken = jwt.sign(
+        { ...user, ...(grant.nonce ? { nonce: grant.nonce } : {}) },
+        privateKey,
+        { algorithm: 'RS256', keyid: jwk.kid, issuer, audience: clientId, expiresIn: '5m' }
+      );
+
+      sendJson(res, 200, { access_token: accessToken, token_type: 'Bearer', expires_in: 300, id_token: idToken });
+    },
+
+    'GET /userinfo': (req, res) => {
+      const token = (req.headers.authorization || '').replace(/^Bearer /, '');
+      if (!accessTokens.has(token)) {
+        return sendJson(res, 401, { error: 'invalid_token' });
+      }
+      sendJson(res, 200, user);
+    }
+  };
+
+  const server = http.createServer((req, res) => {
+    const url = new URL(req.url, issuer);
+    const route = routes[`${req.method} ${url.pathname}`];
+    if (!route) {
+      return sendJson(res, 404, { error: 'not_found' });
+    }
+    Promise.resolve(route(req, res, url)).catch(error => {
+      console.error('Mock issuer error:', error);
+      sendJson(res, 500, { error: 'server_error' });
+    });
+  });
+
+  await new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, host, resolve);
+  });
+  issuer = `http://${host === '0.0.0.0' ? 'localhost' : host}:${server.address().port}`;
+
+  return {
+    url: issuer,
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+}
+
+/**
+ * Run the OIDC login from oauth.js against a fresh mock issuer. Resolves to true when every
+ * check passed.
+ */
+async function runLoginCheck() {
+  const issuer = await createMockIssuer();
+  process.env.OIDC_ISSUER = issuer.url;
+  process.env.OIDC_CLIENT_ID = 'deuss';
+  process.env.OIDC_CLIENT_SECRET = 'mock-secret';
+
+  const oauth = require('./oauth');
+  const provider = oauth.getProvider('oidc');
+  // Never requested; the mock only redirects to it
+  const redirectUri = 'http://127.0.0.1/api/auth/oauth/oidc/callback';
+
+  // The browser leg: start the way /api/auth/oauth/:provider does and read the callback URL
+  async function authorize({ nonce, codeChallenge }) {
+    const state = crypto.randomBytes(24).toString('base64url');
+    const url = await provider.getAuthorizationUrl({ state, nonce, codeChallenge, redirectUri });
+    const response = await axios.get(url, { maxRedirects: 0, validateStatus: status => status === 302 });
+    const callback = new URL(response.headers.location);
+    return { state, returnedState: callback.searchParams.get('state'), code: callback.searchParams.get('code') };
+  }
+
+  async function rejects(promise) {
+    try {
+      await promise;
+      return false;
+    } catch (error) {
+      return true;
+    }
+  }
+
+  const checks = [
+    ['state comes back unchanged on the callback', async () => {
+      const { codeChallenge } = oauth.createPkcePair();
+      const { state, returnedState } = await authorize({ nonce: 'n', codeChallenge });
+      return returnedState === state;
+    }],
+
+    ['login succeeds with the matching nonce and PKCE verifier', async () => {
+      const { codeVerifier, codeChallenge } = oauth.createPkcePair();
+      const nonce = crypto.randomBytes(16).toString('base64url');
+      const { code } = await authorize({ nonce, codeChallenge });
+      const profile = await provider.getProfile({ code, redirectUri, codeVerifier, nonce });
+      return profile.providerUserId === MOCK_USER.sub && profile.email === MOCK_USER.email && profile.emailVerified;
+    }],
+
+    ['an id_token issued for another nonce is rejected', async () => {
+      const { codeVerifier, codeChallenge } = oauth.createPkcePair();
+      const { code } = await authorize({ nonce: 'sent-nonce', codeChallenge });
+      return rejects(provider.getProfile({ code, redirectUri, codeVerifier, nonce: 'session-nonce' }));
+    }],
+
+    ['a code exchanged with the wrong PKCE verifier is rejected', async () => {
+      const { codeChallenge } = oauth.createPkcePair();
+      const { codeVerifier: otherVerifier } = oauth.createPkcePair();
+      const { code } = await authorize({ nonce: 'n', codeChallenge });
+      return rejects(provider.getProfile({ code, redirectUri, codeVerifier: otherVerifier, nonce: 'n' }));
+    }],
+
+    ['a code cannot be exchanged twice', async () => {
+      const { codeVerifier, codeChallenge } = oauth.createPkcePair();
+      const { code } = await authorize({ nonce: 'n', codeChallenge });
+      await provider.getProfile({ code, redirectUri, codeVerifier, nonce: 'n' });
+      return rejects(provider.getProfile({ code, redirectUri, codeVerifier, nonce: 'n' }));
+    }]
+  ];
+
+  let passed = true;
+  try {
+    for (const [name, check] of checks) {
+      let ok = false;
+      try {
+        ok = await check();
+      } catch (error) {
+        console.error(`  ${error.message}`);
+      }
+      console.log(`${ok ? 'ok  ' : 'FAIL'} ${name}`);
+      passed = passed && ok;
+    }
+  } finally {
+    await issuer.close();
+  }
+
+  return passed;
+}
+
+if (require.main === module) {
+  if (process.argv[2] === 'serve') {
+    const port = parseInt(process.argv[3], 10) || 8080;
+    createMockIssuer({ host: '0.0.0.0', port })
+      .then(issuer => console.log(`Mock OIDC issuer listening at ${issuer.url}`))
+      .catch(error => {
+        console.error('Failed to start mock issuer:', error);
+        process.exit(1);
+      });
+  } else {
+    runLoginCheck()
+      .then(passed => process.exit(passed ? 0 : 1))
+      .catch(error => {
+        console.error('OIDC login check failed:', error);
+        process.exit(1);
+      });
+  }
+}
+
+module.exports = {
+  MOCK_USER,
+  createMockIssuer,
+  runLoginCheck
+};
@@ -0,0 +1,283 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// bcrypt only looks at the first 72 bytes, so anything longer gives a false sense of strength
+const BCRYPT_MAX_BYTES = 72;
+
+// Scores follow zxcvbn: 0 too guessable, 1 very guessable, 2 somewhat guessable,
+// 3 safely unguessable, 4 very unguessable. Thresholds are log10 of estimated guesses.
+const SCORE_THRESHOLDS = [3, 6, 8, 10];
+
+// Most common passwords and password fragments, lowercase
+const COMMON_PASSWORDS = [
+  'password', 'passw0rd', '123456', '12345678', '123456789', '1234567890', 'qwerty', 'qwertyuiop',
+  'abc123', 'letmein', 'welcome', 'monkey', 'dragon', 'football', 'baseball', 'iloveyou',
+  'admin', 'administrator', 'login', 'master', 'sunshine', 'princess', 'shadow', 'superman',
+  'trustno1', 'starwars', 'whatever', 'freedom', 'hello', 'charlie', 'secret', 'access',
+  'changeme', 'default', 'root', 'toor', 'hacker', 'hunter', 'hunter2', 'pokemon', 'batman',
+  'michael', 'jordan', 'summer', 'winter', 'spring', 'autumn', 'computer', 'internet',
+  'security', 'cyber', 'deuss', 'tryhackme', 'hackthebox', 'kali', 'linux', 'windows',
+  'mypassword', 'pass', 'test', 'guest', 'user', 'love', 'money', 'google', 'facebook'
+];
+
+// Longest run the pattern search looks at; longer runs are matched in pieces. Keeps the
+// search linear in the password length.
+const MAX_PATTERN_LENGTH = 24;
+
+const KEYBOARD_ROWS = ['1234567890', 'qwertyuiop', 'asdfghjkl', 'zxcvbnm'];
+
+const LEET_MAP = { '@': 'a', '4': 'a', '8': 'b', '3': 'e', '6': 'g', '1': 'i', '!': 'i', '0': 'o', '$': 's', '5': 's', '7': 't', '2': 'z' };
+
+// Like parseInt(value) || fallback, but keeps an explicit 0
+function parseEnvInt(value, fallback) {
+  const parsed = parseInt(value, 10);
+  return isNaN(parsed) ? fallback : parsed;
+}
+
+function getPolicy() {
+  return {
+    minLength: parseInt(process.env.PASSWORD_MIN_LENGTH, 10) || 10,
+    minScore: Math.min(Math.max(parseEnvInt(process.env.PASSWORD_MIN_SCORE, 2), 0), 4),
+    breachedList: process.env.BREACHED_PASSWORDS_PATH || null
+  };
+}
+
+function unleet(value) {
+  return value.replace(/[@48361!0$572]/g, char => LEET_MAP[char]);
+}
+
+function charsetSize(value) {
+  let size = 0;
+  if (/[a-z]/.test(value)) size += 26;
+  if (/[A-Z]/.test(value)) size += 26;
+  if (/[0-9]/.test(value)) size += 10;
+  if (/[^a-zA-Z0-9]/.test(value)) size += 33;
+  return size || 1;
+}
+
+function isSequence(segment) {
+  const codes = [...segment].map(char => char.charCodeAt(0));
+  const step = codes[1] - codes[0];
+  if (Math.abs(step) !== 1) return false;
+  return codes.every((code, index) => index === 0 || code - codes[index - 1] === step);
+}
+
+function isKeyboardRun(segment) {
+  return KEYBOARD_ROWS.some(row => row.includes(segment) || [...row].reverse().join('').includes(segment));
+}
+
+/**
+ * Find low-entropy runs (dictionary words, user inputs, repeats, sequences, keyboard
+ * walks, years). Returns [{ start, end, guesses, warning }] without overlaps, longest first.
+ */
+function findPatterns(password, userInputs) {
+  const lower = password.toLowerCase();
+  const unleeted = unleet(lower);
+  const words = [...COMMON_PASSWORDS, ...userInputs];
+  const candidates = [];
+
+  for (let start = 0; start < lower.length; start++) {
+    for (let end = Math.min(lower.length, start + MAX_PATTERN_LENGTH); end - start >= 3; end--) {
+      const segment = lower.substring(start, end);
+
+      // Dictionary words are also matched with l33t substitutions undone
+      let rank = words.indexOf(segment);
+      if (rank === -1) rank = words.indexOf(unleeted.substring(start, end));
+      if (rank !== -1 && segment.length >= 4) {
+        const isUserInput = rank >= COMMON_PASSWORDS.length;
+        candidates.push({
+          start,
+          end,
+          guesses: isUserInput ? 10 : rank + 1,
+          warning: isUserInput ? 'Avoid using your name or email address' : 'This is a very common password'
+        });
+      } else if (/^(.)\1+$/.test(segment)) {
+        candidates.push({ start, end, guesses: 10 * segment.length, warning: 'Repeated characters like "aaa" are easy to guess' });
+      } else if (isSequence(segment)) {
+        candidates.push({ start, end, guesses: 50 * segment.length, warning: 'Sequences like "abc" or "123" are easy to guess' });
+      } else if (isKeyboardRun(segment)) {
+        candidates.push({ start, end, guesses: 100 * segment.length, warning: 'Keyboard patterns like "qwerty" are easy to guess' });
+      } else if (/^(19|20)\d\d$/.test(segment)) {
+        candidates.push({ start, end, guesses: 120, warning: 'Years are easy to guess' });
+      }
+    }
+  }
+
+  candidates.sort((a, b) => (b.end - b.start) - (a.end - a.start));
+
+  const taken = new Array(lower.length).fill(false);
+  const matches = [];
+  for (const candidate of candidates) {
+    let free = true;
+    for (let i = candidate.start; i < candidate.end; i++) {
+      if (taken[i]) {
+        free = false;
+        break;
+      }
+    }
+    if (!free) continue;
+
+    for (let i = candidate.start; i < candidate.end; i++) {
+      taken[i] = true;
+    }
+    matches.push(candidate);
+  }
+
+  return { matches, taken };
+}
+
+/**
+ * Estimate how guessable a password is, zxcvbn-style.
+ * Returns { score: 0-4, guessesLog10, feedback: { warning, suggestions } }
+ */
+function scorePassword(password, userInputs = []) {
+  const inputs = userInputs
+    .flatMap(input => String(input || '').toLowerCase().split(/[^a-z0-9]+/))
+    .filter(input => input.length >= 3);
+
+  const { matches, taken } = findPatterns(password, inputs);
+  const bruteforceCardinality = charsetSize(password);
+
+  // Patterned runs cost their pattern's guesses; everything else is brute force
+  let guessesLog10 = 0;
+  for (const match of matches) {
+    guessesLog10 += Math.log10(match.guesses);
+  }
+  const freeChars = taken.filter(isTaken => !isTaken).length;
+  guessesLog10 += freeChars * Math.log10(bruteforceCardinality);
+
+  // Stitching several patterns together adds a little uncertainty
+  if (matches.length > 1) {
+    guessesLog10 += Math.log10(matches.length);
+  }
+
+  const score = SCORE_THRESHOLDS.filter(threshold => guessesLog10 >= threshold).length;
+
+  const suggestions = [];
+  if (password.length < 12) suggestions.push('Use a longer password, or a passphrase of several words');
+  if (freeChars < password.length / 2) suggestions.push('Avoid common words, names and predictable patterns');
+  if (bruteforceCardinality <= 36) suggestions.push('Mix in uppercase letters, digits or symbols');
+
+  return {
+    score,
+    guessesLog10: Math.round(guessesLog10 * 100) / 100,
+    feedback: {
+      warning: matches.length > 0 ? matches[0].warning : null,
+      suggestions: score >= 3 ? [] : suggestions
+    }
+  };
+}
+
+let breachedSetCache = null;
+
+/**
+ * Check a password against a locally stored breached-password list, using the same
+ * k-anonymity layout as the Have I Been Pwned range API: the SHA-1 hash is split into a
+ * 5-character prefix and a 35-character suffix. BREACHED_PASSWORDS_PATH may be either
+ * a directory of range files named by prefix (e.g. 5BAA6 or 5BAA6.txt, each line
+ * "SUFFIX:COUNT"), or a single file with one full "HASH" or "HASH:COUNT" per line.
+ * Returns the breach count, or 0 when not found or no list is configured.
+ */
+async function getBreachCount(password) {
+  const { breachedList } = getPolicy();
+  if (!breachedList) {
+    return 0;
+  }
+
+  const hash = crypto.createHash('sha1').update(password, 'utf8').digest('hex').toUpperCase();
+  const prefix = hash.substring(0, 5);
+  const suffix = hash.substring(5);
+
+  try {
+    const stat = await fs.promises.stat(breachedList);
+
+    if (stat.isDirectory()) {
+      for (const name of [prefix, `${prefix}.txt`]) {
+        const file = path.join(breachedList, name);
+        let contents;
+        try {
+          contents = await fs.promises.readFile(file, 'utf8');
+        } catch (error) {
+          if (error.code === 'ENOENT') continue;
+          throw error;
+        }
+
+        for (const line of contents.split('\n')) {
+          const [lineSuffix, count] = line.trim().split(':');
+          if (lineSuffix && lineSuffix.toUpperCase() === suffix) {
+            return parseInt(count, 10) || 1;
+          }
+        }
+        return 0;
+      }
+      return 0;
+    }
+
+    // Single-file lists are small enough to keep in memory
+    if (!breachedSetCache || breachedSetCache.path !== breachedList) {
+      const contents = await fs.promises.readFile(breachedList, 'utf8');
+      const hashes = new Map();
+      for (const line of contents.split('\n')) {
+        const [lineHash, count] = line.trim().split(':');
+        if (lineHash && lineHash.length === 40) {
+          hashes.set(lineHash.toUpperCase(), parseInt(count, 10) || 1);
+        }
+      }
+      breachedSetCache = { path: breachedList, hashes };
+    }
+
+    return breachedSetCache.hashes.get(hash) || 0;
+  } catch (error) {
+    // A missing or unreadable list must not lock everyone out of setting passwords
+    console.error('Error reading breached password list:', error.message);
+    return 0;
+  }
+}
+
+/**
+ * Validate a new password against the configured policy.
+ * userInputs are strings the password shouldn't be based on (email, name).
+ * Resolves to { valid, errors, score, feedback }.
+ */
+async function validatePassword(password, { userInputs = [] } = {}) {
+  const policy = getPolicy();
+  const errors = [];
+
+  if (typeof password !== 'string' || password.length === 0) {
+    return { valid: false, errors: ['Password is required'], score: 0, feedback: null };
+  }
+
+  // Checked first so overlong input never reaches the scoring
+  if (Buffer.byteLength(password, 'utf8') > BCRYPT_MAX_BYTES) {
+    return { valid: false, errors: [`Password must be at most ${BCRYPT_MAX_BYTES} bytes`], score: 0, feedback: null };
+  }
+
+  if (password.length < policy.minLength) {
+    errors.push(`Password must be at least ${policy.minLength} characters`);
+  }
+
+  const strength = scorePassword(password, userInputs);
+  if (strength.score < policy.minScore) {
+    errors.push('Password is too easy to guess');
+  }
+
+  const breachCount = await getBreachCount(password);
+  if (breachCount > 0) {
+    errors.push('This password has appeared in a data breach and cannot be used');
+  }
+
+  return {
+    valid: errors.length === 0,
+    errors,
+    score: strength.score,
+    feedback: strength.feedback
+  };
+}
+
+module.exports = {
+  getPolicy,
+  scorePassword,
+  getBreachCount,
+  validatePassword
+};
@@ -0,0 +1,550 @@
+const http = require('http');
+const { WebSocketServer } = require('ws');
+const Y = require('yjs');
+const syncProtocol = require('y-protocols/sync');
+const awarenessProtocol = require('y-protocols/awareness');
+const encoding = require('lib0/encoding');
+const decoding = require('lib0/decoding');
+
+// Live collaborative editing of notes over WebSockets at /api/realtime/notes/<id>. It speaks
+// the y-websocket protocol, so any Yjs client (e.g. y-websocket's WebsocketProvider) can
+// connect; the document holds two Y.Text types, "title" and "content".
+//
+// A note gets a room while someone has it open. Edits are saved back into deuss.notes, as a
+// new version and revision, a moment after typing stops and when the last person leaves, and
+// the Yjs state is kept in deuss.note_documents so clients can resume. Saves through the REST
+// API are merged into an open room, which keeps working for clients without sockets.
+//
+// Awareness carries presence (who is viewing, cursors). The server stamps every client's
+// state with the account behind it, so nobody can move another person's cursor or pose as
+// them. Rooms live in this process's memory; run one API instance when this is enabled.
+
+const MESSAGE_SYNC = 0;
+const MESSAGE_AWARENESS = 1;
+
+const ROOM_PATH = /^\/api\/realtime\/notes\/(\d+)\/?$/;
+const PING_INTERVAL_MS = 30 * 1000;
+const MAX_MESSAGE_BYTES = 2 * 1024 * 1024;
+
+// Close codes; the 44xx ones tell the client why it was disconnected (see README)
+const CLOSE_CODES = {
+  shutdown: 1001,
+  invalidMessage: 1007,
+  tryAgain: 1013,
+  signedOut: 4401,
+  accessChanged: 4403,
+  noteDeleted: 4404,
+  tooLarge: 4413
+};
+
+// Transaction origin for changes that were already saved through the REST API
+const REST_ORIGIN = 'rest';
+
+function rejectUpgrade(socket, status) {
+  socket.write(`HTTP/1.1 ${status} ${http.STATUS_CODES[status]}\r\nConnection: close\r\nContent-Length: 0\r\n\r\n`);
+  socket.destroy();
+}
+
+/**
+ * Replace a Y.Text's value with text as one edit covering only the changed middle part, so
+ * concurrent edits elsewhere in the note survive. Returns whether anything changed.
+ */
+function replaceText(doc, name, text) {
+  const ytext = doc.getText(name);
+  const current = ytext.toString();
+  if (current === text) {
+    return false;
+  }
+
+  let prefix = 0;
+  while (prefix < current.length && prefix < text.length && current[prefix] === text[prefix]) prefix++;
+  let suffix = 0;
+  while (
+    suffix < current.length - prefix &&
+    suffix < text.length - prefix &&
+    current[current.length - 1 - suffix] === text[text.length - 1 - suffix]
+  ) suffix++;
+
+  // Don't split a surrogate pair
+  if (prefix > 0 && /[\uD800-\uDBFF]/.test(current[prefix - 1])) prefix--;
+  if (suffix > 0 && /[\uDC00-\uDFFF]/.test(current[current.length - suffix])) suffix--;
+
+  ytext.delete(prefix, current.length - prefix - suffix);
+  ytext.insert(prefix, text.substring(prefix, text.length - suffix));
+  return true;
+}
+
+/**
+ * Create the realtime server. The dependencies come from index.js:
+ *   authenticate(req)                     resolves to { userId, canWrite } or { status, error }
+ *   findAccessibleNote(noteId, userId)    the note with the caller's role, or null
+ *   saveNote(sql, params, authorId)       saves a note and records a revision
+ *   checkNoteSize(userId, content, title) null, or { status, error } when over the plan
+ */
+function createRealtime({ pool, authenticate, findAccessibleNote, saveNote, checkNoteSize, saveDelayMs = 2000, maxSaveDelayMs = 10000 }) {
+  const wss = new WebSocketServer({ noServer: true, maxPayload: MAX_MESSAGE_BYTES });
+
+  // noteId -> Promise of the room (null when the note doesn't exist)
+  const rooms = new Map();
+
+  function send(ws, message) {
+    if (ws.readyState === ws.OPEN) {
+      ws.send(message, error => {
+        if (error) ws.terminate();
+      });
+    }
+  }
+
+  function broadcast(room, message, except = null) {
+    for (const ws of room.connections.keys()) {
+      if (ws !== except) send(ws, message);
+    }
+  }
+
+  function closeConnections(room, code, reason, filter = () => true) {
+    for (const [ws, connection] of room.connections) {
+      if (filter(connection)) ws.close(code, reason);
+    }
+  }
+
+  async function storeState(noteId, doc, version) {
+    await pool.query(
+      `INSERT INTO deuss.note_documents (note_id, state, version, updated_at)
+       VALUES ($1, $2, $3, NOW())
+       ON CONFLICT (note_id) DO UPDATE SET state = EXCLUDED.state, version = EXCLUDED.version, updated_at = NOW()`,
+      [noteId, Buffer.from(Y.encodeStateAsUpdate(doc)), version]
+    );
+  }
+
+  async function loadRoom(noteId) {
+    const result = await pool.query(
+      `SELECT n.user_id, n.title, n.content, n.version, d.state
+       FROM deuss.notes n
+       LEFT JOIN deuss.note_documents d ON d.note_id = n.id
+       WHERE n.id = $1`,
+      [noteId]
+    );
+    const note = result.rows[0];
+    if (!note) {
+      return null;
+    }
+
+    const doc = new Y.Doc();
+    if (note.state) {
+      Y.applyUpdate(doc, note.state);
+    }
+
+    // REST saves made since the state was stored become ordinary edits on top of it. A new
+    // document is stored right away so every client starts from the same history.
+    let changed = false;
+    doc.transact(() => {
+      changed = replaceText(doc, 'title', note.title || '') || changed;
+      changed = replaceText(doc, 'content', note.content || '') || changed;
+    }, REST_ORIGIN);
+    if (!note.state || changed) {
+      await storeState(noteId, doc, note.version);
+    }
+
+    const room = {
+      noteId,
+      ownerId: note.user_id,
+      doc,
+      awareness: new awarenessProtocol.Awareness(doc),
+      // ws -> { userId, user, canEdit, clientIds }
+      connections: new Map(),
+      // awareness client id -> the ws that controls it
+      awarenessOwners: new Map(),
+      savedTitle: note.title || '',
+      savedContent: note.content || '',
+      lastEditorId: null,
+      saveTimer: null,
+      pendingSince: null,
+      saving: Promise.resolve(),
+      destroyed: false
+    };
+    room.awareness.setLocalState(null);
+
+    doc.on('update', (update, origin) => {
+      const encoder = encoding.createEncoder();
+      encoding.writeVarUint(encoder, MESSAGE_SYNC);
+      syncProtocol.writeUpdate(encoder, update);
+      broadcast(room, encoding.toUint8Array(encoder), origin && origin.ws);
+
+      if (origin !== REST_ORIGIN) {
+        room.lastEditorId = origin ? origin.userId : room.lastEditorId;
+        scheduleSave(room);
+      }
+    });
+
+    room.awareness.on('update', ({ added, updated, removed }) => {
+      const encoder = encoding.createEncoder();
+      encoding.writeVarUint(encoder, MESSAGE_AWARENESS);
+      encoding.writeVarUint8Array(
+        encoder,
+        awarenessProtocol.encodeAwarenessUpdate(room.awareness, [...added, ...updated, ...removed])
+      );
+      broadcast(room, encoding.toUint8Array(encoder));
+    });
+
+    return room;
+  }
+
+  function getRoom(noteId) {
+    if (!rooms.has(noteId)) {
+      const loading = loadRoom(noteId).then(room => {
+        if (!room) rooms.delete(noteId);
+        return room;
+      }, error => {
+        rooms.delete(noteId);
+        throw error;
+      });
+      rooms.set(noteId, loading);
+    }
+    return rooms.get(noteId);
+  }
+
+  function scheduleSave(room) {
+    const now = Date.now();
+    room.pendingSince = room.pendingSince || now;
+    clearTimeout(room.saveTimer);
+
+    // Wait for a pause in typing, but never longer than maxSaveDelayMs
+    const delay = Math.max(0, Math.min(saveDelayMs, room.pendingSince + maxSaveDelayMs - now));
+    room.saveTimer = setTimeout(() => saveRoom(room), delay);
+  }
+
+  // Saves run one at a time per room; resolves once everything edited so far is saved
+  function saveRoom(room) {
+    clearTimeout(room.saveTimer);
+    room.saveTimer = null;
+    room.pendingSince = null;
+
+    room.saving = room.saving
+      .then(() => writeRoom(room))
+      .catch(error => console.error(`Error saving realtime note ${room.noteId}:`, error));
+    return room.saving;
+  }
+
+  async function writeRoom(room) {
+    const title = room.doc.getText('title').toString();
+    const content = room.doc.getText('content').toString();
+    if (title === room.savedTitle && content === room.savedContent) {
+      return;
+    }
+
+    const sizeError = await checkNoteSize(room.ownerId, content, title);
+    if (sizeError) {
+      closeConnections(room, CLOSE_CODES.tooLarge, 'Note is larger than the plan allows');
+      return;
+    }
+
+    const { note } = await saveNote(
+      `UPDATE deuss.notes SET title = $1, content = $2, updated_at = NOW(), version = version + 1
+       WHERE id = $3
+       RETURNING id, title, content, tags, version`,
+      [title, content, room.noteId],
+      room.lastEditorId
+    );
+    if (!note) {
+      closeConnections(room, CLOSE_CODES.noteDeleted, 'Note was deleted');
+      return;
+    }
+
+    room.savedTitle = title;
+    room.savedContent = content;
+    await storeState(room.noteId, room.doc, note.version);
+  }
+
+  async function releaseRoom(room) {
+    await saveRoom(room);
+
+    // Someone may have joined while the last changes were saved
+    if (room.connections.size > 0 || room.destroyed) {
+      return;
+    }
+    room.destroyed = true;
+    rooms.delete(room.noteId);
+    room.awareness.destroy();
+    room.doc.destroy();
+  }
+
+  /**
+   * Rewrite a client's awareness update so each state carries the connection's account, and
+   * drop entries for awareness clients that belong to another connection
+   */
+  function stampAwarenessUpdate(room, ws, connection, update) {
+    const decoder = decoding.createDecoder(update);
+    const entries = [];
+
+    const count = decoding.readVarUint(decoder);
+    for (let i = 0; i < count; i++) {
+      const clientId = decoding.readVarUint(decoder);
+      const clock = decoding.readVarUint(decoder);
+      const state = JSON.parse(decoding.readVarString(decoder));
+
+      const owner = room.awarenessOwners.get(clientId);
+      if (owner && owner !== ws) continue;
+      if (!owner) {
+        if (state === null) continue;
+        room.awarenessOwners.set(clientId, ws);
+        connection.clientIds.add(clientId);
+      }
+
+      entries.push({ clientId, clock, state: state === null ? null : { ...state, user: connection.user } });
+    }
+
+    if (entries.length === 0) {
+      return null;
+    }
+
+    const encoder = encoding.createEncoder();
+    encoding.writeVarUint(encoder, entries.length);
+    for (const { clientId, clock, state } of entries) {
+      encoding.writeVarUint(encoder, clientId);
+      encoding.writeVarUint(encoder, clock);
+      encoding.writeVarString(encoder, JSON.stringify(state));
+    }
+    return encoding.toUint8Array(encoder);
+  }
+
+  function handleMessage(room, ws, connection, data) {
+    const decoder = decoding.createDecoder(new Uint8Array(data));
+    const messageType = decoding.readVarUint(decoder);
+
+    if (messageType === MESSAGE_SYNC) {
+      const encoder = encoding.createEncoder();
+      encoding.writeVarUint(encoder, MESSAGE_SYNC);
+
+      const syncType = decoding.readVarUint(decoder);
+      const origin = { ws, userId: connection.userId };
+      if (syncType === syncProtocol.messageYjsSyncStep1) {
+        syncProtocol.readSyncStep1(decoder, encoder, room.doc);
+      } else if (!connection.canEdit) {
+        // Viewers get the document but their changes are ignored
+        return;
+      } else if (syncType === syncProtocol.messageYjsSyncStep2) {
+        syncProtocol.readSyncStep2(decoder, room.doc, origin);
+      } else if (syncType === syncProtocol.messageYjsUpdate) {
+        syncProtocol.readUpdate(decoder, room.doc, origin);
+      } else {
+        throw new Error(`Unknown sync message type ${syncType}`);
+      }
+
+      if (encoding.length(encoder) > 1) {
+        send(ws, encoding.toUint8Array(encoder));
+      }
+    } else if (messageType === MESSAGE_AWARENESS) {
+      const update = stampAwarenessUpdate(room, ws, connection, decoding.readVarUint8Array(decoder));
+      if (update) {
+        awarenessProtocol.applyAwarenessUpdate(room.awareness, update, ws);
+      }
+    } else {
+      throw new Error(`Unknown message type ${messageType}`);
+    }
+  }
+
+  function connect(ws, room, connection) {
+    if (room.destroyed) {
+      ws.close(CLOSE_CODES.tryAgain, 'Room was closing, reconnect');
+      return;
+    }
+
+    room.connections.set(ws, connection);
+    ws.isAlive = true;
+
+    ws.on('pong', () => {
+      ws.isAlive = true;
+    });
+
+    ws.on('message', data => {
+      try {
+        handleMessage(room, ws, connection, data);
+      } catch (error) {
+        console.error(`Invalid realtime message for note ${room.noteId}:`, error);
+        ws.close(CLOSE_CODES.invalidMessage, 'Invalid message');
+      }
+    });
+
+    ws.on('close', () => {
+      room.connections.delete(ws);
+      for (const clientId of connection.clientIds) {
+        room.awarenessOwners.delete(clientId);
+      }
+      awarenessProtocol.removeAwarenessStates(room.awareness, [...connection.clientIds], null);
+
+      if (room.connections.size === 0) {
+        releaseRoom(room).catch(error => console.error(`Error closing realtime note ${room.noteId}:`, error));
+      }
+    });
+
+    // Start the sync handshake and show who is already here
+    const encoder = encoding.createEncoder();
+    encoding.writeVarUint(encoder, MESSAGE_SYNC);
+    syncProtocol.writeSyncStep1(encoder, room.doc);
+    send(ws, encoding.toUint8Array(encoder));
+
+    const states = [...room.awareness.getStates().keys()];
+    if (states.length > 0) {
+      const awarenessEncoder = encoding.createEncoder();
+      encoding.writeVarUint(awarenessEncoder, MESSAGE_AWARENESS);
+      encoding.writeVarUint8Array(awarenessEncoder, awarenessProtocol.encodeAwarenessUpdate(room.awareness, states));
+      send(ws, encoding.toUint8Array(awarenessEncoder));
+    }
+  }
+
+  /**
+   * http server 'upgrade' handler
+   */
+  async function handleUpgrade(req, socket, head) {
+    const match = ROOM_PATH.exec(new URL(req.url, 'http://localhost').pathname);
+    if (!match) {
+      return rejectUpgrade(socket, 404);
+    }
+    const noteId = Number(match[1]);
+
+    try {
+      const auth = await authenticate(req);
+      if (auth.error) {
+        return rejectUpgrade(socket, auth.status);
+      }
+
+      const note = await findAccessibleNote(noteId, auth.userId);
+      if (!note) {
+        return rejectUpgrade(socket, 404);
+      }
+
+      const [room, user] = await Promise.all([
+        getRoom(noteId),
+        pool.query('SELECT full_name, email FROM deuss.users WHERE id = $1', [auth.userId])
+      ]);
+      if (!room) {
+        return rejectUpgrade(socket, 404);
+      }
+
+      const connection = {
+        userId: auth.userId,
+        user: {
+          id: auth.userId,
+          name: user.rows[0]?.full_name || user.rows[0]?.email || 'Unknown',
+          role: note.role
+        },
+        canEdit: note.role !== 'viewer' && auth.canWrite,
+        clientIds: new Set()
+      };
+
+      wss.handleUpgrade(req, socket, head, ws => connect(ws, room, connection));
+    } catch (error) {
+      console.error('Error opening realtime connection:', error);
+      rejectUpgrade(socket, 500);
+    }
+  }
+
+  const heartbeat = setInterval(() => {
+    for (const ws of wss.clients) {
+      if (!ws.isAlive) {
+        ws.terminate();
+        continue;
+      }
+      ws.isAlive = false;
+      ws.ping();
+    }
+  }, PING_INTERVAL_MS);
+  heartbeat.unref();
+
+  async function openRoom(noteId) {
+    const pending = rooms.get(Number(noteId));
+    return pending ? pending.catch(() => null) : null;
+  }
+
+  return {
+    handleUpgrade,
+
+    /**
+     * Save an open note's pending edits, so a REST save that follows sees them and its
+     * version check holds
+     */
+    async flush(noteId) {
+      const room = await openRoom(noteId);
+      if (room) await saveRoom(room);
+    },
+
+    /**
+     * Merge a note saved through the REST API into its open room
+     */
+    async applySavedNote(note) {
+      const room = await openRoom(note.id);
+      if (!room || room.destroyed) return;
+
+      room.doc.transact(() => {
+        replaceText(room.doc, 'title', note.title || '');
+        replaceText(room.doc, 'content', note.content || '');
+      }, REST_ORIGIN);
+      room.savedTitle = note.title || '';
+      room.savedContent = note.content || '';
+    },
+
+    /**
+     * Disconnect everyone from a deleted note
+     */
+    async noteDeleted(noteId) {
+      const room = await openRoom(noteId);
+      if (room) closeConnections(room, CLOSE_CODES.noteDeleted, 'Note was deleted');
+    },
+
+    /**
+     * Disconnect a user whose access to the note changed; they reconnect with the new role
+     */
+    async accessChanged(noteId, userId) {
+      const room = await openRoom(noteId);
+      if (room) closeConnections(room, CLOSE_CODES.accessChanged, 'Access changed', connection => connection.userId === userId);
+    },
+
+    /**
+     * Disconnect a user from every note, e.g. when they were signed out everywhere or their
+     * account was disabled
+     */
+    async disconnectUser(userId) {
+      const open = await Promise.all([...rooms.values()].map(pending => pending.catch(() => null)));
+      for (const room of open.filter(Boolean)) {
+        closeConnections(room, CLOSE_CODES.signedOut, 'Signed out', connection => String(connection.userId) === String(userId));
+      }
+    },
+
+    /**
+     * Who has the note open, with the awareness state (e.g. cursor) of each of their clients
+     */
+    async presence(noteId) {
+      const room = await openRoom(noteId);
+      if (!room) return [];
+
+      const viewers = new Map();
+      for (const connection of room.connections.values()) {
+        const viewer = viewers.get(connection.userId) || { ...connection.user, canEdit: connection.canEdit, connections: 0, states: [] };
+        viewer.connections++;
+        for (const clientId of connection.clientIds) {
+          const state = room.awareness.getStates().get(clientId);
+          if (state) viewer.states.push(state);
+        }
+        viewers.set(connection.userId, viewer);
+      }
+      return [...viewers.values()];
+    },
+
+    /**
+     * Save every open note and disconnect everyone
+     */
+    async close() {
+      clearInterval(heartbeat);
+      const open = await Promise.all([...rooms.values()].map(pending => pending.catch(() => null)));
+      await Promise.all(open.filter(Boolean).map(room => {
+        closeConnections(room, CLOSE_CODES.shutdown, 'Server shutting down');
+        return saveRoom(room);
+      }));
+      wss.close();
+    }
+  };
+}
+
+module.exports = {
+  createRealtime
+};
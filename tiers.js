@@ -0,0 +1,92 @@
+const fs = require('fs');
+
+// Per-tier limits. null means unlimited, 0 means the feature is not part of the tier.
+// Sizes are in bytes, retention in days.
+const DEFAULT_TIER_LIMITS = {
+  basic: {
+    notes: 50,
+    noteSizeBytes: 100 * 1024,
+    bookmarks: 100,
+    connectedPlatforms: 2,
+    apiTokens: 0,
+    historyRetentionDays: 7,
+    attachmentSizeBytes: 5 * 1024 * 1024,
+    attachmentStorageBytes: 50 * 1024 * 1024
+  },
+  pro: {
+    notes: 1000,
+    noteSizeBytes: 1024 * 1024,
+    bookmarks: 1000,
+    connectedPlatforms: 10,
+    apiTokens: 5,
+    historyRetentionDays: 90,
+    attachmentSizeBytes: 25 * 1024 * 1024,
+    attachmentStorageBytes: 2 * 1024 * 1024 * 1024
+  },
+  enterprise: {
+    notes: null,
+    noteSizeBytes: 10 * 1024 * 1024,
+    bookmarks: null,
+    connectedPlatforms: null,
+    apiTokens: 50,
+    historyRetentionDays: null,
+    attachmentSizeBytes: 100 * 1024 * 1024,
+    attachmentStorageBytes: 20 * 1024 * 1024 * 1024
+  }
+};
+
+// Tier assumed for users whose tier column is empty or unknown
+const DEFAULT_TIER = 'basic';
+
+/**
+ * Load the tier limits, merging overrides from the JSON file named by TIER_LIMITS_FILE.
+ * The file has the same shape as DEFAULT_TIER_LIMITS and may add new tiers.
+ */
+function loadTierLimits() {
+  const limits = JSON.parse(JSON.stringify(DEFAULT_TIER_LIMITS));
+
+  if (!process.env.TIER_LIMITS_FILE) {
+    return limits;
+  }
+
+  try {
+    const overrides = JSON.parse(fs.readFileSync(process.env.TIER_LIMITS_FILE, 'utf8'));
+    for (const [tier, values] of Object.entries(overrides)) {
+      limits[tier] = { ...(limits[tier] || limits[DEFAULT_TIER]), ...values };
+    }
+  } catch (error) {
+    console.error(`Failed to load tier limits from ${process.env.TIER_LIMITS_FILE}:`, error.message);
+  }
+
+  return limits;
+}
+
+const TIER_LIMITS = loadTierLimits();
+
+/**
+ * Names of all configured tiers
+ */
+function listTiers() {
+  return Object.keys(TIER_LIMITS);
+}
+
+/**
+ * Limits for a tier, falling back to the default tier for unknown values
+ */
+function getTierLimits(tier) {
+  return TIER_LIMITS[tier] || TIER_LIMITS[DEFAULT_TIER];
+}
+
+/**
+ * Resolve a user's tier name, falling back to the default tier for unknown values
+ */
+function normalizeTier(tier) {
+  return TIER_LIMITS[tier] ? tier : DEFAULT_TIER;
+}
+
+module.exports = {
+  DEFAULT_TIER,
+  listTiers,
+  getTierLimits,
+  normalizeTier
+};
@@ -0,0 +1,109 @@
+const crypto = require('crypto');
+
+// The devices a user is signed in on: express-sessions plus refresh token families that have
+// no session of their own. Used by the session routes in index.js and by data exports.
+
+// Summarise a user agent string into something readable like "Chrome on Windows"
+function describeUserAgent(userAgent) {
+  if (!userAgent) return 'Unknown device';
+
+  const browsers = [
+    ['Edge', /Edg\//],
+    ['Opera', /OPR\//],
+    ['Chrome', /Chrome\//],
+    ['Firefox', /Firefox\//],
+    ['Safari', /Safari\//],
+    ['curl', /^curl\//],
+    ['Node.js', /node-fetch|axios|undici/i]
+  ];
+  const systems = [
+    ['Android', /Android/],
+    ['iOS', /iPhone|iPad|iPod/],
+    ['Windows', /Windows/],
+    ['macOS', /Mac OS X|Macintosh/],
+    ['Linux', /Linux/]
+  ];
+
+  const browser = browsers.find(([, pattern]) => pattern.test(userAgent));
+  const system = systems.find(([, pattern]) => pattern.test(userAgent));
+
+  if (!browser && !system) return 'Unknown device';
+  if (!system) return browser[0];
+  if (!browser) return system[0];
+  return `${browser[0]} on ${system[0]}`;
+}
+
+// Session ids double as cookie values, so only a hash of them is exposed to clients
+function publicSessionId(sid) {
+  return `s_${crypto.createHash('sha256').update(sid).digest('hex').substring(0, 24)}`;
+}
+
+// Load the user's live express-sessions and refresh token families as one device list
+async function listUserSessions(pool, userId) {
+  const sessionsResult = await pool.query(
+    `SELECT sid, sess, expire FROM deuss.session
+     WHERE sess->>'uid' = $1 AND expire > NOW()`,
+    [String(userId)]
+  );
+
+  const familiesResult = await pool.query(
+    `SELECT DISTINCT ON (family_id)
+       family_id, ip_address, user_agent, expires_at,
+       created_at AS last_seen,
+       MIN(created_at) OVER (PARTITION BY family_id) AS first_seen
+     FROM deuss.refresh_tokens
+     WHERE user_id = $1
+       AND family_id IN (
+         SELECT family_id FROM deuss.refresh_tokens
+         WHERE user_id = $1 AND revoked_at IS NULL AND expires_at > NOW()
+       )
+     ORDER BY family_id, created_at DESC`,
+    [userId]
+  );
+
+  const families = new Map(familiesResult.rows.map(row => [row.family_id, row]));
+
+  const sessions = sessionsResult.rows.map(row => {
+    const sess = typeof row.sess === 'string' ? JSON.parse(row.sess) : row.sess;
+    const device = sess.device || {};
+    const family = sess.tokenFamily ? families.get(sess.tokenFamily) : null;
+
+    // A session and the tokens issued alongside it are the same device
+    if (family) {
+      families.delete(sess.tokenFamily);
+    }
+
+    return {
+      id: publicSessionId(row.sid),
+      type: 'session',
+      sid: row.sid,
+      tokenFamily: sess.tokenFamily || null,
+      device: device.device || describeUserAgent(device.userAgent),
+      ip: device.ip || family?.ip_address || null,
+      user_agent: device.userAgent || family?.user_agent || null,
+      created_at: device.createdAt || family?.first_seen || null,
+      last_seen: device.lastSeen || family?.last_seen || null,
+      expires_at: row.expire
+    };
+  });
+
+  const tokens = [...families.values()].map(family => ({
+    id: `t_${family.family_id}`,
+    type: 'token',
+    sid: null,
+    tokenFamily: family.family_id,
+    device: describeUserAgent(family.user_agent),
+    ip: family.ip_address,
+    user_agent: family.user_agent,
+    created_at: family.first_seen,
+    last_seen: family.last_seen,
+    expires_at: family.expires_at
+  }));
+
+  return [...sessions, ...tokens];
+}
+
+module.exports = {
+  describeUserAgent,
+  listUserSessions
+};
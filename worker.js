@@ -0,0 +1,66 @@
+require('dotenv').config();
+const { Pool } = require('pg');
+const { createMailer } = require('./mailer');
+const { createJobQueue } = require('./job-queue');
+const { JOB_SCHEDULES, createJobHandlers } = require('./jobs');
+const { createAttachmentStorage } = require('./attachments');
+
+// Standalone job worker. Run one or more of these next to the API and set
+// JOB_WORKER_INLINE=false on the API so it only enqueues.
+
+if (!process.env.DATABASE_URL) {
+  console.error('DATABASE_URL environment variable is not set');
+  process.exit(1);
+}
+
+const poolConfig = {
+  connectionString: process.env.DATABASE_URL,
+  max: 5,
+  idleTimeoutMillis: 30000,
+  connectionTimeoutMillis: 5000
+};
+
+// Only enable SSL in production
+if (process.env.NODE_ENV === 'production' && process.env.PGSSLMODE !== 'disable') {
+  poolConfig.ssl = {
+    rejectUnauthorized: false
+  };
+}
+
+const pool = new Pool(poolConfig);
+pool.on('connect', (client) => {
+  client.query('SET search_path TO deuss');
+});
+
+const mailer = createMailer({ pool });
+const attachmentStorage = createAttachmentStorage();
+const jobQueue = createJobQueue({ pool });
+
+const worker = jobQueue.startWorker({
+  handlers: createJobHandlers({ pool, mailer, attachmentStorage }),
+  schedules: JOB_SCHEDULES,
+  concurrency: parseInt(process.env.JOB_CONCURRENCY, 10) || 2,
+  pollIntervalMs: parseInt(process.env.JOB_POLL_INTERVAL_MS, 10) || 1000
+});
+
+let shuttingDown = false;
+
+async function shutdown(signal) {
+  if (shuttingDown) {
+    return;
+  }
+  shuttingDown = true;
+
+  console.log(`${signal} received, waiting for running jobs to finish...`);
+  try {
+    await worker.stop();
+    await pool.end();
+    process.exit(0);
+  } catch (error) {
+    console.error('Error shutting down job worker:', error);
+    process.exit(1);
+  }
+}
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));